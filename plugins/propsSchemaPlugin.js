@@ -0,0 +1,280 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * 컴포넌트 JSDoc props 스키마 추출 Vite 플러그인
+ *
+ * 패턴 컴포넌트의 JSDoc 헤더를 빌드 시점에 읽어 컴포넌트별 JSON 스키마를 만들고
+ * 가상 모듈(virtual:props-schema)로 제공합니다.
+ * 플레이그라운드, 문서 페이지, prop 검증이 이 스키마를 공통으로 사용합니다.
+ *
+ * 지원하는 JSDoc 형식:
+ *  @param {number} scrambleSpeed - 스크램블 속도 (ms) [Optional, 기본값: 20]
+ *  @param {string} direction - 방향 ('vertical' | 'horizontal') [Optional, 기본값: 'vertical']
+ *  @param {'left' | 'right'} side - 위치 [Optional, 기본값: 'left']
+ *  @param {number} randomness - 랜덤성 (0~1) [Optional, 기본값: 0.3]
+ *
+ * 생성되는 스키마:
+ *  {
+ *    ScrambleText: {
+ *      name: 'ScrambleText',
+ *      file: 'src/components/patterns/typoraphy/ScrambleText.jsx',
+ *      description: '텍스트 스크램블 효과 컴포넌트',
+ *      props: {
+ *        scrambleSpeed: { type: 'number', required: false, default: 20, description: '스크램블 속도 (ms)' },
+ *        direction: { type: 'string', required: false, default: 'vertical', enum: ['vertical', 'horizontal'], ... },
+ *        randomness: { type: 'number', required: false, default: 0.3, min: 0, max: 1, ... },
+ *      },
+ *    },
+ *  }
+ *
+ * 기본값이 리터럴이 아니면(예: theme.palette.primary.main) default 대신 defaultExpression에 원문을 담습니다.
+ * {string|array} 같은 유니언 타입은 type: 'union'과 구성 타입 목록(types)으로 기록합니다.
+ *
+ * Example usage (vite.config.js):
+ * plugins: [react(), propsSchemaPlugin({ include: ['src/components/patterns'] })]
+ *
+ * Example usage (컴포넌트):
+ * import propsSchema from 'virtual:props-schema';
+ * propsSchema.ScrambleText.props.scrambleSpeed.default // 20
+ */
+
+const VIRTUAL_MODULE_ID = 'virtual:props-schema'
+const RESOLVED_VIRTUAL_MODULE_ID = `\0${VIRTUAL_MODULE_ID}`
+
+// JSDoc 블록과 바로 뒤에 오는 컴포넌트 선언 (function X / const X = / export default function X)
+const DOC_BLOCK_PATTERN =
+  /\/\*\*([\s\S]*?)\*\/\s*(?:export\s+(?:default\s+)?)?(?:function\s+([A-Z]\w*)|const\s+([A-Z]\w*)\s*=)/g
+
+// @param {type} name - description [Required | Optional, 기본값: value]
+const PARAM_PATTERN = /^@param\s+\{([^}]+)\}\s+([\w$]+)\s*(?:-\s*)?(.*)$/
+
+// 설명 끝의 [Required] / [Optional, 기본값: ...] 표기 (뒤에 붙은 보충 설명은 별도 그룹)
+const REQUIREMENT_PATTERN = /\[\s*(Required|Optional)\s*(?:,\s*기본값\s*:\s*(.*))?\](.*)$/
+
+// 문자열 리터럴 유니언 타입 ('left' | 'right')
+const LITERAL_UNION_PATTERN = /^\s*'[^']*'(?:\s*\|\s*'[^']*')+\s*$/
+
+// JSDoc 타입 표기를 스키마 타입으로 정규화
+const TYPE_ALIASES = {
+  'react.reactnode': 'node',
+  reactnode: 'node',
+  node: 'node',
+  element: 'node',
+  'react.elementtype': 'elementType',
+  func: 'function',
+  function: 'function',
+  bool: 'boolean',
+}
+
+/**
+ * JSDoc 타입을 스키마 타입으로 변환
+ * @param {string} rawType - JSDoc 중괄호 안의 타입 문자열
+ */
+const normalizeType = (rawType) => {
+  const type = rawType.trim()
+  if (LITERAL_UNION_PATTERN.test(type)) return 'string'
+  if (/\[\]$/.test(type) || /^array/i.test(type)) return 'array'
+  if (type.includes('|')) return 'union'
+  return TYPE_ALIASES[type.toLowerCase()] || type.toLowerCase()
+}
+
+/**
+ * 설명에서 허용값 목록 추출 ("('a' | 'b')", "('a', 'b')")
+ * @param {string} description - prop 설명
+ */
+export const parseEnumValues = (description) => {
+  const group = /\(\s*('[^']*'(?:\s*[,|]\s*'[^']*')+)\s*\)/.exec(description)
+  if (!group) return null
+  return [...group[1].matchAll(/'([^']*)'/g)].map((match) => match[1])
+}
+
+/**
+ * 설명에서 숫자 범위 추출 ("(0~1)", "(0-360)", "(0.1~3.0)")
+ * @param {string} description - prop 설명
+ */
+export const parseRange = (description) => {
+  const match = /\(\s*(-?\d+(?:\.\d+)?)\s*[~-]\s*(-?\d+(?:\.\d+)?)\s*\)/.exec(description)
+  if (!match) return null
+
+  const min = Number(match[1])
+  const max = Number(match[2])
+  return min < max ? { min, max } : null
+}
+
+/**
+ * 기본값 문자열을 리터럴 값으로 변환
+ * @param {string} rawDefault - '기본값:' 뒤의 원문
+ * @returns {object} { value } 또는 { expression } (리터럴이 아닌 경우)
+ */
+export const parseDefault = (rawDefault) => {
+  const source = rawDefault.trim()
+
+  if (/^'.*'$/.test(source) || /^".*"$/.test(source)) {
+    // JSDoc 안의 이스케이프(\\)는 소스 코드와 같은 의미로 해석
+    return { value: source.slice(1, -1).replace(/\\\\/g, '\\') }
+  }
+  if (source === 'true' || source === 'false') return { value: source === 'true' }
+  if (source === 'null') return { value: null }
+  if (source !== '' && !Number.isNaN(Number(source))) return { value: Number(source) }
+
+  try {
+    // [], {}, ["a", "b"] 같은 JSON 호환 리터럴
+    return { value: JSON.parse(source.replace(/'/g, '"')) }
+  } catch {
+    return { expression: source }
+  }
+}
+
+/**
+ * @param 한 줄을 prop 스키마로 변환
+ * @param {string} line - '@param'으로 시작하는 줄
+ * @returns {Array|null} [name, schema] (형식이 맞지 않으면 null)
+ */
+const parseParamLine = (line) => {
+  const match = PARAM_PATTERN.exec(line)
+  if (!match) return null
+
+  const [, rawType, name, rest] = match
+  const requirement = REQUIREMENT_PATTERN.exec(rest)
+  const description = requirement
+    ? `${rest.slice(0, requirement.index).trim()} ${requirement[3].trim()}`.trim()
+    : rest.trim()
+  const schema = {
+    type: normalizeType(rawType),
+    required: requirement ? requirement[1] === 'Required' : false,
+    description,
+  }
+
+  // {string|array} 같은 유니언은 구성 타입 목록을 함께 기록
+  if (schema.type === 'union') {
+    schema.types = rawType.split('|').map(normalizeType)
+  }
+
+  if (requirement?.[2] !== undefined) {
+    const { value, expression } = parseDefault(requirement[2])
+    if (expression !== undefined) schema.defaultExpression = expression
+    else schema.default = value
+  }
+
+  // 허용값은 타입 표기({'a' | 'b'})나 설명(('a' | 'b'))에 적을 수 있음
+  const enumValues = LITERAL_UNION_PATTERN.test(rawType)
+    ? parseEnumValues(`(${rawType})`)
+    : parseEnumValues(description)
+  if (enumValues) schema.enum = enumValues
+
+  if (schema.type === 'number') {
+    const range = parseRange(description)
+    if (range) Object.assign(schema, range)
+  }
+
+  return [name, schema]
+}
+
+/**
+ * 소스 코드에서 컴포넌트별 스키마 추출
+ * @param {string} code - 컴포넌트 파일 소스
+ * @param {string} file - 프로젝트 기준 파일 경로
+ * @returns {Array<object>} 컴포넌트 스키마 목록
+ */
+export const extractPropsSchema = (code, file) => {
+  const components = []
+
+  for (const match of code.matchAll(DOC_BLOCK_PATTERN)) {
+    const lines = match[1]
+      .split('\n')
+      .map((line) => line.replace(/^\s*\*\s?/, '').trim())
+    const paramLines = lines.filter((line) => line.startsWith('@param'))
+    if (paramLines.length === 0) continue
+
+    const props = Object.fromEntries(paramLines.map(parseParamLine).filter(Boolean))
+    const description = lines.find((line) => line && !line.startsWith('@')) || ''
+
+    components.push({
+      name: match[2] || match[3],
+      file,
+      description,
+      props,
+    })
+  }
+
+  return components
+}
+
+/**
+ * 디렉토리의 .jsx 파일 목록을 재귀적으로 수집
+ * @param {string} dir - 절대 경로
+ */
+const collectFiles = (dir) => {
+  if (!fs.existsSync(dir)) return []
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) return collectFiles(fullPath)
+    return entry.name.endsWith('.jsx') ? [fullPath] : []
+  })
+}
+
+/**
+ * props 스키마 Vite 플러그인
+ *
+ * @param {object} options
+ * @param {string[]} options.include - 스캔할 디렉토리 (프로젝트 루트 기준) [Optional, 기본값: ['src/components/patterns']]
+ */
+export default function propsSchemaPlugin({ include = ['src/components/patterns'] } = {}) {
+  let root = ''
+  let includeDirs = []
+
+  const isSchemaSource = (file) =>
+    file.endsWith('.jsx') && includeDirs.some((dir) => path.normalize(file).startsWith(dir + path.sep))
+
+  const buildSchema = () => {
+    const schema = {}
+
+    includeDirs.flatMap(collectFiles).forEach((file) => {
+      const relativePath = path.relative(root, file).split(path.sep).join('/')
+      extractPropsSchema(fs.readFileSync(file, 'utf-8'), relativePath).forEach((component) => {
+        // 파일명과 같은 이름의 컴포넌트(기본 export)가 같은 이름의 보조 컴포넌트보다 우선
+        const isPrimary = path.basename(file, '.jsx') === component.name
+        if (!schema[component.name] || isPrimary) schema[component.name] = component
+      })
+    })
+
+    return schema
+  }
+
+  return {
+    name: 'props-schema',
+
+    configResolved(config) {
+      root = config.root
+      includeDirs = include.map((dir) => path.resolve(root, dir))
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_MODULE_ID) return RESOLVED_VIRTUAL_MODULE_ID
+    },
+
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_MODULE_ID) return
+
+      const schema = buildSchema()
+      return {
+        code: `const propsSchema = ${JSON.stringify(schema, null, 2)};\nexport default propsSchema;\n`,
+        // 사용처가 모두 제거되면(예: 프로덕션의 prop 검증) 번들에서도 제외
+        moduleSideEffects: false,
+      }
+    },
+
+    // 컴포넌트 JSDoc이 바뀌면 가상 모듈을 다시 생성
+    handleHotUpdate({ file, server, modules }) {
+      if (!isSchemaSource(file)) return
+
+      const schemaModule = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_MODULE_ID)
+      if (!schemaModule) return
+
+      server.moduleGraph.invalidateModule(schemaModule)
+      return [...modules, schemaModule]
+    },
+  }
+}
@@ -1,78 +1,94 @@
-import React, { useState } from "react";
+import React, { Suspense, lazy } from "react";
 import {
   CssBaseline,
   ThemeProvider,
   Box,
+  CircularProgress,
 } from "@mui/material";
+import { Routes, Route, useSearchParams } from "react-router-dom";
 import "./App.css";
 
 // 커스텀 테마 불러오기
 import { darkTheme } from "./styles/theme";
 
 // 컴포넌트 임포트
-import ParticleBackground, { ParticleSection } from "./components/patterns/visualHook/ParticleBackground";
-import NavigationHeader from "./components/commons/navigation/NavigationHeader";
-import { sectionsData, getParticleSections } from "./data/sectionsData";
+import AppShell from "./components/commons/navigation/AppShell";
+import QualityProvider from "./components/commons/quality/QualityProvider";
+import SeedProvider from "./components/commons/seed/SeedProvider";
+import ScrollProvider from "./components/commons/scroll/ScrollProvider";
+import ScrollToTop from "./utils/ScrollToTop";
+
+// 라우트 페이지 (라우트별 청크로 분리)
+const LandingPage = lazy(() => import("./pages/LandingPage"));
+const PatternsPage = lazy(() => import("./pages/PatternsPage"));
+const PatternCategoryPage = lazy(() => import("./pages/PatternCategoryPage"));
+const PatternDetailPage = lazy(() => import("./pages/PatternDetailPage"));
+const CoursePage = lazy(() => import("./pages/CoursePage"));
+const PlaygroundPage = lazy(() => import("./pages/PlaygroundPage"));
+const NotFoundPage = lazy(() => import("./pages/NotFoundPage"));
+
+/**
+ * 라우트 청크 로딩 중 표시할 화면
+ */
+function RouteFallback() {
+  return (
+    <Box
+      sx={{
+        minHeight: "100vh",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+    >
+      <CircularProgress color="inherit" size={32} />
+    </Box>
+  );
+}
 
 /**
- * 우주관광 랜딩 페이지 메인 App 컴포넌트
- * ParticleBackground로 전체를 감싸고 5개 섹션을 순차적으로 배치
+ * 메인 App 컴포넌트
+ * AppShell 안에서 라우트 트리를 렌더링합니다. (Router는 main.jsx에서 제공)
+ * QualityProvider가 모든 페이지의 WebGL/캔버스 패턴에 렌더링 품질 단계를 제공합니다.
+ * ScrollProvider가 페이지의 스크롤 컨테이너와 스크롤 상태(진행률, 속도, 방향, 활성 섹션)를 제공합니다.
+ * SeedProvider는 ?seed= 쿼리가 있으면 무작위 패턴에 공통 시드를 제공해 스크린샷과 디자인 리뷰에서 같은 화면을 재현합니다.
+ *
+ * 라우트:
+ * - /                              랜딩 페이지
+ * - /patterns                      패턴 목록
+ * - /patterns/:category            패턴 카테고리 (컴포넌트 목록)
+ * - /patterns/:category/:component 패턴 예시 페이지
+ * - /course                        강의 소개
+ * - /playground                    플레이그라운드 (헤더/사이드메뉴 숨김)
+ * - *                              404
  */
 function App() {
   const theme = darkTheme;
-  
-  // 파티클 섹션 데이터를 상태로 관리 (CTA hover 시 동적 변경을 위해)
-  const [particleSections, setParticleSections] = useState(getParticleSections());
-  
-  // 네비게이션 헤더용 스크롤 상태 관리
-  const [scrollState, setScrollState] = useState({
-    scrollY: 0,
-    isScrolled: false,
-    isVisible: true,
-  });
+  const [searchParams] = useSearchParams();
 
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      
-      {/* 네비게이션 헤더 */}
-      <NavigationHeader 
-        scrollState={scrollState}
-      />
-      
-      {/* 파티클 배경으로 전체 페이지 감싸기 */}
-      <ParticleBackground 
-        sections={particleSections}
-        onScrollUpdate={setScrollState}
-      >
-        {/* 각 섹션을 순차적으로 렌더링 */}
-        {sectionsData.map((section) => {
-          const SectionComponent = section.component;
-          
-          // ReservationSection에만 sections 관련 props 전달
-          const sectionProps = section.id === 'reservation' 
-            ? { 
-                ...section.props, 
-                sections: particleSections,
-                onSectionsUpdate: setParticleSections
-              }
-            : section.props;
-          
-          return (
-            <Box
-              key={section.id}
-              id={section.id}
-              sx={{
-                position: 'relative',
-                zIndex: 1,
-                mb: { xs: 12, md: 0 },
-              }}
-            >
-              <SectionComponent {...sectionProps} />
-            </Box>
-          );
-        })}
-      </ParticleBackground>
+      <ScrollToTop />
+
+      <QualityProvider>
+        <SeedProvider seed={searchParams.get("seed")}>
+          <ScrollProvider>
+            <AppShell>
+              <Suspense fallback={<RouteFallback />}>
+                <Routes>
+                  <Route path="/" element={<LandingPage />} />
+                  <Route path="/patterns" element={<PatternsPage />} />
+                  <Route path="/patterns/:category" element={<PatternCategoryPage />} />
+                  <Route path="/patterns/:category/:component" element={<PatternDetailPage />} />
+                  <Route path="/course" element={<CoursePage />} />
+                  <Route path="/playground" element={<PlaygroundPage />} />
+                  <Route path="*" element={<NotFoundPage />} />
+                </Routes>
+              </Suspense>
+            </AppShell>
+          </ScrollProvider>
+        </SeedProvider>
+      </QualityProvider>
     </ThemeProvider>
   );
 }
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Box, Stack, Typography, Chip } from '@mui/material';
+import { formatSpacecraftPrice } from '../../../data/spacecraftData';
+
+/**
+ * 선택한 상품(spacecraftData 항목) 미리보기 카드
+ * 예약 폼에서 선택한 상품의 이미지, 가격, 좌석 범위, 특징을 요약해 보여줍니다. (가격/좌석 정보가 없으면 생략)
+ *
+ * Props:
+ * @param {object} offering - spacecraftData 항목 ({ name, imageUrl, pricing, capacity, features }) [Required]
+ * @param {boolean} isInverted - 반전 색상(CTA hover 테마) 사용 여부 [Optional, 기본값: false]
+ *
+ * Example usage:
+ * <OfferingPreviewCard offering={getSpacecraftById('lead-platform')} />
+ */
+function OfferingPreviewCard({ offering, isInverted = false }) {
+  if (!offering) {
+    return null;
+  }
+
+  const { name, imageUrl, pricing, capacity, features = [] } = offering;
+  const textColor = isInverted ? '#1A1B23' : 'white';
+  const subTextColor = isInverted ? 'rgba(26,27,35,0.7)' : 'rgba(255,255,255,0.7)';
+  const borderColor = isInverted ? 'rgba(26,27,35,0.2)' : 'rgba(255,255,255,0.15)';
+
+  // 가격/좌석 정보가 없는 상품은 해당 줄을 생략
+  const summary = [
+    formatSpacecraftPrice(pricing),
+    capacity && `${capacity.minSeats}–${capacity.maxSeats} seats`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <Stack
+      direction="row"
+      spacing={2}
+      alignItems="center"
+      sx={{
+        p: 2,
+        borderRadius: 2,
+        border: `1px solid ${borderColor}`,
+        backgroundColor: isInverted ? 'rgba(26,27,35,0.05)' : 'rgba(255,255,255,0.05)',
+        transition: 'all 0.3s ease',
+      }}
+    >
+      {imageUrl && (
+        <Box
+          component="img"
+          src={imageUrl}
+          alt={name}
+          sx={{
+            width: 72,
+            height: 72,
+            objectFit: 'contain',
+            borderRadius: 1,
+            flexShrink: 0,
+          }}
+        />
+      )}
+      <Box sx={{ minWidth: 0 }}>
+        <Typography variant="subtitle1" sx={{ color: textColor, fontWeight: 700 }}>
+          {name}
+        </Typography>
+        {summary && (
+          <Typography variant="body2" sx={{ color: subTextColor }}>
+            {summary}
+          </Typography>
+        )}
+        {features.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+            {features.map((feature) => (
+              <Chip
+                key={feature.text}
+                label={feature.text}
+                size="small"
+                variant="outlined"
+                sx={{ color: subTextColor, borderColor, fontSize: '0.7rem' }}
+              />
+            ))}
+          </Box>
+        )}
+      </Box>
+    </Stack>
+  );
+}
+
+export default OfferingPreviewCard;
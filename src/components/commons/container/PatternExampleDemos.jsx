@@ -0,0 +1,118 @@
+import React, { useRef } from 'react';
+import { Box, Grid, Typography } from '@mui/material';
+import DemoPanel from '../placeholder/DemoPanel';
+
+/**
+ * 패턴 상세 페이지용 예제 컴포넌트 모음
+ * patternExamples의 demo 필드에서 사용하며, 불러온 패턴 컴포넌트를 component prop으로 전달받습니다.
+ */
+
+/**
+ * FadeInContainer 순차 등장 예제
+ * 같은 컴포넌트를 여러 개 배치하고 delay를 index에 비례시킵니다.
+ *
+ * @param {React.ComponentType} component - 불러온 패턴 컴포넌트 [Required]
+ */
+export function StaggeredFadeInDemo({ component }) {
+  const FadeInContainer = component;
+
+  return (
+    <Grid container spacing={2} sx={{ width: '100%' }}>
+      {['#0ea5e9', '#6366f1', '#a855f7'].map((color, index) => (
+        <Grid key={color} size={{ xs: 12, sm: 4 }}>
+          <FadeInContainer direction="left" delay={index * 0.15}>
+            <DemoPanel label={`Item ${index + 1}`} color={color} />
+          </FadeInContainer>
+        </Grid>
+      ))}
+    </Grid>
+  );
+}
+
+/**
+ * StickyContainer 예제
+ * 예제 영역 안에 스크롤 공간을 만들어 고정 동작을 확인할 수 있게 합니다.
+ *
+ * @param {React.ComponentType} component - 불러온 패턴 컴포넌트 [Required]
+ */
+export function StickyContainerDemo({ component }) {
+  const StickyContainer = component;
+
+  return (
+    <Box sx={{ width: '100%', height: 360, overflow: 'auto' }}>
+      <StickyContainer offset={0}>
+        <DemoPanel label="Sticky" sx={{ minHeight: 64 }} />
+      </StickyContainer>
+      <Box sx={{ height: 800 }} />
+    </Box>
+  );
+}
+
+/**
+ * WaveBackground 예제
+ * 같은 모듈의 named export인 WaveSection으로 섹션을 구성합니다.
+ *
+ * @param {React.ComponentType} component - 불러온 패턴 컴포넌트 [Required]
+ * @param {object} module - 불러온 모듈 전체 [Required]
+ */
+export function WaveBackgroundDemo({ component, module }) {
+  const WaveBackground = component;
+  const { WaveSection } = module;
+
+  return (
+    <Box sx={{ width: '100%' }}>
+      <WaveBackground>
+        <WaveSection>
+          <Typography variant="h3">Wave 1</Typography>
+        </WaveSection>
+        <WaveSection>
+          <Typography variant="h3">Wave 2</Typography>
+        </WaveSection>
+      </WaveBackground>
+    </Box>
+  );
+}
+
+/**
+ * ScrollGradientBackground 예제
+ * 배경이 참조할 섹션 ref를 직접 만들어 전달합니다.
+ *
+ * @param {React.ComponentType} component - 불러온 패턴 컴포넌트 [Required]
+ */
+export function ScrollGradientDemo({ component }) {
+  const ScrollGradientBackground = component;
+  const scrollContainerRef = useRef(null);
+  const sectionRefs = [useRef(null), useRef(null), useRef(null)];
+
+  return (
+    <Box
+      ref={scrollContainerRef}
+      sx={{ position: 'relative', width: '100%', height: 480, overflow: 'auto' }}
+    >
+      <ScrollGradientBackground
+        sectionRefs={sectionRefs}
+        sectionColors={[
+          ['#FF4D6D', '#FF8FA3'],
+          ['#3A86FF', '#8338EC'],
+          ['#06D6A0', '#118AB2'],
+        ]}
+        scrollContainer={scrollContainerRef}
+      />
+      {['Section 1', 'Section 2', 'Section 3'].map((label, index) => (
+        <Box
+          key={label}
+          ref={sectionRefs[index]}
+          sx={{
+            position: 'relative',
+            height: 480,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+          }}
+        >
+          <Typography variant="h4">{label}</Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+}
@@ -18,6 +18,8 @@ import {
   Chip,
   Grid,
 } from "@mui/material";
+import propsSchema from "virtual:props-schema";
+import { createPropsTable } from "../../../utils/propsSchema";
 
 /**
  * 레시피 스텝 컴포넌트 - 반복되는 스텝 컨텐츠를 모듈화
@@ -43,14 +45,14 @@ const RecipeStep = ({ title, children }) => (
  * @param {Array<string>} recipe.detailedProcess - 아이디어 구체화 과정 (배열 형태) [Required]
  * @param {string} recipe.expectedPrompt - 예상 프롬프트 [Required]
  * @param {object} recipe.advancedLearning - 심화 학습 정보 객체 [Required]
- * @param {Array} recipe.advancedLearning.propsList - 컴포넌트 속성 목록 [Required]
  * @param {Array} recipe.advancedLearning.requiredKnowledge - 필요한 CSS/JS 지식 목록 [Required]
+ * @param {string} componentName - props 목록을 만들 컴포넌트 이름 (virtual:props-schema 키) [Optional]
  * @param {object} sx - 추가 스타일 객체 [Optional, 기본값: {}]
  *
  * Example usage:
- * <Recipe recipe={recipesData.scrambleText} />
+ * <Recipe recipe={recipesData.scrambleText} componentName="ScrambleText" />
  */
-function Recipe({ recipe, sx = {} }) {
+function Recipe({ recipe, componentName, sx = {} }) {
   const theme = useTheme();
   const [advancedTab, setAdvancedTab] = useState("props"); // 'knowledge' 또는 'props', 기본값을 'props'로 변경
 
@@ -58,18 +60,15 @@ function Recipe({ recipe, sx = {} }) {
 
   // 데이터 가용성 확인 (이전 버전 호환성)
   const hasAdvancedLearning =
-    recipe.advancedLearning &&
-    (recipe.advancedLearning.requiredKnowledge ||
-      recipe.advancedLearning.propsList);
+    recipe.advancedLearning && recipe.advancedLearning.requiredKnowledge;
 
   // 데이터 접근 (이전 버전 호환성)
   const requiredKnowledge = hasAdvancedLearning
     ? recipe.advancedLearning.requiredKnowledge
     : recipe.requiredKnowledge || [];
 
-  const propsList = hasAdvancedLearning
-    ? recipe.advancedLearning.propsList || []
-    : [];
+  // props 목록은 컴포넌트 JSDoc에서 추출한 스키마로 생성 (문서와 실제 기본값이 어긋나지 않도록)
+  const propsList = createPropsTable(propsSchema[componentName]);
 
   // 레시피 스텝 정의
   const steps = [
@@ -278,7 +277,7 @@ function Recipe({ recipe, sx = {} }) {
             </TableContainer>
           )}
 
-          {advancedTab === "knowledge" && (
+          {(advancedTab === "knowledge" || propsList.length === 0) && (
             <TableContainer
               sx={{
                 backgroundColor: "transparent",
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Box, IconButton, Menu, MenuItem, Snackbar } from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+
+/**
+ * ExportMenu 컴포넌트
+ * 패턴 컴포넌트 우측 상단에 내보내기 버튼을 띄우고, 선택한 내보내기 동작을 실행합니다.
+ * onSelect가 문자열을 반환(또는 resolve)하면 Snackbar로 알려줍니다.
+ *
+ * Props:
+ * @param {array} actions - 메뉴 항목 목록 ({ label, onSelect }) [Required]
+ * @param {object} sx - 버튼 영역 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <ExportMenu actions={[{ label: 'CSS 복사', onSelect: handleCopyCss }]} />
+ */
+function ExportMenu({ actions, sx = {} }) {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleSelect = async (action) => {
+    setAnchorEl(null);
+    try {
+      const result = await action.onSelect();
+      if (typeof result === 'string') setMessage(result);
+    } catch (error) {
+      console.error('내보내기 실패:', error);
+      setMessage('내보내기에 실패했습니다.');
+    }
+  };
+
+  return (
+    <Box sx={{ position: 'absolute', top: 8, right: 8, zIndex: 2, ...sx }}>
+      <IconButton
+        size="small"
+        aria-label="내보내기"
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        sx={{
+          backgroundColor: 'rgba(255, 255, 255, 0.7)',
+          '&:hover': { backgroundColor: 'rgba(255, 255, 255, 0.9)' },
+        }}
+      >
+        <DownloadIcon fontSize="small" />
+      </IconButton>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {actions.map((action) => (
+          <MenuItem key={action.label} dense onClick={() => handleSelect(action)}>
+            {action.label}
+          </MenuItem>
+        ))}
+      </Menu>
+      <Snackbar
+        open={Boolean(message)}
+        autoHideDuration={2000}
+        onClose={() => setMessage(null)}
+        message={message}
+      />
+    </Box>
+  );
+}
+
+export default ExportMenu;
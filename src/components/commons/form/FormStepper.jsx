@@ -0,0 +1,115 @@
+import React from 'react';
+import { Box, Stack, Button, Typography } from '@mui/material';
+import GradientButton from '../../patterns/motion/GradientButton';
+import { getFormColors } from './formFieldStyles';
+
+/**
+ * 다단계 폼 진행 표시 컴포넌트
+ * 현재 단계는 GradientButton으로 강조하고, 지나온 단계는 클릭해 되돌아갈 수 있습니다.
+ *
+ * Props:
+ * @param {Array} steps - 단계 배열 ({ id, label }) [Required]
+ * @param {number} activeStep - 현재 단계 인덱스 [Required]
+ * @param {function} onStepClick - 지나온 단계 클릭 콜백 (index) [Optional]
+ * @param {boolean} isInverted - 반전 색상(CTA hover 테마) 사용 여부 [Optional, 기본값: false]
+ *
+ * Example usage:
+ * <FormStepper steps={schema.steps} activeStep={activeStep} onStepClick={goTo} />
+ */
+function FormStepper({ steps, activeStep, onStepClick, isInverted = false }) {
+  const colors = getFormColors(isInverted);
+  const progress = steps.length > 1 ? (activeStep / (steps.length - 1)) * 100 : 100;
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      <Stack
+        direction="row"
+        spacing={1}
+        justifyContent="space-between"
+        alignItems="center"
+        sx={{ mb: 1.5 }}
+      >
+        {steps.map((step, index) => {
+          const isActive = index === activeStep;
+          const isCompleted = index < activeStep;
+
+          if (isActive) {
+            return (
+              <GradientButton
+                key={step.id}
+                size="small"
+                angle={90}
+                colors={isInverted
+                  ? ['#1A1B23', '#2C2D35', '#1A1B23']
+                  : ['#fff', '#bbb', '#fff']
+                }
+                textColor={isInverted ? '#F8F9FA' : '#000'}
+                animationDuration="4s"
+                aria-current="step"
+                sx={{ minWidth: 0, px: 1.5, fontSize: '0.75rem', fontWeight: 700 }}
+              >
+                {index + 1}. {step.label}
+              </GradientButton>
+            );
+          }
+
+          return (
+            <Button
+              key={step.id}
+              size="small"
+              disabled={!isCompleted}
+              onClick={() => onStepClick && onStepClick(index)}
+              sx={{
+                minWidth: 0,
+                px: 1,
+                fontSize: '0.75rem',
+                color: colors.label,
+                '&.Mui-disabled': { color: colors.border },
+              }}
+            >
+              <Typography
+                component="span"
+                variant="inherit"
+                sx={{ display: { xs: 'none', sm: 'inline' } }}
+              >
+                {index + 1}. {step.label}
+              </Typography>
+              <Typography
+                component="span"
+                variant="inherit"
+                sx={{ display: { xs: 'inline', sm: 'none' } }}
+              >
+                {index + 1}
+              </Typography>
+            </Button>
+          );
+        })}
+      </Stack>
+
+      {/* 진행률 바 */}
+      <Box
+        role="progressbar"
+        aria-valuenow={Math.round(progress)}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        sx={{
+          height: 2,
+          borderRadius: 1,
+          backgroundColor: colors.background,
+          overflow: 'hidden',
+        }}
+      >
+        <Box
+          sx={{
+            height: '100%',
+            width: `${progress}%`,
+            backgroundColor: colors.text,
+            transition: 'width 0.4s ease',
+          }}
+        />
+      </Box>
+    </Box>
+  );
+}
+
+export default FormStepper;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Box, Grid } from '@mui/material';
+import SchemaFormField from './SchemaFormField';
+import { isFieldVisible } from '../../../utils/formValidation';
+
+/**
+ * 스키마 기반 폼 컴포넌트
+ * 선언형 스키마(data/formSchemas.js)의 필드를 Grid 레이아웃으로 렌더링합니다.
+ * 값/에러 상태는 useSchemaForm 훅으로 관리하고, 제출 버튼 등은 children으로 전달합니다.
+ *
+ * Props:
+ * @param {object} schema - 폼 스키마 ({ id, fields }) [Required]
+ * @param {object} values - 현재 폼 값 [Required]
+ * @param {object} errors - 필드별 에러 메시지 [Optional, 기본값: {}]
+ * @param {function} onFieldChange - 필드 값 변경 콜백 (name, value) [Required]
+ * @param {function} onSubmit - 폼 제출 콜백 (event) [Required]
+ * @param {boolean} isInverted - 반전 색상(CTA hover 테마) 사용 여부 [Optional, 기본값: false]
+ * @param {boolean} isDisabled - 전체 필드 비활성화 여부 [Optional, 기본값: false]
+ * @param {string[]} fieldNames - 렌더링할 필드 이름 목록 (위저드 단계별 렌더링용) [Optional, 기본값: 전체 필드]
+ * @param {number} spacing - Grid 간격 [Optional, 기본값: 3]
+ * @param {React.ReactNode} children - 필드 아래에 렌더링할 요소 (제출 버튼, 안내 문구 등) [Optional]
+ *
+ * Example usage:
+ * const form = useSchemaForm(leadCaptureFormSchema);
+ * <SchemaForm
+ *   schema={leadCaptureFormSchema}
+ *   values={form.values}
+ *   errors={form.errors}
+ *   onFieldChange={form.setFieldValue}
+ *   onSubmit={form.handleSubmit(sendLead)}
+ * >
+ *   <Grid size={{ xs: 12 }}><Button type="submit">Send</Button></Grid>
+ * </SchemaForm>
+ */
+function SchemaForm({
+  schema,
+  values,
+  errors = {},
+  onFieldChange,
+  onSubmit,
+  isInverted = false,
+  isDisabled = false,
+  fieldNames,
+  spacing = 3,
+  children,
+}) {
+  return (
+    <Box component="form" onSubmit={onSubmit} noValidate>
+      <Grid container spacing={spacing}>
+        {schema.fields
+          .filter((field) => !fieldNames || fieldNames.includes(field.name))
+          .filter((field) => isFieldVisible(field, values))
+          .map((field) => (
+            <Grid key={field.name} size={field.size || { xs: 12 }}>
+              <SchemaFormField
+                field={field}
+                value={values[field.name]}
+                values={values}
+                error={errors[field.name]}
+                onChange={onFieldChange}
+                isInverted={isInverted}
+                isDisabled={isDisabled}
+              />
+            </Grid>
+          ))}
+        {children}
+      </Grid>
+    </Box>
+  );
+}
+
+export default SchemaForm;
@@ -0,0 +1,131 @@
+import React from 'react';
+import {
+  TextField,
+  FormControl,
+  FormControlLabel,
+  FormHelperText,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+} from '@mui/material';
+import { getMinFutureDate, resolveRule } from '../../../utils/formValidation';
+import { getFieldStyles, getSelectStyles, getLabelStyles, getFormColors } from './formFieldStyles';
+
+/**
+ * 스키마 필드 하나를 MUI 입력 컴포넌트로 렌더링
+ *
+ * Props:
+ * @param {object} field - 스키마 필드 정의 ({ name, type, label, options, rules, placeholder, helperText }) [Required]
+ * @param {*} value - 필드 값 [Required]
+ * @param {object} values - 전체 폼 값 (함수형 규칙 계산용) [Optional, 기본값: {}]
+ * @param {string} error - 에러 메시지 [Optional]
+ * @param {function} onChange - 값 변경 콜백 (name, value) [Required]
+ * @param {boolean} isInverted - 반전 색상 사용 여부 [Optional, 기본값: false]
+ * @param {boolean} isDisabled - 비활성화 여부 [Optional, 기본값: false]
+ *
+ * Example usage:
+ * <SchemaFormField field={field} value={values[field.name]} onChange={setFieldValue} />
+ */
+function SchemaFormField({
+  field,
+  value,
+  values = {},
+  error,
+  onChange,
+  isInverted = false,
+  isDisabled = false,
+}) {
+  const { name, type = 'text', label, options = [], rules = {}, placeholder, helperText } = field;
+  const isRequired = Boolean(resolveRule(rules.required, values).value);
+  const hasError = Boolean(error);
+
+  const handleChange = (event) => {
+    const nextValue = type === 'checkbox' ? event.target.checked : event.target.value;
+    onChange(name, nextValue);
+  };
+
+  if (type === 'select') {
+    const labelId = `${name}-label`;
+
+    return (
+      <FormControl fullWidth required={isRequired} disabled={isDisabled} error={hasError}>
+        <InputLabel id={labelId} sx={getLabelStyles(isInverted)}>
+          {label}
+        </InputLabel>
+        <Select
+          labelId={labelId}
+          name={name}
+          label={label}
+          value={value ?? ''}
+          onChange={handleChange}
+          sx={getSelectStyles(isInverted)}
+        >
+          {options.map((option) => (
+            <MenuItem key={option.value} value={option.value} disabled={option.disabled}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+        {(error || helperText) && (
+          <FormHelperText>{error || helperText}</FormHelperText>
+        )}
+      </FormControl>
+    );
+  }
+
+  if (type === 'checkbox') {
+    return (
+      <FormControl required={isRequired} disabled={isDisabled} error={hasError}>
+        <FormControlLabel
+          label={label}
+          sx={{ '& .MuiFormControlLabel-label': getLabelStyles(isInverted) }}
+          control={(
+            <Checkbox
+              name={name}
+              checked={Boolean(value)}
+              onChange={handleChange}
+              sx={{ color: getFormColors(isInverted).border }}
+            />
+          )}
+        />
+        {(error || helperText) && (
+          <FormHelperText>{error || helperText}</FormHelperText>
+        )}
+      </FormControl>
+    );
+  }
+
+  // number/date 필드는 검증 규칙을 네이티브 입력 속성에도 반영
+  const inputProps = {};
+  if (type === 'number') {
+    if (rules.min !== undefined) inputProps.min = resolveRule(rules.min, values).value;
+    if (rules.max !== undefined) inputProps.max = resolveRule(rules.max, values).value;
+  }
+  if (type === 'date' && rules.futureDate) {
+    inputProps.min = getMinFutureDate();
+  }
+
+  return (
+    <TextField
+      fullWidth
+      name={name}
+      label={label}
+      type={type === 'textarea' ? 'text' : type}
+      multiline={type === 'textarea'}
+      minRows={type === 'textarea' ? 3 : undefined}
+      value={value ?? ''}
+      onChange={handleChange}
+      placeholder={placeholder}
+      required={isRequired}
+      disabled={isDisabled}
+      error={hasError}
+      helperText={error || helperText}
+      inputProps={inputProps}
+      InputLabelProps={type === 'date' ? { shrink: true } : undefined}
+      sx={getFieldStyles(isInverted)}
+    />
+  );
+}
+
+export default SchemaFormField;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Box, Stack, Typography, Button } from '@mui/material';
+import { isFieldVisible, formatFieldValue } from '../../../utils/formValidation';
+import { getFormColors } from './formFieldStyles';
+
+/**
+ * 스키마 기반 폼 입력 요약 컴포넌트
+ * 위저드의 리뷰 단계나 완료 화면에서 입력 값을 라벨과 함께 보여줍니다.
+ *
+ * Props:
+ * @param {object} schema - 폼 스키마 ({ fields, steps }) [Required]
+ * @param {object} values - 폼 값 [Required]
+ * @param {function} onEditStep - 단계 수정 버튼 클릭 콜백 (stepIndex). 전달 시 단계별로 묶어 수정 버튼 표시 [Optional]
+ * @param {boolean} isInverted - 반전 색상(CTA hover 테마) 사용 여부 [Optional, 기본값: false]
+ *
+ * Example usage:
+ * <SchemaFormSummary schema={reservationFormSchema} values={values} onEditStep={goTo} />
+ */
+function SchemaFormSummary({ schema, values, onEditStep, isInverted = false }) {
+  const colors = getFormColors(isInverted);
+  const fieldsByName = Object.fromEntries(schema.fields.map((field) => [field.name, field]));
+
+  // 단계 정보가 있으면 단계별로, 없으면 전체 필드를 한 그룹으로 표시
+  const groups = (schema.steps || [{ id: 'all', fields: schema.fields.map((field) => field.name) }])
+    .map((step, stepIndex) => ({
+      ...step,
+      stepIndex,
+      fields: (step.fields || [])
+        .map((name) => fieldsByName[name])
+        .filter((field) => field && isFieldVisible(field, values)),
+    }))
+    .filter((group) => group.fields.length > 0);
+
+  return (
+    <Stack spacing={2}>
+      {groups.map((group) => (
+        <Box
+          key={group.id}
+          sx={{
+            p: 2,
+            borderRadius: 2,
+            border: `1px solid ${colors.border}`,
+            backgroundColor: colors.background,
+          }}
+        >
+          {(group.label || onEditStep) && (
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+              <Typography variant="overline" sx={{ color: colors.label, letterSpacing: '0.1em' }}>
+                {group.label}
+              </Typography>
+              {onEditStep && (
+                <Button
+                  size="small"
+                  onClick={() => onEditStep(group.stepIndex)}
+                  sx={{ color: colors.label, minWidth: 0 }}
+                >
+                  Edit
+                </Button>
+              )}
+            </Stack>
+          )}
+          {group.fields.map((field) => (
+            <Stack
+              key={field.name}
+              direction="row"
+              justifyContent="space-between"
+              spacing={2}
+              sx={{ py: 0.5 }}
+            >
+              <Typography variant="body2" sx={{ color: colors.label }}>
+                {field.label}
+              </Typography>
+              <Typography variant="body2" sx={{ color: colors.text, fontWeight: 600, textAlign: 'right' }}>
+                {formatFieldValue(field, values[field.name])}
+              </Typography>
+            </Stack>
+          ))}
+        </Box>
+      ))}
+    </Stack>
+  );
+}
+
+export default SchemaFormSummary;
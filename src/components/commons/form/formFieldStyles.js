@@ -0,0 +1,87 @@
+/**
+ * 글래스모피즘 폼 필드 스타일
+ * isInverted가 true이면 CTA hover 시의 반전(밝은 배경 + 어두운 텍스트) 색상을 사용합니다.
+ */
+
+/**
+ * 반전 여부에 따른 기본 색상 토큰
+ * @param {boolean} isInverted - 반전 여부
+ */
+export const getFormColors = (isInverted) => ({
+  text: isInverted ? '#1A1B23' : 'white',
+  label: isInverted ? 'rgba(26,27,35,0.8)' : 'rgba(255,255,255,0.7)',
+  background: isInverted ? 'rgba(26,27,35,0.05)' : 'rgba(255,255,255,0.05)',
+  border: isInverted ? 'rgba(26,27,35,0.4)' : 'rgba(255,255,255,0.3)',
+  borderHover: isInverted ? 'rgba(26,27,35,0.6)' : 'rgba(255,255,255,0.5)',
+  borderFocused: isInverted ? 'rgba(26,27,35,0.8)' : 'rgba(255,255,255,0.8)',
+});
+
+/**
+ * TextField 공통 스타일
+ * @param {boolean} isInverted - 반전 여부
+ */
+export const getFieldStyles = (isInverted) => {
+  const colors = getFormColors(isInverted);
+
+  return {
+    '& .MuiOutlinedInput-root': {
+      backgroundColor: colors.background,
+      borderRadius: 2,
+      transition: 'all 0.3s ease',
+      '& fieldset': {
+        borderColor: colors.border,
+      },
+      '&:hover fieldset': {
+        borderColor: colors.borderHover,
+      },
+      '&.Mui-focused fieldset': {
+        borderColor: colors.borderFocused,
+      },
+    },
+    '& .MuiInputLabel-root': {
+      color: colors.label,
+      transition: 'all 0.3s ease',
+    },
+    '& .MuiOutlinedInput-input': {
+      color: colors.text,
+      transition: 'all 0.3s ease',
+    },
+  };
+};
+
+/**
+ * Select 필드 스타일
+ * @param {boolean} isInverted - 반전 여부
+ */
+export const getSelectStyles = (isInverted) => {
+  const colors = getFormColors(isInverted);
+
+  return {
+    backgroundColor: colors.background,
+    borderRadius: 2,
+    color: colors.text,
+    transition: 'all 0.3s ease',
+    '& .MuiOutlinedInput-notchedOutline': {
+      borderColor: colors.border,
+    },
+    '&:hover .MuiOutlinedInput-notchedOutline': {
+      borderColor: colors.borderHover,
+    },
+    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+      borderColor: colors.borderFocused,
+    },
+    '& .MuiSvgIcon-root': {
+      color: colors.label,
+      transition: 'all 0.3s ease',
+    },
+  };
+};
+
+/**
+ * Select/Checkbox 라벨 스타일
+ * @param {boolean} isInverted - 반전 여부
+ */
+export const getLabelStyles = (isInverted) => ({
+  color: getFormColors(isInverted).label,
+  transition: 'all 0.3s ease',
+});
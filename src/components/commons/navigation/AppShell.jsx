@@ -30,8 +30,10 @@ function AppShell({ children }) {
 	// 루트 페이지(랜딩 페이지)인지 확인
 	const isRootPage = location.pathname === '/' || location.pathname === '/patterns' || location.pathname === '/course';
 	
-	// 플레이그라운드 페이지인지 확인 (헤더와 사이드바 모두 숨김)
-	const isPlaygroundPage = location.pathname === '/playground';
+	// 헤더와 사이드바를 모두 숨기는 페이지인지 확인
+	// - 랜딩 페이지: NavigationHeader를 직접 렌더링
+	// - 플레이그라운드 페이지: 전체 화면 사용
+	const isChromelessPage = location.pathname === '/' || location.pathname === '/playground';
 
 	// 모바일 메뉴가 열렸을 때 스크롤 방지
 	useEffect(() => {
@@ -68,8 +70,8 @@ function AppShell({ children }) {
 		<Box sx={{ display: "flex", minHeight: "100vh", overflow: "visible" }}>
 			<CssBaseline />
 
-			{/* 헤더 영역 컨테이너 - 플레이그라운드 페이지에서는 숨김 */}
-			{!isPlaygroundPage && (
+			{/* 헤더 영역 컨테이너 - 랜딩/플레이그라운드 페이지에서는 숨김 */}
+			{!isChromelessPage && (
 				<AppBar
 					position="fixed"
 					color="transparent"
@@ -90,8 +92,8 @@ function AppShell({ children }) {
 				</AppBar>
 			)}
 
-			{/* 사이드메뉴 영역 컨테이너 - 데스크탑에서는 루트 페이지가 아니고 sideMenuVisible이 true일 때, 모바일에서는 메뉴가 열렸을 때 표시, 플레이그라운드 페이지에서는 숨김 */}
-			{!isPlaygroundPage && (
+			{/* 사이드메뉴 영역 컨테이너 - 데스크탑에서는 루트 페이지가 아니고 sideMenuVisible이 true일 때, 모바일에서는 메뉴가 열렸을 때 표시, 랜딩/플레이그라운드 페이지에서는 숨김 */}
+			{!isChromelessPage && (
 				<Box
 					component="nav"
 					sx={{
@@ -148,8 +150,8 @@ function AppShell({ children }) {
 			</Box>
 			)}
 
-			{/* 모바일 오버레이 - 메뉴 열린 경우 배경 어둡게 처리, 플레이그라운드 페이지에서는 숨김 */}
-			{!isPlaygroundPage && menuOpen && (
+			{/* 모바일 오버레이 - 메뉴 열린 경우 배경 어둡게 처리, 랜딩/플레이그라운드 페이지에서는 숨김 */}
+			{!isChromelessPage && menuOpen && (
 				<Box
 					onClick={handleMenuClose}
 					sx={{
@@ -165,17 +167,17 @@ function AppShell({ children }) {
 				/>
 			)}
 
-			{/* 메인 콘텐츠 영역 - 사이드메뉴 상태에 따라 너비 동적 조정, 플레이그라운드 페이지에서는 전체 화면 사용 */}
+			{/* 메인 콘텐츠 영역 - 사이드메뉴 상태에 따라 너비 동적 조정, 랜딩/플레이그라운드 페이지에서는 전체 화면 사용 */}
 			<Box
 				component="main"
 				sx={{
 					ml: { 
 						xs: 0, 
-						md: (isRootPage || !sideMenuVisible || isPlaygroundPage) ? 0 : `${SIDEBAR_WIDTH}px` 
+						md: (isRootPage || !sideMenuVisible || isChromelessPage) ? 0 : `${SIDEBAR_WIDTH}px` 
 					},
 					width: { 
 						xs: "100%", 
-						md: (isRootPage || !sideMenuVisible || isPlaygroundPage) ? "100%" : `calc(100% - ${SIDEBAR_WIDTH}px)` 
+						md: (isRootPage || !sideMenuVisible || isChromelessPage) ? "100%" : `calc(100% - ${SIDEBAR_WIDTH}px)` 
 					},
 					minHeight: "100vh",
 					boxSizing: "border-box",
@@ -185,8 +187,8 @@ function AppShell({ children }) {
 					flexGrow: 1, // 남은 공간을 모두 채우도록 설정
 				}}
 			>
-				{/* 사이드메뉴가 숨겨진 경우 다시 열기 위한 플로팅 버튼 - 데스크탑에서만 표시, 플레이그라운드 페이지에서는 숨김 */}
-				{!isMobile && !isRootPage && !sideMenuVisible && !isPlaygroundPage && (
+				{/* 사이드메뉴가 숨겨진 경우 다시 열기 위한 플로팅 버튼 - 데스크탑에서만 표시, 랜딩/플레이그라운드 페이지에서는 숨김 */}
+				{!isMobile && !isRootPage && !sideMenuVisible && !isChromelessPage && (
 					<Tooltip title="사이드메뉴 열기" placement="right">
 						<Fab
 							size="small"
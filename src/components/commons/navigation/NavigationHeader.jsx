@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useMemo } from "react";
 import { 
   AppBar, 
   Toolbar, 
@@ -15,48 +15,59 @@ import {
   Divider
 } from "@mui/material";
 import MenuIcon from "@mui/icons-material/Menu";
+import { motion } from "framer-motion";
 import ScrambleText from "../../patterns/typoraphy/ScrambleText";
+import useScrollContainer from "../../../hooks/useScrollContainer";
+import useScrollMotion from "../../../hooks/useScrollMotion";
+import useSectionHash from "../../../hooks/useSectionHash";
 
 /**
  * 네비게이션 헤더 컴포넌트
  * 상단 고정 헤더로 브랜드 로고와 네비게이션 메뉴 제공
+ * 메뉴를 누르면 ScrollProvider의 scrollTo로 섹션까지 이동합니다. (Lenis 사용 시 부드럽게, 헤더 높이 보정)
+ * 현재 섹션을 메뉴와 Drawer에 표시하고(데스크톱은 항목 사이를 이동하는 밑줄), AppBar 아래에 읽기 진행률 막대를 보여줍니다.
+ * 스크롤하면 URL 해시(#martian-pioneer)가 현재 섹션으로 바뀌고, 해시가 있는 주소로 들어오면 해당 섹션에서 시작합니다.
+ *
+ * 메뉴 항목은 sectionsData의 nav 설정에서 만든 목록(getNavigationItems)을 받습니다.
  *
  * Props:
+ * @param {array} menuItems - 메뉴 항목 ({ label, sectionId }), 첫 항목은 로고가 가리키는 맨 위 섹션 [Required]
  * @param {function} onMenuClick - 메뉴 클릭 시 실행할 함수 [Optional]
  * @param {object} scrollState - 스크롤 상태 객체 [Optional]
  *
  * Example usage:
- * <NavigationHeader onMenuClick={handleMenuClick} scrollState={scrollState} />
+ * <NavigationHeader menuItems={getNavigationItems()} onMenuClick={handleMenuClick} scrollState={scrollState} />
  */
-function NavigationHeader({ onMenuClick, scrollState }) {
+function NavigationHeader({ menuItems = [], onMenuClick, scrollState }) {
   // scrollState가 제공되면 해당 값 사용, 아니면 로컬 상태 사용
   const isScrolled = scrollState?.isScrolled ?? false;
   
   // Drawer 상태 관리
   const [drawerOpen, setDrawerOpen] = useState(false);
 
-  // 메뉴 항목 데이터
-  const menuItems = [
-    { label: "Explore", sectionId: "hero" },
-    { label: "LEAD Platform", sectionId: "lunar-voyager" },
-    { label: "CID", sectionId: "martian-pioneer" },
-    { label: "Stellar", sectionId: "stellar-explorer" },
-    { label: "Booking", sectionId: "reservation" },
-  ];
+  // 현재 스크롤 컨테이너 기준 섹션 이동
+  const { scrollTo } = useScrollContainer();
+
+  // 맨 위 섹션 (로고 클릭 대상)
+  const topSectionId = menuItems[0]?.sectionId;
+
+  // 현재 섹션 (URL 해시와 동기화)
+  const menuSectionIds = useMemo(
+    () => menuItems.map((item) => item.sectionId),
+    [menuItems]
+  );
+  const activeSectionId = useSectionHash(menuSectionIds);
+
+  // 읽기 진행률 - MotionValue로 직접 반영해 스크롤마다 다시 렌더링하지 않음
+  const { scrollYProgress } = useScrollMotion();
 
   // 메뉴 클릭 핸들러
   const handleMenuItemClick = (sectionId) => {
     // 부모 컴포넌트의 콜백 실행
     onMenuClick?.(sectionId);
 
-    // 해당 섹션으로 스크롤 이동
-    const targetElement = document.getElementById(sectionId);
-    if (targetElement) {
-      targetElement.scrollIntoView({
-        behavior: "smooth",
-        block: "start",
-      });
-    }
+    // 해당 섹션으로 스크롤 이동 (첫 섹션은 헤더 보정 없이 맨 위로)
+    scrollTo(sectionId, sectionId === topSectionId ? { offset: 0 } : undefined);
     
     // drawer 닫기 (모바일에서)
     setDrawerOpen(false);
@@ -112,7 +123,7 @@ function NavigationHeader({ onMenuClick, scrollState }) {
           >
             {/* 브랜드 로고 */}
             <ButtonBase
-              onClick={() => handleMenuItemClick("hero")}
+              onClick={() => topSectionId && handleMenuItemClick(topSectionId)}
               sx={{
                 p: { xs: 0.5, sm: 1 },
                 m: 0,
@@ -178,43 +189,67 @@ function NavigationHeader({ onMenuClick, scrollState }) {
                 maxWidth: "100%",
               }}
             >
-              {menuItems.map((item) => (
-                <Button
-                  key={item.sectionId}
-                  onClick={() => handleMenuItemClick(item.sectionId)}
-                  sx={{
-                    color: "rgba(255,255,255,0.9)",
-                    fontSize: { xs: "0.8rem", sm: "0.85rem", md: "0.9rem" },
-                    fontWeight: 500,
-                    textTransform: "none",
-                    letterSpacing: "0.05em",
-                    px: { xs: 1, sm: 1.5, md: 2 },
-                    py: { xs: 0.5, sm: 0.75, md: 1 },
-                    borderRadius: 2,
-                    backgroundColor: "transparent",
-                    border: "1px solid transparent",
-                    transition: "all 0.3s ease",
-                    textAlign: "center",
-                    display: "flex",
-                    alignItems: "center",
-                    justifyContent: "center",
-                    minWidth: { xs: "auto", md: "80px" },
-                    flexShrink: 0,
-                    whiteSpace: "nowrap",
-                    "&:hover": {
-                      backgroundColor: "rgba(255,255,255,0.1)",
-                      border: "1px solid rgba(255,255,255,0.2)",
-                      color: "white",
-                      transform: "translateY(-1px)",
-                    },
-                    "&:active": {
-                      transform: "translateY(0)",
-                    },
-                  }}
-                >
-                  {item.label}
-                </Button>
-              ))}
+              {menuItems.map((item) => {
+                const isActive = item.sectionId === activeSectionId;
+
+                return (
+                  <Button
+                    key={item.sectionId}
+                    onClick={() => handleMenuItemClick(item.sectionId)}
+                    aria-current={isActive ? "location" : undefined}
+                    sx={{
+                      position: "relative",
+                      color: isActive ? "white" : "rgba(255,255,255,0.9)",
+                      fontSize: { xs: "0.8rem", sm: "0.85rem", md: "0.9rem" },
+                      fontWeight: 500,
+                      textTransform: "none",
+                      letterSpacing: "0.05em",
+                      px: { xs: 1, sm: 1.5, md: 2 },
+                      py: { xs: 0.5, sm: 0.75, md: 1 },
+                      borderRadius: 2,
+                      backgroundColor: "transparent",
+                      border: "1px solid transparent",
+                      transition: "all 0.3s ease",
+                      textAlign: "center",
+                      display: "flex",
+                      alignItems: "center",
+                      justifyContent: "center",
+                      minWidth: { xs: "auto", md: "80px" },
+                      flexShrink: 0,
+                      whiteSpace: "nowrap",
+                      "&:hover": {
+                        backgroundColor: "rgba(255,255,255,0.1)",
+                        border: "1px solid rgba(255,255,255,0.2)",
+                        color: "white",
+                        transform: "translateY(-1px)",
+                      },
+                      "&:active": {
+                        transform: "translateY(0)",
+                      },
+                    }}
+                  >
+                    {item.label}
+                    {/* 활성 항목 밑줄 - layoutId로 항목 사이를 이동 */}
+                    {isActive && (
+                      <Box
+                        component={motion.span}
+                        layoutId="navigation-active-underline"
+                        transition={{ type: "spring", stiffness: 400, damping: 35 }}
+                        sx={{
+                          position: "absolute",
+                          left: { xs: 8, sm: 12, md: 16 },
+                          right: { xs: 8, sm: 12, md: 16 },
+                          bottom: 2,
+                          height: 2,
+                          borderRadius: 1,
+                          backgroundColor: "white",
+                          boxShadow: "0 0 8px rgba(255,255,255,0.6)",
+                        }}
+                      />
+                    )}
+                  </Button>
+                );
+              })}
             </Stack>
 
             {/* 모바일 메뉴(햄버거) 버튼 */}
@@ -240,6 +275,22 @@ function NavigationHeader({ onMenuClick, scrollState }) {
             </Box>
           </Stack>
         </Toolbar>
+
+        {/* 읽기 진행률 막대 */}
+        <Box
+          component={motion.div}
+          style={{ scaleX: scrollYProgress }}
+          sx={{
+            position: "absolute",
+            left: 0,
+            right: 0,
+            bottom: 0,
+            height: 2,
+            transformOrigin: "0% 50%",
+            background: "linear-gradient(90deg, rgba(173,216,230,0.6), rgba(255,255,255,0.9))",
+            pointerEvents: "none",
+          }}
+        />
       </AppBar>
 
       {/* 모바일 Drawer 메뉴 */}
@@ -292,12 +343,22 @@ function NavigationHeader({ onMenuClick, scrollState }) {
               <ListItem key={item.sectionId} disablePadding>
                 <ListItemButton
                   onClick={() => handleMenuItemClick(item.sectionId)}
+                  selected={item.sectionId === activeSectionId}
+                  aria-current={item.sectionId === activeSectionId ? "location" : undefined}
                   sx={{
                     px: 3,
                     py: 2,
+                    borderLeft: "2px solid transparent",
                     "&:hover": {
                       backgroundColor: "rgba(255,255,255,0.1)",
                     },
+                    "&.Mui-selected": {
+                      borderLeftColor: "white",
+                      backgroundColor: "rgba(255,255,255,0.08)",
+                    },
+                    "&.Mui-selected:hover": {
+                      backgroundColor: "rgba(255,255,255,0.12)",
+                    },
                   }}
                 >
                   <ListItemText
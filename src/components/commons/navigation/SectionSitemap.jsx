@@ -0,0 +1,91 @@
+import React from "react";
+import { Box, Stack, Typography, Link, Divider } from "@mui/material";
+
+/**
+ * 섹션 사이트맵 푸터 컴포넌트
+ * 네비게이션 메뉴와 같은 항목(sectionsData의 nav 설정)으로 페이지 하단 사이트맵을 만듭니다.
+ * 링크는 같은 페이지 앵커(#section-id)라서 ScrollProvider가 헤더 높이를 보정해 부드럽게 이동시킵니다.
+ *
+ * Props:
+ * @param {array} items - 메뉴 항목 ({ label, sectionId }) [Required]
+ * @param {string} title - 사이트맵 제목 [Optional, 기본값: 'REACH THE STARS']
+ * @param {string} caption - 하단 문구 [Optional]
+ * @param {object} sx - 추가 스타일 [Optional]
+ *
+ * Example usage:
+ * <SectionSitemap items={getNavigationItems()} caption="© 2025 Reach the Stars" />
+ */
+function SectionSitemap({ items = [], title = "REACH THE STARS", caption, sx = {} }) {
+  return (
+    <Box
+      component="footer"
+      sx={{
+        position: "relative",
+        px: { xs: 3, md: 6 },
+        py: { xs: 6, md: 8 },
+        borderTop: "1px solid rgba(255,255,255,0.1)",
+        backgroundColor: "rgba(0, 0, 17, 0.6)",
+        backdropFilter: "blur(10px)",
+        color: "white",
+        ...sx,
+      }}
+    >
+      <Stack
+        direction={{ xs: "column", md: "row" }}
+        spacing={{ xs: 3, md: 6 }}
+        justifyContent="space-between"
+        sx={{ maxWidth: "1400px", mx: "auto" }}
+      >
+        <Typography
+          variant="body1"
+          sx={{ fontWeight: 600, letterSpacing: "0.1em", whiteSpace: "nowrap" }}
+        >
+          {title}
+        </Typography>
+
+        {/* 섹션 링크 목록 */}
+        <Box component="nav" aria-label="사이트맵">
+          <Stack
+            component="ul"
+            direction={{ xs: "column", sm: "row" }}
+            spacing={{ xs: 1.5, sm: 3 }}
+            sx={{ listStyle: "none", m: 0, p: 0 }}
+          >
+            {items.map((item) => (
+              <li key={item.sectionId}>
+                <Link
+                  href={`#${item.sectionId}`}
+                  underline="hover"
+                  sx={{
+                    color: "rgba(255,255,255,0.7)",
+                    fontSize: "0.9rem",
+                    letterSpacing: "0.05em",
+                    transition: "color 0.3s ease",
+                    "&:hover": { color: "white" },
+                  }}
+                >
+                  {item.label}
+                </Link>
+              </li>
+            ))}
+          </Stack>
+        </Box>
+      </Stack>
+
+      {caption && (
+        <>
+          <Divider sx={{ borderColor: "rgba(255,255,255,0.1)", my: 3, maxWidth: "1400px", mx: "auto" }} />
+          <Typography
+            variant="caption"
+            component="p"
+            sx={{ color: "rgba(255,255,255,0.5)", maxWidth: "1400px", mx: "auto" }}
+          >
+            {caption}
+          </Typography>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default SectionSitemap;
@@ -106,17 +106,6 @@ function SideMenu({ open, onClose, onSideMenuToggle, sideMenuVisible = true }) {
     return location.pathname === componentPath;
   };
 
-  // 각 패턴의 활성화 여부 정의
-  const activePatterns = {
-    typography: true,
-    motion: true,
-    scroll: true,
-    pageTransition: true,
-    color: true,
-    visualHook: false,
-    customCursor: false,
-  };
-
   // 비활성화 메뉴 툴팁 텍스트
   const disabledTooltipText = "업데이트 예정입니다";
 
@@ -234,7 +223,7 @@ function SideMenu({ open, onClose, onSideMenuToggle, sideMenuVisible = true }) {
 
         {/* 패턴 카테고리 목록 */}
         {Object.entries(patternsData).map(([key, pattern]) => {
-          const isActive = activePatterns[key] || false;
+          const isActive = pattern.isActive || false;
           const isPatterActive = isPatternActive(pattern);
 
           return (
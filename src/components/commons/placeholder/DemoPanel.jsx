@@ -0,0 +1,35 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+/**
+ * 예제용 단색 패널
+ * 패턴 컴포넌트가 자식에 주입하는 추가 props(예: imageTransition)는 DOM으로 넘기지 않습니다.
+ *
+ * @param {string} label - 패널에 표시할 텍스트 [Required]
+ * @param {string} color - 배경 색상 [Optional, 기본값: '#1f2937']
+ * @param {object} sx - 추가 스타일 [Optional]
+ */
+function DemoPanel({ label, color = '#1f2937', sx = {} }) {
+  return (
+    <Box
+      sx={{
+        minHeight: 160,
+        height: '100%',
+        width: '100%',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        borderRadius: 2,
+        backgroundColor: color,
+        color: '#fff',
+        ...sx,
+      }}
+    >
+      <Typography variant="h5" fontWeight={700}>
+        {label}
+      </Typography>
+    </Box>
+  );
+}
+
+export default DemoPanel;
@@ -1,7 +1,9 @@
 import ImagePlaceholder from './ImagePlaceholder';
 import BackgroundPlaceholder from './BackgroundPlaceholder';
+import DemoPanel from './DemoPanel';
  
 export {
   ImagePlaceholder,
-  BackgroundPlaceholder
+  BackgroundPlaceholder,
+  DemoPanel
 }; 
\ No newline at end of file
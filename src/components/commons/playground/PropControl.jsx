@@ -0,0 +1,133 @@
+import React from 'react';
+import {
+  Box,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Slider,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { MuiColorInput } from 'mui-color-input';
+
+/**
+ * 스키마 필드 하나를 플레이그라운드 컨트롤로 렌더링
+ * control 값에 따라 슬라이더, 색상 선택기, 셀렉트, 토글, 텍스트 입력을 사용합니다.
+ *
+ * Props:
+ * @param {object} field - createPropsSchema로 만든 필드 ({ name, control, description, options, min, max, step }) [Required]
+ * @param {*} value - 현재 값 [Optional]
+ * @param {function} onChange - 값 변경 콜백 (name, value) [Required]
+ *
+ * Example usage:
+ * <PropControl field={field} value={values[field.name]} onChange={setValue} />
+ */
+function PropControl({ field, value, onChange }) {
+  const { name, control, description, options = [] } = field;
+
+  if (control === 'slider') {
+    // 예제 값이 추정 범위를 넘으면 범위를 넓혀서 표시
+    const max = Math.max(field.max, typeof value === 'number' ? value : field.min);
+    const sliderValue = typeof value === 'number' ? value : field.min;
+
+    return (
+      <Box>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+          <Typography variant="body2" fontWeight={600}>
+            {name}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {value ?? '-'}
+          </Typography>
+        </Box>
+        <Slider
+          size="small"
+          value={sliderValue}
+          min={field.min}
+          max={max}
+          step={field.step}
+          onChange={(event, nextValue) => onChange(name, nextValue)}
+        />
+        <Typography variant="caption" color="text.secondary">
+          {description}
+        </Typography>
+      </Box>
+    );
+  }
+
+  if (control === 'color') {
+    return (
+      <MuiColorInput
+        fullWidth
+        size="small"
+        format="hex"
+        label={name}
+        helperText={description}
+        value={value || ''}
+        onChange={(nextValue) => onChange(name, nextValue)}
+      />
+    );
+  }
+
+  if (control === 'select') {
+    const labelId = `playground-${name}-label`;
+
+    return (
+      <FormControl fullWidth size="small">
+        <InputLabel id={labelId}>{name}</InputLabel>
+        <Select
+          labelId={labelId}
+          label={name}
+          value={value ?? ''}
+          onChange={(event) => onChange(name, event.target.value)}
+        >
+          {options.map((option) => (
+            <MenuItem key={option} value={option}>
+              {option}
+            </MenuItem>
+          ))}
+        </Select>
+        <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
+          {description}
+        </Typography>
+      </FormControl>
+    );
+  }
+
+  if (control === 'switch') {
+    return (
+      <Box>
+        <FormControlLabel
+          control={
+            <Switch
+              size="small"
+              checked={Boolean(value)}
+              onChange={(event) => onChange(name, event.target.checked)}
+            />
+          }
+          label={name}
+        />
+        <Typography variant="caption" color="text.secondary" component="div">
+          {description}
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <TextField
+      fullWidth
+      size="small"
+      label={name}
+      helperText={description}
+      value={value ?? ''}
+      multiline={typeof value === 'string' && value.includes('\n')}
+      onChange={(event) => onChange(name, event.target.value)}
+    />
+  );
+}
+
+export default PropControl;
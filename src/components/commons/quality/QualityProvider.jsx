@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { QualityContext } from './qualityContext';
+import { QUALITY_TIERS, QUALITY_TIER_ORDER, QUALITY_MONITOR_CONFIG } from '../../../constants';
+import { isLowEndDevice } from '../../../utils/deviceCapabilities';
+
+// 탭 전환 등으로 생긴 긴 프레임은 측정에서 제외 (ms)
+const MAX_FRAME_GAP = 250;
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * 두 품질 단계 중 낮은 단계
+ * @param {string} a - 품질 단계
+ * @param {string} b - 품질 단계
+ */
+const getLowerTier = (a, b) =>
+  QUALITY_TIER_ORDER.indexOf(a) <= QUALITY_TIER_ORDER.indexOf(b) ? a : b;
+
+/**
+ * QualityProvider 컴포넌트
+ * 프레임 시간을 측정해 렌더링 품질 단계(high / medium / low)를 자동으로 조정하고 context로 제공합니다.
+ * 파티클 개수, dpr, 갱신 간격, 후처리 등 단계별 값은 QUALITY_TIERS에 정의되어 있으며
+ * ParticleBackground, MeshGradientBox, WaveBackground, BubbleBackground가 useQualityTier로 읽습니다.
+ *
+ * - 평균 프레임 시간이 길어지면 한 단계 낮추고, 충분히 안정되면 다시 한 단계 높입니다.
+ * - 저사양 기기는 medium에서 시작합니다.
+ * - prefers-reduced-motion, 배터리 부족(충전 중이 아닐 때), 데이터 절약 모드는 최대 단계를 제한합니다.
+ * - 탭이 숨겨지면 isHidden을 true로 알려 Canvas 렌더링을 멈출 수 있게 합니다.
+ * - 프레임 시간은 useRenderActive로 등록된 컴포넌트가 렌더링 중일 때만 측정합니다. (WebGL이 없는 페이지에서는 측정하지 않음)
+ *
+ * Props:
+ * @param {node} children - 하위 컴포넌트 [Required]
+ * @param {string} tier - 측정 없이 고정할 품질 단계 ('high' | 'medium' | 'low') [Optional]
+ *
+ * Example usage:
+ * <QualityProvider>
+ *   <App />
+ * </QualityProvider>
+ */
+function QualityProvider({ children, tier: fixedTier }) {
+  const [measuredTier, setMeasuredTier] = useState(() => (isLowEndDevice() ? 'medium' : 'high'));
+  const [reducedMotion, setReducedMotion] = useState(
+    () => typeof window !== 'undefined' && window.matchMedia?.(REDUCED_MOTION_QUERY).matches
+  );
+  const [isBatteryLow, setIsBatteryLow] = useState(false);
+  const [isHidden, setIsHidden] = useState(
+    () => typeof document !== 'undefined' && document.visibilityState === 'hidden'
+  );
+  const [saveData] = useState(
+    () => typeof navigator !== 'undefined' && Boolean(navigator.connection?.saveData)
+  );
+
+  // 렌더링 중인 컴포넌트 수 (useRenderActive가 등록)
+  const [activeRenderers, setActiveRenderers] = useState(0);
+  const hasActiveRenderers = activeRenderers > 0;
+
+  // rAF 루프에서 최신 단계를 읽기 위한 ref
+  const measuredTierRef = useRef(measuredTier);
+  measuredTierRef.current = measuredTier;
+
+  // 측정이 멈췄다 다시 시작해도 단계 변경 횟수는 유지
+  const tierChangesRef = useRef(0);
+
+  const registerRenderer = useCallback(() => {
+    setActiveRenderers((count) => count + 1);
+    return () => setActiveRenderers((count) => count - 1);
+  }, []);
+
+  // prefers-reduced-motion 변경 감지
+  useEffect(() => {
+    const mediaQuery = window.matchMedia?.(REDUCED_MOTION_QUERY);
+    if (!mediaQuery) return;
+
+    const handleChange = (event) => setReducedMotion(event.matches);
+    mediaQuery.addEventListener('change', handleChange);
+    return () => mediaQuery.removeEventListener('change', handleChange);
+  }, []);
+
+  // 배터리 상태 감지 (Battery Status API 지원 브라우저만)
+  useEffect(() => {
+    if (!navigator.getBattery) return;
+
+    let battery = null;
+    let cancelled = false;
+    const updateBattery = () => {
+      setIsBatteryLow(!battery.charging && battery.level < QUALITY_MONITOR_CONFIG.lowBatteryLevel);
+    };
+
+    navigator
+      .getBattery()
+      .then((result) => {
+        if (cancelled) return;
+        battery = result;
+        updateBattery();
+        battery.addEventListener('levelchange', updateBattery);
+        battery.addEventListener('chargingchange', updateBattery);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      if (battery) {
+        battery.removeEventListener('levelchange', updateBattery);
+        battery.removeEventListener('chargingchange', updateBattery);
+      }
+    };
+  }, []);
+
+  // 탭 표시 상태 감지
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsHidden(document.visibilityState === 'hidden');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // 프레임 시간 측정 - sampleFrames마다 평균을 내어 단계 조정
+  useEffect(() => {
+    if (fixedTier || isHidden || !hasActiveRenderers) return;
+
+    const {
+      sampleFrames,
+      downgradeFrameTime,
+      upgradeFrameTime,
+      upgradeDelay,
+      maxTierChanges,
+    } = QUALITY_MONITOR_CONFIG;
+
+    let frameId = null;
+    let lastTime = 0;
+    let total = 0;
+    let frames = 0;
+    let lastChangeTime = performance.now();
+
+    const stepTier = (direction) => {
+      const index = QUALITY_TIER_ORDER.indexOf(measuredTierRef.current);
+      const nextTier = QUALITY_TIER_ORDER[index + direction];
+      if (!nextTier) return;
+
+      tierChangesRef.current += 1;
+      lastChangeTime = performance.now();
+      setMeasuredTier(nextTier);
+    };
+
+    const measure = (time) => {
+      const frameTime = time - lastTime;
+      lastTime = time;
+
+      if (frameTime > 0 && frameTime < MAX_FRAME_GAP) {
+        total += frameTime;
+        frames += 1;
+      }
+
+      if (frames >= sampleFrames) {
+        const average = total / frames;
+        total = 0;
+        frames = 0;
+
+        if (average > downgradeFrameTime) {
+          stepTier(-1);
+        } else if (average < upgradeFrameTime && time - lastChangeTime > upgradeDelay) {
+          stepTier(1);
+        }
+      }
+
+      // 단계가 계속 오르내리면 측정을 멈추고 현재 단계로 고정
+      if (tierChangesRef.current < maxTierChanges) {
+        frameId = requestAnimationFrame(measure);
+      }
+    };
+
+    if (tierChangesRef.current >= maxTierChanges) return;
+
+    frameId = requestAnimationFrame(measure);
+    return () => cancelAnimationFrame(frameId);
+  }, [fixedTier, isHidden, hasActiveRenderers]);
+
+  const value = useMemo(() => {
+    // 사용자/기기 설정에 따른 최대 단계
+    let constraint = null;
+    let maxTier = 'high';
+    if (reducedMotion) {
+      constraint = 'reducedMotion';
+      maxTier = 'low';
+    } else if (isBatteryLow) {
+      constraint = 'battery';
+      maxTier = 'low';
+    } else if (saveData) {
+      constraint = 'saveData';
+      maxTier = 'medium';
+    }
+
+    const tierName = fixedTier || getLowerTier(measuredTier, maxTier);
+    return {
+      tierName,
+      tier: QUALITY_TIERS[tierName],
+      reducedMotion,
+      isHidden,
+      constraint: fixedTier ? null : constraint,
+      registerRenderer,
+    };
+  }, [fixedTier, measuredTier, reducedMotion, isBatteryLow, saveData, isHidden, registerRenderer]);
+
+  return <QualityContext.Provider value={value}>{children}</QualityContext.Provider>;
+}
+
+export default QualityProvider;
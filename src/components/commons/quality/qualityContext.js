@@ -0,0 +1,23 @@
+import { createContext } from 'react';
+import { QUALITY_TIERS } from '../../../constants';
+
+/**
+ * QualityProvider 밖에서 사용할 기본값 (최고 품질, 측정 없음)
+ *
+ * - tierName: 현재 품질 단계 ('high' | 'medium' | 'low')
+ * - tier: 단계별 설정 (QUALITY_TIERS 참고)
+ * - reducedMotion: 사용자가 동작 줄이기(prefers-reduced-motion)를 설정했는지 여부
+ * - isHidden: 탭이 숨겨져 렌더링을 멈춰야 하는지 여부
+ * - constraint: 단계를 제한한 원인 ('reducedMotion' | 'battery' | 'saveData' | null)
+ * - registerRenderer: 렌더링 중인 컴포넌트를 등록하고 해제 함수를 반환 (등록된 컴포넌트가 있을 때만 프레임 시간 측정)
+ */
+export const DEFAULT_QUALITY = {
+  tierName: 'high',
+  tier: QUALITY_TIERS.high,
+  reducedMotion: false,
+  isHidden: false,
+  constraint: null,
+  registerRenderer: () => () => {},
+};
+
+export const QualityContext = createContext(DEFAULT_QUALITY);
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useLayoutEffect, useMemo, useCallback } from 'react';
+import { gsap } from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { ScrollContext, createScrollStore } from './scrollStore';
+import { SectionScrollContext, createSectionScrollStore } from './sectionScrollStore';
+import useQualityTier from '../../../hooks/useQualityTier';
+import { scrollToSection } from '../../../utils/scrollUtils';
+import { SMOOTH_SCROLL_CONFIG } from '../../../constants';
+
+gsap.registerPlugin(ScrollTrigger);
+
+// 마지막 스크롤 이벤트 후 속도를 0으로 되돌리기까지의 시간 (ms)
+const VELOCITY_IDLE_DELAY = 100;
+
+/**
+ * scroller prop을 실제 요소로 변환
+ * @param {string|HTMLElement|object} scroller - 선택자, 요소 또는 ref
+ * @returns {HTMLElement|null} 요소 (window 스크롤이면 null)
+ */
+const resolveScrollerElement = (scroller) => {
+  if (!scroller || scroller === window) return null;
+  if (typeof scroller === 'string') return document.querySelector(scroller);
+  if ('current' in scroller) return scroller.current ?? null;
+  return scroller;
+};
+
+/**
+ * 스크롤 컨테이너의 현재 위치와 최대 스크롤 값
+ * @param {HTMLElement|null} element - 스크롤 컨테이너 (null이면 window)
+ */
+const readScrollPosition = (element) =>
+  element
+    ? { top: element.scrollTop, max: element.scrollHeight - element.clientHeight }
+    : { top: window.scrollY, max: document.documentElement.scrollHeight - window.innerHeight };
+
+/**
+ * 같은 페이지의 섹션을 가리키는 앵커 링크 클릭이면 대상 요소 반환
+ * @param {MouseEvent} event - 클릭 이벤트
+ * @returns {HTMLElement|null} 대상 요소
+ */
+const getAnchorTarget = (event) => {
+  if (event.defaultPrevented || event.button !== 0) return null;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return null;
+
+  const anchor = event.target.closest?.('a[href*="#"]');
+  if (!anchor || anchor.target === '_blank' || !anchor.hash) return null;
+  if (anchor.origin !== window.location.origin || anchor.pathname !== window.location.pathname) {
+    return null;
+  }
+
+  return document.getElementById(decodeURIComponent(anchor.hash.slice(1)));
+};
+
+/**
+ * ScrollProvider 컴포넌트
+ * 페이지의 스크롤 컨테이너(window, data-scroll-container 박스, Lenis)를 하나로 관리하고
+ * 스크롤 진행률·속도·방향과 활성 섹션을 훅으로 제공합니다.
+ *
+ * - 스크롤 컨테이너를 직접 렌더링하는 컴포넌트(ParticleBackground 등)는 useScrollContainer의
+ *   registerScroller로 자신의 요소(와 Lenis 인스턴스)를 등록합니다. 등록된 요소가 없으면 window를 사용합니다.
+ * - 등록된 요소는 ScrollTrigger 기본 scroller로 지정되며, useScrollContainer().scrollTarget을
+ *   ScrollTrigger의 scroller로, useScrollMotion을 framer-motion useScroll 대신 사용하면 같은 컨테이너를 따릅니다.
+ * - 스크롤 상태는 useScrollState, 활성 섹션은 useActiveSection / useSectionProgress로 읽습니다.
+ * - scrollTo(sectionId)는 등록된 Lenis(없으면 컨테이너의 기본 스크롤)로 섹션까지 이동하며 고정 헤더 높이를 보정합니다.
+ *   같은 페이지의 앵커 링크(href="#section-id") 클릭도 scrollTo로 처리하고, 동작 줄이기 설정 시에는 즉시 이동합니다.
+ *
+ * Props:
+ * @param {node} children - 하위 컴포넌트 [Required]
+ * @param {string|HTMLElement|object} scroller - 등록 대신 고정할 스크롤 컨테이너 (선택자, 요소 또는 ref) [Optional]
+ * @param {number} headerOffset - scrollTo와 앵커 링크 이동 시 섹션 위에 남길 고정 헤더 높이 (px) [Optional, 기본값: 64]
+ *
+ * Example usage:
+ * <ScrollProvider>
+ *   <App />
+ * </ScrollProvider>
+ */
+function ScrollProvider({
+  children,
+  scroller: scrollerProp,
+  headerOffset = SMOOTH_SCROLL_CONFIG.headerOffset,
+}) {
+  const { reducedMotion } = useQualityTier();
+  const [store] = useState(createScrollStore);
+  const [sectionStore] = useState(createSectionScrollStore);
+  const [fixedScroller, setFixedScroller] = useState(null);
+  const [registered, setRegistered] = useState({ element: null, lenis: null });
+
+  // ref·선택자는 DOM이 준비된 뒤에 찾을 수 있으므로 레이아웃 이펙트에서 해석
+  useLayoutEffect(() => {
+    setFixedScroller(resolveScrollerElement(scrollerProp));
+  }, [scrollerProp]);
+
+  const scroller = fixedScroller || registered.element;
+  const lenis = fixedScroller ? null : registered.lenis;
+
+  /**
+   * 스크롤 컨테이너 등록
+   * @param {HTMLElement} element - 스크롤 컨테이너 요소
+   * @param {object} lenisInstance - 컨테이너를 구동하는 Lenis 인스턴스 [Optional]
+   * @returns {function} 등록 해제 함수
+   */
+  const registerScroller = useCallback((element, lenisInstance = null) => {
+    setRegistered({ element, lenis: lenisInstance });
+    return () =>
+      setRegistered((current) =>
+        current.element === element ? { element: null, lenis: null } : current
+      );
+  }, []);
+
+  /**
+   * 섹션(또는 위치)으로 스크롤
+   * @param {string|HTMLElement|number} target - 섹션 id, 요소 또는 스크롤 위치(px)
+   * @param {object} options - offset(기본값: -headerOffset), immediate 및 Lenis scrollTo 옵션
+   * @returns {boolean} 대상을 찾아 이동했는지 여부
+   */
+  const scrollTo = useCallback(
+    (target, { offset = -headerOffset, immediate = false, ...options } = {}) =>
+      scrollToSection(target, {
+        scroller,
+        lenis,
+        offset,
+        immediate: immediate || reducedMotion,
+        ...options,
+      }),
+    [scroller, lenis, headerOffset, reducedMotion]
+  );
+
+  // 같은 페이지 앵커 링크는 브라우저 기본 이동 대신 scrollTo로 처리 (헤더 보정, Lenis 애니메이션)
+  // 해시는 useSectionHash와 같이 replaceState로 바꿔 방문 기록을 쌓지 않음 (뒤로 가기는 이전 페이지로 이동)
+  useEffect(() => {
+    const handleClick = (event) => {
+      const target = getAnchorTarget(event);
+      if (!target) return;
+
+      event.preventDefault();
+      scrollTo(target);
+      window.history.replaceState(window.history.state, '', `#${target.id}`);
+    };
+
+    document.addEventListener('click', handleClick);
+    return () => document.removeEventListener('click', handleClick);
+  }, [scrollTo]);
+
+  // 스크롤 상태 게시 - Lenis도 컨테이너의 scrollTop을 바꾸므로 네이티브 scroll 이벤트로 충분
+  useEffect(() => {
+    const target = scroller || window;
+    let lastTop = readScrollPosition(scroller).top;
+    let lastTime = performance.now();
+    let idleTimer = null;
+
+    const update = () => {
+      const now = performance.now();
+      const { top, max } = readScrollPosition(scroller);
+      const delta = top - lastTop;
+      const { direction } = store.getSnapshot();
+
+      store.publish({
+        scrollY: top,
+        progress: max > 0 ? Math.min(Math.max(top / max, 0), 1) : 0,
+        velocity: (delta / Math.max(now - lastTime, 1)) * 1000,
+        direction: delta === 0 ? direction : delta > 0 ? 'down' : 'up',
+      });
+      lastTop = top;
+      lastTime = now;
+
+      // 스크롤이 멈추면 속도 초기화
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => store.publish({ velocity: 0 }), VELOCITY_IDLE_DELAY);
+    };
+
+    update();
+    target.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+
+    return () => {
+      clearTimeout(idleTimer);
+      target.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [scroller, store]);
+
+  // scroller를 지정하지 않은 ScrollTrigger도 같은 컨테이너를 따르도록 기본값 변경
+  useEffect(() => {
+    if (!scroller) return;
+
+    ScrollTrigger.defaults({ scroller });
+    ScrollTrigger.refresh();
+    return () => ScrollTrigger.defaults({ scroller: window });
+  }, [scroller]);
+
+  // framer-motion useScroll의 container 옵션용 ref (컨테이너가 바뀔 때만 새 객체)
+  const scrollerRef = useMemo(() => ({ current: scroller }), [scroller]);
+
+  const value = useMemo(
+    () => ({
+      store,
+      scroller,
+      scrollTarget: scroller || window,
+      scrollerRef,
+      lenis,
+      registerScroller,
+      scrollTo,
+    }),
+    [store, scroller, scrollerRef, lenis, registerScroller, scrollTo]
+  );
+
+  return (
+    <ScrollContext.Provider value={value}>
+      <SectionScrollContext.Provider value={sectionStore}>{children}</SectionScrollContext.Provider>
+    </ScrollContext.Provider>
+  );
+}
+
+export default ScrollProvider;
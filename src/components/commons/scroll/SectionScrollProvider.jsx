@@ -0,0 +1,25 @@
+import React, { useState } from 'react';
+import { SectionScrollContext, createSectionScrollStore } from './sectionScrollStore';
+
+/**
+ * SectionScrollProvider 컴포넌트
+ * 섹션 스크롤 상태(활성 섹션, 섹션별 진행률) 저장소를 제공합니다.
+ * ParticleBackground는 가장 가까운 저장소에 상태를 게시하므로, 배경 밖의 컴포넌트(헤더 등)에서
+ * 섹션 상태를 읽으려면 배경과 함께 이 Provider로 감쌉니다.
+ *
+ * Props:
+ * @param {node} children - 하위 컴포넌트 [Required]
+ *
+ * Example usage:
+ * <SectionScrollProvider>
+ *   <NavigationHeader />
+ *   <ParticleBackground sections={sections}>{content}</ParticleBackground>
+ * </SectionScrollProvider>
+ */
+function SectionScrollProvider({ children }) {
+  const [store] = useState(createSectionScrollStore);
+
+  return <SectionScrollContext.Provider value={store}>{children}</SectionScrollContext.Provider>;
+}
+
+export default SectionScrollProvider;
@@ -0,0 +1,34 @@
+import { createContext } from 'react';
+
+/**
+ * 스크롤 상태 저장소 생성
+ * 스크롤 이벤트마다 바뀌는 값을 구독형 저장소로 관리해, 선택한 값이 바뀐 컴포넌트만 다시 렌더링되게 합니다.
+ *
+ * 상태:
+ * - scrollY: 현재 스크롤 위치 (px)
+ * - progress: 전체 스크롤 진행률 (0~1)
+ * - velocity: 스크롤 속도 (px/s, 아래로 스크롤하면 양수, 멈추면 0)
+ * - direction: 마지막 스크롤 방향 ('up' | 'down')
+ *
+ * @returns {object} { getSnapshot, subscribe, publish }
+ */
+export const createScrollStore = () => {
+  let state = { scrollY: 0, progress: 0, velocity: 0, direction: 'up' };
+  const listeners = new Set();
+
+  return {
+    getSnapshot: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    publish: (nextState) => {
+      state = { ...state, ...nextState };
+      listeners.forEach((listener) => listener());
+    },
+  };
+};
+
+// 스크롤 컨테이너 컨텍스트 (ScrollProvider가 제공)
+// { store, scroller, scrollTarget, scrollerRef, lenis, registerScroller, scrollTo }
+export const ScrollContext = createContext(null);
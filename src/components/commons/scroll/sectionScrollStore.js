@@ -0,0 +1,33 @@
+import { createContext } from 'react';
+
+/**
+ * 섹션 스크롤 상태 저장소 생성
+ * 스크롤마다 바뀌는 값을 React 상태 대신 구독형 저장소로 관리해
+ * 필요한 값(활성 섹션, 특정 섹션 진행률)이 바뀐 컴포넌트만 다시 렌더링되게 합니다.
+ *
+ * 상태:
+ * - activeSectionId: 화면 중앙에 걸친 섹션 id
+ * - activeIndex: 활성 섹션 인덱스
+ * - progress: 섹션 id별 진행률 (0~1)
+ *
+ * @returns {object} { getSnapshot, subscribe, publish }
+ */
+export const createSectionScrollStore = () => {
+  let state = { activeSectionId: null, activeIndex: 0, progress: {} };
+  const listeners = new Set();
+
+  return {
+    getSnapshot: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    publish: (nextState) => {
+      state = { ...state, ...nextState };
+      listeners.forEach((listener) => listener());
+    },
+  };
+};
+
+// 섹션 스크롤 저장소 컨텍스트 (ScrollProvider, SectionScrollProvider 또는 ParticleBackground가 제공)
+export const SectionScrollContext = createContext(null);
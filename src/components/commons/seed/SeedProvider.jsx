@@ -0,0 +1,23 @@
+import React from 'react';
+import { SeedContext } from './seedContext';
+
+/**
+ * SeedProvider 컴포넌트
+ * 하위의 무작위 패턴(MeshGradientBox, ParticleGlowEffect, BubbleBackground, ScrambleText, DynamicSortGrid)에
+ * 공통 시드를 제공합니다. 같은 시드면 배치와 애니메이션이 매번 똑같이 재현됩니다.
+ * 컴포넌트의 seed prop이 context보다 우선합니다.
+ *
+ * Props:
+ * @param {node} children - 하위 컴포넌트 [Required]
+ * @param {string|number} seed - 공통 시드 (없으면 시드 없이 Math.random 사용) [Optional]
+ *
+ * Example usage:
+ * <SeedProvider seed="design-review">
+ *   <MeshGradientBox colors="auroraMint" />
+ * </SeedProvider>
+ */
+function SeedProvider({ children, seed = null }) {
+  return <SeedContext.Provider value={seed}>{children}</SeedContext.Provider>;
+}
+
+export default SeedProvider;
@@ -0,0 +1,6 @@
+import { createContext } from 'react';
+
+/**
+ * 무작위 패턴이 공유하는 시드 (SeedProvider 밖에서는 null = 시드 없음, Math.random 사용)
+ */
+export const SeedContext = createContext(null);
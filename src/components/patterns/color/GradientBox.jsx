@@ -1,7 +1,13 @@
 import React from "react";
 import { Box } from "@mui/material";
 import PropTypes from "prop-types";
-import { gradientPalettes } from "../../../data/gradientPalettes";
+import { getPalette, resolvePaletteColors } from "../../../data/gradientPalettes";
+import { withPropValidation } from "../../../utils/propValidation";
+import { copyText, downloadText, svgToDataUri } from "../../../utils/exportUtils";
+import ExportMenu from "../../commons/export/ExportMenu";
+
+// CSS로 내보낼 노이즈 타일 크기 (px, stitchTiles로 이음새 없이 반복)
+const NOISE_TILE_SIZE = 200;
 
 /**
  * GradientBox 컴포넌트
@@ -10,9 +16,9 @@ import { gradientPalettes } from "../../../data/gradientPalettes";
  *
  * Props:
  * 🎨 시각적 정의 우선 Props:
- * @param {string|array} palette - 사용할 팔레트 이름 또는 색상 배열 [Optional, 기본값: 'sunsetGlow']
+ * @param {string|array} palette - 사용할 팔레트 id(data/gradientPalettes) 또는 색상 배열 [Optional, 기본값: 'sunsetGlow']
  * @param {string} type - 그라데이션 타입 (linear, radial, conic) [Optional, 기본값: 'linear']
- * @param {string} contrast - 대비 강도 (ambient, highlight, bigContrast) [Optional, 기본값: 'ambient']
+ * @param {string} contrast - 대비 강도 (ambient, highlight, bigContrast) [Optional, 기본값: 팔레트의 권장 대비, 없으면 'ambient']
  *        - ambient: 가장 균일한 색상 분포
  *        - highlight: 두 번째 색이 하이라이트처럼 끝에 집중됨
  *        - bigContrast: 두 색의 경계가 강하게 구분됨
@@ -25,9 +31,14 @@ import { gradientPalettes } from "../../../data/gradientPalettes";
  * @param {string} noiseType - 노이즈 타입 ('subtle', 'medium', 'strong') [Optional, 기본값: 'subtle']
  *
  * ⚙️ 세부 조정 Props:
+ * @param {boolean} exportable - 우측 상단에 CSS 내보내기 메뉴 표시 여부 [Optional, 기본값: false]
  * @param {object} sx - 추가 스타일링을 위한 MUI sx prop [Optional]
  * @param {node} children - 그라데이션 박스 내부에 표시할 컨텐츠 [Optional]
  *
+ * ref로 내보내기 API를 사용할 수 있습니다. (애니메이션은 제외한 정적 상태 기준)
+ * - getCssBackground(): CSS background 값 (노이즈가 켜져 있으면 SVG 노이즈 레이어 포함)
+ * - getCss(): background 선언 (노이즈가 켜져 있으면 background-blend-mode 포함)
+ *
  * Example usage:
  * <GradientBox palette="sunsetGlow" type="linear" contrast="highlight" angle={135} animated={true} noise={true} noiseColor="#000000" noiseType="medium" sx={{ height: 200, borderRadius: 2 }}>
  *   <Typography>보기 좋은 그라데이션</Typography>
@@ -36,7 +47,7 @@ import { gradientPalettes } from "../../../data/gradientPalettes";
 function GradientBox({
 	type = "linear",
 	palette = "sunsetGlow",
-	contrast = "ambient",
+	contrast,
 	angle = 45,
   animated = false,
   animationDuration = 8,
@@ -44,8 +55,10 @@ function GradientBox({
   noiseColor = "#ffffff",
   noiseIntensity = 0.3,
   noiseType = "subtle",
+  exportable = false,
 	sx,
 	children,
+	ref,
 }) {
   // 노이즈 필터 ID 생성 (컴포넌트 인스턴스별로 고유한 ID)
   const noiseFilterId = React.useMemo(
@@ -96,17 +109,12 @@ function GradientBox({
     return settings[noiseType] || settings.subtle;
   };
 
-	// 팔레트 색상 배열 가져오기
-	const getPaletteColors = () => {
-		// 팔레트 이름이 문자열로 전달된 경우 (프리셋 사용)
-		if (typeof palette === "string") {
-			// gradientPalettes 배열에서 해당 id를 가진 팔레트 찾기
-      const found = gradientPalettes.find((item) => item.id === palette);
-			return found ? found.colors : ["#f5f5f5", "#e0e0e0"]; // 기본 회색 그라데이션
-		}
-		// 색상 배열이 직접 전달된 경우
-		return Array.isArray(palette) ? palette : ["#f5f5f5", "#e0e0e0"];
-	};
+	// 팔레트 색상 배열 가져오기 (프리셋 id 또는 색상 배열, 찾지 못하면 기본 회색 그라데이션)
+	const getPaletteColors = () => resolvePaletteColors(palette);
+
+	// contrast를 지정하지 않으면 프리셋의 권장 대비 강도 사용
+	const contrastMode =
+		contrast ?? (typeof palette === "string" ? getPalette(palette)?.contrast : null) ?? "ambient";
 
   // 두 색상의 중간색 계산
   const blendColors = (color1, color2, ratio = 0.5) => {
@@ -124,7 +132,7 @@ function GradientBox({
 
 	// 색상 대비 강도에 따른 색상 분포 설정
 	const getColorStops = (colors) => {
-		switch (contrast) {
+		switch (contrastMode) {
       case "highlight": {
         // 빛 반사 효과: 대부분 첫 번째 색상, 끝에서 나머지 색상들로 강조
         if (colors.length === 2) {
@@ -283,6 +291,49 @@ function GradientBox({
     }
   };
 
+  // CSS 내보내기용 노이즈 레이어 (화면의 노이즈 필터와 같은 단계를 SVG 타일 한 장에 담음)
+  const createNoiseLayer = () => {
+    const settings = getNoiseSettings();
+    const rgb = getNoiseRgb();
+    const svg = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="${NOISE_TILE_SIZE}" height="${NOISE_TILE_SIZE}">
+        <filter id="noise" x="0" y="0" width="100%" height="100%">
+          <feTurbulence type="fractalNoise" baseFrequency="${settings.baseFrequency}" numOctaves="${settings.numOctaves}" stitchTiles="stitch" result="turbulence"/>
+          <feColorMatrix in="turbulence" type="saturate" values="0" result="grayscale"/>
+          <feComponentTransfer in="grayscale" result="binaryMask"><feFuncA type="discrete" tableValues="0 1"/></feComponentTransfer>
+          <feFlood flood-color="rgb(${rgb.r}, ${rgb.g}, ${rgb.b})" flood-opacity="1" result="colorFill"/>
+          <feComposite in="colorFill" in2="binaryMask" operator="in"/>
+        </filter>
+        <rect width="100%" height="100%" filter="url(#noise)" opacity="${settings.opacity}"/>
+      </svg>`;
+    return `url("${svgToDataUri(svg)}")`;
+  };
+
+  // CSS background 값 (노이즈 레이어가 그라데이션 위에 오도록 먼저 나열)
+  const getCssBackground = () =>
+    noise ? `${createNoiseLayer()}, ${createGradient()}` : createGradient();
+
+  // 붙여넣기 가능한 CSS 선언
+  const getCss = () => {
+    const lines = [`background: ${getCssBackground()};`];
+    if (noise) lines.push(`background-blend-mode: ${getNoiseSettings().blendMode}, normal;`);
+    return lines.join("\n");
+  };
+
+  React.useImperativeHandle(ref, () => ({ getCssBackground, getCss }));
+
+  const exportActions = [
+    {
+      label: "CSS 복사",
+      onSelect: async () =>
+        (await copyText(getCss())) ? "CSS를 복사했습니다." : "CSS 복사에 실패했습니다.",
+    },
+    {
+      label: "CSS 다운로드",
+      onSelect: () => downloadText(getCss(), "gradient.css", "text/css"),
+    },
+  ];
+
   // 노이즈 SVG 필터 생성
   const createNoiseFilter = () => {
     if (!noise) return null;
@@ -366,6 +417,7 @@ function GradientBox({
           />
         )}
         <Box sx={{ position: "relative", zIndex: 1 }}>{children}</Box>
+        {exportable && <ExportMenu actions={exportActions} />}
 		</Box>
     </>
 	);
@@ -382,8 +434,9 @@ GradientBox.propTypes = {
   noiseColor: PropTypes.string,
   noiseIntensity: PropTypes.number,
   noiseType: PropTypes.oneOf(["subtle", "medium", "strong"]),
+  exportable: PropTypes.bool,
 	sx: PropTypes.object,
   children: PropTypes.node,
 };
 
-export default GradientBox;
+export default withPropValidation(GradientBox, "GradientBox");
@@ -4,45 +4,92 @@ import React, {
 	useState,
 	useMemo,
 	useCallback,
+	useImperativeHandle,
 } from "react";
 import { Box } from "@mui/material";
 import PropTypes from "prop-types";
+import { withPropValidation } from "../../../utils/propValidation";
+import useQualityTier from "../../../hooks/useQualityTier";
+import useRenderActive from "../../../hooks/useRenderActive";
+import useSeed from "../../../hooks/useSeed";
+import { createRandom } from "../../../utils/seededRandom";
+import { resolvePaletteColors } from "../../../data/gradientPalettes";
+import { hexToRgb } from "../../../utils/colorUtils";
+import { downloadBlob, downloadText } from "../../../utils/exportUtils";
+import ExportMenu from "../../commons/export/ExportMenu";
+import useOffscreenCanvasWorker, {
+	isOffscreenCanvasSupported,
+} from "../../../hooks/useOffscreenCanvasWorker";
+import {
+	createMeshGradientRenderer,
+	MESH_SHADER_MAX_POINTS,
+} from "./meshGradientRenderer";
+import {
+	drawMeshGradientFrame,
+	getFramePoints,
+} from "./meshGradientCanvas";
+import {
+	createMeshGradientSvg,
+	renderMeshGradientPng,
+} from "./meshGradientExport";
+
+// 내보내기 메뉴의 PNG 배율
+const EXPORT_PNG_SCALES = [1, 2, 4];
+
+// 캔버스 렌더러용 OffscreenCanvas 워커 생성
+const createMeshGradientWorker = () =>
+	new Worker(new URL("./meshGradient.worker.js", import.meta.url), {
+		type: "module",
+	});
 
 /**
  * MeshGradientBox 컴포넌트
  * canvas를 사용하여 부드러운 메시 그라디언트 배경을 렌더링합니다.
  * 시각적 품질과 유연한 제어를 강화한 버전입니다.
+ * 기본은 WebGL 프래그먼트 셰이더로 모든 픽셀을 기기 픽셀 비율 그대로 그리고, WebGL을 쓸 수 없거나
+ * 포인트 수가 셰이더 한도(최대 64개)를 넘으면 2D 캔버스 렌더러(resolution, minBlock, maxFPS 적용)로 자동 전환합니다.
+ * offscreen을 켜면 2D 캔버스 렌더러의 픽셀 계산을 OffscreenCanvas 워커에서 처리해 메인 스레드를 막지 않습니다.
+ * 해상도와 FPS는 QualityProvider의 품질 단계에 맞춰 낮아지며, 화면 밖이거나 탭이 숨겨지면
+ * 애니메이션을 멈추고 동작 줄이기 설정 시에는 정지 화면만 그립니다.
  *
  * Props:
  * 🎨 시각적 정의 우선 Props:
- * @param {string[]} colors - 그라디언트를 구성할 색상 HEX 배열 [Required]
+ * @param {string|array} colors - 그라디언트를 구성할 색상 HEX 배열 또는 팔레트 id(data/gradientPalettes) [Required]
  * @param {number} pointCount - 그라디언트 메시를 구성할 포인트 수 [Optional, 기본값: 8]
  * @param {number} randomness - 포인트 배치의 랜덤성 (0=균일 그리드, 1=완전 랜덤) [Optional, 기본값: 0.3]
  * @param {string} distribution - 포인트 분포 전략 ('grid', 'noise', 'centered') [Optional, 기본값: 'grid']
  * @param {string} colorStrategy - 색상 분배 전략 ('cycle', 'random', 'gradientMap') [Optional, 기본값: 'cycle']
  * 
  * ⚙️ 세부 조정 Props:
+ * @param {string} renderer - 렌더러 ('webgl', 'canvas'). 'webgl'은 사용할 수 없으면 'canvas'로 전환 [Optional, 기본값: 'webgl']
+ * @param {boolean} offscreen - 캔버스 렌더러를 Web Worker(OffscreenCanvas)에서 실행 (지원하지 않으면 메인 스레드) [Optional, 기본값: false]
  * @param {boolean} animated - 포인트 위치의 애니메이션 적용 여부 [Optional, 기본값: false]
  * @param {number} animationSpeed - 위치 애니메이션 속도 배율 (0.1~3.0) [Optional, 기본값: 1.0]
  * @param {boolean} animateColorShift - 색상 hue 흐름 애니메이션 [Optional, 기본값: false]
  * @param {number} colorShiftSpeed - 색상 변화 애니메이션 속도 배율 (0.1~2.0) [Optional, 기본값: 0.1]
  * @param {string} blendMode - 포인트 보간 방식 ('radial', 'linear') [Optional, 기본값: 'radial']
  * @param {number} falloff - 거리 감쇠 함수의 강도 (0.5~4.0) [Optional, 기본값: 1.5]
- * @param {number} resolution - 그라디언트 렌더링 해상도 비율 (0.1~1.0) [Optional, 기본값: 0.4]
- * @param {number} minBlock - 픽셀 블록의 최소 크기 [Optional, 기본값: 3]
- * @param {number} maxFPS - 애니메이션 최대 FPS [Optional, 기본값: 30]
+ * @param {number} resolution - 캔버스 렌더러의 해상도 비율 (0.1~1.0) [Optional, 기본값: 0.4]
+ * @param {number} minBlock - 캔버스 렌더러의 픽셀 블록 최소 크기 [Optional, 기본값: 3]
+ * @param {number} maxFPS - 캔버스 렌더러의 애니메이션 최대 FPS (WebGL은 품질 단계의 최대 FPS) [Optional, 기본값: 30]
  * @param {boolean} showPoints - 포인트 위치를 시각적으로 표시할지 여부 [Optional, 기본값: false]
  * @param {number} pointSize - 시각적으로 표시될 포인트의 크기 [Optional, 기본값: 4]
  * @param {object} densityBias - 특정 방향으로 밀도 집중 { x: number, y: number } [Optional]
+ * @param {string|number} seed - 포인트 배치·색상(random 전략)·움직임을 재현하는 시드. 없으면 SeedProvider 값, 그것도 없으면 매번 무작위 [Optional]
  * 
  * 🔊 노이즈 관련 Props:
  * @param {boolean} noiseEnabled - 노이즈 효과 활성화 여부 [Optional, 기본값: false]
  * @param {number} noiseIntensity - 노이즈 강도 (0.0~1.0) [Optional, 기본값: 0.05]
  * @param {number} noiseScale - 노이즈 스케일 (작을수록 더 세밀한 노이즈) [Optional, 기본값: 0.0005]
  * 
+ * @param {boolean} exportable - 우측 상단에 SVG/PNG 내보내기 메뉴 표시 여부 [Optional, 기본값: false]
  * @param {object} sx - 추가 스타일링을 위한 MUI sx prop [Optional]
  * @param {node} children - 그라디언트 위에 표시될 내용 [Optional]
  *
+ * ref로 현재 프레임(애니메이션 중이면 그 순간의 포인트 위치와 색상)을 내보낼 수 있습니다.
+ * - toSvg(): 포인트별 radialGradient로 근사한 SVG 문자열 (노이즈는 feTurbulence 레이어)
+ * - toPng({ scale, width, height }): 노이즈까지 포함해 지정 해상도로 다시 그린 PNG Blob (Promise)
+ *
  * Example usage:
  * <MeshGradientBox
  *   colors={["#FF512F", "#DD2476", "#FF0080"]}
@@ -90,8 +137,13 @@ function MeshGradientBox({
 	noiseEnabled = false,
 	noiseIntensity = 0.05,
 	noiseScale = 0.0005,
+	renderer = "webgl",
+	offscreen = false,
+	seed,
+	exportable = false,
 	sx,
 	children,
+	ref,
 }) {
 	// 캔버스 및 컨테이너 참조
 	const canvasRef = useRef(null);
@@ -112,14 +164,53 @@ function MeshGradientBox({
 	// 마지막 프레임 시간 추적 (스로틀링용)
 	const lastFrameTimeRef = useRef(0);
 
+	// 포인트 배치·움직임에 쓸 시드 (prop이 없으면 SeedProvider 값)
+	const resolvedSeed = useSeed(seed);
+
+	// 렌더링 품질 단계와 화면 노출 여부
+	const { tier, reducedMotion } = useQualityTier();
+	const isRenderActive = useRenderActive(containerRef);
+	const isAnimating =
+		(animated || animateColorShift) && !reducedMotion && isRenderActive;
+
+	// WebGL 렌더러 상태 (생성 실패 또는 컨텍스트 손실, 기기가 처리할 수 있는 최대 포인트 수)
+	const glRendererRef = useRef(null);
+	const [webglSupport, setWebglSupport] = useState({
+		failed: false,
+		maxPoints: MESH_SHADER_MAX_POINTS,
+	});
+	const useWebGL =
+		renderer === "webgl" &&
+		!webglSupport.failed &&
+		pointCount <= webglSupport.maxPoints;
+
+	// 캔버스 렌더러를 워커에서 실행할지 여부 (워커가 실패하면 메인 스레드로 전환)
+	const {
+		post: postWorkerMessage,
+		postFrame: postWorkerFrame,
+		failed: workerFailed,
+	} = useOffscreenCanvasWorker(
+		canvasRef,
+		createMeshGradientWorker,
+		offscreen && !useWebGL && isOffscreenCanvasSupported()
+	);
+	const useWorker =
+		offscreen && !useWebGL && !workerFailed && isOffscreenCanvasSupported();
+
+	// WebGL은 품질 단계의 픽셀 비율·FPS 상한까지, 캔버스는 CSS 픽셀과 maxFPS 기준
+	const pixelRatio = useWebGL
+		? Math.min(window.devicePixelRatio || 1, tier.dpr[1])
+		: 1;
+	const frameRateLimit = useWebGL ? tier.maxFPS : Math.min(maxFPS, tier.maxFPS);
+
 	// Dynamic Resolution 적용
 	const resolution = useMemo(() => {
-		let currentResolution = initialResolution;
+		let currentResolution = initialResolution * tier.canvasResolutionScale;
 		if (dimensions.width > 0 && dimensions.width < 600) {
 			currentResolution = Math.min(initialResolution, 0.4);
 		}
 		return currentResolution;
-	}, [initialResolution, dimensions.width]);
+	}, [initialResolution, tier.canvasResolutionScale, dimensions.width]);
 
 	// 해상도에 따른 픽셀 크기 계산 (메모이제이션) - minBlock 적용
 	const pixelSize = useMemo(() => {
@@ -137,180 +228,54 @@ function MeshGradientBox({
 		);
 	}, [dimensions.width, dimensions.height]);
 
-	// 단순화된 노이즈 구현
-	const simplexNoise = useMemo(() => {
-		// 간단한 2D 노이즈 함수 (해시 기반)
-		function noise2D(x, y) {
-			const n0 = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
-			const n1 = Math.sin((x + 1) * 12.9898 + y * 78.233) * 43758.5453;
-			const n2 = Math.sin(x * 12.9898 + (y + 1) * 78.233) * 43758.5453;
-			const n3 = Math.sin((x + 1) * 12.9898 + (y + 1) * 78.233) * 43758.5453;
-			
-			const fx = x - Math.floor(x);
-			const fy = y - Math.floor(y);
-			
-			const ix = 1.0 - fx;
-			const iy = 1.0 - fy;
-			
-			const v0 = (n0 - Math.floor(n0)) * ix * iy;
-			const v1 = (n1 - Math.floor(n1)) * fx * iy;
-			const v2 = (n2 - Math.floor(n2)) * ix * fy;
-			const v3 = (n3 - Math.floor(n3)) * fx * fy;
-			
-			return (v0 + v1 + v2 + v3) * 2.0 - 1.0;
-		}
-
-		return { noise2D };
-	}, []);
-
-	// 색상 헥스값을 RGB 배열로 변환하는 함수 (메모이제이션)
-	const hexToRgb = useCallback((hex) => {
-		const r = parseInt(hex.slice(1, 3), 16);
-		const g = parseInt(hex.slice(3, 5), 16);
-		const b = parseInt(hex.slice(5, 7), 16);
-		return [r, g, b];
-	}, []);
-
-	// 색상 배열을 RGB로 변환 (메모이제이션)
-	const rgbColors = useMemo(() => {
-		return colors.map((color) => hexToRgb(color));
-	}, [colors, hexToRgb]);
-
-	// HSL -> RGB 변환 함수
-	const hslToRgb = useCallback((h, s, l) => {
-		let r, g, b;
-
-		if (s === 0) {
-			r = g = b = l; // achromatic
-		} else {
-			const hue2rgb = (p, q, t) => {
-				if (t < 0) t += 1;
-				if (t > 1) t -= 1;
-				if (t < 1 / 6) return p + (q - p) * 6 * t;
-				if (t < 1 / 2) return q;
-				if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-				return p;
-			};
-
-			const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-			const p = 2 * l - q;
-			r = hue2rgb(p, q, h + 1 / 3);
-			g = hue2rgb(p, q, h);
-			b = hue2rgb(p, q, h - 1 / 3);
-		}
-
-		return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
-	}, []);
-
-	// RGB -> HSL 변환 함수
-	const rgbToHsl = useCallback((r, g, b) => {
-		r /= 255;
-		g /= 255;
-		b /= 255;
-
-		const max = Math.max(r, g, b);
-		const min = Math.min(r, g, b);
-		let h,
-			s,
-			l = (max + min) / 2;
-
-		if (max === min) {
-			h = s = 0; // achromatic
-		} else {
-			const d = max - min;
-			s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-
-			switch (max) {
-				case r:
-					h = (g - b) / d + (g < b ? 6 : 0);
-					break;
-				case g:
-					h = (b - r) / d + 2;
-					break;
-				case b:
-					h = (r - g) / d + 4;
-					break;
-				default:
-					h = 0;
-			}
-
-			h /= 6;
-		}
-
-		return [h, s, l];
-	}, []);
-
-	// 색상 시프트 적용 함수
-	const shiftColor = useCallback(
-		(color, shiftAmount) => {
-			const [h, s, l] = rgbToHsl(color[0], color[1], color[2]);
-			// hue만 변경하고 나머지는 유지
-			const newHue = (h + shiftAmount) % 1;
-			return hslToRgb(newHue, s, l);
-		},
-		[rgbToHsl, hslToRgb]
-	);
-
-	// 단순화된 노이즈 적용 함수
-	const applyNoise = useCallback((weightedColor, x, y) => {
-		if (!noiseEnabled) return weightedColor;
-
-		const noiseValue = simplexNoise.noise2D(x * noiseScale, y * noiseScale);
-
-		// 노이즈 값을 0~1 범위로 정규화하고 강도 적용
-		const normalizedNoise = (noiseValue + 1) * 0.5; // -1~1을 0~1로 변환
-		const noiseFactor = 1 + (normalizedNoise - 0.5) * noiseIntensity;
-
-		// 각 색상 채널에 노이즈 적용
-		return [
-			Math.max(0, Math.min(255, Math.round(weightedColor[0] * noiseFactor))),
-			Math.max(0, Math.min(255, Math.round(weightedColor[1] * noiseFactor))),
-			Math.max(0, Math.min(255, Math.round(weightedColor[2] * noiseFactor)))
-		];
-	}, [
-		noiseEnabled,
-		noiseIntensity,
-		noiseScale,
-		simplexNoise
-	]);
-
-	// 거리에 따른 가중치 계산 (호환성을 위해 유지)
-	// eslint-disable-next-line no-unused-vars
-	const calculateWeight = useCallback(
-		(distance, maxDistance) => {
-			// falloff 파라미터를 사용하여 감쇠 강도 조절
-			return Math.max(0, 1 - Math.pow(distance / maxDistance, falloff));
-		},
-		[falloff]
-	);
-
-	// 거리 제곱에 따른 가중치 계산 (제곱근 연산 최적화)
-	const calculateWeightSquared = useCallback(
-		(distanceSquared, maxDistanceSquared) => {
-			// 제곱 거리에 대해 falloff의 절반을 적용 (제곱근 특성 보정)
-			return Math.max(
-				0,
-				1 - Math.pow(distanceSquared / maxDistanceSquared, falloff / 2)
-			);
-		},
-		[falloff]
+	// 캔버스 렌더러(메인 스레드, 워커) 그리기 옵션
+	const canvasFrameOptions = useMemo(
+		() => ({
+			pixelSize,
+			maxDistance,
+			blendMode,
+			falloff,
+			animated,
+			animateColorShift,
+			noiseEnabled,
+			noiseIntensity,
+			noiseScale,
+			showPoints,
+			pointSize,
+		}),
+		[
+			pixelSize,
+			maxDistance,
+			blendMode,
+			falloff,
+			animated,
+			animateColorShift,
+			noiseEnabled,
+			noiseIntensity,
+			noiseScale,
+			showPoints,
+			pointSize,
+		]
 	);
 
-	// 선형 가중치 계산
-	const calculateLinearWeight = useCallback((distance, maxDistance) => {
-		return Math.max(0, 1 - distance / maxDistance);
-	}, []);
+	// 색상 배열(또는 팔레트 id)을 RGB로 변환 (메모이제이션)
+	const rgbColors = useMemo(() => {
+		return resolvePaletteColors(colors).map((color) => {
+			const rgb = hexToRgb(color) ?? { r: 0, g: 0, b: 0 };
+			return [rgb.r, rgb.g, rgb.b];
+		});
+	}, [colors]);
 
 	// 포인트 컬러 선택 전략 (메모이제이션)
 	const selectPointColor = useCallback(
-		(index, totalPoints) => {
+		(index, totalPoints, random) => {
 			if (colorStrategy === "cycle") {
 				// 순환 방식 - 각 색상이 균등하게 나오도록
 				const colorIndex = Math.floor((index / totalPoints) * rgbColors.length);
 				return rgbColors[colorIndex % rgbColors.length];
 			} else if (colorStrategy === "random") {
 				// 완전 랜덤 방식
-				return rgbColors[Math.floor(Math.random() * rgbColors.length)];
+				return rgbColors[Math.floor(random() * rgbColors.length)];
 			} else if (colorStrategy === "gradientMap") {
 				// 그라디언트 맵 방식 - 정확한 위치 보간
 				const position = index / (totalPoints - 1);
@@ -346,9 +311,6 @@ function MeshGradientBox({
 			const canvas = canvasRef.current;
 			if (!canvas) return;
 
-			const ctx = canvas.getContext("2d");
-			const { width, height } = canvas;
-
 			// 연속적인 애니메이션을 위한 시간 관리
 			const deltaTime = lastTimestampRef.current
 				? (timestamp - lastTimestampRef.current) / 1000
@@ -369,174 +331,73 @@ function MeshGradientBox({
 				colorShiftRef.current = colorTime % 1; // 천천히 회전하는 색상 (0~1 범위)
 			}
 
-			// 캔버스 지우기
-			ctx.clearRect(0, 0, width, height);
-
-			// 픽셀 데이터 생성
-			const imageData = ctx.createImageData(width, height);
-			const data = imageData.data;
-
-			// 각 픽셀에 대해 색상 계산 (해상도에 따라 건너뛰기)
-			for (let y = 0; y < height; y += pixelSize) {
-				for (let x = 0; x < width; x += pixelSize) {
-					// 모든 포인트에 대한 가중치 합계 및 가중 색상 계산
-					let totalWeight = 0;
-					const weightedColor = [0, 0, 0];
-
-					// 각 포인트에 대해 현재 픽셀과의 거리에 따른 가중치 계산
-					pointsRef.current.forEach((point) => {
-						// 애니메이션이 적용된 현재 위치 계산
-						let currentX = point.x;
-						let currentY = point.y;
-
-						if (animated) {
-							// 각 포인트마다 다른 주파수와 위상을 가진 사인파로 움직임
-							// 주파수를 낮추고 진폭을 키워 더 크고 부드러운 움직임 구현
-							const offsetX =
-								Math.sin(positionTime * point.freqX + point.phaseX) * point.amplitudeX;
-							const offsetY =
-								Math.cos(positionTime * point.freqY + point.phaseY) * point.amplitudeY;
-
-							currentX += offsetX;
-							currentY += offsetY;
-						}
-
-						// 픽셀과 포인트 간의 거리 계산
-						const dx = x - currentX;
-						const dy = y - currentY;
-						const distanceSquared = dx * dx + dy * dy;
-
-						// blendMode에 따른 가중치 계산
-						let weight;
-						if (blendMode === "radial") {
-							// 제곱 거리로 직접 계산하여 제곱근 연산 회피
-							const maxDistanceSquared = maxDistance * maxDistance;
-							weight = calculateWeightSquared(
-								distanceSquared,
-								maxDistanceSquared
-							);
-						} else {
-							// 'linear'
-							// 선형 블렌드 모드는 정확한 거리 필요
-							const distance = Math.sqrt(distanceSquared);
-							weight = calculateLinearWeight(distance, maxDistance);
-						}
-						totalWeight += weight;
-
-						// 색상 시프트 적용
-						let currentColor = [...point.color];
-						if (animateColorShift) {
-							currentColor = shiftColor(
-								point.color,
-								colorShiftRef.current * point.colorFactor
-							);
-						}
-
-						// 가중치에 따라 색상 누적
-						weightedColor[0] += currentColor[0] * weight;
-						weightedColor[1] += currentColor[1] * weight;
-						weightedColor[2] += currentColor[2] * weight;
-					});
-
-					// 모든 가중치의 합으로 정규화
-					if (totalWeight > 0) {
-						weightedColor[0] = Math.round(weightedColor[0] / totalWeight);
-						weightedColor[1] = Math.round(weightedColor[1] / totalWeight);
-						weightedColor[2] = Math.round(weightedColor[2] / totalWeight);
-					}
-
-					// 노이즈 적용
-					const finalColor = applyNoise(weightedColor, x, y);
-
-					// 계산된 색상을 pixelSize x pixelSize 블록으로 채움
-					for (
-						let blockY = 0;
-						blockY < pixelSize && y + blockY < height;
-						blockY++
-					) {
-						for (
-							let blockX = 0;
-							blockX < pixelSize && x + blockX < width;
-							blockX++
-						) {
-							const blockIdx = ((y + blockY) * width + (x + blockX)) * 4;
-
-							// 픽셀 데이터에 색상 설정
-							data[blockIdx] = finalColor[0]; // R
-							data[blockIdx + 1] = finalColor[1]; // G
-							data[blockIdx + 2] = finalColor[2]; // B
-							data[blockIdx + 3] = 255; // A (완전 불투명)
-						}
-					}
-				}
+			// WebGL 렌더러: 포인트의 현재 위치와 색상만 계산하고 픽셀 계산은 셰이더에 맡김
+			if (glRendererRef.current) {
+				glRendererRef.current.render({
+					points: getFramePoints(pointsRef.current, {
+						positionTime,
+						animated,
+						animateColorShift,
+						colorShift: colorShiftRef.current,
+					}),
+					pixelRatio,
+					maxDistance,
+					blendMode,
+					falloff,
+					noiseIntensity: noiseEnabled ? noiseIntensity : 0,
+					noiseScale,
+					pointSize: showPoints ? pointSize : 0,
+				});
+				return;
 			}
 
-			// 계산된 이미지 데이터를 캔버스에 그리기
-			ctx.putImageData(imageData, 0, 0);
-
-			// 포인트 위치 표시 (showPoints가 true인 경우)
-			if (showPoints) {
-				ctx.save();
-
-				// 각 포인트마다 작은 원 그리기
-				pointsRef.current.forEach((point) => {
-					let currentX = point.x;
-					let currentY = point.y;
-
-					if (animated) {
-						// 애니메이션 적용 시 현재 위치 계산 (이미 계산된 값을 재사용하기 어려우므로 여기서는 원래대로 계산)
-						const offsetX =
-							Math.sin(positionTime * point.freqX + point.phaseX) * point.amplitudeX;
-						const offsetY =
-							Math.cos(positionTime * point.freqY + point.phaseY) * point.amplitudeY;
-
-						currentX += offsetX;
-						currentY += offsetY;
-					}
-
-					// 원래 포인트 색상 사용
-					const r = point.color[0];
-					const g = point.color[1];
-					const b = point.color[2];
-
-					// 포인트 그리기
-					ctx.beginPath();
-					ctx.arc(currentX, currentY, pointSize, 0, Math.PI * 2);
-					ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-					ctx.fill();
-
-					// 테두리 추가 (가시성을 위해 검은색 또는 흰색 테두리 선택)
-					const brightness = (r * 299 + g * 587 + b * 114) / 1000; // 색상 밝기 계산
-					ctx.strokeStyle = brightness > 128 ? "#000000" : "#FFFFFF"; // 밝은 색에는 검은색, 어두운 색에는 흰색 테두리
-					ctx.lineWidth = 1;
-					ctx.stroke();
+			// 워커 렌더러: 시간 값만 보내고 그리기는 워커에서 (옵션은 initializePoints에서 전달)
+			if (useWorker) {
+				postWorkerFrame({
+					type: "frame",
+					positionTime,
+					colorShift: colorShiftRef.current,
 				});
-
-				ctx.restore();
+				return;
 			}
+
+			const ctx = canvas.getContext("2d");
+			if (!ctx) return;
+
+			drawMeshGradientFrame(ctx, {
+				...canvasFrameOptions,
+				width: canvas.width,
+				height: canvas.height,
+				points: pointsRef.current,
+				positionTime,
+				colorShift: colorShiftRef.current,
+			});
 		},
 		[
 			animated,
 			animateColorShift,
-			calculateLinearWeight,
-			calculateWeightSquared,
-			resolution,
-			pixelSize,
+			maxFPS,
 			maxDistance,
 			showPoints,
 			pointSize,
 			blendMode,
-			shiftColor,
 			colorShiftSpeed,
 			animationSpeed,
-			applyNoise,
+			falloff,
+			noiseEnabled,
+			noiseIntensity,
+			noiseScale,
+			pixelRatio,
+			useWorker,
+			postWorkerFrame,
+			canvasFrameOptions,
 		]
 	);
 
-	// 스로틀링된 애니메이션 함수 - maxFPS 적용
+	// 스로틀링된 애니메이션 함수 - maxFPS와 품질 단계의 최대 FPS 중 낮은 값 적용
 	const throttledAnimationFrame = useCallback(
 		(timestamp) => {
-			const frameMinTime = 1000 / maxFPS;
+			const frameMinTime = 1000 / frameRateLimit;
 			// FPS 제한을 위한 스로틀링
 			const elapsed = timestamp - lastFrameTimeRef.current;
 
@@ -546,29 +407,24 @@ function MeshGradientBox({
 			}
 
 			// 애니메이션 중단 플래그가 없으면 계속 애니메이션 요청
-			if (animated || animateColorShift) {
+			if (isAnimating) {
 				animFrameRef.current = requestAnimationFrame(throttledAnimationFrame);
 			}
 		},
-		[animated, animateColorShift, drawMeshGradient, maxFPS]
+		[isAnimating, drawMeshGradient, frameRateLimit]
 	);
 
 	// 애니메이션 시작/종료 관리
 	useEffect(() => {
-		// 애니메이션 시작 - animated 또는 animateColorShift가 true이고 캔버스 크기가 설정된 경우
-		if (
-			(animated || animateColorShift) &&
-			dimensions.width > 0 &&
-			dimensions.height > 0
-		) {
+		// 애니메이션 시작 - 애니메이션이 활성화되어 있고(화면 안, 동작 줄이기 미설정) 캔버스 크기가 설정된 경우
+		if (isAnimating && dimensions.width > 0 && dimensions.height > 0) {
 			// 이전 애니메이션 정리
 			if (animFrameRef.current) {
 				cancelAnimationFrame(animFrameRef.current);
 			}
 
-			// 애니메이션 상태 초기화 - 첫 마운트 시 또는 애니메이션 상태 변경 시
-			lastTimestampRef.current = 0; // 애니메이션 루프 시작 시 타임스탬프 초기화
-			animationTimeRef.current = 0; // 애니메이션 시간도 0부터 시작하도록
+			// 타임스탬프만 초기화 - 화면 밖에서 돌아와도 멈췄던 시점부터 이어서 재생
+			lastTimestampRef.current = 0;
 
 			// 새 애니메이션 시작
 			animFrameRef.current = requestAnimationFrame(throttledAnimationFrame);
@@ -581,23 +437,23 @@ function MeshGradientBox({
 				animFrameRef.current = null;
 			}
 		};
-	}, [animated, animateColorShift, dimensions, throttledAnimationFrame, maxFPS]);
+	}, [isAnimating, dimensions, throttledAnimationFrame]);
 
 	// 포인트 초기화 시 애니메이션 자동 시작 보장
 	useEffect(() => {
 		// 포인트가 초기화되었고 애니메이션이 활성화된 경우
 		if (
 			pointsRef.current.length > 0 &&
-			(animated || animateColorShift) &&
+			isAnimating &&
 			!animFrameRef.current
 		) {
 			animFrameRef.current = requestAnimationFrame(throttledAnimationFrame);
 		}
-	}, [animated, animateColorShift, throttledAnimationFrame]);
+	}, [isAnimating, throttledAnimationFrame]);
 
 	// 그리드 기반 포인트 초기화
 	const initializeGridPoints = useCallback(
-		(width, height) => {
+		(width, height, random) => {
 			const cols = Math.ceil(Math.sqrt(pointCount));
 			const rows = Math.ceil(pointCount / cols);
 
@@ -624,24 +480,24 @@ function MeshGradientBox({
 				}
 
 				// 랜덤성에 따른 위치 조정
-				const randX = (Math.random() - 0.5) * cellWidth * randomness;
-				const randY = (Math.random() - 0.5) * cellHeight * randomness;
+				const randX = (random() - 0.5) * cellWidth * randomness;
+				const randY = (random() - 0.5) * cellHeight * randomness;
 
 				// 최종 위치 계산
 				const x = Math.max(0, Math.min(width, baseX + randX + biasX));
 				const y = Math.max(0, Math.min(height, baseY + randY + biasY));
 
-				const colorRgb = selectPointColor(i, pointCount);
+				const colorRgb = selectPointColor(i, pointCount, random);
 
 				// 애니메이션 파라미터 생성 - 더 과감한 움직임을 위해 수정
-				const freqX = 0.3 + Math.random() * 0.5; // 더 빠른 주파수 (0.3 ~ 0.8 Hz)
-				const freqY = 0.3 + Math.random() * 0.5;
-				const phaseX = Math.random() * Math.PI * 2; // 0 ~ 2π
-				const phaseY = Math.random() * Math.PI * 2;
+				const freqX = 0.3 + random() * 0.5; // 더 빠른 주파수 (0.3 ~ 0.8 Hz)
+				const freqY = 0.3 + random() * 0.5;
+				const phaseX = random() * Math.PI * 2; // 0 ~ 2π
+				const phaseY = random() * Math.PI * 2;
 				// 극대 진폭 - 셀 크기의 120%~250% 정도로 극대화
 				const amplitudeX = cellWidth * (1.2 + randomness * 1.3);
 				const amplitudeY = cellHeight * (1.2 + randomness * 1.3);
-				const colorFactor = Math.random() * 0.5 + 0.5; // 색상 변화 가중치 (0.5 ~ 1.0)
+				const colorFactor = random() * 0.5 + 0.5; // 색상 변화 가중치 (0.5 ~ 1.0)
 
 				points.push({
 					x,
@@ -664,7 +520,7 @@ function MeshGradientBox({
 
 	// 노이즈 기반 포인트 초기화 (완전 랜덤 + 최소 거리 보장)
 	const initializeNoisePoints = useCallback(
-		(width, height) => {
+		(width, height, random) => {
 			const points = [];
 			const minDistanceBetweenPoints =
 				(Math.min(width, height) / Math.sqrt(pointCount)) * 0.5;
@@ -680,8 +536,8 @@ function MeshGradientBox({
 
 				// 유효한 위치를 찾을 때까지 시도
 				do {
-					x = Math.random() * width;
-					y = Math.random() * height;
+					x = random() * width;
+					y = random() * height;
 
 					// 밀도 바이어스 적용
 					if (densityBias) {
@@ -711,16 +567,16 @@ function MeshGradientBox({
 
 				// 유효한 위치를 찾았으면 포인트 추가
 				if (isValid) {
-					const colorRgb = selectPointColor(i, pointCount);
+					const colorRgb = selectPointColor(i, pointCount, random);
 
 					// 애니메이션 파라미터 - 더 과감한 움직임을 위해 수정
-					const freqX = 0.3 + Math.random() * 0.5;
-					const freqY = 0.3 + Math.random() * 0.5;
-					const phaseX = Math.random() * Math.PI * 2;
-					const phaseY = Math.random() * Math.PI * 2;
+					const freqX = 0.3 + random() * 0.5;
+					const freqY = 0.3 + random() * 0.5;
+					const phaseX = random() * Math.PI * 2;
+					const phaseY = random() * Math.PI * 2;
 					// 극대 진폭 - 캔버스 크기의 40%~60% 정도로 극대화
 					const amplitude = Math.min(width, height) * (0.4 + randomness * 0.2);
-					const colorFactor = Math.random() * 0.5 + 0.5;
+					const colorFactor = random() * 0.5 + 0.5;
 
 					points.push({
 						x,
@@ -739,19 +595,19 @@ function MeshGradientBox({
 
 			// 충분한 포인트를 생성하지 못했다면 부족한 만큼 완전 랜덤으로 추가
 			while (points.length < pointCount) {
-				const x = Math.random() * width;
-				const y = Math.random() * height;
+				const x = random() * width;
+				const y = random() * height;
 
-				const colorRgb = selectPointColor(points.length, pointCount);
+				const colorRgb = selectPointColor(points.length, pointCount, random);
 
 				// 애니메이션 파라미터 - 더 과감한 움직임을 위해 수정
-				const freqX = 0.3 + Math.random() * 0.5;
-				const freqY = 0.3 + Math.random() * 0.5;
-				const phaseX = Math.random() * Math.PI * 2;
-				const phaseY = Math.random() * Math.PI * 2;
+				const freqX = 0.3 + random() * 0.5;
+				const freqY = 0.3 + random() * 0.5;
+				const phaseX = random() * Math.PI * 2;
+				const phaseY = random() * Math.PI * 2;
 				// 극대 진폭 - 대폭 극대화
 				const amplitude = Math.min(width, height) * (0.4 + randomness * 0.2);
-				const colorFactor = Math.random() * 0.5 + 0.5;
+				const colorFactor = random() * 0.5 + 0.5;
 
 				points.push({
 					x,
@@ -774,7 +630,7 @@ function MeshGradientBox({
 
 	// 중심 기반 포인트 초기화 (중심에서 방사형으로 배치)
 	const initializeCenteredPoints = useCallback(
-		(width, height) => {
+		(width, height, random) => {
 			const points = [];
 			const centerX = width / 2;
 			const centerY = height / 2;
@@ -790,8 +646,8 @@ function MeshGradientBox({
 				let radius = maxRadius * radiusFactor;
 
 				// 랜덤성 추가
-				radius += (Math.random() - 0.5) * maxRadius * 0.1 * randomness;
-				const angleOffset = (Math.random() - 0.5) * Math.PI * 0.2 * randomness;
+				radius += (random() - 0.5) * maxRadius * 0.1 * randomness;
+				const angleOffset = (random() - 0.5) * Math.PI * 0.2 * randomness;
 
 				// 최종 위치 계산
 				const x = Math.max(
@@ -804,16 +660,16 @@ function MeshGradientBox({
 				);
 
 				// 색상 선택
-				const colorRgb = selectPointColor(i, pointCount);
+				const colorRgb = selectPointColor(i, pointCount, random);
 
 				// 애니메이션 파라미터 - 더 과감한 움직임을 위해 수정
-				const freqX = 0.3 + Math.random() * 0.5;
-				const freqY = 0.3 + Math.random() * 0.5;
-				const phaseX = Math.random() * Math.PI * 2;
-				const phaseY = Math.random() * Math.PI * 2;
+				const freqX = 0.3 + random() * 0.5;
+				const freqY = 0.3 + random() * 0.5;
+				const phaseX = random() * Math.PI * 2;
+				const phaseY = random() * Math.PI * 2;
 				// 극대 진폭 - 반지름의 75%~120% 정도로 극대화 (중심에서 멀수록 더 큰 움직임)
 				const amplitude = radius * (0.75 + randomness * 0.45);
-				const colorFactor = Math.random() * 0.5 + 0.5;
+				const colorFactor = random() * 0.5 + 0.5;
 
 				points.push({
 					x,
@@ -839,36 +695,116 @@ function MeshGradientBox({
 		const canvas = canvasRef.current;
 		if (!canvas || rgbColors.length === 0) return;
 
-		const { width, height } = canvas;
+		// 포인트는 CSS 픽셀 좌표 (WebGL 캔버스는 픽셀 비율만큼 더 큼)
+		const { width, height } = dimensions;
+
+		// 초기화마다 새 난수 함수를 만들어 같은 seed면 같은 배치와 움직임이 나오게 함
+		const random = createRandom(resolvedSeed, "MeshGradientBox");
 
 		// 포인트 배치 전략에 따라 초기화
 		let points;
 		switch (distribution) {
 			case "noise":
-				points = initializeNoisePoints(width, height);
+				points = initializeNoisePoints(width, height, random);
 				break;
 			case "centered":
-				points = initializeCenteredPoints(width, height);
+				points = initializeCenteredPoints(width, height, random);
 				break;
 			case "grid":
 			default:
-				points = initializeGridPoints(width, height);
+				points = initializeGridPoints(width, height, random);
 				break;
 		}
 
 		pointsRef.current = points;
 
+		// 워커는 포인트와 그리기 옵션을 받아 두었다가 frame 메시지마다 그림
+		if (useWorker) {
+			postWorkerMessage({
+				type: "props",
+				props: { ...canvasFrameOptions, points },
+			});
+		}
+
 		// 초기 렌더링 또는 포인트 변경 시 즉시 그리기
 		drawMeshGradient(0);
 	}, [
 		drawMeshGradient,
 		distribution,
+		dimensions,
+		resolvedSeed,
+		useWorker,
+		postWorkerMessage,
+		canvasFrameOptions,
 		rgbColors,
 		initializeGridPoints,
 		initializeNoisePoints,
 		initializeCenteredPoints,
 	]);
 
+	// 내보내기용 현재 프레임 (화면 렌더러와 관계없이 CSS 픽셀 기준)
+	const getExportFrame = useCallback(
+		() => ({
+			width: dimensions.width,
+			height: dimensions.height,
+			points: getFramePoints(pointsRef.current, {
+				positionTime: animationTimeRef.current * animationSpeed,
+				animated,
+				animateColorShift,
+				colorShift: colorShiftRef.current,
+			}),
+			maxDistance,
+			blendMode,
+			falloff,
+			noiseEnabled,
+			noiseIntensity,
+			noiseScale,
+		}),
+		[
+			dimensions,
+			animationSpeed,
+			animated,
+			animateColorShift,
+			maxDistance,
+			blendMode,
+			falloff,
+			noiseEnabled,
+			noiseIntensity,
+			noiseScale,
+		]
+	);
+
+	useImperativeHandle(
+		ref,
+		() => ({
+			toSvg: () => createMeshGradientSvg(getExportFrame()),
+			toPng: (options) => renderMeshGradientPng(getExportFrame(), options),
+		}),
+		[getExportFrame]
+	);
+
+	const exportActions = useMemo(
+		() => [
+			{
+				label: "SVG 다운로드",
+				onSelect: () =>
+					downloadText(
+						createMeshGradientSvg(getExportFrame()),
+						"mesh-gradient.svg",
+						"image/svg+xml"
+					),
+			},
+			...EXPORT_PNG_SCALES.map((scale) => ({
+				label: `PNG 다운로드 (${scale}x)`,
+				onSelect: async () => {
+					const blob = await renderMeshGradientPng(getExportFrame(), { scale });
+					downloadBlob(blob, `mesh-gradient@${scale}x.png`);
+				},
+			})),
+		],
+		[getExportFrame]
+	);
+
 	// ResizeObserver를 사용한 크기 변경 감지
 	useEffect(() => {
 		if (!containerRef.current) return;
@@ -913,6 +849,42 @@ function MeshGradientBox({
 		};
 	}, []);
 
+	// 워커 캔버스 크기 전달 (넘긴 캔버스는 width/height 속성으로 크기를 바꿀 수 없음)
+	useEffect(() => {
+		if (useWorker) {
+			postWorkerMessage({ type: "resize", ...dimensions });
+		}
+	}, [useWorker, dimensions, postWorkerMessage]);
+
+	// WebGL 렌더러 생성 - 실패하면 캔버스 렌더러로 전환
+	// (WebGL 컨텍스트를 얻은 캔버스는 2D로 쓸 수 없으므로 canvas key가 바뀌어 새 캔버스가 만들어짐)
+	useEffect(() => {
+		const canvas = canvasRef.current;
+		if (!useWebGL || !canvas) return;
+
+		const glRenderer = createMeshGradientRenderer(canvas);
+		if (!glRenderer) {
+			setWebglSupport((current) => ({ ...current, failed: true }));
+			return;
+		}
+		if (glRenderer.maxPoints < pointCount) {
+			glRenderer.dispose();
+			setWebglSupport((current) => ({ ...current, maxPoints: glRenderer.maxPoints }));
+			return;
+		}
+
+		glRendererRef.current = glRenderer;
+		const handleContextLost = () =>
+			setWebglSupport((current) => ({ ...current, failed: true }));
+		canvas.addEventListener("webglcontextlost", handleContextLost);
+
+		return () => {
+			canvas.removeEventListener("webglcontextlost", handleContextLost);
+			glRenderer.dispose();
+			glRendererRef.current = null;
+		};
+	}, [useWebGL, pointCount]);
+
 	// 크기가 변경되거나 주요 props가 변경될 때 포인트 초기화
 	useEffect(() => {
 		if (dimensions.width > 0 && dimensions.height > 0) {
@@ -929,6 +901,7 @@ function MeshGradientBox({
 	}, [
 		dimensions,
 		initializePoints, // initializePoints의 의존성(distribution, colors 등)이 변경되면 이 훅도 실행
+		useWebGL, // 렌더러가 바뀌면 새 캔버스에 다시 그림
 		pointCount, // pointCount는 initializeGridPoints 등을 통해 initializePoints에 영향을 줌
 		randomness, // 이하 동일
 		distribution,
@@ -953,9 +926,12 @@ function MeshGradientBox({
 			}}
 		>
 			<canvas
+				key={useWebGL ? "webgl" : useWorker ? "worker" : "canvas"}
 				ref={canvasRef}
-				width={dimensions.width}
-				height={dimensions.height}
+				{...(!useWorker && {
+					width: Math.round(dimensions.width * pixelRatio),
+					height: Math.round(dimensions.height * pixelRatio),
+				})}
 				style={{
 					position: "absolute",
 					top: 0,
@@ -968,12 +944,16 @@ function MeshGradientBox({
 			{children && (
 				<Box sx={{ position: "relative", zIndex: 1 }}>{children}</Box>
 			)}
+			{exportable && <ExportMenu actions={exportActions} />}
 		</Box>
 	);
 }
 
 MeshGradientBox.propTypes = {
-	colors: PropTypes.arrayOf(PropTypes.string).isRequired,
+	colors: PropTypes.oneOfType([
+		PropTypes.string,
+		PropTypes.arrayOf(PropTypes.string),
+	]).isRequired,
 	pointCount: PropTypes.number,
 	randomness: PropTypes.number,
 	animated: PropTypes.bool,
@@ -997,8 +977,12 @@ MeshGradientBox.propTypes = {
 	noiseEnabled: PropTypes.bool,
 	noiseIntensity: PropTypes.number,
 	noiseScale: PropTypes.number,
+	renderer: PropTypes.oneOf(["webgl", "canvas"]),
+	offscreen: PropTypes.bool,
+	seed: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+	exportable: PropTypes.bool,
 	sx: PropTypes.object,
 	children: PropTypes.node,
 };
 
-export default React.memo(MeshGradientBox);
+export default React.memo(withPropValidation(MeshGradientBox, "MeshGradientBox"));
@@ -2,7 +2,9 @@ import React, { useRef, useEffect } from "react";
 import { Box } from "@mui/material";
 import { gsap } from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
-import { gradientPalettes } from "../../../data/gradientPalettes";
+import { resolvePaletteColors } from "../../../data/gradientPalettes";
+import { withPropValidation } from "../../../utils/propValidation";
+import useScrollContainer from "../../../hooks/useScrollContainer";
 
 // GSAP ScrollTrigger 등록
 gsap.registerPlugin(ScrollTrigger);
@@ -12,14 +14,14 @@ gsap.registerPlugin(ScrollTrigger);
  * 
  * Props:
  * @param {Array} sectionRefs - 섹션 참조 배열 [Required]
- * @param {Array} sectionColors - 섹션별 색상 구성 배열. 색상명 문자열 또는 [color1, color2] 배열 [Required]
+ * @param {Array} sectionColors - 섹션별 색상 구성 배열. 팔레트 id(data/gradientPalettes) 또는 [color1, color2] 배열 [Required]
  *   - 예: ['pureRed', 'pureBlue'] 또는 [['#FF0000', '#FF4444'], ['#0000FF', '#4444FF']]
  * @param {boolean} enableGlow - 발광 효과 활성화 [Optional, 기본값: false]
  * @param {number} blurIntensity - 블러 강도 [Optional, 기본값: 320]
  * @param {number} circleOpacity - 원형 요소 투명도 [Optional, 기본값: 0.3]
  * @param {number} colorIntensity - 색상 집중도 (0.1-1.0, 낮을수록 희미) [Optional, 기본값: 0.8]
  * @param {boolean} enableAnimation - 섹션 전환 애니메이션 활성화 [Optional, 기본값: true]
- * @param {React.RefObject} scrollContainer - 스크롤 컨테이너 참조 [Optional]
+ * @param {React.RefObject} scrollContainer - 스크롤 컨테이너 참조 [Optional, 기본값: ScrollProvider의 스크롤 컨테이너, 없으면 window]
  * @param {number} maxCircles - 최대 원형 요소 개수 [Optional, 기본값: 2]
  * @param {string} orbitalType - 오비탈 움직임 타입 ('rightBottom', 'center', 'corners') [Optional, 기본값: 'rightBottom']
  *
@@ -47,6 +49,7 @@ function ScrollGradientBackground({
   sx = {},
 }) {
   const bgRef = useRef(null);
+  const { scrollTarget } = useScrollContainer();
 
   // 반응형 오비탈 설정 자동 계산
   const getResponsiveOrbitalConfig = () => {
@@ -175,19 +178,8 @@ function ScrollGradientBackground({
     return configs[orbitalType][deviceType];
   };
 
-  // 색상 배열을 표준 형태로 변환
-  const normalizeColors = (colorInput) => {
-    if (typeof colorInput === 'string') {
-      // 팔레트 이름인 경우
-      const palette = gradientPalettes.find(p => p.id === colorInput);
-      return palette ? palette.colors : ['#f5f5f5', '#e0e0e0'];
-    }
-    if (Array.isArray(colorInput)) {
-      // 직접 색상 배열인 경우
-      return colorInput;
-    }
-    return ['#f5f5f5', '#e0e0e0']; // 기본값
-  };
+  // 색상 배열을 표준 형태로 변환 (팔레트 id 또는 직접 색상 배열)
+  const normalizeColors = (colorInput) => resolvePaletteColors(colorInput);
 
   // 자동으로 색상 구성 데이터 생성
   const generateColorSchemes = () => {
@@ -241,8 +233,8 @@ function ScrollGradientBackground({
     console.log('Section colors:', sectionColors);
     console.log('Section refs:', sectionRefs.map(ref => ref.current));
 
-    // 스크롤 컨테이너 찾기
-    const scroller = scrollContainer?.current || window;
+    // 스크롤 컨테이너 찾기 - 지정하지 않으면 ScrollProvider 컨테이너 사용
+    const scroller = scrollContainer?.current || scrollTarget;
     
     // ScrollTrigger refresh를 위한 설정
     ScrollTrigger.refresh();
@@ -440,7 +432,7 @@ function ScrollGradientBackground({
         }
       });
     };
-  }, [sectionColors, sectionRefs, enableGlow, blurIntensity, circleOpacity, colorIntensity, enableAnimation, scrollContainer, maxCircles, orbitalType]);
+  }, [sectionColors, sectionRefs, enableGlow, blurIntensity, circleOpacity, colorIntensity, enableAnimation, scrollContainer, scrollTarget, maxCircles, orbitalType]);
 
   return (
     <Box
@@ -460,4 +452,4 @@ function ScrollGradientBackground({
   );
 }
 
-export default ScrollGradientBackground; 
\ No newline at end of file
+export default withPropValidation(ScrollGradientBackground, "ScrollGradientBackground");
\ No newline at end of file
@@ -0,0 +1,51 @@
+import { drawMeshGradientFrame } from './meshGradientCanvas';
+
+/**
+ * MeshGradientBox OffscreenCanvas 워커
+ * 픽셀 계산을 메인 스레드 밖에서 처리해 스크롤과 다른 애니메이션이 끊기지 않게 합니다.
+ *
+ * 메시지 (메인 → 워커):
+ * - { type: 'init', canvas }: transferControlToOffscreen으로 넘겨받은 OffscreenCanvas
+ * - { type: 'resize', width, height }: 캔버스 크기 (px)
+ * - { type: 'props', props }: 포인트 목록과 그리기 옵션 (drawMeshGradientFrame의 frame에서 시간 값 제외)
+ * - { type: 'frame', positionTime, colorShift }: 한 프레임 그리기
+ *
+ * 메시지 (워커 → 메인):
+ * - { type: 'frame' }: 요청받은 프레임을 다 그림 (메인은 이 응답을 받기 전까지 다음 프레임을 보내지 않음)
+ */
+let ctx = null;
+let size = { width: 0, height: 0 };
+let props = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'init':
+      ctx = message.canvas.getContext('2d');
+      break;
+    case 'resize':
+      size = { width: message.width, height: message.height };
+      if (ctx) {
+        ctx.canvas.width = message.width;
+        ctx.canvas.height = message.height;
+      }
+      break;
+    case 'props':
+      props = message.props;
+      break;
+    case 'frame':
+      if (ctx && props) {
+        drawMeshGradientFrame(ctx, {
+          ...props,
+          ...size,
+          positionTime: message.positionTime,
+          colorShift: message.colorShift,
+        });
+      }
+      self.postMessage({ type: 'frame' });
+      break;
+    default:
+      break;
+  }
+};
@@ -0,0 +1,293 @@
+/**
+ * MeshGradientBox 2D 캔버스 렌더러
+ * 메인 스레드(MeshGradientBox)와 OffscreenCanvas 워커(meshGradient.worker.js)가 같은 코드로 그립니다.
+ * React나 DOM에 의존하지 않는 순수 함수만 둡니다.
+ */
+
+/**
+ * 간단한 2D 노이즈 함수 (해시 기반, -1~1)
+ * @param {number} x - x 좌표
+ * @param {number} y - y 좌표
+ */
+export const noise2D = (x, y) => {
+  const n0 = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+  const n1 = Math.sin((x + 1) * 12.9898 + y * 78.233) * 43758.5453;
+  const n2 = Math.sin(x * 12.9898 + (y + 1) * 78.233) * 43758.5453;
+  const n3 = Math.sin((x + 1) * 12.9898 + (y + 1) * 78.233) * 43758.5453;
+
+  const fx = x - Math.floor(x);
+  const fy = y - Math.floor(y);
+
+  const ix = 1.0 - fx;
+  const iy = 1.0 - fy;
+
+  const v0 = (n0 - Math.floor(n0)) * ix * iy;
+  const v1 = (n1 - Math.floor(n1)) * fx * iy;
+  const v2 = (n2 - Math.floor(n2)) * ix * fy;
+  const v3 = (n3 - Math.floor(n3)) * fx * fy;
+
+  return (v0 + v1 + v2 + v3) * 2.0 - 1.0;
+};
+
+/**
+ * HSL -> RGB 변환
+ * @returns {number[]} [r, g, b] (0~255)
+ */
+const hslToRgb = (h, s, l) => {
+  let r, g, b;
+
+  if (s === 0) {
+    r = g = b = l; // achromatic
+  } else {
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    r = hue2rgb(p, q, h + 1 / 3);
+    g = hue2rgb(p, q, h);
+    b = hue2rgb(p, q, h - 1 / 3);
+  }
+
+  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+};
+
+/**
+ * RGB -> HSL 변환
+ * @returns {number[]} [h, s, l] (0~1)
+ */
+const rgbToHsl = (r, g, b) => {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let h,
+    s,
+    l = (max + min) / 2;
+
+  if (max === min) {
+    h = s = 0; // achromatic
+  } else {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+    switch (max) {
+      case r:
+        h = (g - b) / d + (g < b ? 6 : 0);
+        break;
+      case g:
+        h = (b - r) / d + 2;
+        break;
+      case b:
+        h = (r - g) / d + 4;
+        break;
+      default:
+        h = 0;
+    }
+
+    h /= 6;
+  }
+
+  return [h, s, l];
+};
+
+/**
+ * 색상 시프트 적용 (hue만 변경하고 나머지는 유지)
+ * @param {number[]} color - [r, g, b] (0~255)
+ * @param {number} shiftAmount - hue 이동량 (0~1)
+ * @returns {number[]} [r, g, b]
+ */
+export const shiftColor = (color, shiftAmount) => {
+  const [h, s, l] = rgbToHsl(color[0], color[1], color[2]);
+  const newHue = (h + shiftAmount) % 1;
+  return hslToRgb(newHue, s, l);
+};
+
+/**
+ * 애니메이션이 적용된 포인트의 현재 위치
+ * 각 포인트마다 다른 주파수와 위상을 가진 사인파로 움직입니다.
+ * @param {object} point - 포인트 ({ x, y, freqX, freqY, phaseX, phaseY, amplitudeX, amplitudeY })
+ * @param {number} positionTime - animationSpeed가 적용된 누적 시간 (초)
+ * @param {boolean} animated - 위치 애니메이션 여부
+ * @returns {object} { x, y }
+ */
+export const getPointPosition = (point, positionTime, animated) => {
+  if (!animated) return { x: point.x, y: point.y };
+  return {
+    x: point.x + Math.sin(positionTime * point.freqX + point.phaseX) * point.amplitudeX,
+    y: point.y + Math.cos(positionTime * point.freqY + point.phaseY) * point.amplitudeY,
+  };
+};
+
+/**
+ * 프레임 시점의 포인트 위치와 색상 (위치 애니메이션, 색상 시프트 적용)
+ * @param {Array} points - 포인트 목록 (color는 [r, g, b])
+ * @param {object} frame - { positionTime, animated, animateColorShift, colorShift }
+ * @returns {Array} { x, y, color } 배열
+ */
+export const getFramePoints = (points, { positionTime, animated, animateColorShift, colorShift }) =>
+  points.map((point) => ({
+    ...getPointPosition(point, positionTime, animated),
+    color: animateColorShift ? shiftColor(point.color, colorShift * point.colorFactor) : point.color,
+  }));
+
+/**
+ * 메시 그라디언트 한 프레임 그리기
+ * pixelSize 간격으로 색을 계산해 pixelSize x pixelSize 블록으로 채웁니다.
+ *
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - 2D 컨텍스트
+ * @param {object} frame
+ * @param {number} frame.width - 캔버스 너비 (px)
+ * @param {number} frame.height - 캔버스 높이 (px)
+ * @param {Array} frame.points - 포인트 목록 (color는 [r, g, b])
+ * @param {number} frame.pixelSize - 픽셀 블록 크기
+ * @param {number} frame.maxDistance - 가중치가 0이 되는 거리
+ * @param {string} frame.blendMode - 'radial' | 'linear'
+ * @param {number} frame.falloff - 거리 감쇠 강도
+ * @param {boolean} frame.animated - 위치 애니메이션 여부
+ * @param {number} frame.positionTime - 위치 애니메이션 시간
+ * @param {boolean} frame.animateColorShift - 색상 시프트 여부
+ * @param {number} frame.colorShift - 현재 hue 이동량 (0~1)
+ * @param {boolean} frame.noiseEnabled - 노이즈 적용 여부
+ * @param {number} frame.noiseIntensity - 노이즈 강도
+ * @param {number} frame.noiseScale - 노이즈 스케일
+ * @param {boolean} frame.showPoints - 포인트 위치 표시 여부
+ * @param {number} frame.pointSize - 포인트 표시 크기
+ */
+export const drawMeshGradientFrame = (
+  ctx,
+  {
+    width,
+    height,
+    points,
+    pixelSize,
+    maxDistance,
+    blendMode,
+    falloff,
+    animated,
+    positionTime,
+    animateColorShift,
+    colorShift,
+    noiseEnabled,
+    noiseIntensity,
+    noiseScale,
+    showPoints,
+    pointSize,
+  }
+) => {
+  // 캔버스 지우기
+  ctx.clearRect(0, 0, width, height);
+  if (width === 0 || height === 0) return;
+
+  // 픽셀 데이터 생성
+  const imageData = ctx.createImageData(width, height);
+  const data = imageData.data;
+  const maxDistanceSquared = maxDistance * maxDistance;
+
+  // 프레임마다 한 번만 계산하는 포인트 위치와 색상 (색상 시프트 적용)
+  const currentPoints = getFramePoints(points, {
+    positionTime,
+    animated,
+    animateColorShift,
+    colorShift,
+  });
+
+  // 각 픽셀에 대해 색상 계산 (해상도에 따라 건너뛰기)
+  for (let y = 0; y < height; y += pixelSize) {
+    for (let x = 0; x < width; x += pixelSize) {
+      // 모든 포인트에 대한 가중치 합계 및 가중 색상 계산
+      let totalWeight = 0;
+      const weightedColor = [0, 0, 0];
+
+      for (let i = 0; i < currentPoints.length; i++) {
+        const point = currentPoints[i];
+
+        // 픽셀과 포인트 간의 거리 계산
+        const dx = x - point.x;
+        const dy = y - point.y;
+        const distanceSquared = dx * dx + dy * dy;
+
+        // blendMode에 따른 가중치 계산
+        let weight;
+        if (blendMode === 'radial') {
+          // 제곱 거리에 대해 falloff의 절반을 적용 (제곱근 연산 회피)
+          weight = Math.max(0, 1 - Math.pow(distanceSquared / maxDistanceSquared, falloff / 2));
+        } else {
+          // 'linear' - 선형 블렌드 모드는 정확한 거리 필요
+          weight = Math.max(0, 1 - Math.sqrt(distanceSquared) / maxDistance);
+        }
+        totalWeight += weight;
+
+        // 가중치에 따라 색상 누적
+        weightedColor[0] += point.color[0] * weight;
+        weightedColor[1] += point.color[1] * weight;
+        weightedColor[2] += point.color[2] * weight;
+      }
+
+      // 모든 가중치의 합으로 정규화
+      if (totalWeight > 0) {
+        weightedColor[0] = Math.round(weightedColor[0] / totalWeight);
+        weightedColor[1] = Math.round(weightedColor[1] / totalWeight);
+        weightedColor[2] = Math.round(weightedColor[2] / totalWeight);
+      }
+
+      // 노이즈 적용 (-1~1을 0~1로 변환한 뒤 강도 적용)
+      let finalColor = weightedColor;
+      if (noiseEnabled) {
+        const normalizedNoise = (noise2D(x * noiseScale, y * noiseScale) + 1) * 0.5;
+        const noiseFactor = 1 + (normalizedNoise - 0.5) * noiseIntensity;
+        finalColor = weightedColor.map((channel) =>
+          Math.max(0, Math.min(255, Math.round(channel * noiseFactor)))
+        );
+      }
+
+      // 계산된 색상을 pixelSize x pixelSize 블록으로 채움
+      for (let blockY = 0; blockY < pixelSize && y + blockY < height; blockY++) {
+        for (let blockX = 0; blockX < pixelSize && x + blockX < width; blockX++) {
+          const blockIdx = ((y + blockY) * width + (x + blockX)) * 4;
+
+          data[blockIdx] = finalColor[0]; // R
+          data[blockIdx + 1] = finalColor[1]; // G
+          data[blockIdx + 2] = finalColor[2]; // B
+          data[blockIdx + 3] = 255; // A (완전 불투명)
+        }
+      }
+    }
+  }
+
+  // 계산된 이미지 데이터를 캔버스에 그리기
+  ctx.putImageData(imageData, 0, 0);
+
+  // 포인트 위치 표시
+  if (showPoints) {
+    ctx.save();
+
+    points.forEach((point) => {
+      const { x, y } = getPointPosition(point, positionTime, animated);
+
+      // 원래 포인트 색상 사용
+      const [r, g, b] = point.color;
+
+      ctx.beginPath();
+      ctx.arc(x, y, pointSize, 0, Math.PI * 2);
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fill();
+
+      // 테두리 추가 (밝은 색에는 검은색, 어두운 색에는 흰색 테두리)
+      const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+      ctx.strokeStyle = brightness > 128 ? '#000000' : '#FFFFFF';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  }
+};
@@ -0,0 +1,127 @@
+import { drawMeshGradientFrame } from './meshGradientCanvas';
+import { rgbToHex } from '../../../utils/colorUtils';
+
+// SVG 근사에서 거리 감쇠 곡선을 나타내는 그라디언트 stop 개수
+const SVG_GRADIENT_STOPS = 6;
+
+/**
+ * 메시 그라디언트를 SVG로 근사
+ * 포인트마다 감쇠 곡선(falloff)을 따라 투명해지는 radialGradient를 겹쳐 그립니다.
+ * 가중 평균을 정확히 재현하지는 않지만 Figma 등에서 편집할 수 있는 벡터 형태를 만듭니다.
+ * 노이즈는 feTurbulence 레이어를 overlay로 겹쳐 표현합니다.
+ *
+ * @param {object} frame
+ * @param {number} frame.width - 너비 (px)
+ * @param {number} frame.height - 높이 (px)
+ * @param {Array} frame.points - 현재 포인트 ({ x, y, color: [r, g, b] }, getFramePoints 결과)
+ * @param {number} frame.maxDistance - 가중치가 0이 되는 거리
+ * @param {string} frame.blendMode - 'radial' | 'linear'
+ * @param {number} frame.falloff - 거리 감쇠 강도
+ * @param {boolean} frame.noiseEnabled - 노이즈 적용 여부
+ * @param {number} frame.noiseIntensity - 노이즈 강도
+ * @param {number} frame.noiseScale - 노이즈 스케일
+ * @returns {string} SVG 마크업
+ */
+export const createMeshGradientSvg = ({
+  width,
+  height,
+  points,
+  maxDistance,
+  blendMode,
+  falloff,
+  noiseEnabled,
+  noiseIntensity,
+  noiseScale,
+}) => {
+  const exponent = blendMode === 'radial' ? falloff : 1;
+  const toHex = (color) => rgbToHex(color[0], color[1], color[2]);
+
+  // 바탕색: 포인트 색상 평균
+  const baseColor = points.length
+    ? toHex([0, 1, 2].map((channel) =>
+        points.reduce((sum, point) => sum + point.color[channel], 0) / points.length
+      ))
+    : '#000000';
+
+  const gradients = points.map((point, index) => {
+    const stops = Array.from({ length: SVG_GRADIENT_STOPS }, (_, stopIndex) => {
+      const offset = stopIndex / (SVG_GRADIENT_STOPS - 1);
+      const opacity = Math.max(0, 1 - Math.pow(offset, exponent));
+      return `<stop offset="${offset.toFixed(2)}" stop-color="${toHex(point.color)}" stop-opacity="${opacity.toFixed(3)}"/>`;
+    }).join('');
+    return `<radialGradient id="mesh-point-${index}" gradientUnits="userSpaceOnUse" cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="${maxDistance.toFixed(1)}">${stops}</radialGradient>`;
+  });
+
+  const noiseFilter = noiseEnabled
+    ? `<filter id="mesh-noise" x="0" y="0" width="100%" height="100%"><feTurbulence type="fractalNoise" baseFrequency="${noiseScale}" numOctaves="1"/><feColorMatrix type="saturate" values="0"/></filter>`
+    : '';
+
+  const layers = [
+    `<rect width="100%" height="100%" fill="${baseColor}"/>`,
+    ...points.map((_, index) => `<rect width="100%" height="100%" fill="url(#mesh-point-${index})"/>`),
+    noiseEnabled
+      ? `<rect width="100%" height="100%" filter="url(#mesh-noise)" opacity="${noiseIntensity}" style="mix-blend-mode:overlay"/>`
+      : '',
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs>${gradients.join('')}${noiseFilter}</defs>`,
+    ...layers.filter(Boolean),
+    '</svg>',
+  ].join('\n');
+};
+
+/**
+ * 메시 그라디언트를 PNG로 렌더링
+ * 화면과 같은 가중치·노이즈 식으로 픽셀 블록 없이(pixelSize 1) 원하는 해상도로 다시 그립니다.
+ *
+ * @param {object} frame - createMeshGradientSvg와 같은 형태의 현재 프레임
+ * @param {object} options
+ * @param {number} options.scale - 화면 크기 대비 배율 [기본값: 2]
+ * @param {number} options.width - 출력 너비 (px, 지정하면 scale 대신 사용) [Optional]
+ * @param {number} options.height - 출력 높이 (px, 없으면 비율 유지) [Optional]
+ * @returns {Promise<Blob>} PNG Blob
+ */
+export const renderMeshGradientPng = (
+  { width, height, points, blendMode, falloff, noiseEnabled, noiseIntensity, noiseScale },
+  { scale = 2, width: targetWidth, height: targetHeight } = {}
+) => {
+  const outputWidth = Math.max(1, Math.round(targetWidth ?? width * scale));
+  const outputHeight = Math.max(
+    1,
+    Math.round(targetHeight ?? (targetWidth ? (height * targetWidth) / width : height * scale))
+  );
+  const scaleX = outputWidth / width;
+  const scaleY = outputHeight / height;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = outputWidth;
+  canvas.height = outputHeight;
+
+  drawMeshGradientFrame(canvas.getContext('2d'), {
+    width: outputWidth,
+    height: outputHeight,
+    points: points.map((point) => ({ x: point.x * scaleX, y: point.y * scaleY, color: point.color })),
+    pixelSize: 1,
+    maxDistance: Math.sqrt(outputWidth * outputWidth + outputHeight * outputHeight) * 0.5,
+    blendMode,
+    falloff,
+    animated: false,
+    positionTime: 0,
+    animateColorShift: false,
+    colorShift: 0,
+    noiseEnabled,
+    noiseIntensity,
+    // 노이즈 무늬가 화면과 같은 위치에 오도록 배율만큼 스케일 보정
+    noiseScale: noiseScale / ((scaleX + scaleY) / 2),
+    showPoints: false,
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('MeshGradientBox: PNG export failed'))),
+      'image/png'
+    );
+  });
+};
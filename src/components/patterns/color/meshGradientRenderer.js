@@ -0,0 +1,260 @@
+// 셰이더가 한 번에 처리하는 최대 포인트 수 (기기의 uniform 한도가 낮으면 더 줄어듦)
+export const MESH_SHADER_MAX_POINTS = 64;
+
+// 포인트 배열 외의 uniform이 차지하는 vec4 슬롯 여유분
+const RESERVED_UNIFORM_VECTORS = 16;
+
+// 화면 전체를 덮는 삼각형 하나 (클립 좌표)
+const FULLSCREEN_TRIANGLE = new Float32Array([-1, -1, 3, -1, -1, 3]);
+
+const VERTEX_SHADER = `
+  attribute vec2 aPosition;
+
+  void main() {
+    gl_Position = vec4(aPosition, 0.0, 1.0);
+  }
+`;
+
+/**
+ * 프래그먼트 셰이더 소스 생성
+ * 캔버스 렌더러(drawMeshGradient)와 같은 가중치·노이즈 식을 픽셀마다 계산합니다.
+ * 포인트 위치와 색상(애니메이션, 색상 시프트 적용 후)은 매 프레임 CPU에서 uniform으로 전달합니다.
+ * @param {number} maxPoints - uniform 배열 크기
+ */
+const createFragmentShader = (maxPoints) => `
+  #ifdef GL_FRAGMENT_PRECISION_HIGH
+  precision highp float;
+  #else
+  precision mediump float;
+  #endif
+
+  #define MAX_POINTS ${maxPoints}
+
+  uniform vec2 uPoints[MAX_POINTS]; // 포인트 위치 (CSS px)
+  uniform vec3 uColors[MAX_POINTS]; // 포인트 색상 (0~1)
+  uniform int uPointCount;
+  uniform float uCanvasHeight; // 캔버스 실제 픽셀 높이
+  uniform float uPixelRatio;
+  uniform float uMaxDistance;
+  uniform float uFalloff;
+  uniform int uBlendMode; // 0: radial, 1: linear
+  uniform float uNoiseIntensity; // 0이면 노이즈 없음
+  uniform float uNoiseScale;
+  uniform float uPointSize; // 0이면 포인트 표시 안 함
+
+  // 해시 기반 값 (0~1)
+  float hash(vec2 p) {
+    return fract(sin(p.x * 12.9898 + p.y * 78.233) * 43758.5453);
+  }
+
+  // 캔버스 렌더러의 noise2D와 같은 식 (-1~1)
+  float noise2D(vec2 p) {
+    vec2 f = p - floor(p);
+    vec2 i = 1.0 - f;
+    return (
+      hash(p) * i.x * i.y +
+      hash(p + vec2(1.0, 0.0)) * f.x * i.y +
+      hash(p + vec2(0.0, 1.0)) * i.x * f.y +
+      hash(p + vec2(1.0, 1.0)) * f.x * f.y
+    ) * 2.0 - 1.0;
+  }
+
+  void main() {
+    // 캔버스 렌더러와 같은 좌표계 (좌상단 원점, CSS px)
+    vec2 p = vec2(gl_FragCoord.x, uCanvasHeight - gl_FragCoord.y) / uPixelRatio;
+    float maxDistanceSquared = uMaxDistance * uMaxDistance;
+
+    vec3 color = vec3(0.0);
+    float totalWeight = 0.0;
+
+    for (int i = 0; i < MAX_POINTS; i++) {
+      if (i >= uPointCount) break;
+
+      vec2 delta = p - uPoints[i];
+      float weight = uBlendMode == 0
+        ? max(0.0, 1.0 - pow(dot(delta, delta) / maxDistanceSquared, uFalloff * 0.5))
+        : max(0.0, 1.0 - length(delta) / uMaxDistance);
+
+      totalWeight += weight;
+      color += uColors[i] * weight;
+    }
+
+    if (totalWeight > 0.0) color /= totalWeight;
+
+    // 노이즈 적용
+    if (uNoiseIntensity > 0.0) {
+      float normalizedNoise = (noise2D(p * uNoiseScale) + 1.0) * 0.5;
+      color *= 1.0 + (normalizedNoise - 0.5) * uNoiseIntensity;
+    }
+    color = clamp(color, 0.0, 1.0);
+
+    // 포인트 위치 표시 (원래 색상 + 밝기에 따른 검은색/흰색 테두리)
+    if (uPointSize > 0.0) {
+      for (int i = 0; i < MAX_POINTS; i++) {
+        if (i >= uPointCount) break;
+
+        float distanceToPoint = length(p - uPoints[i]);
+        if (distanceToPoint <= uPointSize + 0.5) {
+          float brightness = dot(uColors[i], vec3(0.299, 0.587, 0.114));
+          vec3 stroke = brightness > 0.5 ? vec3(0.0) : vec3(1.0);
+          color = distanceToPoint < uPointSize - 0.5 ? uColors[i] : stroke;
+        }
+      }
+    }
+
+    gl_FragColor = vec4(color, 1.0);
+  }
+`;
+
+/**
+ * 셰이더 컴파일
+ * @returns {WebGLShader|null} 실패하면 null
+ */
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    console.warn('MeshGradientBox: shader compile failed', gl.getShaderInfoLog(shader));
+    gl.deleteShader(shader);
+    return null;
+  }
+  return shader;
+};
+
+/**
+ * 셰이더 프로그램 생성
+ * @returns {WebGLProgram|null} 실패하면 null
+ */
+const createProgram = (gl, maxPoints) => {
+  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+  const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, createFragmentShader(maxPoints));
+  if (!vertexShader || !fragmentShader) return null;
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.warn('MeshGradientBox: shader link failed', gl.getProgramInfoLog(program));
+    gl.deleteProgram(program);
+    return null;
+  }
+  return program;
+};
+
+/**
+ * MeshGradientBox용 WebGL 렌더러 생성
+ * 캔버스 렌더러와 달리 픽셀 블록 없이 모든 픽셀을 GPU에서 계산합니다.
+ *
+ * @param {HTMLCanvasElement} canvas - 렌더링할 캔버스 (2D 컨텍스트를 만든 적 없는 캔버스)
+ *   WebGL 컨텍스트를 얻은 캔버스는 2D로 되돌릴 수 없으므로, 실패 후 캔버스 렌더러로 전환할 때는 새 캔버스를 사용해야 합니다.
+ * @returns {object|null} { maxPoints, render, dispose }, WebGL을 사용할 수 없으면 null
+ *
+ * Example usage:
+ * const renderer = createMeshGradientRenderer(canvas);
+ * renderer?.render({ points, pixelRatio: 2, maxDistance: 400, blendMode: 'radial', falloff: 1.5 });
+ */
+export const createMeshGradientRenderer = (canvas) => {
+  let gl = null;
+  try {
+    gl = canvas.getContext('webgl', { antialias: false, depth: false, stencil: false });
+  } catch {
+    gl = null;
+  }
+  if (!gl) return null;
+
+  const maxPoints = Math.min(
+    MESH_SHADER_MAX_POINTS,
+    Math.floor((gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS) - RESERVED_UNIFORM_VECTORS) / 2)
+  );
+  const program = maxPoints > 0 ? createProgram(gl, maxPoints) : null;
+  if (!program) return null;
+
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, FULLSCREEN_TRIANGLE, gl.STATIC_DRAW);
+
+  const positionLocation = gl.getAttribLocation(program, 'aPosition');
+  gl.enableVertexAttribArray(positionLocation);
+  gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+  const uniforms = [
+    'uPoints',
+    'uColors',
+    'uPointCount',
+    'uCanvasHeight',
+    'uPixelRatio',
+    'uMaxDistance',
+    'uFalloff',
+    'uBlendMode',
+    'uNoiseIntensity',
+    'uNoiseScale',
+    'uPointSize',
+  ].reduce((locations, name) => ({ ...locations, [name]: gl.getUniformLocation(program, name) }), {});
+
+  // 매 프레임 재사용하는 uniform 버퍼
+  const positions = new Float32Array(maxPoints * 2);
+  const colors = new Float32Array(maxPoints * 3);
+
+  return {
+    maxPoints,
+
+    /**
+     * 한 프레임 그리기
+     * @param {object} frame
+     * @param {Array} frame.points - 현재 위치·색상 ({ x, y, color: [r, g, b] (0~255) })
+     * @param {number} frame.pixelRatio - 캔버스 픽셀 / CSS px
+     * @param {number} frame.maxDistance - 가중치가 0이 되는 거리 (CSS px)
+     * @param {string} frame.blendMode - 'radial' | 'linear'
+     * @param {number} frame.falloff - 거리 감쇠 강도
+     * @param {number} frame.noiseIntensity - 노이즈 강도 (0이면 노이즈 없음)
+     * @param {number} frame.noiseScale - 노이즈 스케일
+     * @param {number} frame.pointSize - 포인트 표시 크기 (0이면 표시 안 함)
+     */
+    render({
+      points,
+      pixelRatio,
+      maxDistance,
+      blendMode,
+      falloff,
+      noiseIntensity = 0,
+      noiseScale = 0,
+      pointSize = 0,
+    }) {
+      const count = Math.min(points.length, maxPoints);
+      for (let i = 0; i < count; i++) {
+        positions[i * 2] = points[i].x;
+        positions[i * 2 + 1] = points[i].y;
+        colors[i * 3] = points[i].color[0] / 255;
+        colors[i * 3 + 1] = points[i].color[1] / 255;
+        colors[i * 3 + 2] = points[i].color[2] / 255;
+      }
+
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.useProgram(program);
+      gl.uniform2fv(uniforms.uPoints, positions);
+      gl.uniform3fv(uniforms.uColors, colors);
+      gl.uniform1i(uniforms.uPointCount, count);
+      gl.uniform1f(uniforms.uCanvasHeight, canvas.height);
+      gl.uniform1f(uniforms.uPixelRatio, pixelRatio);
+      gl.uniform1f(uniforms.uMaxDistance, Math.max(maxDistance, 1));
+      gl.uniform1f(uniforms.uFalloff, falloff);
+      gl.uniform1i(uniforms.uBlendMode, blendMode === 'linear' ? 1 : 0);
+      gl.uniform1f(uniforms.uNoiseIntensity, noiseIntensity);
+      gl.uniform1f(uniforms.uNoiseScale, noiseScale);
+      gl.uniform1f(uniforms.uPointSize, pointSize);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+    },
+
+    // GPU 자원 해제 (컨텍스트는 캔버스가 다시 쓸 수 있도록 유지)
+    dispose() {
+      gl.deleteBuffer(buffer);
+      gl.deleteProgram(program);
+    },
+  };
+};
@@ -4,6 +4,7 @@ import { Box, Grid } from '@mui/material';
 import { useAnimation, useInView } from 'framer-motion';
 import { motion as Motion } from 'framer-motion';
 import { useEffect, useRef } from 'react';
+import { withPropValidation } from '../../../utils/propValidation';
 
 /**
  * AlternatingSlideGrid 컴포넌트
@@ -166,4 +167,4 @@ AlternatingSlideGrid.propTypes = {
   sx: PropTypes.object
 };
 
-export default AlternatingSlideGrid; 
\ No newline at end of file
+export default withPropValidation(AlternatingSlideGrid, 'AlternatingSlideGrid');
\ No newline at end of file
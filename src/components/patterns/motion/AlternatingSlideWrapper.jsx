@@ -4,6 +4,7 @@ import { Box, Grid } from '@mui/material';
 import { useAnimation, useInView } from 'framer-motion';
 import { motion as Motion } from 'framer-motion';
 import { useEffect, useRef } from 'react';
+import { withPropValidation } from '../../../utils/propValidation';
 
 /**
  * AlternatingSlideWrapper 컴포넌트
@@ -150,4 +151,4 @@ AlternatingSlideWrapper.propTypes = {
   sx: PropTypes.object
 };
 
-export default AlternatingSlideWrapper; 
\ No newline at end of file
+export default withPropValidation(AlternatingSlideWrapper, 'AlternatingSlideWrapper');
\ No newline at end of file
@@ -2,6 +2,9 @@ import React, { useState, useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 import { Box, Grid } from "@mui/material";
 import { AnimatePresence, motion as Motion } from "framer-motion";
+import { withPropValidation } from "../../../utils/propValidation";
+import useSeed from "../../../hooks/useSeed";
+import { createRandom } from "../../../utils/seededRandom";
 
 /**
  * DynamicSortGrid 컴포넌트
@@ -23,6 +26,7 @@ import { AnimatePresence, motion as Motion } from "framer-motion";
  * @param {object} gridProps - MUI Grid container에 전달할 props [Optional]
  * @param {number} animationDuration - 애니메이션 지속 시간(ms) [Optional, 기본값: 500]
  * @param {number} maxRandomDelay - 최대 랜덤 딜레이(ms) [Optional, 기본값: 200]
+ * @param {string|number} seed - 아이템별 랜덤 딜레이를 재현하는 시드. 없으면 SeedProvider 값, 그것도 없으면 매번 무작위 [Optional]
  * @param {object} exitStyle - 아이템 퇴장 스타일 [Optional]
  * @param {object} enterStyle - 아이템 진입 스타일 [Optional]
  * @param {number} columns - 그리드 열 수 [Optional, 기본값: 12]
@@ -58,8 +62,10 @@ function DynamicSortGrid({
   exitStyle = { opacity: 0, scale: 0.8, y: 50 },
   enterStyle = { opacity: 0, scale: 0.8, y: 50 },
   columns = 12,
+  seed,
   sx = {}
 }) {
+  const resolvedSeed = useSeed(seed);
   const [renderedItems, setRenderedItems] = useState([]);
   const [containerHeight, setContainerHeight] = useState("auto");
   const containerRef = useRef(null);
@@ -151,10 +157,11 @@ function DynamicSortGrid({
   };
 
   // 🎯 STEP 4: 애니메이션 지연 시간 계산 - 자연스러운 순차 움직임 생성
-  const getRandomDelay = () => {
+  const getRandomDelay = (itemKey) => {
     // 0~maxRandomDelay 사이 랜덤 값 반환
     // 모든 아이템이 동시에 움직이지 않고 물결 효과 생성
-    return Math.random() * maxRandomDelay;
+    // seed가 있으면 아이템 키별로 고정된 값 (재정렬할 때마다 같은 물결)
+    return createRandom(resolvedSeed, "DynamicSortGrid", itemKey)() * maxRandomDelay;
   };
 
   return (
@@ -202,7 +209,7 @@ function DynamicSortGrid({
                   stiffness: 300, // 용수철 강성 (빠르기)
                   damping: 30,    // 감쇠 (바운스 정도)
                   duration: animationDuration / 1000, // 기본 지속 시간
-                  delay: getRandomDelay() / 1000 // 🌊 랜덤 딜레이로 물결 효과
+                  delay: getRandomDelay(componentItem[keyField]) / 1000 // 🌊 랜덤 딜레이로 물결 효과
                 }}
                 style={{ width: "100%", height: "100%" }}
               >
@@ -226,10 +233,11 @@ DynamicSortGrid.propTypes = {
   gridProps: PropTypes.object,
   animationDuration: PropTypes.number,
   maxRandomDelay: PropTypes.number,
+  seed: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   exitStyle: PropTypes.object,
   enterStyle: PropTypes.object,
   columns: PropTypes.number,
   sx: PropTypes.object
 };
 
-export default DynamicSortGrid; 
\ No newline at end of file
+export default withPropValidation(DynamicSortGrid, "DynamicSortGrid");
\ No newline at end of file
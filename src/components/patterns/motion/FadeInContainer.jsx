@@ -3,6 +3,7 @@ import PropTypes from "prop-types";
 import { motion, useAnimation } from "framer-motion";
 // import { useLocation } from "react-router-dom";
 import useIsInView from "../../../hooks/useIsInView";
+import { withPropValidation } from "../../../utils/propValidation";
 
 /**
  * FadeInContainer 컴포넌트 (실제 뷰포트 감지 방식)
@@ -127,4 +128,4 @@ FadeInContainer.propTypes = {
   className: PropTypes.string,
 };
 
-export default FadeInContainer;
+export default withPropValidation(FadeInContainer, "FadeInContainer");
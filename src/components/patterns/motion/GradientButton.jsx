@@ -1,6 +1,7 @@
 import React, { useEffect, useRef } from "react";
 import PropTypes from "prop-types";
 import { Button, Box } from "@mui/material";
+import { withPropValidation } from "../../../utils/propValidation";
 /**
  * GradientButton 컴포넌트
  * CTA를 유도하기 위한 방향성 있는 그라데이션 배경이 적용된 버튼 (Linear Gradient 전용)
@@ -227,5 +228,5 @@ GradientButton.propTypes = {
 	disabled: PropTypes.bool,
 };
 
-export default GradientButton;
+export default withPropValidation(GradientButton, "GradientButton");
  
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useState } from "react";
 import PropTypes from "prop-types";
 import { Box } from "@mui/material";
+import { withPropValidation } from "../../../utils/propValidation";
 
 /**
  * StickyContainer 컴포넌트
@@ -141,4 +142,4 @@ StickyContainer.propTypes = {
   children: PropTypes.node.isRequired,
 };
 
-export default StickyContainer;
+export default withPropValidation(StickyContainer, "StickyContainer");
@@ -3,6 +3,7 @@ import { Box } from '@mui/material';
 import PropTypes from 'prop-types';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { withPropValidation } from '../../../utils/propValidation';
 
 // GSAP 플러그인 등록
 if (typeof window !== "undefined") {
@@ -228,4 +229,4 @@ PinnedScrollTransition.propTypes = {
   fadeRatio: PropTypes.number,
 };
 
-export default PinnedScrollTransition; 
\ No newline at end of file
+export default withPropValidation(PinnedScrollTransition, 'PinnedScrollTransition');
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useEffect } from "react";
 import PropTypes from "prop-types";
 import { Box } from "@mui/material";
+import { withPropValidation } from "../../../utils/propValidation";
 
 /**
  * 스크롤에 따라 clip-path 마스킹 효과로 섹션 전환을 보여주는 컴포넌트
@@ -156,4 +157,4 @@ ScrollSectionWithWipe.propTypes = {
   children: PropTypes.node.isRequired,
 };
 
-export default ScrollSectionWithWipe; 
\ No newline at end of file
+export default withPropValidation(ScrollSectionWithWipe, "ScrollSectionWithWipe");
\ No newline at end of file
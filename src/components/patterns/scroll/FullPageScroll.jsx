@@ -1,8 +1,96 @@
-import React, { useState, useEffect, useRef, useCallback } from "react";
+import React, { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import PropTypes from "prop-types";
-import { Box } from "@mui/material";
+import { Box, Tooltip } from "@mui/material";
 import { motion, AnimatePresence } from "framer-motion";
 import { useTheme } from "@mui/material/styles";
+import { useInRouterContext, useNavigate } from "react-router-dom";
+import { withPropValidation } from "../../../utils/propValidation";
+
+// 도트 툴팁 위치 (도트 바깥쪽이 아닌 화면 안쪽)
+const DOT_TOOLTIP_PLACEMENT = {
+  right: "left",
+  left: "right",
+  bottom: "top",
+  top: "bottom",
+};
+
+/**
+ * 섹션별 URL 슬러그 목록
+ * @param {number} count - 섹션 개수
+ * @param {array} sectionItems - 섹션 네비게이션 정보 ({ slug?, sectionId? })
+ * @returns {Array<string>} slug, 없으면 sectionId, 그것도 없으면 1부터 시작하는 번호
+ */
+const getSectionSlugs = (count, sectionItems) =>
+  Array.from({ length: count }, (_, index) => {
+    const item = sectionItems?.[index];
+    return item?.slug ?? item?.sectionId ?? String(index + 1);
+  });
+
+/**
+ * 경로 모드의 기준 경로
+ * 지정하지 않으면 현재 경로를 사용하되, 마지막 경로가 섹션 슬러그면 제외합니다.
+ * @param {string} basePath - 지정한 기준 경로
+ * @param {Array<string>} slugs - 섹션 슬러그 목록
+ */
+const resolveBasePath = (basePath, slugs) => {
+  if (basePath) return basePath;
+
+  const segments = window.location.pathname.split("/");
+  const lastSegment = decodeURIComponent(segments[segments.length - 1]);
+  return slugs.includes(lastSegment)
+    ? segments.slice(0, -1).join("/") || "/"
+    : window.location.pathname;
+};
+
+/**
+ * 현재 URL이 가리키는 섹션 슬러그
+ * @param {string} mode - 'hash' | 'path'
+ * @param {string} basePath - 경로 모드의 기준 경로
+ * @returns {string|null} 슬러그
+ */
+const readUrlSlug = (mode, basePath) => {
+  if (mode === "hash") {
+    return decodeURIComponent(window.location.hash.slice(1)) || null;
+  }
+
+  const prefix = `${basePath.replace(/\/$/, "")}/`;
+  const { pathname } = window.location;
+  if (!pathname.startsWith(prefix)) return null;
+  return decodeURIComponent(pathname.slice(prefix.length).split("/")[0]) || null;
+};
+
+/**
+ * 섹션 슬러그를 담은 URL
+ * @param {string} mode - 'hash' | 'path'
+ * @param {string} basePath - 경로 모드의 기준 경로
+ * @param {string} slug - 섹션 슬러그
+ */
+const buildSectionUrl = (mode, basePath, slug) => {
+  const { pathname, search } = window.location;
+  const encodedSlug = encodeURIComponent(slug);
+
+  return mode === "hash"
+    ? `${pathname}${search}#${encodedSlug}`
+    : `${basePath.replace(/\/$/, "")}/${encodedSlug}${search}`;
+};
+
+/**
+ * 라우터 안에서 섹션 URL을 react-router의 navigate로 바꾸기 위한 컴포넌트
+ * history API를 직접 호출하면 라우터의 location이 다음 popstate까지 갱신되지 않습니다.
+ * @param {object} navigateRef - navigate 함수를 담을 ref
+ */
+function RouterNavigateBridge({ navigateRef }) {
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    navigateRef.current = navigate;
+    return () => {
+      navigateRef.current = null;
+    };
+  }, [navigate, navigateRef]);
+
+  return null;
+}
 
 /**
  * FullPageScroll 컴포넌트
@@ -25,6 +113,14 @@ import { useTheme } from "@mui/material/styles";
  * @param {function} onSectionChange - 섹션 변경 시 호출되는 콜백 함수 [Optional]
  * @param {object} sx - 추가 스타일 객체 [Optional]
  * @param {boolean} loop - 마지막 섹션에서 첫 번째 섹션으로 루프 [Optional, 기본값: false]
+ * @param {array} sectionItems - children과 같은 순서의 섹션 네비게이션 정보 ({ sectionId, label, visible, slug }), 도트 툴팁·접근성 이름에 사용하고 visible이 false면 도트 숨김 [Optional]
+ *   - 사이트 섹션은 sectionsData의 getSectionNavItems()로 만듭니다.
+ * @param {string} urlSync - 현재 섹션을 URL과 동기화 ('hash' | 'path'), 지정하지 않으면 동기화하지 않음 [Optional]
+ *   - 섹션 슬러그는 sectionItems의 slug(없으면 sectionId, 그것도 없으면 1부터 시작하는 번호)를 사용합니다.
+ *   - 섹션을 넘길 때마다 방문 기록이 추가되어 브라우저 뒤로/앞으로 가기로 섹션을 오갑니다.
+ *   - 처음 들어온 주소는 섹션을 넘기기 전까지 바꾸지 않으며, 라우터 안에서는 react-router의 navigate로 주소를 바꿉니다.
+ *   - 슬러그가 있는 주소로 들어오면 앞 섹션들을 거치는 애니메이션 없이 해당 섹션에서 시작합니다.
+ * @param {string} basePath - 'path' 모드에서 슬러그 앞에 붙는 경로, 라우터가 basePath/* 경로를 이 페이지로 연결해야 함 [Optional, 기본값: 현재 경로]
  *
  * Example usage:
  * <FullPageScroll
@@ -39,6 +135,12 @@ import { useTheme } from "@mui/material/styles";
  *   <Section2 />
  *   <Section3 />
  * </FullPageScroll>
+ *
+ * // URL 해시 동기화 (#intro, #features ...)
+ * <FullPageScroll urlSync="hash" sectionItems={[{ slug: 'intro' }, { slug: 'features' }]}>
+ *   <Section1 />
+ *   <Section2 />
+ * </FullPageScroll>
  */
 function FullPageScroll({
   children,
@@ -55,9 +157,35 @@ function FullPageScroll({
   onSectionChange,
   sx = {},
   loop = false,
+  sectionItems,
+  urlSync,
+  basePath,
 }) {
   const theme = useTheme();
-  const [currentSection, setCurrentSection] = useState(currentSectionIndex || 0);
+
+  // 자식 요소들을 배열로 변환
+  const sections = React.Children.toArray(children);
+  const totalSections = sections.length;
+
+  // URL 동기화용 섹션 슬러그 (sectionItems가 새 배열이어도 내용이 같으면 유지)
+  const slugsKey = getSectionSlugs(totalSections, sectionItems).join("\n");
+  const slugs = useMemo(() => slugsKey.split("\n"), [slugsKey]);
+  const [mountBasePath] = useState(() =>
+    urlSync === "path" ? resolveBasePath(basePath, slugs) : null
+  );
+  const activeBasePath = basePath || mountBasePath;
+
+  // 슬러그 없는 주소(처음 들어온 주소 등)가 가리키는 섹션
+  const [defaultSection] = useState(currentSectionIndex || 0);
+
+  // URL에 섹션 슬러그가 있으면 해당 섹션에서 바로 시작
+  const [currentSection, setCurrentSection] = useState(() => {
+    if (urlSync) {
+      const urlIndex = slugs.indexOf(readUrlSlug(urlSync, activeBasePath));
+      if (urlIndex >= 0) return urlIndex;
+    }
+    return defaultSection;
+  });
   const [isAnimating, setIsAnimating] = useState(false);
   const containerRef = useRef(null);
   const touchStartRef = useRef({ x: 0, y: 0 });
@@ -75,10 +203,6 @@ function FullPageScroll({
     isAnimatingRef.current = isAnimating;
   }, [isAnimating]);
 
-  // 자식 요소들을 배열로 변환
-  const sections = React.Children.toArray(children);
-  const totalSections = sections.length;
-
   /**
    * ===========================================
    * 🎯 도트 네비게이션을 통한 직접 섹션 이동
@@ -450,6 +574,70 @@ function FullPageScroll({
     ]
   );
 
+  /**
+   * ===========================================
+   * 🔗 URL 동기화 (urlSync 사용 시)
+   * ===========================================
+   * 섹션이 바뀌면 URL을 갱신하고, 브라우저 뒤로/앞으로 가기로 바뀐 URL을 섹션에 반영합니다.
+   */
+
+  // 라우터 안이면 navigate로 주소를 바꿔 라우터의 location과 맞춤
+  const isInRouter = useInRouterContext();
+  const navigateRef = useRef(null);
+
+  // 현재 URL이 가리키는 섹션 - 처음 들어온 주소는 섹션을 넘기기 전까지 그대로 둠 (라우트가 없는 주소로 바뀌지 않도록)
+  const urlSectionRef = useRef(currentSection);
+
+  useEffect(() => {
+    if (!urlSync || currentSection === urlSectionRef.current) return;
+    urlSectionRef.current = currentSection;
+
+    const sectionUrl = buildSectionUrl(urlSync, activeBasePath, slugs[currentSection]);
+    const { pathname, search, hash } = window.location;
+    if (sectionUrl === `${pathname}${search}${hash}`) return;
+
+    if (navigateRef.current) {
+      navigateRef.current(sectionUrl);
+    } else {
+      window.history.pushState(window.history.state, "", sectionUrl);
+    }
+  }, [urlSync, activeBasePath, slugs, currentSection]);
+
+  // 애니메이션 중에 뒤로/앞으로 가기로 바뀐 URL의 섹션 (애니메이션이 끝나면 이동)
+  const pendingUrlIndexRef = useRef(null);
+
+  // 뒤로/앞으로 가기 - URL이 가리키는 섹션을 먼저 기록해 두어 위 effect가 기록을 추가하지 않음
+  useEffect(() => {
+    if (!urlSync) return;
+
+    const handlePopState = () => {
+      // 슬러그가 없으면 처음 들어온 주소로 돌아온 것으로 보고 시작 섹션으로 이동
+      const urlSlug = readUrlSlug(urlSync, activeBasePath);
+      const urlIndex = urlSlug === null ? defaultSection : slugs.indexOf(urlSlug);
+      if (urlIndex < 0) return;
+      urlSectionRef.current = urlIndex;
+
+      // goToSection은 애니메이션 중 입력을 무시하므로, 연속으로 누른 경우 마지막 URL만 남겨 두었다가 반영
+      if (isAnimatingRef.current) {
+        pendingUrlIndexRef.current = urlIndex;
+        return;
+      }
+      goToSection(urlIndex);
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [urlSync, activeBasePath, slugs, defaultSection, goToSection]);
+
+  // 애니메이션이 끝나면 대기 중인 URL 섹션으로 이동해 화면과 URL을 맞춤
+  useEffect(() => {
+    if (isAnimating || pendingUrlIndexRef.current === null) return;
+
+    const urlIndex = pendingUrlIndexRef.current;
+    pendingUrlIndexRef.current = null;
+    goToSection(urlIndex);
+  }, [isAnimating, goToSection]);
+
   // 기본 스크롤 차단
   useEffect(() => {
     // body와 html의 스크롤 차단
@@ -601,9 +789,12 @@ function FullPageScroll({
       }}
       tabIndex={0}
     >
+      {urlSync && isInRouter && <RouterNavigateBridge navigateRef={navigateRef} />}
+
       {/* 섹션 컨테이너 */}
       <Box
         component={motion.div}
+        initial={false}
         animate={{
           transform: getTransformValue(),
         }}
@@ -636,30 +827,45 @@ function FullPageScroll({
       {/* 네비게이션 도트 */}
       {showDots && (
         <Box sx={getDotsPosition()}>
-          {sections.map((_, index) => (
-            <Box
-              key={index}
-              onClick={() => goToSection(index)}
-              sx={{
-                width: 12,
-                height: 12,
-                borderRadius: "50%",
-                backgroundColor:
-                  currentSection === index
-                    ? dotsColor || theme.palette.primary.main
-                    : theme.palette.action.disabled,
-                cursor: "pointer",
-                transition: "all 0.3s ease",
-                "&:hover": {
-                  backgroundColor:
-                    currentSection === index
-                      ? theme.palette.primary.dark
-                      : theme.palette.action.hover,
-                  transform: "scale(1.2)",
-                },
-              }}
-            />
-          ))}
+          {sections.map((_, index) => {
+            const item = sectionItems?.[index];
+            if (item?.visible === false) return null;
+
+            const label = item?.label ?? `Section ${index + 1}`;
+
+            return (
+              <Tooltip
+                key={item?.sectionId ?? index}
+                title={item?.label ?? ""}
+                placement={DOT_TOOLTIP_PLACEMENT[dotsPosition]}
+              >
+                <Box
+                  role="button"
+                  aria-label={label}
+                  aria-current={currentSection === index ? "true" : undefined}
+                  onClick={() => goToSection(index)}
+                  sx={{
+                    width: 12,
+                    height: 12,
+                    borderRadius: "50%",
+                    backgroundColor:
+                      currentSection === index
+                        ? dotsColor || theme.palette.primary.main
+                        : theme.palette.action.disabled,
+                    cursor: "pointer",
+                    transition: "all 0.3s ease",
+                    "&:hover": {
+                      backgroundColor:
+                        currentSection === index
+                          ? theme.palette.primary.dark
+                          : theme.palette.action.hover,
+                      transform: "scale(1.2)",
+                    },
+                  }}
+                />
+              </Tooltip>
+            );
+          })}
         </Box>
       )}
     </Box>
@@ -681,6 +887,16 @@ FullPageScroll.propTypes = {
   onSectionChange: PropTypes.func,
   sx: PropTypes.object,
   loop: PropTypes.bool,
+  sectionItems: PropTypes.arrayOf(
+    PropTypes.shape({
+      sectionId: PropTypes.string,
+      label: PropTypes.string,
+      visible: PropTypes.bool,
+      slug: PropTypes.string,
+    })
+  ),
+  urlSync: PropTypes.oneOf(["hash", "path"]),
+  basePath: PropTypes.string,
 };
 
-export default FullPageScroll;
+export default withPropValidation(FullPageScroll, "FullPageScroll");
@@ -3,6 +3,7 @@ import { Box, Typography } from '@mui/material';
 import PropTypes from 'prop-types';
 import gsap from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import useScrollContainer from '../../../hooks/useScrollContainer';
 
 // GSAP ScrollTrigger 플러그인 등록
 gsap.registerPlugin(ScrollTrigger);
@@ -30,6 +31,30 @@ const MotionBlurFilter = () => (
  * 세로 스크롤 중에 가로 스크롤 하이재킹을 구현하는 컴포넌트
  * children을 가로로 배치하고, 스크롤 시 가로 방향으로 이동하도록 구현
  * Lenis와 GSAP ScrollTrigger를 함께 사용
+ *
+ * Props:
+ * @param {node} children - 가로로 나열할 아이템들 [Required]
+ * @param {string} height - 섹션 높이 [Optional, 기본값: '100vh']
+ * @param {string} backgroundColor - 섹션 배경 색상 [Optional]
+ * @param {string} sectionTitle - 섹션 제목 [Optional]
+ * @param {number} scrubValue - 스크롤 감도, 값이 클수록 스크롤이 더 부드러움 [Optional, 기본값: 1]
+ * @param {number} gap - 각 아이템 사이의 간격(px) [Optional, 기본값: 20]
+ * @param {boolean} indicators - 개발 모드에서 스크롤 트리거 마커 표시 여부 [Optional, 기본값: false]
+ * @param {boolean} preventOverlap - 다른 스크롤 트리거와의 겹침 방지 [Optional, 기본값: true]
+ * @param {number} scrollEndOffset - 스크롤 종료 시 추가 공간(%) [Optional, 기본값: 0]
+ * @param {string} itemWidth - 아이템 너비 [Optional, 기본값: '60%']
+ * @param {number} visibleItems - 한 화면에 보이는 아이템 수 [Optional, 기본값: 1.5]
+ * @param {number} sidePaddingRatio - 화면 너비 대비 양쪽 여백 비율 [Optional, 기본값: 0.05]
+ * @param {number} transitionDuration - 배경 투명도 트랜지션 시간(초) [Optional, 기본값: 0.5]
+ * @param {boolean} enableMotionBlur - 모션 블러 활성화 여부 [Optional, 기본값: true]
+ * @param {number} motionBlurIntensity - 모션 블러 강도 배율 [Optional, 기본값: 1.0]
+ * @param {string|object} scroller - 스크롤 컨테이너 ("auto": ScrollProvider 컨테이너 또는 자동 감지, Element: 지정 요소, null: window) [Optional, 기본값: 'auto']
+ *
+ * Example usage:
+ * <HorizontalScrollSection itemWidth="50%" gap={32}>
+ *   <Card />
+ *   <Card />
+ * </HorizontalScrollSection>
  */
 function HorizontalScrollSection({ 
   children, 
@@ -47,7 +72,7 @@ function HorizontalScrollSection({
   transitionDuration = 0.5, // 배경 투명도 트랜지션 시간 (초)
   enableMotionBlur = true, // 모션 블러 활성화 여부
   motionBlurIntensity = 1.0, // 모션 블러 강도 배율
-  scroller = "auto", // 스크롤 컨테이너 ("auto": 자동감지, Element: 지정요소, null: window)
+  scroller = "auto", // 스크롤 컨테이너 ("auto": ScrollProvider 컨테이너 또는 자동감지, Element: 지정요소, null: window)
 }) {
   const sectionRef = useRef(null);
   const containerRef = useRef(null);
@@ -60,10 +85,17 @@ function HorizontalScrollSection({
   // 🔥 현재 크기와 스크롤 상태 추적
   const currentSizeRef = useRef({ width: 0, height: 0 });
   const scrollTriggerRef = useRef(null);
+  // ScrollProvider에 등록된 스크롤 컨테이너 (window 스크롤이면 null)
+  const { scroller: providerScroller } = useScrollContainer();
 
   // 가장 가까운 스크롤 컨테이너 자동 감지 함수
   const findNearestScrollContainer = useCallback((element) => {
     if (scroller === "auto") {
+      // ScrollProvider 컨테이너 안에 있으면 추측하지 않고 그대로 사용
+      if (providerScroller?.contains(element)) {
+        return providerScroller;
+      }
+
       // 자동 감지: 가장 가까운 스크롤 가능한 부모 요소 찾기
       let current = element?.parentElement;
       while (current && current !== document.body) {
@@ -86,7 +118,7 @@ function HorizontalScrollSection({
     // 명시적으로 지정된 경우
     console.log('🎯 Using specified scroller:', scroller);
     return scroller;
-  }, [scroller]);
+  }, [scroller, providerScroller]);
 
   // ScrollTrigger 초기화 및 청소
   const initScrollTrigger = useCallback(() => {
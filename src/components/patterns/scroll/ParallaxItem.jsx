@@ -1,6 +1,7 @@
 import React, { useContext, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { ParallaxContext } from './ParallaxContainer';
+import { withPropValidation } from '../../../utils/propValidation';
 
 /**
  * 개별 요소에 커스텀 패럴랙스 효과를 적용하는 컴포넌트
@@ -57,4 +58,4 @@ ParallaxItem.propTypes = {
   style: PropTypes.object
 };
 
-export default ParallaxItem; 
\ No newline at end of file
+export default withPropValidation(ParallaxItem, 'ParallaxItem');
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useContext } from 'react';
 import PropTypes from 'prop-types';
 import { ParallaxContext } from './ParallaxContainer';
+import { withPropValidation } from '../../../utils/propValidation';
 
 /**
  * 패럴랙스 효과가 적용된 레이어 컴포넌트
@@ -55,4 +56,4 @@ ParallaxLayer.propTypes = {
   style: PropTypes.object
 };
 
-export default ParallaxLayer; 
\ No newline at end of file
+export default withPropValidation(ParallaxLayer, 'ParallaxLayer');
\ No newline at end of file
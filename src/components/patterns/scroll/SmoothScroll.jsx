@@ -4,6 +4,7 @@ import useLenisScroll from '../../../hooks/useLenisScroll';
 
 /**
  * 부드러운 스크롤 효과를 적용하는 컴포넌트
+ * 동작 줄이기(prefers-reduced-motion) 설정 시에는 기본 스크롤을 사용합니다.
  * 
  * Props:
  * @param {React.ReactNode} children - 스크롤 컨테이너에 포함될 요소들 [Required]
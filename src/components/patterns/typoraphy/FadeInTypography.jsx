@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useState } from 'react';
 import { Typography, Box } from '@mui/material';
 import PropTypes from 'prop-types';
 import useIsInView from '../../../hooks/useIsInView';
+import { withPropValidation } from '../../../utils/propValidation';
 
 /**
  * 문장을 단어별로 순차적으로 나타나게 하는 Typography 컴포넌트
@@ -169,4 +170,4 @@ FadeInTypography.propTypes = {
   sx: PropTypes.object,
 };
 
-export default FadeInTypography; 
\ No newline at end of file
+export default withPropValidation(FadeInTypography, 'FadeInTypography');
\ No newline at end of file
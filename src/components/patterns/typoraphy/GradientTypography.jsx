@@ -1,13 +1,14 @@
 import React, { useRef, useState, useEffect } from "react";
 import { Typography, Box } from "@mui/material";
 import PropTypes from "prop-types";
+import { getPalette } from "../../../data/gradientPalettes";
 
 /**
  * 텍스트에 그라데이션을 적용하는 Typography 컴포넌트
  *
  * Props:
  * @param {string} text - 표시할 텍스트 내용 [Required]
- * @param {string|array} gradient - 그라데이션 색상 (단일 문자열 또는 색상 배열) [Required]
+ * @param {string|array} gradient - 그라데이션 색상 (팔레트 id(data/gradientPalettes), CSS 색상·그라데이션 문자열 또는 색상 배열) [Required]
  * @param {number} angle - 그라데이션 각도 (도 단위, 0-360) [Optional, 기본값: 0]
  * @param {string} variant - Typography 변형 (h1, h2, body1 등) [Optional, 기본값: 'body1']
  * @param {number} animationSpeed - 애니메이션 속도 (초 단위) [Optional, 기본값: 3]
@@ -21,6 +22,7 @@ import PropTypes from "prop-types";
  *   angle={45}
  *   animationSpeed={2}
  * />
+ * <GradientTypography text="팔레트 텍스트" gradient="sunsetGlow" variant="h2" />
  */
 function GradientTypography({
   text,
@@ -66,6 +68,10 @@ function GradientTypography({
     return rgbToHex(r, g, b);
   };
 
+  // 팔레트 id면 팔레트 색상 배열로 변환
+  const gradientColors =
+    typeof gradient === "string" ? getPalette(gradient)?.colors ?? gradient : gradient;
+
   // 그라데이션 문자열 생성
   const getGradientString = (colors) => {
     // 색상이 배열인 경우 처리
@@ -186,7 +192,7 @@ function GradientTypography({
         <Typography
           variant={variant}
           sx={{
-            backgroundImage: getGradientString(gradient),
+            backgroundImage: getGradientString(gradientColors),
             backgroundClip: "text",
             WebkitBackgroundClip: "text",
             color: "transparent",
@@ -1,6 +1,9 @@
 import React, { useRef, useEffect, useState } from "react";
 import { Box, Typography } from "@mui/material";
 import useIsInView from "../../../hooks/useIsInView";
+import { withPropValidation } from "../../../utils/propValidation";
+import useSeed from "../../../hooks/useSeed";
+import { createRandom } from "../../../utils/seededRandom";
 
 /**
  * 텍스트 스크램블 효과 컴포넌트
@@ -17,6 +20,7 @@ import useIsInView from "../../../hooks/useIsInView";
  * @param {boolean} useViewportTrigger - 뷰포트 감지 사용 여부 [Optional, 기본값: false]
  * @param {number} viewportThreshold - 뷰포트 감지 임계값 (0~1) [Optional, 기본값: 0.3]
  * @param {boolean} autoHeight - 자동 높이 조정 여부 [Optional, 기본값: false]
+ * @param {string|number} seed - 스크램블 문자 순서를 재현하는 시드. 없으면 SeedProvider 값, 그것도 없으면 매번 무작위 [Optional]
  *
  * Example usage:
  * <ScrambleText text="Hello Designers" variant="h2" startDelay={1000} useViewportTrigger={true} />
@@ -33,28 +37,34 @@ function ScrambleText({
   useViewportTrigger = false,
   viewportThreshold = 0.3,
   autoHeight = false,
+  seed,
 }) {
+  const resolvedSeed = useSeed(seed);
+
   // 뷰포트 감지 훅
   const [viewportRef, isInView] = useIsInView({
     threshold: viewportThreshold,
     triggerOnce: true,
   });
 
+  // 스크램블 한 번(초기 문자 + 복원 과정)에 쓸 난수 함수 - 같은 seed와 text면 같은 순서
+  const createScrambleRandom = () => createRandom(resolvedSeed, "ScrambleText", text);
+
   // 초기 상태를 랜덤 스크램블 문자들로 설정
-  const getInitialScrambledText = () => {
+  const getInitialScrambledText = (random = createScrambleRandom()) => {
     return text
       .split("")
       .map(
-        () => scrambleChars[Math.floor(Math.random() * scrambleChars.length)]
+        () => scrambleChars[Math.floor(random() * scrambleChars.length)]
       )
       .join("");
   };
 
-  const [displayText, setDisplayText] = useState(getInitialScrambledText);
+  const [displayText, setDisplayText] = useState(() => getInitialScrambledText());
   const intervalRef = useRef(null);
   const effectActive = useRef(false);
 
-  const scramble = () => {
+  const scramble = (random) => {
     if (effectActive.current) return;
 
     effectActive.current = true;
@@ -71,7 +81,7 @@ function ScrambleText({
           }
           // 랜덤 문자 반환
           return scrambleChars[
-            Math.floor(Math.random() * scrambleChars.length)
+            Math.floor(random() * scrambleChars.length)
           ];
         })
         .join("");
@@ -90,14 +100,15 @@ function ScrambleText({
 
   // 뷰포트 감지 vs 자동 실행 분기
   useEffect(() => {
-    // 초기 스크램블 상태 설정
-    setDisplayText(getInitialScrambledText());
+    // 초기 스크램블 상태 설정 (이어지는 복원 과정도 같은 난수 수열 사용)
+    const random = createScrambleRandom();
+    setDisplayText(getInitialScrambledText(random));
 
     if (useViewportTrigger) {
       // 뷰포트 감지 방식
       if (isInView) {
         const timer = setTimeout(() => {
-          scramble();
+          scramble(random);
         }, startDelay);
 
         return () => clearTimeout(timer);
@@ -105,7 +116,7 @@ function ScrambleText({
     } else {
       // 기존 자동 실행 방식
       const autoStart = setTimeout(() => {
-        scramble();
+        scramble(random);
       }, startDelay);
 
       return () => {
@@ -113,7 +124,7 @@ function ScrambleText({
         clearInterval(intervalRef.current);
       };
     }
-  }, [text, startDelay, useViewportTrigger, isInView]);
+  }, [text, startDelay, useViewportTrigger, isInView, resolvedSeed]);
 
   // 컴포넌트 언마운트 시 정리
   useEffect(() => {
@@ -153,4 +164,4 @@ function ScrambleText({
   );
 }
 
-export default ScrambleText;
+export default withPropValidation(ScrambleText, "ScrambleText");
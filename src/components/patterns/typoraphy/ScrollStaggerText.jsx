@@ -4,6 +4,7 @@ import { Box, Typography } from "@mui/material";
 import gsap from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
 import SplitType from "split-type";
+import useScrollContainer from "../../../hooks/useScrollContainer";
 
 gsap.registerPlugin(ScrollTrigger);
 
@@ -18,7 +19,7 @@ gsap.registerPlugin(ScrollTrigger);
  * @param {string} textColor - 텍스트 색상 [Optional, 기본값: 'inherit']
  * @param {boolean} showMarkers - 마커 표시 여부 [Optional, 기본값: false]
  * @param {boolean} keepVisible - 스크롤 후 텍스트 유지 여부 (false면 스크롤 시 사라짐) [Optional, 기본값: true]
- * @param {string | Element} scroller - 스크롤 이벤트를 감지할 컨테이너 요소 또는 선택자 [Optional, 기본값: window]
+ * @param {string | Element} scroller - 스크롤 이벤트를 감지할 컨테이너 요소 또는 선택자 [Optional, 기본값: ScrollProvider의 스크롤 컨테이너, 없으면 window]
  * @param {string} id - 컴포넌트 고유 ID (ScrollTrigger 중첩 방지용) [Optional, 기본값: 랜덤 생성]
  *
  * Example usage:
@@ -30,7 +31,7 @@ function ScrollStaggerText({
 	textColor = "inherit",
 	showMarkers = false,
 	keepVisible = true,
-	scroller = window,
+	scroller,
 	id = `stagger-${Math.random().toString(36).substr(2, 9)}`,
 }) {
 	const containerRef = useRef(null);
@@ -38,6 +39,8 @@ function ScrollStaggerText({
 	const scrollTriggerRef = useRef(null);
 	const splitTypeRef = useRef(null);
 	const contextRef = useRef(null);
+	const { scrollTarget } = useScrollContainer();
+	const resolvedScroller = scroller ?? scrollTarget;
 
 	useEffect(() => {
 		// 마커 스타일 직접 추가 (필요한 경우만)
@@ -96,6 +99,7 @@ function ScrollStaggerText({
 			const mainScrollTrigger = ScrollTrigger.create({
 				id: id, // 고유 ID 사용
 				trigger: container,
+				scroller: resolvedScroller,
 				start: "top 80%",
 				end: "bottom 20%",
 				scrub: 0.5,
@@ -134,7 +138,7 @@ function ScrollStaggerText({
 				contextRef.current = null;
 			}
 		};
-	}, [text, showMarkers, keepVisible, id]);
+	}, [text, showMarkers, keepVisible, id, resolvedScroller]);
 
 	// 줄바꿈(\n)을 <br/>로 변환
 	const formattedText = text.split("\n").map((line, index) => (
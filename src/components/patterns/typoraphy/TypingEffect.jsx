@@ -1,6 +1,7 @@
 import React, { useRef, useState, useEffect } from "react";
 import { Box, Typography, useTheme } from "@mui/material";
 import useIsInView from "../../../hooks/useIsInView";
+import { withPropValidation } from "../../../utils/propValidation";
 
 /**
  * 타이핑 효과 컴포넌트
@@ -288,4 +289,4 @@ function TypingEffect({
 	);
 }
 
-export default TypingEffect;
+export default withPropValidation(TypingEffect, "TypingEffect");
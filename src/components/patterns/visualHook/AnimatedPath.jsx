@@ -1,6 +1,7 @@
 import * as d3 from "d3";
 import { useRef, useEffect, useState } from "react";
 import useIsInView from "../../../hooks/useIsInView";
+import { withPropValidation } from "../../../utils/propValidation";
 
 /**
  * AnimatedPath 컴포넌트
@@ -144,4 +145,4 @@ export const AnimatedPath = ({
 	);
 };
 
-export default AnimatedPath; 
\ No newline at end of file
+export default withPropValidation(AnimatedPath, "AnimatedPath");
\ No newline at end of file
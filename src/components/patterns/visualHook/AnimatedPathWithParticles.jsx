@@ -2,6 +2,7 @@ import React from "react";
 import useIsInView from "../../../hooks/useIsInView";
 import ParticleGeneratePath from "./ParticleGeneratePath";
 import AnimatedPath from "./AnimatedPath";
+import { withPropValidation } from "../../../utils/propValidation";
 
 /**
  * AnimatedPathWithParticles 컴포넌트
@@ -154,4 +155,4 @@ function AnimatedPathWithParticles({
 	);
 }
 
-export default React.memo(AnimatedPathWithParticles); 
\ No newline at end of file
+export default React.memo(withPropValidation(AnimatedPathWithParticles, "AnimatedPathWithParticles")); 
\ No newline at end of file
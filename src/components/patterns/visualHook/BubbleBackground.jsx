@@ -3,6 +3,10 @@ import { Canvas } from "@react-three/fiber";
 import { EffectComposer, N8AO } from "@react-three/postprocessing";
 import { Box } from "@mui/material";
 import BubbleEffect from "./BubbleEffect";
+import { withPropValidation } from "../../../utils/propValidation";
+import useQualityTier from "../../../hooks/useQualityTier";
+import useRenderActive from "../../../hooks/useRenderActive";
+import useSeed from "../../../hooks/useSeed";
 
 // Throttle 유틸리티 함수 (60FPS)
 const throttle = (func, delay) => {
@@ -26,11 +30,14 @@ const throttle = (func, delay) => {
 
 /**
  * BubbleBackground 컴포넌트
+ * 버블 개수, dpr, 그림자, AO 후처리는 QualityProvider의 품질 단계에 맞춰 조정되며,
+ * 화면 밖이거나 탭이 숨겨지면 렌더링을 멈춥니다.
  *
  * Props:
  * @param {ReactNode} children - BubbleSection 배열 [Optional]
- * @param {number} bubbleCount - 버블 개수 [Optional, 기본값: 120]
+ * @param {number} bubbleCount - 버블 개수 (high 단계 기준, 단계에 따라 줄어듦) [Optional, 기본값: 120]
  * @param {number} scrollProgress - 스크롤 진행률 (0-1) - 고급 사용법 [Optional]
+ * @param {string|number} seed - 버블 배치와 움직임을 재현하는 시드. 없으면 SeedProvider 값, 그것도 없으면 매번 무작위 [Optional]
  *
  * Example usage:
  * <BubbleBackground>
@@ -38,14 +45,25 @@ const throttle = (func, delay) => {
  *   <BubbleSection>Content 2</BubbleSection>
  * </BubbleBackground>
  */
-export default function BubbleBackground({
+function BubbleBackground({
   children,
   bubbleCount = 120,
   scrollProgress: externalScrollProgress,
+  seed,
 }) {
   const scrollRef = useRef(null);
+  const canvasRef = useRef(null);
   const [internalScrollProgress, setInternalScrollProgress] = useState(0);
 
+  // 렌더링 품질 단계와 화면 노출 여부
+  const { tier } = useQualityTier();
+  const isRenderActive = useRenderActive(canvasRef);
+  const resolvedSeed = useSeed(seed);
+  const scaledBubbleCount = Math.max(
+    1,
+    Math.round(bubbleCount * tier.particleScale)
+  );
+
   // 외부에서 scrollProgress를 제공하면 그것을 사용, 아니면 내부 스크롤 처리
   const scrollProgress =
     externalScrollProgress !== undefined
@@ -107,8 +125,10 @@ export default function BubbleBackground({
           height: "100%",
           zIndex: 0,
         }}
-        shadows
-        dpr={[1, 1.5]}
+        ref={canvasRef}
+        shadows={tier.shadows}
+        dpr={tier.dpr}
+        frameloop={isRenderActive ? "always" : "never"}
         gl={{
           antialias: true,
           powerPreference: "high-performance",
@@ -133,16 +153,19 @@ export default function BubbleBackground({
         />
         <BubbleEffect
           scrollProgress={scrollProgress}
-          bubbleCount={bubbleCount}
+          bubbleCount={scaledBubbleCount}
+          seed={resolvedSeed}
         />
-        <EffectComposer disableNormalPass>
-          <N8AO
-            aoRadius={4}
-            intensity={3}
-            distanceFalloff={1}
-            color="#030f24"
-          />
-        </EffectComposer>
+        {tier.postProcessing !== "off" && (
+          <EffectComposer disableNormalPass>
+            <N8AO
+              aoRadius={4}
+              intensity={3}
+              distanceFalloff={1}
+              color="#030f24"
+            />
+          </EffectComposer>
+        )}
       </Canvas>
     );
   }
@@ -171,8 +194,10 @@ export default function BubbleBackground({
           height: "100%",
           zIndex: 0,
         }}
-        shadows
-        dpr={[1, 1.5]}
+        ref={canvasRef}
+        shadows={tier.shadows}
+        dpr={tier.dpr}
+        frameloop={isRenderActive ? "always" : "never"}
         gl={{
           antialias: true,
           powerPreference: "high-performance",
@@ -197,16 +222,19 @@ export default function BubbleBackground({
         />
         <BubbleEffect
           scrollProgress={scrollProgress}
-          bubbleCount={bubbleCount}
+          bubbleCount={scaledBubbleCount}
+          seed={resolvedSeed}
         />
-        <EffectComposer disableNormalPass>
-          <N8AO
-            aoRadius={4}
-            intensity={3}
-            distanceFalloff={1}
-            color="#030f24"
-          />
-        </EffectComposer>
+        {tier.postProcessing !== "off" && (
+          <EffectComposer disableNormalPass>
+            <N8AO
+              aoRadius={4}
+              intensity={3}
+              distanceFalloff={1}
+              color="#030f24"
+            />
+          </EffectComposer>
+        )}
       </Canvas>
 
       {/* 스크롤 가능한 콘텐츠 영역 */}
@@ -244,3 +272,5 @@ export default function BubbleBackground({
 
 // BubbleSection 컴포넌트 export
 export { default as BubbleSection } from "../../commons/container/BubbleSection";
+
+export default withPropValidation(BubbleBackground, "BubbleBackground");
@@ -1,23 +1,24 @@
-import { MathUtils } from 'three'
 import React, { useRef, useMemo } from 'react'
 import { useFrame } from '@react-three/fiber'
-import { Instances, Instance, Float } from '@react-three/drei'
+import { Instances, Instance } from '@react-three/drei'
+import { createRandom } from '../../../utils/seededRandom'
 
-// 파티클 데이터 생성 함수
-const createParticles = (count) => {
+// 파티클 데이터 생성 함수 (random: 0~1 난수 함수)
+const createParticles = (count, random) => {
+  const randFloat = (min, max) => min + random() * (max - min)
   const data = []
   for (let i = 0; i < count; i++) {
     data.push({
-      xFactor: MathUtils.randFloatSpread(20),
-      zFactor: MathUtils.randFloatSpread(20),
-      oscillationSpeed: MathUtils.randFloat(0.5, 1.5),
+      xFactor: randFloat(-10, 10),
+      zFactor: randFloat(-10, 10),
+      oscillationSpeed: randFloat(0.5, 1.5),
       // 초기 Y 위치를 화면에 보이도록 조정 (-10 ~ 25 범위)
-      initialY: MathUtils.randFloat(-10, 25),
-      size: MathUtils.randFloat(0.2, 1.0),
+      initialY: randFloat(-10, 25),
+      size: randFloat(0.2, 1.0),
       // 최적화: 사전 계산된 값들
-      baseSpeed: MathUtils.randFloat(1.2, 2.2),
-      oscillationAmplitudeX: MathUtils.randFloat(0.3, 0.7),
-      oscillationAmplitudeZ: MathUtils.randFloat(0.2, 0.5)
+      baseSpeed: randFloat(1.2, 2.2),
+      oscillationAmplitudeX: randFloat(0.3, 0.7),
+      oscillationAmplitudeZ: randFloat(0.2, 0.5)
     })
   }
   return data
@@ -34,11 +35,31 @@ const calculateSmoothSpeed = (baseSpeed, scrollProgress) => {
   return baseSpeed * speedMultiplier * smoothFactor
 }
 
-export default function BubbleEffect({ scrollProgress, bubbleCount = 120 }) {
+// 버블 전체를 천천히 흔드는 그룹
+// drei의 Float와 같은 움직임이지만, 시작 오프셋을 Math.random 대신 시드 난수로 정해 재현할 수 있게 함
+function FloatGroup({ offset, speed, rotationIntensity, floatIntensity, children }) {
+  const ref = useRef()
+
+  useFrame((state) => {
+    if (!ref.current) return
+    const t = (offset + state.clock.elapsedTime) / 4 * speed
+    ref.current.rotation.x = Math.cos(t) / 8 * rotationIntensity
+    ref.current.rotation.y = Math.sin(t) / 8 * rotationIntensity
+    ref.current.rotation.z = Math.sin(t) / 20 * rotationIntensity
+    ref.current.position.y = Math.sin(t) / 10 * floatIntensity
+  })
+
+  return <group ref={ref}>{children}</group>
+}
+
+export default function BubbleEffect({ scrollProgress, bubbleCount = 120, seed }) {
   const ref = useRef()
   
-  // 파티클 데이터를 메모이제이션하여 성능 최적화
-  const particles = useMemo(() => createParticles(bubbleCount), [bubbleCount])
+  // 파티클 데이터를 메모이제이션하여 성능 최적화 (같은 seed면 같은 배치와 움직임)
+  const { particles, floatOffset } = useMemo(() => {
+    const random = createRandom(seed, 'BubbleBackground')
+    return { floatOffset: random() * 10000, particles: createParticles(bubbleCount, random) }
+  }, [bubbleCount, seed])
   
   // 스크롤 진행률 스무딩 (급격한 변화 방지)
   const smoothedProgress = useMemo(() => {
@@ -47,7 +68,7 @@ export default function BubbleEffect({ scrollProgress, bubbleCount = 120 }) {
   }, [scrollProgress])
 
   return (
-    <Float speed={0.5} rotationIntensity={0.5} floatIntensity={1}>
+    <FloatGroup offset={floatOffset} speed={0.5} rotationIntensity={0.5} floatIntensity={1}>
       <Instances
         limit={particles.length}
         ref={ref}
@@ -78,7 +99,7 @@ export default function BubbleEffect({ scrollProgress, bubbleCount = 120 }) {
           />
         ))}
       </Instances>
-    </Float>
+    </FloatGroup>
   )
 }
 
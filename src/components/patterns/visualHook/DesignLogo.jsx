@@ -9,6 +9,7 @@ import {
   path_g,
   path_n
 } from '../../../data/logoTypePathData';
+import { withPropValidation } from '../../../utils/propValidation';
 
 /**
  * DesignLogo 컴포넌트
@@ -187,4 +188,4 @@ function DesignLogo({
   );
 }
 
-export default DesignLogo; 
\ No newline at end of file
+export default withPropValidation(DesignLogo, 'DesignLogo');
\ No newline at end of file
@@ -5,6 +5,7 @@ import React, {
   useState,
   useCallback,
   useMemo,
+  useContext,
 } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
@@ -12,6 +13,19 @@ import { Box } from "@mui/material";
 import { gsap } from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
 import ParticleGlowEffect from "./ParticleGlowEffect";
+import { withPropValidation } from "../../../utils/propValidation";
+import useQualityTier from "../../../hooks/useQualityTier";
+import useRenderActive from "../../../hooks/useRenderActive";
+import useScrollContainer from "../../../hooks/useScrollContainer";
+import useLenisScroll from "../../../hooks/useLenisScroll";
+import {
+  SectionScrollContext,
+  createSectionScrollStore,
+} from "../../commons/scroll/sectionScrollStore";
+import {
+  measureSections,
+  getSectionPosition,
+} from "../../../utils/sectionGeometry";
 
 // 유틸리티 함수 임포트
 import {
@@ -21,16 +35,18 @@ import {
 } from "../../../utils/animationHelpers";
 
 // 상수 임포트
-import { PERFORMANCE_CONFIG } from "../../../constants";
+import {
+  PERFORMANCE_CONFIG,
+  GLOW_CONFIG,
+  SMOOTH_SCROLL_CONFIG,
+} from "../../../constants";
 
 gsap.registerPlugin(ScrollTrigger);
 
 // 성능 최적화 설정 상수
+// (갱신 간격은 품질 단계별 QUALITY_TIERS 값을 사용)
 const CANVAS_PERFORMANCE_CONFIG = {
-  cameraUpdateInterval: 2,
-  backgroundUpdateInterval: 3,
   cameraLerpFactor: 0.05,
-  particleUpdateInterval: 2,
   sphereSegments: 8,
 };
 
@@ -50,14 +66,30 @@ const LIGHTING_CONFIG = {
   directional: { position: [10, 10, 5], intensity: 0.6 },
 };
 
+// 섹션별로 지정할 수 있는 글로우 설정 키
+const GLOW_KEYS = [
+  "bloomStrength",
+  "bloomRadius",
+  "bloomThreshold",
+  "chromaticAberration",
+  "vignette",
+];
+
+// 섹션 설정에 없는 글로우 값은 컴포넌트 props 값으로 채움
+const resolveGlow = (section, fallback) =>
+  GLOW_KEYS.reduce((glow, key) => {
+    glow[key] = section?.[key] ?? fallback[key];
+    return glow;
+  }, {});
+
 // 최적화된 카메라 업데이트 컴포넌트
-function CameraUpdater({ positionRef }) {
+function CameraUpdater({ positionRef, interval }) {
   const { camera } = useThree();
   let frameCount = 0;
 
   useFrame(() => {
     if (
-      frameCount++ % CANVAS_PERFORMANCE_CONFIG.cameraUpdateInterval === 0 &&
+      frameCount++ % interval === 0 &&
       positionRef?.current !== undefined
     ) {
       const targetZ = positionRef.current;
@@ -73,13 +105,13 @@ function CameraUpdater({ positionRef }) {
 }
 
 // 최적화된 배경색 업데이트 컴포넌트
-function BackgroundUpdater({ colorRef }) {
+function BackgroundUpdater({ colorRef, interval }) {
   const { scene } = useThree();
   let frameCount = 0;
 
   useFrame(() => {
     if (
-      frameCount++ % CANVAS_PERFORMANCE_CONFIG.backgroundUpdateInterval === 0 &&
+      frameCount++ % interval === 0 &&
       colorRef?.current
     ) {
       if (!(scene.background instanceof THREE.Color)) {
@@ -97,6 +129,41 @@ function BackgroundUpdater({ colorRef }) {
 /**
  * ParticleBackground 컴포넌트
  * sections props를 받아서 내부에서 모든 스크롤 인터랙션 처리
+ * 섹션에 글로우 값(bloomStrength 등)이 있으면 스크롤에 따라 섹션 사이를 보간하고,
+ * 없으면 컴포넌트 props 값을 사용합니다.
+ * 섹션에 formation이 있으면 다음 섹션으로 스크롤하는 동안 파티클이 해당 형태로 모입니다.
+ * 파티클 개수, dpr, 갱신 간격, 후처리는 QualityProvider의 품질 단계에 맞춰 조정되며,
+ * 동작 줄이기 설정 시 파티클 드리프트를 멈추고 탭이 숨겨지면 렌더링을 멈춥니다.
+ *
+ * 섹션 전환은 실제 섹션 DOM 위치(id가 같은 요소, 없으면 같은 순서의 자식)로 계산하므로 섹션 높이가 달라도 됩니다.
+ * 활성 섹션과 섹션별 진행률은 가장 가까운 SectionScrollProvider / ScrollProvider(없으면 자체 저장소)에 게시되어
+ * useActiveSection / useSectionProgress 훅으로 읽을 수 있습니다.
+ * 자체 스크롤 컨테이너(data-scroll-container)는 ScrollProvider에 등록되어, 안쪽의 ScrollTrigger·framer-motion
+ * 컴포넌트가 useScrollContainer / useScrollMotion으로 같은 컨테이너를 구독합니다.
+ * smoothScroll이 켜져 있으면 이 컨테이너를 Lenis로 부드럽게 스크롤하며(동작 줄이기 설정 시 기본 스크롤),
+ * useScrollContainer().scrollTo(sectionId)와 앵커 링크도 Lenis로 이동합니다.
+ *
+ * Props:
+ * @param {array} sections - 섹션별 설정 ({ id, backgroundColor, particleColor, movementSpeed, formation?, bloomStrength?, bloomRadius?, bloomThreshold?, chromaticAberration?, vignette? }) [Required]
+ * @param {number} cameraStartZ - 카메라 시작 Z 위치 [Optional, 기본값: 50]
+ * @param {number} cameraEndZ - 카메라 끝 Z 위치 [Optional, 기본값: 15]
+ * @param {number} particleCount - 파티클 개수 (high 단계 기준, 단계에 따라 줄어듦) [Optional, 기본값: 200]
+ * @param {number} particleSize - 파티클 크기 [Optional, 기본값: 0.15]
+ * @param {number} movementRadius - 파티클 움직임 반경 [Optional, 기본값: 30]
+ * @param {number} bloomStrength - 블룸 강도 [Optional, 기본값: 1.2]
+ * @param {number} bloomRadius - 블룸 번짐 반경 (0~1) [Optional, 기본값: 0.3]
+ * @param {number} bloomThreshold - 블룸이 시작되는 밝기 임계값 (0~1) [Optional, 기본값: 0.9]
+ * @param {number} chromaticAberration - 색수차(RGB 분리) 거리, 0이면 비활성화 (0~0.02) [Optional, 기본값: 0]
+ * @param {number} vignette - 비네트 어둡기, 0이면 비활성화 (0~2) [Optional, 기본값: 0]
+ * @param {string} glowQuality - 후처리 품질, 'auto'는 품질 단계를 따름 ('auto' | 'high' | 'low' | 'off') [Optional, 기본값: 'auto']
+ * @param {boolean} smoothScroll - Lenis 부드러운 스크롤 사용 여부 [Optional, 기본값: true]
+ * @param {function} onScrollUpdate - 스크롤 상태 콜백 ({ scrollY, isScrolled, isVisible }) [Optional]
+ * @param {node} children - 스크롤 콘텐츠 섹션들 [Optional]
+ *
+ * Example usage:
+ * <ParticleBackground sections={getParticleSections()} vignette={1}>
+ *   {sections}
+ * </ParticleBackground>
  */
 const ParticleBackground = React.memo(
   ({
@@ -106,13 +173,35 @@ const ParticleBackground = React.memo(
     particleCount = PERFORMANCE_CONFIG.particleCount,
     particleSize = PERFORMANCE_CONFIG.particleSize,
     movementRadius = PERFORMANCE_CONFIG.movementRadius,
-    bloomRadius = 0.3,
-    bloomThreshold = 0.9,
+    bloomStrength = GLOW_CONFIG.bloomStrength,
+    bloomRadius = GLOW_CONFIG.bloomRadius,
+    bloomThreshold = GLOW_CONFIG.bloomThreshold,
+    chromaticAberration = GLOW_CONFIG.chromaticAberration,
+    vignette = GLOW_CONFIG.vignette,
+    glowQuality = "auto",
+    smoothScroll = true,
     onScrollUpdate,
     children,
   }) => {
+    // 렌더링 품질 단계
+    const { tier, reducedMotion } = useQualityTier();
+    const scaledParticleCount = Math.max(
+      1,
+      Math.round(particleCount * tier.particleScale)
+    );
+
+    // 섹션 스크롤 저장소 - 상위 SectionScrollProvider가 없으면 자체 저장소 사용
+    const parentSectionStore = useContext(SectionScrollContext);
+    const [ownSectionStore] = useState(createSectionScrollStore);
+    const sectionStore = parentSectionStore || ownSectionStore;
+
     // refs
     const containerRef = useRef(null);
+    const scrollContentRef = useRef(null);
+    const contentRef = useRef(null);
+    const isRenderActive = useRenderActive(containerRef);
+    // 섹션별 실제 위치 ({ id, top, height }) - 크기 변경 시 다시 측정
+    const sectionMeasurementsRef = useRef([]);
     const mouseRef = useRef({ x: 0, y: 0 });
     const scrollRef = useRef(0);
     const cameraZRef = useRef(cameraStartZ);
@@ -120,6 +209,30 @@ const ParticleBackground = React.memo(
       new THREE.Color(sections[0]?.backgroundColor || "#000011")
     );
 
+    // 섹션 글로우 기본값 (props)
+    const glowDefaults = useMemo(
+      () => ({
+        bloomStrength,
+        bloomRadius,
+        bloomThreshold,
+        chromaticAberration,
+        vignette,
+      }),
+      [bloomStrength, bloomRadius, bloomThreshold, chromaticAberration, vignette]
+    );
+
+    // 글로우 값은 프레임마다 후처리에서 읽으므로 리렌더링 없이 ref로 전달
+    const glowRef = useRef(resolveGlow(sections[0], glowDefaults));
+
+    // 포메이션 전환 상태 (formations 인덱스 기준)
+    const morphRef = useRef({ from: 0, to: 0, progress: 0 });
+
+    // sections가 새 배열로 바뀌어도 포메이션 내용이 같으면 파티클 위치를 다시 만들지 않음
+    const formationsKey = JSON.stringify(
+      sections.map((section) => section.formation ?? null)
+    );
+    const formations = useMemo(() => JSON.parse(formationsKey), [formationsKey]);
+
     // 상태 관리
     const [particleColor, setParticleColor] = useState(
       sections[0]?.particleColor || "#ADD8E6"
@@ -140,6 +253,22 @@ const ParticleBackground = React.memo(
       []
     );
 
+    // 고정 컨테이너 안의 부드러운 스크롤 (ScrollTrigger와 같은 ticker로 구동)
+    const { registerScroller } = useScrollContainer();
+    const lenisRef = useLenisScroll(smoothScroll, {
+      wrapper: containerRef,
+      content: scrollContentRef,
+      duration: SMOOTH_SCROLL_CONFIG.duration,
+      integrateGSAP: true,
+    });
+
+    // 스크롤 컨테이너와 Lenis를 ScrollProvider에 등록 (언마운트 시 window로 복귀)
+    // Lenis 인스턴스가 먼저 만들어지도록 useLenisScroll 다음에 실행
+    useEffect(
+      () => registerScroller(containerRef.current, lenisRef.current),
+      [registerScroller, lenisRef, smoothScroll, reducedMotion]
+    );
+
     // 최적화된 마우스 이벤트 핸들러
     const handleMouseMove = useCallback(
       rafThrottle((event) => {
@@ -177,10 +306,24 @@ const ParticleBackground = React.memo(
         cameraStartZ - (cameraStartZ - cameraEndZ) * totalProgress;
       cameraZRef.current = newCameraZ;
 
-      // 현재 섹션 계산
-      const sectionHeight = container.scrollHeight / sections.length;
-      const currentSectionIndex = Math.floor(scrollTop / sectionHeight);
-      const sectionProgress = (scrollTop % sectionHeight) / sectionHeight;
+      // 현재 섹션 계산 - 측정한 섹션 위치 기준
+      const {
+        index: currentSectionIndex,
+        progress: sectionProgress,
+        activeIndex,
+        progressById,
+      } = getSectionPosition(
+        sectionMeasurementsRef.current,
+        scrollTop,
+        container.clientHeight
+      );
+
+      // 활성 섹션과 섹션별 진행률 게시
+      sectionStore.publish({
+        activeSectionId: sections[activeIndex]?.id ?? null,
+        activeIndex,
+        progress: progressById,
+      });
 
       // 섹션이 변경되었거나 스크롤 중일 때
       if (
@@ -215,9 +358,36 @@ const ParticleBackground = React.memo(
           currentBgColor.lerp(nextBgColor, sectionProgress)
         );
 
+        // 글로우 보간
+        const currentGlow = resolveGlow(currentSection, glowDefaults);
+        const nextGlow = resolveGlow(nextSection, glowDefaults);
+        GLOW_KEYS.forEach((key) => {
+          glowRef.current[key] = THREE.MathUtils.lerp(
+            currentGlow[key],
+            nextGlow[key],
+            sectionProgress
+          );
+        });
+
+        // 포메이션 전환
+        const fromIndex = Math.min(currentSectionIndex, sections.length - 1);
+        morphRef.current = {
+          from: fromIndex,
+          to: Math.min(fromIndex + 1, sections.length - 1),
+          progress: sectionProgress,
+        };
+
         currentSectionRef.current = currentSectionIndex;
       }
-    }, [sections, lerpColor, cameraStartZ, cameraEndZ, onScrollUpdate]);
+    }, [
+      sections,
+      sectionStore,
+      lerpColor,
+      glowDefaults,
+      cameraStartZ,
+      cameraEndZ,
+      onScrollUpdate,
+    ]);
 
     // 스크롤 이벤트 리스너
     useEffect(() => {
@@ -235,6 +405,25 @@ const ParticleBackground = React.memo(
       }
     }, [handleScroll]);
 
+    // 섹션 위치 측정 - 콘텐츠 높이나 뷰포트가 바뀌면 다시 측정
+    useEffect(() => {
+      const container = containerRef.current;
+      const content = contentRef.current;
+      if (!container || !content) return;
+
+      const updateMeasurements = () => {
+        sectionMeasurementsRef.current = measureSections(content, sections);
+        handleScroll();
+      };
+
+      updateMeasurements();
+      const resizeObserver = new ResizeObserver(updateMeasurements);
+      resizeObserver.observe(container);
+      resizeObserver.observe(content);
+
+      return () => resizeObserver.disconnect();
+    }, [sections, handleScroll]);
+
     // sections가 변경되면 현재 섹션의 색상 즉시 적용
     useEffect(() => {
       const currentSection = sections[currentSectionRef.current] || sections[0];
@@ -243,7 +432,8 @@ const ParticleBackground = React.memo(
         setMovementSpeed(currentSection.movementSpeed);
         backgroundColorRef.current = new THREE.Color(currentSection.backgroundColor);
       }
-    }, [sections]);
+      glowRef.current = resolveGlow(currentSection, glowDefaults);
+    }, [sections, glowDefaults]);
 
     return (
       <Box
@@ -260,9 +450,10 @@ const ParticleBackground = React.memo(
           backgroundColor: sections[0]?.backgroundColor || "#000011",
         }}
       >
-        {/* 전체 스크롤 컨테이너 */}
+        {/* 전체 스크롤 컨테이너 - 섹션 콘텐츠가 길어지면 함께 늘어남 */}
         <Box
-          sx={{ height: `${sections.length * 100}vh`, position: "relative" }}
+          ref={scrollContentRef}
+          sx={{ minHeight: `${sections.length * 100}vh`, position: "relative" }}
         >
           {/* 파티클 배경 */}
           <Box
@@ -275,12 +466,19 @@ const ParticleBackground = React.memo(
             }}
           >
             <Canvas
-              dpr={[1, 1.5]}
+              dpr={tier.dpr}
+              frameloop={isRenderActive ? "always" : "never"}
               gl={CANVAS_GL_CONFIG}
               camera={{ position: [0, 0, cameraStartZ], fov: 75 }}
             >
-              <CameraUpdater positionRef={cameraZRef} />
-              <BackgroundUpdater colorRef={backgroundColorRef} />
+              <CameraUpdater
+                positionRef={cameraZRef}
+                interval={tier.cameraUpdateInterval}
+              />
+              <BackgroundUpdater
+                colorRef={backgroundColorRef}
+                interval={tier.backgroundUpdateInterval}
+              />
 
               <ambientLight intensity={LIGHTING_CONFIG.ambient.intensity} />
               <directionalLight
@@ -293,19 +491,25 @@ const ParticleBackground = React.memo(
                   mouse={mouseRef}
                   scrollProgress={scrollRef}
                   particleColor={particleColor}
-                  movementSpeed={movementSpeed}
-                  particleCount={particleCount}
+                  movementSpeed={reducedMotion ? 0 : movementSpeed}
+                  particleCount={scaledParticleCount}
                   particleSize={particleSize}
                   movementRadius={movementRadius}
-                  bloomRadius={bloomRadius}
-                  bloomThreshold={bloomThreshold}
+                  glowSettings={glowRef}
+                  quality={glowQuality}
+                  formations={formations}
+                  morph={morphRef}
                 />
               </Suspense>
             </Canvas>
           </Box>
 
           {/* 콘텐츠 섹션들 */}
-          <Box sx={{ position: "relative", zIndex: 1 }}>{children}</Box>
+          <SectionScrollContext.Provider value={sectionStore}>
+            <Box ref={contentRef} sx={{ position: "relative", zIndex: 1 }}>
+              {children}
+            </Box>
+          </SectionScrollContext.Provider>
         </Box>
       </Box>
     );
@@ -314,5 +518,5 @@ const ParticleBackground = React.memo(
 
 ParticleBackground.displayName = "ParticleBackground";
 
-export default ParticleBackground;
+export default withPropValidation(ParticleBackground, "ParticleBackground");
 export { default as ParticleSection } from "../../commons/container/ParticleSection";
@@ -1,6 +1,7 @@
 import React, { useRef, useEffect, useMemo } from "react";
 import * as d3 from "d3";
 import useIsInView from "../../../hooks/useIsInView";
+import { withPropValidation } from "../../../utils/propValidation";
 
 const PARTICLE_TYPES = {
 	CIRCLE: "circle",
@@ -326,4 +327,4 @@ function ParticleGeneratePath({
 	);
 }
 
-export default React.memo(ParticleGeneratePath); 
\ No newline at end of file
+export default React.memo(withPropValidation(ParticleGeneratePath, "ParticleGeneratePath")); 
\ No newline at end of file
@@ -1,17 +1,104 @@
 import React, { useRef, useMemo, useEffect } from "react";
 import * as THREE from "three";
-import { useFrame } from "@react-three/fiber";
+import { useFrame, useThree, extend } from "@react-three/fiber";
+import { shaderMaterial } from "@react-three/drei";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass.js";
+import { RGBShiftShader } from "three/examples/jsm/shaders/RGBShiftShader.js";
+import { VignetteShader } from "three/examples/jsm/shaders/VignetteShader.js";
+import { GLOW_CONFIG, GLOW_QUALITY_LEVELS } from "../../../constants";
+import useQualityTier from "../../../hooks/useQualityTier";
+import useSeed from "../../../hooks/useSeed";
+import { createRandom } from "../../../utils/seededRandom";
+import {
+  createFormationPositions,
+  getFormationDrift,
+  resolveFormation,
+} from "../../../utils/particleFormations";
 
 // 성능 최적화 설정 상수
 const PERFORMANCE_CONFIG = {
-  particleUpdateInterval: 2,
   sphereSegments: 8,
 };
 
+// 초당 위상 증가율 (movementSpeed 배수)
+// 기존 CPU 방식(2프레임마다 speed * 0.5 증가, 60fps 기준)과 같은 드리프트 속도
+const DRIFT_RATE = 15;
+
+// formations를 지정하지 않았을 때의 기본값 (렌더링마다 새 배열이 생기지 않도록 상수로 둠)
+const NO_FORMATIONS = [];
+const STATIC_MORPH = { from: 0, to: 0, progress: 0 };
+
+// 파티클 셰이더 머티리얼 정의
+// 위치(포메이션 전환, 드리프트, 마우스, 스크롤)와 크기를 모두 버텍스 셰이더에서 계산합니다.
+const ParticleMaterial = shaderMaterial(
+  // Uniforms
+  {
+    uPhase: 0,
+    uMorph: 0,
+    uDrift: 1,
+    uMouse: new THREE.Vector2(0, 0),
+    uScroll: 0,
+    uColor: new THREE.Color("#ffffff"),
+  },
+  // Vertex Shader
+  `
+    attribute vec3 aFrom; // 현재 섹션 포메이션 위치
+    attribute vec3 aTo; // 다음 섹션 포메이션 위치
+    attribute vec3 aMotion; // x: 시작 위상, y: 이동 계수, z: 속도 배율
+
+    uniform float uPhase;
+    uniform float uMorph;
+    uniform float uDrift;
+    uniform vec2 uMouse;
+    uniform float uScroll;
+
+    void main() {
+      float factor = aMotion.y;
+      float t = aMotion.x + uPhase * aMotion.z;
+
+      // 포메이션 전환 - 속도 배율로 파티클마다 출발 시점을 조금씩 늦춤
+      float morph = smoothstep(0.0, 1.0, clamp(uMorph * 1.5 - (aMotion.z - 1.0), 0.0, 1.0));
+      vec3 offset = mix(aFrom, aTo, morph);
+
+      // 드리프트 주기 (한 주기가 끝나면 시작 위치로 돌아감)
+      float cycle = mod(t * 0.01, 6.28318530718);
+      offset += vec3(0.1, 0.13, 0.05) * cycle * factor * uDrift;
+
+      // 마우스 방향으로 밀기
+      offset.xy += uMouse * 0.4 * factor;
+
+      // 스크롤에 따라 카메라 쪽으로 밀기
+      offset.z += uScroll * factor * 0.1;
+
+      float scale = 0.8 + uScroll * 0.2;
+      vec4 mvPosition = modelViewMatrix * vec4(position * scale + offset, 1.0);
+      gl_Position = projectionMatrix * mvPosition;
+    }
+  `,
+  // Fragment Shader
+  `
+    uniform vec3 uColor;
+
+    void main() {
+      gl_FragColor = vec4(uColor, 1.0);
+      #include <colorspace_fragment>
+    }
+  `
+);
+
+// Three.js에 커스텀 머티리얼 등록
+extend({ ParticleMaterial });
+
 /**
  * Particles 컴포넌트
  * 3D 공간에서 움직이는 파티클 시스템을 구현합니다.
- * 마우스 인터랙션과 스크롤에 반응하는 파티클 애니메이션을 제공합니다.
+ * 파티클별 초기값은 인스턴스 속성으로 한 번만 올리고, 매 프레임에는 유니폼(위상, 마우스, 스크롤, 색상)만 갱신하므로
+ * 수만 개의 파티클도 CPU 부담 없이 렌더링할 수 있습니다.
+ * 포메이션 위치는 전환할 두 포메이션(from, to)이 바뀔 때만 다시 올립니다.
  *
  * Props:
  * @param {number} count - 파티클 개수 [Optional, 기본값: 5000]
@@ -21,6 +108,9 @@ const PERFORMANCE_CONFIG = {
  * @param {number} movementRadius - 파티클 움직임 반경 [Optional, 기본값: 5]
  * @param {object} mouse - 마우스 위치 ref 객체 [Optional]
  * @param {object} scrollProgress - 스크롤 진행률 ref 객체 [Optional]
+ * @param {array} formations - 포메이션 설정 목록 (utils/particleFormations 참고, 없는 항목은 무작위 구름) [Optional, 기본값: []]
+ * @param {object} morph - 전환 상태 ref 객체 ({ from, to, progress }, from/to는 formations 인덱스) [Optional]
+ * @param {string|number} seed - 초기 위치와 움직임 값을 재현하는 시드 (없으면 매번 무작위) [Optional]
  *
  * Example usage:
  * <Particles
@@ -38,108 +128,109 @@ function Particles({
   movementRadius = 5,
   mouse,
   scrollProgress,
+  formations = NO_FORMATIONS,
+  morph,
+  seed,
 }) {
-  const mesh = useRef();
-  const dummy = useMemo(() => new THREE.Object3D(), []);
   const materialRef = useRef();
+  const phaseRef = useRef(0);
+  // 포메이션별 위치 배열 (이미지 포메이션은 로드가 끝나면 채워짐)
+  const formationPositionsRef = useRef([]);
+  // 현재 aFrom/aTo에 올라가 있는 포메이션 쌍 ("from:to")
+  const appliedPairRef = useRef(null);
 
-  useEffect(() => {
-    if (materialRef.current) {
-      materialRef.current.color.set(particleColor);
-    }
-  }, [particleColor]);
-
-  const particles = useMemo(() => {
-    const temp = [];
+  // 파티클별 초기 위치와 움직임 값 (인스턴스 속성)
+  const attributes = useMemo(() => {
+    const random = createRandom(seed, "ParticleGlowEffect");
+    const cloud = createFormationPositions(undefined, count, movementRadius, random);
+    const motions = new Float32Array(count * 3);
     for (let i = 0; i < count; i++) {
-      const t = Math.random() * 100;
-      const factor = 2 + Math.random() * 3;
-      const speed = movementSpeed + Math.random() * (movementSpeed / 2);
-      const x = (Math.random() - 0.5) * movementRadius * 2;
-      const y = (Math.random() - 0.5) * movementRadius * 2;
-      const z = (Math.random() - 0.5) * movementRadius * 2;
-      const mouseSensitivity = 0.01 + Math.random() * 0.02;
-      const scrollSensitivity = 0.5 + Math.random() * 1;
-      temp.push({
-        t,
-        factor,
-        speed,
-        x,
-        y,
-        z,
-        mouseX: 0,
-        mouseY: 0,
-        mouseSensitivity,
-        scrollSensitivity,
-      });
+      motions[i * 3] = random() * 100; // 시작 위상
+      motions[i * 3 + 1] = 2 + random() * 3; // 이동 계수
+      motions[i * 3 + 2] = 1 + random() * 0.5; // 속도 배율
     }
-    return temp;
-  }, [count, movementRadius, movementSpeed]);
-
-  // 프레임 카운터
-  const frameCount = useRef(0);
-
-  useFrame((state) => {
-    // 프레임 스킵 - 설정된 간격마다만 업데이트
-    frameCount.current++;
-    if (frameCount.current % PERFORMANCE_CONFIG.particleUpdateInterval !== 0)
-      return;
-
-    const targetMouseX = mouse?.current
-      ? (mouse.current.x / state.size.width - 0.5) * 2
-      : 0;
-    const targetMouseY = mouse?.current
-      ? -(mouse.current.y / state.size.height - 0.5) * 2
-      : 0;
-    const currentScroll = scrollProgress?.current || 0;
-
-    // 모든 파티클을 한 번에 업데이트 (배치 처리 제거로 단순화)
-    for (let i = 0; i < count; i++) {
-      const particle = particles[i];
-      let { t, factor, speed, x, y, z } = particle;
-      t = particle.t += speed * 0.5; // 속도 감소
+    return {
+      cloud,
+      from: new THREE.InstancedBufferAttribute(cloud.slice(), 3),
+      to: new THREE.InstancedBufferAttribute(cloud.slice(), 3),
+      motions,
+    };
+  }, [count, movementRadius, seed]);
 
-      // 마우스 효과 간소화 - 매우 간단한 선형 변환
-      particle.mouseX = targetMouseX * 0.5;
-      particle.mouseY = targetMouseY * 0.5;
-
-      // 삼각함수 대신 더 간단한 계산 사용
-      const cycle = (t * 0.01) % (Math.PI * 2);
-      let newX = x + cycle * factor * 0.1;
-      let newY = y + cycle * 1.3 * factor * 0.1;
-      let newZ = z + cycle * factor * 0.05;
+  // 포메이션 위치 계산 - 준비되지 않은 포메이션은 무작위 구름으로 대신 표시
+  useEffect(() => {
+    let cancelled = false;
+    formationPositionsRef.current = [];
+    appliedPairRef.current = null;
 
-      // 마우스 효과 확대
-      newX += particle.mouseX * factor * 0.8;
-      newY += particle.mouseY * factor * 0.8;
-      newZ += currentScroll * factor * 0.1;
+    // 포메이션마다 별도 수열을 써서 이미지 로딩 순서와 관계없이 같은 배치가 나오게 함
+    formations.forEach((formation, index) => {
+      const random = createRandom(seed, "ParticleGlowEffect", "formation", index);
+      resolveFormation(formation, count, movementRadius, random)
+        .then((positions) => {
+          if (cancelled) return;
+          formationPositionsRef.current[index] = positions;
+          appliedPairRef.current = null; // 다음 프레임에 속성 다시 기록
+        })
+        .catch((error) => console.error("파티클 포메이션 생성 실패:", error));
+    });
 
-      dummy.position.set(newX, newY, newZ);
+    return () => {
+      cancelled = true;
+    };
+  }, [formations, count, movementRadius, seed]);
 
-      // 고정 스케일 사용 (계산 제거)
-      const s = 0.8 + currentScroll * 0.2;
-      dummy.scale.setScalar(s);
+  useFrame((state, delta) => {
+    const material = materialRef.current;
+    if (!material) return;
 
-      dummy.updateMatrix();
-      mesh.current.setMatrixAt(i, dummy.matrix);
+    // 전환할 포메이션 쌍이 바뀌었을 때만 위치 속성 갱신
+    const { from, to, progress } = morph?.current || STATIC_MORPH;
+    const pair = `${from}:${to}`;
+    if (appliedPairRef.current !== pair) {
+      const positions = formationPositionsRef.current;
+      attributes.from.array.set(positions[from] || attributes.cloud);
+      attributes.to.array.set(positions[to] || attributes.cloud);
+      attributes.from.needsUpdate = true;
+      attributes.to.needsUpdate = true;
+      appliedPairRef.current = pair;
     }
-    mesh.current.instanceMatrix.needsUpdate = true;
+    material.uMorph = progress;
+    material.uDrift = THREE.MathUtils.lerp(
+      getFormationDrift(formations[from]),
+      getFormationDrift(formations[to]),
+      progress
+    );
+
+    // 속도가 바뀌어도 위치가 튀지 않도록 위상을 누적
+    phaseRef.current += movementSpeed * DRIFT_RATE * delta;
+    material.uPhase = phaseRef.current;
+
+    material.uMouse.set(
+      mouse?.current ? (mouse.current.x / state.size.width - 0.5) * 2 : 0,
+      mouse?.current ? -(mouse.current.y / state.size.height - 0.5) * 2 : 0
+    );
+    material.uScroll = scrollProgress?.current || 0;
   });
 
+  // 위치를 셰이더에서 옮기므로 인스턴스 행렬 기준 프러스텀 컬링은 끔
   return (
-    <instancedMesh ref={mesh} args={[null, null, count]}>
+    <instancedMesh args={[null, null, count]} frustumCulled={false}>
       <sphereGeometry
         args={[
           particleSize,
           PERFORMANCE_CONFIG.sphereSegments,
           PERFORMANCE_CONFIG.sphereSegments,
         ]}
-      />
-      <meshBasicMaterial
-        ref={materialRef}
-        color={particleColor}
-        toneMapped={false}
-      />
+      >
+        <primitive attach="attributes-aFrom" object={attributes.from} />
+        <primitive attach="attributes-aTo" object={attributes.to} />
+        <instancedBufferAttribute
+          attach="attributes-aMotion"
+          args={[attributes.motions, 3]}
+        />
+      </sphereGeometry>
+      <particleMaterial ref={materialRef} uColor={particleColor} />
     </instancedMesh>
   );
 }
@@ -147,10 +238,88 @@ function Particles({
 // 메모이제이션된 파티클 컴포넌트
 const MemoizedParticles = React.memo(Particles);
 
+/**
+ * GlowComposer 컴포넌트
+ * 장면을 EffectComposer로 렌더링해 bloom, 색수차, 비네트 후처리를 적용합니다.
+ * useFrame 우선순위 1로 렌더링을 넘겨받으므로 Canvas 기본 렌더링은 생략됩니다.
+ *
+ * Props:
+ * @param {object} settingsRef - 글로우 설정 ref ({ bloomStrength, bloomRadius, bloomThreshold, chromaticAberration, vignette }) [Required]
+ * @param {string} qualityLevel - 품질 단계 ('high' | 'low') [Required]
+ *
+ * Example usage:
+ * <GlowComposer settingsRef={glowSettingsRef} qualityLevel="high" />
+ */
+function GlowComposer({ settingsRef, qualityLevel }) {
+  const { gl, scene, camera, size } = useThree();
+  const quality = GLOW_QUALITY_LEVELS[qualityLevel];
+
+  const pipeline = useMemo(() => {
+    const composer = new EffectComposer(gl);
+    const bloomPass = new UnrealBloomPass(
+      new THREE.Vector2(1, 1),
+      GLOW_CONFIG.bloomStrength,
+      GLOW_CONFIG.bloomRadius,
+      GLOW_CONFIG.bloomThreshold
+    );
+    const chromaticPass = new ShaderPass(RGBShiftShader);
+    const vignettePass = new ShaderPass(VignetteShader);
+
+    composer.addPass(new RenderPass(scene, camera));
+    composer.addPass(bloomPass);
+    composer.addPass(chromaticPass);
+    composer.addPass(vignettePass);
+    composer.addPass(new OutputPass());
+
+    return { composer, bloomPass, chromaticPass, vignettePass };
+  }, [gl, scene, camera]);
+
+  // 캔버스 크기 반영 - bloom은 품질 단계에 따라 낮은 해상도로 계산
+  useEffect(() => {
+    const { composer, bloomPass } = pipeline;
+    const pixelRatio = gl.getPixelRatio();
+
+    composer.setPixelRatio(pixelRatio);
+    composer.setSize(size.width, size.height);
+    bloomPass.setSize(
+      Math.round(size.width * pixelRatio * quality.bloomResolutionScale),
+      Math.round(size.height * pixelRatio * quality.bloomResolutionScale)
+    );
+  }, [pipeline, gl, size, quality]);
+
+  useEffect(() => {
+    return () => {
+      pipeline.bloomPass.dispose();
+      pipeline.composer.dispose();
+    };
+  }, [pipeline]);
+
+  useFrame((state, delta) => {
+    const { composer, bloomPass, chromaticPass, vignettePass } = pipeline;
+    const settings = settingsRef.current;
+
+    bloomPass.strength = settings.bloomStrength;
+    bloomPass.radius = settings.bloomRadius;
+    bloomPass.threshold = settings.bloomThreshold;
+
+    // 색수차와 비네트는 high 품질에서만 적용
+    chromaticPass.enabled = quality.extras && settings.chromaticAberration > 0;
+    chromaticPass.uniforms.amount.value = settings.chromaticAberration;
+    vignettePass.enabled = quality.extras && settings.vignette > 0;
+    vignettePass.uniforms.darkness.value = settings.vignette;
+
+    composer.render(delta);
+  }, 1);
+
+  return null;
+}
+
 /**
  * ParticleGlowEffect 컴포넌트
  * 3D 파티클 시스템과 글로우 효과를 결합한 시각적 효과를 제공합니다.
  * 마우스 인터랙션과 스크롤에 반응하는 파티클들이 움직이며 블룸 효과를 생성합니다.
+ * quality가 'auto'이면 QualityProvider의 품질 단계(QUALITY_TIERS의 postProcessing)를 따릅니다.
+ * (high: 전체 해상도 bloom + 색수차/비네트, low: 절반 해상도 bloom, off: 후처리 없음)
  *
  * Props:
  * @param {object} mouse - 마우스 위치를 담고 있는 ref 객체 [Optional]
@@ -160,6 +329,16 @@ const MemoizedParticles = React.memo(Particles);
  * @param {string} particleColor - 파티클 색상 [Optional, 기본값: '#ADD8E6']
  * @param {number} movementSpeed - 파티클 움직임 속도 [Optional, 기본값: 0.00075]
  * @param {number} movementRadius - 파티클 움직임 반경 [Optional, 기본값: 20]
+ * @param {number} bloomStrength - 블룸 강도 [Optional, 기본값: 1.2]
+ * @param {number} bloomRadius - 블룸 번짐 반경 (0~1) [Optional, 기본값: 0.3]
+ * @param {number} bloomThreshold - 블룸이 시작되는 밝기 임계값 (0~1) [Optional, 기본값: 0.9]
+ * @param {number} chromaticAberration - 색수차(RGB 분리) 거리, 0이면 비활성화 (0~0.02) [Optional, 기본값: 0]
+ * @param {number} vignette - 비네트 어둡기, 0이면 비활성화 (0~2) [Optional, 기본값: 0]
+ * @param {object} glowSettings - 위 글로우 값을 담은 ref 객체. 스크롤에 따라 프레임마다 바뀌는 값을 리렌더링 없이 전달할 때 사용 [Optional]
+ * @param {string} quality - 후처리 품질 ('auto' | 'high' | 'low' | 'off') [Optional, 기본값: 'auto']
+ * @param {array} formations - 파티클 포메이션 설정 목록 (cloud, sphere, torus, grid, galaxy, svg, image) [Optional, 기본값: []]
+ * @param {object} morph - 포메이션 전환 상태 ref 객체 ({ from, to, progress }) [Optional]
+ * @param {string|number} seed - 파티클 배치와 움직임을 재현하는 시드. 없으면 SeedProvider 값, 그것도 없으면 매번 무작위 [Optional]
  *
  * Example usage:
  * <ParticleGlowEffect
@@ -168,6 +347,8 @@ const MemoizedParticles = React.memo(Particles);
  *   particleCount={150}
  *   particleColor="#00AAFF"
  *   movementSpeed={0.001}
+ *   bloomThreshold={0.2}
+ *   vignette={1}
  * />
  */
 const ParticleGlowEffect = React.memo(
@@ -179,17 +360,53 @@ const ParticleGlowEffect = React.memo(
     particleColor = "#ADD8E6",
     movementSpeed = 0.00075,
     movementRadius = 20,
+    bloomStrength = GLOW_CONFIG.bloomStrength,
+    bloomRadius = GLOW_CONFIG.bloomRadius,
+    bloomThreshold = GLOW_CONFIG.bloomThreshold,
+    chromaticAberration = GLOW_CONFIG.chromaticAberration,
+    vignette = GLOW_CONFIG.vignette,
+    glowSettings,
+    quality = "auto",
+    formations,
+    morph,
+    seed,
   }) => {
+    // glowSettings ref가 없으면 props 값을 담은 ref 사용
+    const propSettingsRef = useRef(null);
+    propSettingsRef.current = {
+      bloomStrength,
+      bloomRadius,
+      bloomThreshold,
+      chromaticAberration,
+      vignette,
+    };
+
+    // 자동 품질: 프레임 시간 측정 결과에 따른 후처리 단계
+    const { tier } = useQualityTier();
+    const qualityLevel = quality === "auto" ? tier.postProcessing : quality;
+    const resolvedSeed = useSeed(seed);
+
     return (
-      <MemoizedParticles
-        mouse={mouse}
-        scrollProgress={scrollProgress}
-        count={particleCount}
-        particleSize={particleSize}
-        particleColor={particleColor}
-        movementSpeed={movementSpeed}
-        movementRadius={movementRadius}
-      />
+      <>
+        <MemoizedParticles
+          mouse={mouse}
+          scrollProgress={scrollProgress}
+          count={particleCount}
+          particleSize={particleSize}
+          particleColor={particleColor}
+          movementSpeed={movementSpeed}
+          movementRadius={movementRadius}
+          formations={formations}
+          morph={morph}
+          seed={resolvedSeed}
+        />
+        {GLOW_QUALITY_LEVELS[qualityLevel] && (
+          <GlowComposer
+            settingsRef={glowSettings || propSettingsRef}
+            qualityLevel={qualityLevel}
+          />
+        )}
+      </>
     );
   }
 );
@@ -2,6 +2,8 @@ import React, { useRef, useEffect, useState, useCallback, Children } from 'react
 import { Canvas } from '@react-three/fiber'
 import { Box } from '@mui/material'
 import WaveEffect from './WaveEffect'
+import useQualityTier from '../../../hooks/useQualityTier'
+import useRenderActive from '../../../hooks/useRenderActive'
 
 // Throttle 유틸리티 함수 (60FPS)
 const throttle = (func, delay) => {
@@ -57,6 +59,9 @@ export function WaveSection({ children }) {
  * 1. 기존 방식: scrollProgress와 mousePosition을 직접 전달
  * 2. 새로운 방식: children 배열을 전달하면 자동으로 스크롤 처리
  * 
+ * dpr은 QualityProvider의 품질 단계를 따르고, 화면 밖이거나 탭이 숨겨지면 렌더링을 멈추며
+ * 동작 줄이기 설정 시 웨이브 움직임을 멈춥니다.
+ * 
  * Props:
  * @param {ReactNode} children - WaveSection 배열 (새로운 방식) [Optional]
  * @param {number} scrollProgress - 스크롤 진행률 (기존 방식) [Optional, 기본값: 자동 계산]
@@ -86,6 +91,13 @@ export default function WaveBackground({
 }) {
   const scrollRef = useRef(null);
   const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  
+  // 렌더링 품질 단계와 화면 노출 여부
+  const { tier, reducedMotion } = useQualityTier()
+  const isRenderActive = useRenderActive(canvasRef)
+  const frameloop = isRenderActive ? 'always' : 'never'
+  const effectiveWaveSpeed = reducedMotion ? 0 : waveSpeed
   
   // 상태 관리
   const [internalScrollProgress, setInternalScrollProgress] = useState(0);
@@ -169,7 +181,9 @@ export default function WaveBackground({
       <Canvas
         style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', zIndex: 0 }}
         camera={{ position: [0, 0, 5], fov: 75, near: 0.1, far: 100 }}
-        dpr={[1, 1.5]}
+        ref={canvasRef}
+        dpr={tier.dpr}
+        frameloop={frameloop}
         gl={{ 
           antialias: true,
           powerPreference: "high-performance",
@@ -183,7 +197,7 @@ export default function WaveBackground({
           scrollProgress={scrollProgress}
           mousePosition={mousePosition}
           waveIntensity={waveIntensity}
-          waveSpeed={waveSpeed}
+          waveSpeed={effectiveWaveSpeed}
           colorStart={colorStart}
           colorEnd={colorEnd}
         />
@@ -209,7 +223,9 @@ export default function WaveBackground({
       <Canvas
         style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', zIndex: 0 }}
         camera={{ position: [0, 0, 5], fov: 75, near: 0.1, far: 100 }}
-        dpr={[1, 1.5]}
+        ref={canvasRef}
+        dpr={tier.dpr}
+        frameloop={frameloop}
         gl={{ 
           antialias: true,
           powerPreference: "high-performance",
@@ -223,7 +239,7 @@ export default function WaveBackground({
           scrollProgress={scrollProgress}
           mousePosition={mousePosition}
           waveIntensity={waveIntensity}
-          waveSpeed={waveSpeed}
+          waveSpeed={effectiveWaveSpeed}
           colorStart={colorStart}
           colorEnd={colorEnd}
         />
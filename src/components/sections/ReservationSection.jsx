@@ -6,37 +6,120 @@ import {
   Typography, 
   Card, 
   CardContent, 
-  TextField, 
-  FormControl, 
-  InputLabel, 
-  Select, 
-  MenuItem 
+  CircularProgress,
+  Button,
 } from '@mui/material';
 import ScrambleText from '../patterns/typoraphy/ScrambleText';
 import GradientButton from '../patterns/motion/GradientButton';
 import CourseBanner from '../commons/banner/CourseBanner';
+import SchemaForm from '../commons/form/SchemaForm';
+import SchemaFormSummary from '../commons/form/SchemaFormSummary';
+import FormStepper from '../commons/form/FormStepper';
+import OfferingPreviewCard from '../commons/card/OfferingPreviewCard';
 import { sectionsData } from '../../data/sectionsData';
+import { getSpacecraftById } from '../../data/spacecraftData';
+import { reservationFormSchema } from '../../data/formSchemas';
+import useReservationSubmit from '../../hooks/useReservationSubmit';
+import useSchemaForm from '../../hooks/useSchemaForm';
+import useFormStepper from '../../hooks/useFormStepper';
+import {
+  normalizeReservation,
+  createReservationReference,
+} from '../../utils/reservationValidation';
+
+// 상품 딥링크 쿼리 파라미터 (예: ?product=lead-platform)
+const PRODUCT_QUERY_PARAM = 'product';
+
+// 작성 중인 예약 보존용 localStorage 키 접두사
+const DRAFT_STORAGE_PREFIX = 'reservation-draft';
+
+/**
+ * URL의 ?product= 값이 스키마의 상품 옵션에 있으면 초기 값으로 반환
+ * @param {object} schema - 폼 스키마
+ */
+const getDeepLinkedValues = (schema) => {
+  if (typeof window === 'undefined') return {};
+
+  const productId = new URLSearchParams(window.location.search).get(PRODUCT_QUERY_PARAM);
+  const productField = schema.fields.find(field => field.name === 'spacecraft');
+  const isKnownProduct = productField?.options?.some(option => option.value === productId);
+
+  return isKnownProduct ? { spacecraft: productId } : {};
+};
 
 /**
  * 예약 섹션 컴포넌트
- * 우주관광 예약을 위한 폼이 포함된 섹션
+ * 상품 선택 → 연락처 → 일정 → 리뷰 → 완료 순서의 단계형 예약 폼이 포함된 섹션
+ * 입력 중인 값과 현재 단계는 localStorage에 보존되어 새로고침해도 유지됩니다.
  * 
  * Props:
  * @param {Array} sections - 전체 섹션 배열 [Required]
  * @param {function} onSectionsUpdate - 섹션 업데이트 콜백 [Required]
+ * @param {object} submitAdapter - 예약 제출 어댑터 ({ name, submit }) [Optional, 기본값: getDefaultReservationAdapter()]
+ * @param {function} onSubmitSuccess - 예약 성공 콜백 (result, reservation) [Optional]
+ * @param {object} formSchema - 렌더링할 폼 스키마 [Optional, 기본값: reservationFormSchema]
  *
  * Example usage:
  * <ReservationSection sections={sections} onSectionsUpdate={setSections} />
+ * <ReservationSection sections={sections} onSectionsUpdate={setSections} submitAdapter={createFirestoreReservationAdapter()} />
+ *
+ * 딥링크: ?product=<spacecraftData id> 로 진입하면 해당 상품이 미리 선택됩니다.
  */
-function ReservationSection({ sections, onSectionsUpdate }) {
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    spacecraft: '',
-    date: '',
-    passengers: 1,
+function ReservationSection({
+  sections,
+  onSectionsUpdate,
+  submitAdapter,
+  onSubmitSuccess,
+  formSchema = reservationFormSchema,
+}) {
+  const draftStorageKey = `${DRAFT_STORAGE_PREFIX}:${formSchema.id}`;
+
+  // 단계 정보가 없는 스키마는 전체 필드를 한 단계로 렌더링
+  const steps = formSchema.steps || [
+    { id: 'details', label: 'Details', fields: formSchema.fields.map(field => field.name) },
+  ];
+
+  const {
+    values: formData,
+    errors,
+    setFieldValue,
+    validate,
+    reset: resetForm,
+  } = useSchemaForm(formSchema, getDeepLinkedValues(formSchema), {
+    storageKey: draftStorageKey,
+  });
+
+  const {
+    activeStep,
+    activeStepConfig,
+    isFirstStep,
+    isLastStep,
+    goNext,
+    goBack,
+    goTo,
+    reset: resetStepper,
+  } = useFormStepper(steps, {
+    onValidateStep: (step) => !step.fields || validate(step.fields),
+    storageKey: `${draftStorageKey}:step`,
   });
 
+  // 선택한 상품 미리보기 데이터
+  const selectedOffering = getSpacecraftById(formData.spacecraft);
+
+  // 완료 화면에 표시할 제출된 예약 (참조 번호 포함)
+  const [submittedReservation, setSubmittedReservation] = useState(null);
+
+  const { status, error, submit, retry, reset } = useReservationSubmit({
+    ...(submitAdapter && { adapter: submitAdapter }),
+    onSuccess: (response, reservation) => {
+      // 제출 완료 시 작성 중이던 초안 삭제
+      resetForm(getDeepLinkedValues(formSchema));
+      resetStepper();
+      if (onSubmitSuccess) onSubmitSuccess(response, reservation);
+    },
+  });
+  const isSubmitting = status === 'submitting';
+
   // CTA hover 상태 관리 (내부 UI 반전용)
   const [isHovered, setIsHovered] = useState(false);
   
@@ -102,86 +185,36 @@ function ReservationSection({ sections, onSectionsUpdate }) {
     onSectionsUpdate(updatedSections);
   }, [sections, onSectionsUpdate]);
 
-  const handleInputChange = (event) => {
-    const { name, value } = event.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
-  };
-
+  // 마지막 단계 전에는 다음 단계로, 마지막 단계에서는 전체 검증 후 제출
   const handleSubmit = (event) => {
     event.preventDefault();
-    console.log('Reservation submitted:', formData);
-    // 실제 예약 처리 로직은 여기에 구현
-  };
+    if (isSubmitting) return;
 
-  // 폼 필드 공통 스타일
-  const getFieldStyles = () => ({
-    '& .MuiOutlinedInput-root': {
-      backgroundColor: isHovered 
-        ? 'rgba(26,27,35,0.05)' 
-        : 'rgba(255,255,255,0.05)',
-      borderRadius: 2,
-      transition: 'all 0.3s ease',
-      '& fieldset': {
-        borderColor: isHovered 
-          ? 'rgba(26,27,35,0.4)' 
-          : 'rgba(255,255,255,0.3)',
-      },
-      '&:hover fieldset': {
-        borderColor: isHovered 
-          ? 'rgba(26,27,35,0.6)' 
-          : 'rgba(255,255,255,0.5)',
-      },
-      '&.Mui-focused fieldset': {
-        borderColor: isHovered 
-          ? 'rgba(26,27,35,0.8)' 
-          : 'rgba(255,255,255,0.8)',
-      },
-    },
-    '& .MuiInputLabel-root': {
-      color: isHovered 
-        ? 'rgba(26,27,35,0.8)' 
-        : 'rgba(255,255,255,0.7)',
-      transition: 'all 0.3s ease',
-    },
-    '& .MuiOutlinedInput-input': {
-      color: isHovered ? '#1A1B23' : 'white',
-      transition: 'all 0.3s ease',
-    },
-  });
+    if (!isLastStep) {
+      goNext();
+      return;
+    }
+    if (!validate()) {
+      // 리뷰 단계에는 입력 필드가 없으므로 (저장된 값이 오래되었거나 규칙이 바뀐 경우)
+      // 오류가 있는 첫 단계로 돌아가 해당 필드의 오류를 표시
+      const invalidStepIndex = steps.findIndex(step => step.fields && !validate(step.fields));
+      if (invalidStepIndex >= 0) goTo(invalidStepIndex);
+      return;
+    }
 
-  // Select 필드 스타일
-  const getSelectStyles = () => ({
-    backgroundColor: isHovered 
-      ? 'rgba(26,27,35,0.05)' 
-      : 'rgba(255,255,255,0.05)',
-    borderRadius: 2,
-    color: isHovered ? '#1A1B23' : 'white',
-    transition: 'all 0.3s ease',
-    '& .MuiOutlinedInput-notchedOutline': {
-      borderColor: isHovered 
-        ? 'rgba(26,27,35,0.4)' 
-        : 'rgba(255,255,255,0.3)',
-    },
-    '&:hover .MuiOutlinedInput-notchedOutline': {
-      borderColor: isHovered 
-        ? 'rgba(26,27,35,0.6)' 
-        : 'rgba(255,255,255,0.5)',
-    },
-    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-      borderColor: isHovered 
-        ? 'rgba(26,27,35,0.8)' 
-        : 'rgba(255,255,255,0.8)',
-    },
-    '& .MuiSvgIcon-root': {
-      color: isHovered 
-        ? 'rgba(26,27,35,0.8)' 
-        : 'rgba(255,255,255,0.7)',
-      transition: 'all 0.3s ease',
-    },
-  });
+    const reservation = {
+      ...normalizeReservation(formData),
+      reference: createReservationReference(),
+    };
+    setSubmittedReservation(reservation);
+    submit(reservation);
+  };
+
+  // 예약 완료 후 새 예약 시작
+  const handleNewReservation = () => {
+    setSubmittedReservation(null);
+    reset();
+  };
 
   return (
     <Stack
@@ -274,137 +307,239 @@ function ReservationSection({ sections, onSectionsUpdate }) {
                 }}
               >
                 <CardContent sx={{ p: { xs: 3, sm: 4, md: 5 } }}>
-                  <Box component="form" onSubmit={handleSubmit}>
-                    <Grid container spacing={3}>
-                      {/* 이름 */}
-                      <Grid size={{ xs: 12, sm: 6 }}>
-                        <TextField
-                          fullWidth
-                          name="name"
-                          label="Full Name"
-                          value={formData.name}
-                          onChange={handleInputChange}
-                          required
-                          sx={getFieldStyles()}
-                        />
-                      </Grid>
-
-                      {/* 이메일 */}
-                      <Grid size={{ xs: 12, sm: 6 }}>
-                        <TextField
-                          fullWidth
-                          name="email"
-                          label="Email Address"
-                          type="email"
-                          value={formData.email}
-                          onChange={handleInputChange}
-                          required
-                          sx={getFieldStyles()}
-                        />
-                      </Grid>
-
-                      {/* 우주선 선택 */}
-                      <Grid size={{ xs: 12, sm: 6 }}>
-                        <FormControl fullWidth required>
-                          <InputLabel 
-                            sx={{ 
-                              color: isHovered 
-                                ? 'rgba(26,27,35,0.8)' 
-                                : 'rgba(255,255,255,0.7)',
-                              transition: 'all 0.3s ease',
-                            }}
-                          >
-                            Spacecraft
-                          </InputLabel>
-                          <Select
-                            name="spacecraft"
-                            value={formData.spacecraft}
-                            onChange={handleInputChange}
-                            sx={getSelectStyles()}
-                          >
-                            <MenuItem value="lunar-voyager">Lunar Voyager</MenuItem>
-                            <MenuItem value="martian-pioneer">Martian Pioneer</MenuItem>
-                            <MenuItem value="stellar-explorer">Stellar Explorer</MenuItem>
-                          </Select>
-                        </FormControl>
-                      </Grid>
-
-                      {/* 승객 수 */}
-                      <Grid size={{ xs: 12, sm: 6 }}>
-                        <TextField
-                          fullWidth
-                          name="passengers"
-                          label="Number of Passengers"
-                          type="number"
-                          value={formData.passengers}
-                          onChange={handleInputChange}
-                          inputProps={{ min: 1, max: 12 }}
-                          required
-                          sx={getFieldStyles()}
-                        />
-                      </Grid>
-
-                      {/* 날짜 */}
-                      <Grid size={{ xs: 12 }}>
-                        <TextField
-                          fullWidth
-                          name="date"
-                          label="Preferred Date"
-                          type="date"
-                          value={formData.date}
-                          onChange={handleInputChange}
-                          InputLabelProps={{ shrink: true }}
-                          required
-                          sx={getFieldStyles()}
-                        />
-                      </Grid>
-
-                      {/* 제출 버튼 */}
-                      <Grid size={{ xs: 12 }}>
-                        <GradientButton
-                          key={`gradient-btn-${renderKey}`}
-                          type="submit"
-                          fullWidth
-                          size="large"
-                          angle={90}
-                          colors={isHovered 
-                            ? ['#1A1B23', '#2C2D35', '#1A1B23'] 
-                            : ['#fff', '#bbb', '#fff']
-                          }
-                          textColor={isHovered ? '#F8F9FA' : '#000'}
-                          animationDuration="4s"
-                          onMouseEnter={() => {
-                            handleCtaHover(true);
+                  {status === 'success' && submittedReservation ? (
+                    /* 예약 완료 */
+                    <Stack spacing={3} sx={{ textAlign: 'center', py: 2 }}>
+                      <Box>
+                        <Typography
+                          variant="h5"
+                          sx={{
+                            color: isHovered ? '#1A1B23' : 'white',
+                            fontWeight: 700,
+                            letterSpacing: '0.05em',
+                            mb: 1,
                           }}
-                          onMouseLeave={() => {
-                            handleCtaHover(false);
+                        >
+                          Reservation Confirmed
+                        </Typography>
+                        <Typography
+                          variant="body1"
+                          sx={{
+                            color: isHovered
+                              ? 'rgba(26,27,35,0.8)'
+                              : 'rgba(255,255,255,0.7)',
                           }}
+                        >
+                          {submittedReservation.email
+                            ? `We'll contact you at ${submittedReservation.email} shortly.`
+                            : 'We\'ll be in touch shortly.'}
+                        </Typography>
+                      </Box>
+
+                      {/* 참조 번호 */}
+                      <Box>
+                        <Typography
+                          variant="overline"
                           sx={{
-                            mt: 2,
-                            py: 1.5,
-                            fontSize: '1.1rem',
-                            fontWeight: 600,
-                            textTransform: 'uppercase',
+                            color: isHovered
+                              ? 'rgba(26,27,35,0.6)'
+                              : 'rgba(255,255,255,0.5)',
                             letterSpacing: '0.1em',
-                            transition: 'all 0.3s ease',
-                            border: isHovered 
-                              ? '1px solid rgba(26,27,35,0.3)' 
-                              : '1px solid rgba(255,255,255,0.2)',
-                            backdropFilter: 'blur(10px)',
-                            '&:hover': {
-                              transform: 'translateY(-2px)',
-                              boxShadow: isHovered 
-                                ? '0 10px 30px rgba(26,27,35,0.3)' 
-                                : '0 10px 30px rgba(14,165,233,0.4)',
-                            },
                           }}
-                          onClick={handleSubmit}
                         >
-                          Reserve Your Journey
-                        </GradientButton>
-                      </Grid>
-                    </Grid>
-                  </Box>
+                          Reference Number
+                        </Typography>
+                        <Typography
+                          variant="h4"
+                          sx={{
+                            color: isHovered ? '#1A1B23' : 'white',
+                            fontWeight: 800,
+                            letterSpacing: '0.08em',
+                            fontFamily: 'monospace',
+                          }}
+                        >
+                          {submittedReservation.reference}
+                        </Typography>
+                      </Box>
+
+                      <Box sx={{ textAlign: 'left' }}>
+                        <SchemaFormSummary
+                          schema={formSchema}
+                          values={submittedReservation}
+                          isInverted={isHovered}
+                        />
+                      </Box>
+
+                      <Box>
+                        <Button
+                          variant="outlined"
+                          onClick={handleNewReservation}
+                          sx={{
+                            color: isHovered ? '#1A1B23' : 'white',
+                            borderColor: isHovered
+                              ? 'rgba(26,27,35,0.4)'
+                              : 'rgba(255,255,255,0.3)',
+                          }}
+                        >
+                          Make Another Reservation
+                        </Button>
+                      </Box>
+                    </Stack>
+                  ) : (
+                    <>
+                      {/* 단계 진행 표시 */}
+                      {steps.length > 1 && (
+                        <FormStepper
+                          steps={steps}
+                          activeStep={activeStep}
+                          onStepClick={goTo}
+                          isInverted={isHovered}
+                        />
+                      )}
+
+                      <SchemaForm
+                        schema={formSchema}
+                        values={formData}
+                        errors={errors}
+                        onFieldChange={setFieldValue}
+                        onSubmit={handleSubmit}
+                        isInverted={isHovered}
+                        isDisabled={isSubmitting}
+                        fieldNames={activeStepConfig.fields || []}
+                      >
+                        {/* 리뷰 단계: 입력 요약 */}
+                        {!activeStepConfig.fields && (
+                          <Grid size={{ xs: 12 }}>
+                            <SchemaFormSummary
+                              schema={formSchema}
+                              values={formData}
+                              onEditStep={goTo}
+                              isInverted={isHovered}
+                            />
+                          </Grid>
+                        )}
+
+                        {/* 선택한 상품 미리보기 */}
+                        {selectedOffering && activeStepConfig.fields?.includes('spacecraft') && (
+                          <Grid size={{ xs: 12 }}>
+                            <OfferingPreviewCard offering={selectedOffering} isInverted={isHovered} />
+                          </Grid>
+                        )}
+
+                        {/* 제출 실패 안내 및 재시도 */}
+                        {status === 'error' && (
+                          <Grid size={{ xs: 12 }}>
+                            <Box
+                              role="alert"
+                              sx={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'space-between',
+                                gap: 2,
+                                px: 2,
+                                py: 1.5,
+                                borderRadius: 2,
+                                border: '1px solid rgba(244,67,54,0.5)',
+                                backgroundColor: 'rgba(244,67,54,0.08)',
+                              }}
+                            >
+                              <Typography
+                                variant="body2"
+                                sx={{ color: isHovered ? '#1A1B23' : 'rgba(255,255,255,0.85)' }}
+                              >
+                                {error?.message || 'Something went wrong.'} Your details are kept — please try again.
+                              </Typography>
+                              <Button
+                                size="small"
+                                variant="outlined"
+                                color="error"
+                                onClick={retry}
+                                sx={{ flexShrink: 0 }}
+                              >
+                                Retry
+                              </Button>
+                            </Box>
+                          </Grid>
+                        )}
+
+                        {/* 이전 단계 버튼 */}
+                        {!isFirstStep && (
+                          <Grid size={{ xs: 12, sm: 4 }}>
+                            <Button
+                              fullWidth
+                              size="large"
+                              variant="outlined"
+                              onClick={goBack}
+                              disabled={isSubmitting}
+                              sx={{
+                                mt: 2,
+                                py: 1.5,
+                                color: isHovered ? '#1A1B23' : 'white',
+                                borderColor: isHovered
+                                  ? 'rgba(26,27,35,0.4)'
+                                  : 'rgba(255,255,255,0.3)',
+                                letterSpacing: '0.1em',
+                              }}
+                            >
+                              Back
+                            </Button>
+                          </Grid>
+                        )}
+
+                        {/* 다음 단계 / 제출 버튼 */}
+                        <Grid size={{ xs: 12, sm: isFirstStep ? 12 : 8 }}>
+                          <GradientButton
+                            key={`gradient-btn-${renderKey}`}
+                            type="submit"
+                            fullWidth
+                            size="large"
+                            angle={90}
+                            disabled={isSubmitting}
+                            colors={isHovered 
+                              ? ['#1A1B23', '#2C2D35', '#1A1B23'] 
+                              : ['#fff', '#bbb', '#fff']
+                            }
+                            textColor={isHovered ? '#F8F9FA' : '#000'}
+                            animationDuration="4s"
+                            onMouseEnter={() => {
+                              handleCtaHover(true);
+                            }}
+                            onMouseLeave={() => {
+                              handleCtaHover(false);
+                            }}
+                            sx={{
+                              mt: 2,
+                              py: 1.5,
+                              fontSize: '1.1rem',
+                              fontWeight: 600,
+                              textTransform: 'uppercase',
+                              letterSpacing: '0.1em',
+                              transition: 'all 0.3s ease',
+                              border: isHovered 
+                                ? '1px solid rgba(26,27,35,0.3)' 
+                                : '1px solid rgba(255,255,255,0.2)',
+                              backdropFilter: 'blur(10px)',
+                              '&:hover': {
+                                transform: 'translateY(-2px)',
+                                boxShadow: isHovered 
+                                  ? '0 10px 30px rgba(26,27,35,0.3)' 
+                                  : '0 10px 30px rgba(14,165,233,0.4)',
+                              },
+                            }}
+                          >
+                            {isSubmitting ? (
+                              <Box component="span" sx={{ display: 'inline-flex', alignItems: 'center', gap: 1.5 }}>
+                                <CircularProgress size={18} sx={{ color: 'inherit' }} />
+                                Submitting...
+                              </Box>
+                            ) : (
+                              isLastStep ? (formSchema.submitLabel || 'Submit') : 'Continue'
+                            )}
+                          </GradientButton>
+                        </Grid>
+                      </SchemaForm>
+                    </>
+                  )}
                 </CardContent>
               </Card>
             </Grid>
@@ -48,6 +48,81 @@ export const PERFORMANCE_CONFIG = {
   cameraEndZ: 15
 };
 
+// 파티클 글로우 후처리 기본값 (섹션별 설정이 없을 때 사용)
+export const GLOW_CONFIG = {
+  bloomStrength: 1.2,
+  bloomRadius: 0.3,
+  bloomThreshold: 0.9,
+  chromaticAberration: 0, // RGB 분리 거리 (0이면 비활성화)
+  vignette: 0, // 가장자리 어둡기 (0이면 비활성화)
+};
+
+// 글로우 품질 단계 (저사양 기기는 low에서 시작하고, 프레임이 떨어지면 한 단계씩 낮춤)
+export const GLOW_QUALITY_LEVELS = {
+  high: { bloomResolutionScale: 1, extras: true },
+  low: { bloomResolutionScale: 0.5, extras: false },
+  off: null,
+};
+
+// 렌더링 품질 단계 (QualityProvider가 프레임 시간과 기기 힌트로 선택)
+// - particleScale: 파티클/버블 개수 배율
+// - dpr: WebGL Canvas 픽셀 비율 범위
+// - cameraUpdateInterval / backgroundUpdateInterval: 카메라·배경색 갱신 간격 (프레임)
+// - postProcessing: 후처리 품질 (GLOW_QUALITY_LEVELS 키)
+// - shadows: 그림자 사용 여부
+// - canvasResolutionScale / maxFPS: 2D 캔버스 패턴(MeshGradientBox) 해상도 배율과 최대 FPS
+export const QUALITY_TIERS = {
+  high: {
+    particleScale: 1,
+    dpr: [1, 1.5],
+    cameraUpdateInterval: 1,
+    backgroundUpdateInterval: 2,
+    postProcessing: 'high',
+    shadows: true,
+    canvasResolutionScale: 1,
+    maxFPS: 60,
+  },
+  medium: {
+    particleScale: 0.6,
+    dpr: [1, 1.25],
+    cameraUpdateInterval: 2,
+    backgroundUpdateInterval: 3,
+    postProcessing: 'low',
+    shadows: false,
+    canvasResolutionScale: 0.75,
+    maxFPS: 30,
+  },
+  low: {
+    particleScale: 0.3,
+    dpr: [1, 1],
+    cameraUpdateInterval: 3,
+    backgroundUpdateInterval: 4,
+    postProcessing: 'off',
+    shadows: false,
+    canvasResolutionScale: 0.5,
+    maxFPS: 20,
+  },
+};
+
+// 낮은 품질부터의 단계 순서
+export const QUALITY_TIER_ORDER = ['low', 'medium', 'high'];
+
+// 프레임 시간 측정 설정
+export const QUALITY_MONITOR_CONFIG = {
+  sampleFrames: 60, // 평균을 낼 프레임 수
+  downgradeFrameTime: 24, // 평균 프레임 시간이 이보다 길면 한 단계 낮춤 (ms, 약 42fps)
+  upgradeFrameTime: 17.5, // 평균 프레임 시간이 이보다 짧으면 한 단계 높임 (ms, 약 57fps)
+  upgradeDelay: 5000, // 단계를 높이기 전 안정적으로 유지되어야 하는 시간 (ms)
+  maxTierChanges: 6, // 단계가 오르내리기를 반복하면 이 횟수 이후 현재 단계로 고정
+  lowBatteryLevel: 0.2, // 충전 중이 아니고 배터리가 이보다 적으면 low로 제한
+};
+
+// 부드러운 스크롤(Lenis)과 섹션 이동 설정
+export const SMOOTH_SCROLL_CONFIG = {
+  duration: 1.2, // 휠 스크롤·섹션 이동 애니메이션 시간 (초)
+  headerOffset: 64, // 고정 헤더 높이만큼 섹션 위치를 위로 보정 (px)
+};
+
 // 애니메이션 설정
 export const ANIMATION_CONFIG = {
   scrollTrigger: {
@@ -62,4 +137,24 @@ export const ANIMATION_CONFIG = {
   fadeTransition: {
     duration: 1000
   }
-}; 
\ No newline at end of file
+}; 
+// 예약 폼 설정
+export const RESERVATION_CONFIG = {
+  minPassengers: 1,
+  maxPassengers: 12,
+  maxRetries: 2, // 자동 재시도 횟수 (최초 요청 제외)
+  retryDelay: 800, // 재시도 기본 지연 (ms, 시도마다 2배 증가)
+  mockLatency: 900, // 목업 백엔드 응답 지연 (ms)
+  mockFailureRate: 0, // 목업 백엔드 실패 확률 (0~1)
+  storageKey: 'reservations',
+};
+
+// Firebase 설정 (.env.local의 VITE_FIREBASE_* 값 사용)
+export const FIREBASE_CONFIG = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID,
+};
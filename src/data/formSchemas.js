@@ -0,0 +1,166 @@
+import { RESERVATION_CONFIG } from '../constants';
+import { getSpacecraftById, getSpacecraftOptions } from './spacecraftData';
+
+/**
+ * 선택한 상품의 최대 좌석 수 (상품 미선택 시 기본 최대 인원)
+ * @param {object} values - 현재 폼 값
+ */
+const getMaxSeats = (values) => (
+  getSpacecraftById(values.spacecraft)?.capacity?.maxSeats ?? RESERVATION_CONFIG.maxPassengers
+);
+
+/**
+ * 선택한 상품의 최소 좌석 수 (상품 미선택 시 기본 최소 인원)
+ * @param {object} values - 현재 폼 값
+ */
+const getMinSeats = (values) => (
+  getSpacecraftById(values.spacecraft)?.capacity?.minSeats ?? RESERVATION_CONFIG.minPassengers
+);
+
+/**
+ * 폼 스키마 데이터
+ * SchemaForm 컴포넌트가 렌더링할 필드 목록을 선언합니다.
+ *
+ * 필드 속성:
+ * - name: 폼 값의 키 [Required]
+ * - type: 'text' | 'email' | 'tel' | 'number' | 'date' | 'textarea' | 'select' | 'checkbox' [Required]
+ * - label: 라벨 텍스트 [Required]
+ * - size: MUI Grid size 객체 (기본값: { xs: 12 })
+ * - defaultValue: 초기 값
+ * - options: select 옵션 배열 ({ value, label })
+ * - rules: 검증 규칙 (required, email, pattern, minLength, maxLength, integer, min, max, futureDate, validate)
+ *          값 그대로 또는 { value, message } 형태로 선언, 값 대신 (values) => 값 함수도 가능
+ * - visibleWhen: 조건부 노출 ((values) => boolean 또는 { field, equals | in | notEmpty })
+ * - placeholder, helperText: 입력 보조 텍스트
+ *
+ * 스키마 속성:
+ * - steps: 다단계(위저드) 구성 ({ id, label, fields }). fields가 없는 단계는 리뷰 단계로 사용
+ */
+
+/**
+ * 예약 폼 스키마
+ */
+export const reservationFormSchema = {
+  id: 'reservation',
+  submitLabel: 'Reserve Your Journey',
+  steps: [
+    { id: 'offering', label: 'Offering', fields: ['spacecraft'] },
+    { id: 'contact', label: 'Contact', fields: ['name', 'email'] },
+    { id: 'schedule', label: 'Schedule', fields: ['date', 'passengers'] },
+    { id: 'review', label: 'Review' },
+  ],
+  fields: [
+    {
+      name: 'name',
+      type: 'text',
+      label: 'Full Name',
+      size: { xs: 12, sm: 6 },
+      rules: {
+        required: { value: true, message: 'Please enter your name.' },
+      },
+    },
+    {
+      name: 'email',
+      type: 'email',
+      label: 'Email Address',
+      size: { xs: 12, sm: 6 },
+      rules: {
+        required: { value: true, message: 'Please enter your email address.' },
+        email: true,
+      },
+    },
+    {
+      name: 'spacecraft',
+      type: 'select',
+      label: 'Product',
+      size: { xs: 12, sm: 6 },
+      options: getSpacecraftOptions(),
+      rules: {
+        required: { value: true, message: 'Please choose an offering.' },
+      },
+    },
+    {
+      name: 'passengers',
+      type: 'number',
+      label: 'Number of Passengers',
+      size: { xs: 12, sm: 6 },
+      defaultValue: 1,
+      rules: {
+        required: true,
+        integer: true,
+        min: getMinSeats,
+        max: getMaxSeats,
+      },
+    },
+    {
+      name: 'date',
+      type: 'date',
+      label: 'Preferred Date',
+      size: { xs: 12 },
+      rules: {
+        required: { value: true, message: 'Please choose a date.' },
+        futureDate: true,
+      },
+    },
+  ],
+};
+
+/**
+ * 리드 수집 폼 스키마
+ * 섹션 데이터의 props.formSchema로 연결해 어느 섹션에서든 사용할 수 있습니다.
+ */
+export const leadCaptureFormSchema = {
+  id: 'lead-capture',
+  submitLabel: 'Request a Demo',
+  fields: [
+    {
+      name: 'name',
+      type: 'text',
+      label: 'Full Name',
+      size: { xs: 12, sm: 6 },
+      rules: { required: true },
+    },
+    {
+      name: 'email',
+      type: 'email',
+      label: 'Work Email',
+      size: { xs: 12, sm: 6 },
+      rules: { required: true, email: true },
+    },
+    {
+      name: 'company',
+      type: 'text',
+      label: 'Company',
+      size: { xs: 12, sm: 6 },
+      rules: { required: true, maxLength: 100 },
+    },
+    {
+      name: 'role',
+      type: 'select',
+      label: 'Role',
+      size: { xs: 12, sm: 6 },
+      options: [
+        { value: 'marketing', label: 'Marketing' },
+        { value: 'data', label: 'Data / Analytics' },
+        { value: 'product', label: 'Product' },
+        { value: 'other', label: 'Other' },
+      ],
+      rules: { required: true },
+    },
+    {
+      name: 'roleDetail',
+      type: 'text',
+      label: 'Your Role',
+      size: { xs: 12 },
+      visibleWhen: { field: 'role', equals: 'other' },
+      rules: { required: true },
+    },
+    {
+      name: 'message',
+      type: 'textarea',
+      label: 'What would you like to explore?',
+      size: { xs: 12 },
+      rules: { maxLength: 1000 },
+    },
+  ],
+};
@@ -0,0 +1,183 @@
+import {
+  hexToHsl,
+  hslToHex,
+  isHexColor,
+  mixColors,
+  getContrastRatio,
+} from '../utils/colorUtils';
+
+// 팔레트를 찾지 못했을 때 사용하는 기본 회색 그라데이션
+export const DEFAULT_PALETTE_COLORS = ['#f5f5f5', '#e0e0e0'];
+
+// 팔레트 위에 올릴 텍스트 색상 후보
+const TEXT_COLOR_CANDIDATES = ['#ffffff', '#000000'];
+
+/**
+ * 팔레트 위에서 가장 잘 읽히는 텍스트 색상 계산
+ * 모든 색상에 대한 명암비 중 가장 낮은 값이 큰 후보를 고릅니다.
+ * @param {string[]} colors - HEX 색상 배열
+ * @returns {object} { textColor, contrastRatio }
+ */
+const getRecommendedTextColor = (colors) =>
+  TEXT_COLOR_CANDIDATES.map((textColor) => ({
+    textColor,
+    contrastRatio:
+      Math.round(Math.min(...colors.map((color) => getContrastRatio(color, textColor))) * 100) / 100,
+  })).reduce((best, candidate) => (candidate.contrastRatio > best.contrastRatio ? candidate : best));
+
+/**
+ * 팔레트 정의를 표준 형태로 변환
+ * @param {object} definition - { id, name, colors, tags, contrast }
+ * @returns {object} 팔레트 (textColor, contrastRatio 포함)
+ */
+const createPalette = ({ id, name = id, colors, tags = [], contrast = 'ambient' }) => ({
+  id,
+  name,
+  colors,
+  tags,
+  contrast,
+  ...getRecommendedTextColor(colors),
+});
+
+/**
+ * 그라데이션 팔레트 목록
+ * GradientBox, MeshGradientBox, GradientTypography, ScrollGradientBackground가 팔레트 id로 색상을 찾습니다.
+ *
+ * - id: 컴포넌트 props에 전달하는 팔레트 이름 (예: palette="sunsetGlow")
+ * - name: 표시용 이름
+ * - colors: HEX 색상 배열 (그라데이션 순서)
+ * - tags: 분류 ('warm', 'cool', 'neutral', 'pastel', 'vivid', 'dark', 'primary', 'brand')
+ * - contrast: 권장 GradientBox 대비 강도 ('ambient', 'highlight', 'bigContrast')
+ * - textColor / contrastRatio: 팔레트 위에 올릴 권장 텍스트 색상과 최소 명암비 (자동 계산)
+ */
+export const gradientPalettes = [
+  { id: 'sunsetGlow', name: 'Sunset Glow', colors: ['#ff7e5f', '#feb47b', '#ff5e62'], tags: ['warm', 'vivid'], contrast: 'highlight' },
+  { id: 'emberFire', name: 'Ember Fire', colors: ['#f12711', '#f5af19'], tags: ['warm', 'vivid'], contrast: 'bigContrast' },
+  { id: 'peachCream', name: 'Peach Cream', colors: ['#ffecd2', '#fcb69f'], tags: ['warm', 'pastel'] },
+  { id: 'oceanBreeze', name: 'Ocean Breeze', colors: ['#2193b0', '#6dd5ed'], tags: ['cool'] },
+  { id: 'auroraMint', name: 'Aurora Mint', colors: ['#00b4db', '#00c9a7', '#92fe9d'], tags: ['cool', 'vivid'], contrast: 'highlight' },
+  { id: 'lavenderMist', name: 'Lavender Mist', colors: ['#e0c3fc', '#8ec5fc'], tags: ['cool', 'pastel'] },
+  { id: 'forestDawn', name: 'Forest Dawn', colors: ['#134e5e', '#71b280'], tags: ['cool', 'dark'] },
+  { id: 'midnightCity', name: 'Midnight City', colors: ['#232526', '#414345'], tags: ['neutral', 'dark'] },
+  { id: 'silverFog', name: 'Silver Fog', colors: ['#f5f7fa', '#c3cfe2'], tags: ['neutral', 'pastel'] },
+  { id: 'pureRed', name: 'Pure Red', colors: ['#ff0000', '#ff4444'], tags: ['warm', 'primary'] },
+  { id: 'pureBlue', name: 'Pure Blue', colors: ['#0000ff', '#4444ff'], tags: ['cool', 'primary'] },
+  { id: 'pureGreen', name: 'Pure Green', colors: ['#00ff00', '#44ff44'], tags: ['cool', 'primary'] },
+  { id: 'pureYellow', name: 'Pure Yellow', colors: ['#ffff00', '#ffff44'], tags: ['warm', 'primary'] },
+  // 랜딩 페이지 섹션 테마 색상 (constants SECTION_THEMES)
+  { id: 'deepSpace', name: 'Deep Space', colors: ['#000011', '#001122', '#3a5a7a'], tags: ['brand', 'cool', 'dark'], contrast: 'bigContrast' },
+  { id: 'nebulaPulse', name: 'Nebula Pulse', colors: ['#6600ff', '#ff00aa', '#ff6600'], tags: ['brand', 'vivid'], contrast: 'highlight' },
+].map(createPalette);
+
+/**
+ * id로 팔레트 조회
+ * @param {string} id - 팔레트 id
+ * @returns {object|undefined} 팔레트
+ */
+export const getPalette = (id) => {
+  return gradientPalettes.find((palette) => palette.id === id);
+};
+
+/**
+ * 태그로 팔레트 목록 조회
+ * @param {string} tag - 태그 (예: 'warm', 'brand')
+ * @returns {Array} 팔레트 배열
+ */
+export const getPalettesByTag = (tag) => {
+  return gradientPalettes.filter((palette) => palette.tags.includes(tag));
+};
+
+/**
+ * 팔레트 id, 팔레트 객체 또는 색상 배열을 색상 배열로 변환
+ * @param {string|object|string[]} palette - 팔레트 id, 팔레트 객체 또는 HEX 색상 배열
+ * @param {string[]} fallback - 찾지 못했을 때 사용할 색상 [기본값: DEFAULT_PALETTE_COLORS]
+ * @returns {string[]} HEX 색상 배열
+ */
+export const resolvePaletteColors = (palette, fallback = DEFAULT_PALETTE_COLORS) => {
+  if (typeof palette === 'string') return getPalette(palette)?.colors ?? fallback;
+  if (Array.isArray(palette)) return palette.length > 0 ? palette : fallback;
+  if (Array.isArray(palette?.colors)) return palette.colors;
+  return fallback;
+};
+
+/**
+ * 팔레트의 특정 위치 색상 보간
+ * @param {string|object|string[]} palette - 팔레트 id, 팔레트 객체 또는 HEX 색상 배열
+ * @param {number} t - 위치 (0=첫 색상, 1=마지막 색상)
+ * @returns {string} HEX 색상
+ */
+export const interpolatePalette = (palette, t) => {
+  const colors = resolvePaletteColors(palette);
+  if (colors.length === 1) return colors[0];
+
+  const position = Math.min(Math.max(t, 0), 1) * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  return mixColors(colors[index], colors[index + 1], position - index);
+};
+
+/**
+ * 팔레트를 균일한 간격의 색상 배열로 샘플링
+ * @param {string|object|string[]} palette - 팔레트 id, 팔레트 객체 또는 HEX 색상 배열
+ * @param {number} steps - 색상 개수 (2 이상)
+ * @returns {string[]} HEX 색상 배열
+ */
+export const samplePalette = (palette, steps) => {
+  const count = Math.max(2, Math.round(steps));
+  return Array.from({ length: count }, (_, index) => interpolatePalette(palette, index / (count - 1)));
+};
+
+/**
+ * 기준 색상으로 조화 색상 팔레트 생성
+ * - analogous: 색상환에서 이웃한 색 (기준 -spread, 기준, +spread)
+ * - complementary: 기준 색과 색상환 반대편 색
+ * - triadic: 색상환을 120도씩 나눈 세 색
+ * @param {string} seedColor - 기준 HEX 색상
+ * @param {string} type - 조화 방식 ('analogous', 'complementary', 'triadic') [기본값: 'analogous']
+ * @param {object} options - { spread: analogous 간격 (도) [기본값: 30] }
+ * @returns {string[]} HEX 색상 배열 (기준 색상이 올바르지 않으면 DEFAULT_PALETTE_COLORS)
+ */
+export const generateHarmony = (seedColor, type = 'analogous', { spread = 30 } = {}) => {
+  const hsl = hexToHsl(seedColor);
+  if (!hsl) return DEFAULT_PALETTE_COLORS;
+
+  const { h, s, l } = hsl;
+  const seed = hslToHex(h, s, l);
+
+  switch (type) {
+    case 'complementary':
+      return [seed, hslToHex(h + 180, s, l)];
+    case 'triadic':
+      return [seed, hslToHex(h + 120, s, l), hslToHex(h + 240, s, l)];
+    case 'analogous':
+      return [hslToHex(h - spread, s, l), seed, hslToHex(h + spread, s, l)];
+    default:
+      console.warn(`generateHarmony: unknown harmony type "${type}"`);
+      return [seed];
+  }
+};
+
+/**
+ * 사용자 팔레트 등록 (브랜드 색상 등)
+ * 같은 id가 있으면 교체합니다. 컴포넌트가 렌더링되기 전(앱 시작 시)에 등록해야 첫 화면부터 반영됩니다.
+ * @param {object} definition - { id, name, colors, tags, contrast }
+ * @returns {object|null} 등록된 팔레트 (정의가 올바르지 않으면 null)
+ *
+ * Example usage:
+ * registerPalette({ id: 'acmeBrand', colors: generateHarmony('#6600ff', 'triadic'), tags: ['brand'] });
+ */
+export const registerPalette = (definition) => {
+  const { id, colors } = definition ?? {};
+  if (!id || !Array.isArray(colors) || colors.length === 0 || !colors.every(isHexColor)) {
+    console.warn(`registerPalette: palette "${id}" needs an id and a non-empty array of HEX colors`);
+    return null;
+  }
+
+  const palette = createPalette(definition);
+  const index = gradientPalettes.findIndex((item) => item.id === id);
+  if (index >= 0) {
+    gradientPalettes[index] = palette;
+  } else {
+    gradientPalettes.push(palette);
+  }
+  return palette;
+};
@@ -0,0 +1,61 @@
+/**
+ * 로고타입 글자 path 데이터
+ *
+ * LogoTypeUnitSingle, ParticlePathAnimator 등이 stroke-dashoffset으로 그려 나가는 한 획짜리 중심선입니다.
+ * 모든 글자는 높이 144 박스 기준이며, 각 글자를 쓰는 곳의 width/strokeWidth와 맞춰
+ * 선 두께를 더해도 박스 밖으로 나가지 않도록 좌표를 잡았습니다.
+ *
+ * Example usage:
+ * <LogoTypeUnitSingle data={path_a} width={144} strokeWidth={48} />
+ */
+
+// D (width: 144, strokeWidth: 72) - 왼쪽 위에서 시작해 세로획 → 아래 → 곡선 순서
+export const path_D = 'M36,36 L36,108 L72,108 A36,36 0 0 0 72,36 Z';
+
+// D 역방향 (width: 144, strokeWidth: 72) - 왼쪽 아래에서 시작해 세로획 → 위 → 곡선 순서
+export const path_D_reverse = 'M36,108 L36,36 L72,36 A36,36 0 0 1 72,108 Z';
+
+// a (width: 144, strokeWidth: 48)
+export const path_a = 'M120,72 A48,48 0 1 0 24,72 A48,48 0 1 0 120,72 M120,0 L120,144';
+
+// t (width: 80~96, strokeWidth: 48)
+export const path_t = 'M40,0 L40,144 M0,48 L80,48';
+
+// r (width: 80, strokeWidth: 48)
+export const path_r = 'M24,144 L24,72 A48,48 0 0 1 72,24 L80,24';
+
+// i (width: 48, strokeWidth: 48)
+export const path_i = 'M24,0 L24,144';
+
+// v (width: 144, strokeWidth: 44) - 꼭짓점의 뾰족한 이음(miter)이 박스 아래로 나가지 않도록 높이를 줄임
+export const path_v = 'M22,0 L72,80 L122,0';
+
+// e (width: 144, strokeWidth: 40)
+export const path_e = 'M20,72 L124,72 A52,52 0 1 0 108.77,108.77';
+
+// g (width: 144, strokeWidth: 40)
+export const path_g = 'M100,48 A28,28 0 1 0 44,48 A28,28 0 1 0 100,48 M100,20 L100,96 A28,28 0 0 1 44,96';
+
+// n (width: 144, strokeWidth: 56)
+export const path_n = 'M28,144 L28,72 A44,44 0 0 1 116,72 L116,144';
+
+// s (width: 144, strokeWidth: 48)
+export const path_s = 'M116,48 A44,24 0 1 0 72,72 A44,24 0 1 1 28,96';
+
+// o (width: 144, strokeWidth: 48)
+export const path_o = 'M72,24 A48,48 0 1 1 72,120 A48,48 0 1 1 72,24';
+
+// 속이 찬 o (width: 144, strokeWidth: 72) - 선 두께가 반지름의 2배라 안쪽이 메워짐
+export const path_o_filled = 'M72,36 A36,36 0 1 1 72,108 A36,36 0 1 1 72,36';
+
+// u (width: 144, strokeWidth: 48)
+export const path_u_2 = 'M24,0 L24,72 A48,48 0 0 0 120,72 L120,0';
+
+// 오른쪽 세로획이 끝까지 내려오는 u (width: 144, strokeWidth: 48)
+export const path_u_serif = 'M24,0 L24,72 A48,48 0 0 0 120,72 M120,0 L120,144';
+
+// B (width: 136~140, strokeWidth: 36)
+export const path_B_geometric = 'M18,72 L80,72 A27,27 0 0 0 80,18 L18,18 L18,126 L80,126 A27,27 0 0 0 80,72';
+
+// L (width: 120, strokeWidth: 48)
+export const path_L = 'M24,0 L24,120 L120,120';
@@ -0,0 +1,633 @@
+import React from "react";
+import { Box, Typography } from "@mui/material";
+import ParallaxLayer from "../components/patterns/scroll/ParallaxLayer";
+import { DemoPanel } from "../components/commons/placeholder";
+import { getSectionNavItems } from "./sectionsData";
+import {
+  ScrollGradientDemo,
+  StaggeredFadeInDemo,
+  StickyContainerDemo,
+  WaveBackgroundDemo,
+} from "../components/commons/container/PatternExampleDemos";
+import typographyThumbnail from "../assets/patternsThumbnail/p1.png";
+import motionThumbnail from "../assets/patternsThumbnail/p2.png";
+import scrollThumbnail from "../assets/patternsThumbnail/p3.png";
+import pageTransitionThumbnail from "../assets/patternsThumbnail/p4.png";
+
+// 예제에서 공통으로 사용하는 SVG path (물결 곡선)
+const WAVE_PATH = "M10,30 A20,20 0,0,1 50,30 A20,20 0,0,1 90,30 Q90,60 50,90 Q10,60 10,30 z";
+
+// 예제에서 공통으로 사용하는 색상 목록
+const DEMO_COLORS = ["#0ea5e9", "#6366f1", "#a855f7", "#ec4899", "#f97316", "#eab308"];
+
+// FullPageScroll 예제에서 사용하는 랜딩 페이지 섹션 네비게이션 정보 (sectionsData의 nav 설정)
+const SITE_SECTION_ITEMS = getSectionNavItems();
+
+/**
+ * 패턴 컴포넌트별 라이브 예제 레지스트리
+ * 키는 recipesData/patternsData의 컴포넌트 id와 같습니다.
+ *
+ * - load: 컴포넌트 모듈을 불러오는 동적 import 함수 (상세 페이지 진입 시에만 로드)
+ * - examples: ExampleListContainer에 표시할 예제 목록
+ *   - title / description: 예제 제목과 설명
+ *   - props: 컴포넌트에 그대로 전달할 props (children 포함)
+ *   - containerSx: 컴포넌트를 감쌀 Box 스타일. 너비/높이가 필요한 패턴에 사용 [Optional]
+ *   - demo: ({ component, module }) => ReactNode 형태의 예제 컴포넌트.
+ *     ref, 반복 배치, named export가 필요해 props만으로 표현할 수 없을 때 사용 [Optional]
+ */
+export const patternExamples = {
+  // ---------------------------------------------------------------- Typography
+  scrambleText: {
+    load: () => import("../components/patterns/typoraphy/ScrambleText"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "특수문자가 섞였다가 원래 텍스트로 돌아옵니다.",
+        props: { text: "Hello Designers", variant: "h2" },
+      },
+      {
+        title: "뷰포트 트리거",
+        description: "화면에 들어왔을 때 천천히 복원됩니다.",
+        props: { text: "Vibe Design Lab", variant: "h3", scrambleSpeed: 40, iterationStep: 0.4, useViewportTrigger: true },
+      },
+    ],
+  },
+  typingEffect: {
+    load: () => import("../components/patterns/typoraphy/TypingEffect"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { texts: ["Hello Designers", "You can make it", "With Cursor AI."] },
+      },
+      {
+        title: "원형 커서",
+        props: { texts: ["Design", "Prompt", "Build"], typingSpeed: 80, cursorType: "circle", variant: "h3" },
+      },
+    ],
+  },
+  fadeInTypography: {
+    load: () => import("../components/patterns/typoraphy/FadeInTypography"),
+    examples: [
+      {
+        title: "아래에서 위로",
+        props: { text: "Hello world from designers", variant: "h2", direction: "up" },
+      },
+      {
+        title: "왼쪽에서 천천히",
+        props: { text: "Every word has its own timing", variant: "h3", direction: "left", speed: 800, wordDelay: 200 },
+      },
+    ],
+  },
+  scrollStaggerText: {
+    load: () => import("../components/patterns/typoraphy/ScrollStaggerText"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "페이지를 스크롤하면 글자가 차례로 나타납니다.",
+        props: { id: "example-scroll-stagger", text: "Hello Designers,\nYou can make it\nWith Cursor AI." },
+      },
+    ],
+  },
+  gradientTypography: {
+    load: () => import("../components/patterns/typoraphy/GradientTypography"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { text: "Gradient Typography", gradient: ["#0ea5e9", "#a855f7", "#f43f5e"], variant: "h2", angle: 45 },
+      },
+      {
+        title: "빠른 흐름",
+        props: { text: "Flowing Colors", gradient: ["#22d3ee", "#facc15", "#22d3ee"], variant: "h3", animationSpeed: 1.5 },
+      },
+      {
+        title: "팔레트 프리셋",
+        props: { text: "Nebula Pulse", gradient: "nebulaPulse", variant: "h2", angle: 90 },
+      },
+    ],
+  },
+  counterTypography: {
+    load: () => import("../components/patterns/typoraphy/CounterTypography"),
+    examples: [
+      {
+        title: "단위 표시",
+        props: { end: 12800, unit: "명", variant: "h2" },
+      },
+      {
+        title: "앞 단위와 소수점",
+        props: { end: 98.5, decimals: 1, unit: "$", unitPosition: "prefix", variant: "h3", duration: 3 },
+      },
+    ],
+  },
+  wordSwitcherTypography: {
+    load: () => import("../components/patterns/typoraphy/WordSwitcherTypography"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { words: ["Create", "Design", "Inspire"], variant: "h2" },
+      },
+    ],
+  },
+  magneticText: {
+    load: () => import("../components/patterns/typoraphy/MagneticText"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "텍스트 주변으로 마우스를 움직여 보세요.",
+        props: { text: "Hello Designers", variant: "h2" },
+      },
+    ],
+  },
+  interactiveTypography: {
+    load: () => import("../components/patterns/typoraphy/InteractiveTypography"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "마우스와 가까운 글자일수록 두껍고 커집니다.",
+        props: { variant: "h2", hoverWeight: 800, hoverSizeRatio: 30, children: "Interactive Text Effect" },
+      },
+    ],
+  },
+  rotatingText3D: {
+    load: () => import("../components/patterns/typoraphy/RotatingText3D"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { text: "Hello Designers" },
+        containerSx: { width: "100%", height: 400 },
+      },
+    ],
+  },
+
+  // ---------------------------------------------------------------- Motion
+  fadeInContainer: {
+    load: () => import("../components/patterns/motion/FadeInContainer"),
+    examples: [
+      {
+        title: "아래에서 등장",
+        props: { direction: "bottom", children: <DemoPanel label="Fade In" sx={{ width: 320 }} /> },
+      },
+      {
+        title: "순차 등장",
+        description: "delay를 index에 비례시켜 차례로 등장시킵니다.",
+        demo: StaggeredFadeInDemo,
+      },
+    ],
+  },
+  fadeInGrid: {
+    load: () => import("../components/patterns/motion/FadeInGrid"),
+    examples: [
+      {
+        title: "컴포넌트 배열 사용",
+        props: {
+          container: true,
+          spacing: 2,
+          itemSize: { xs: 12, sm: 6, md: 4 },
+          delay: 0.15,
+          sx: { width: "100%" },
+          components: DEMO_COLORS.map((color, index) => (
+            <DemoPanel key={color} label={`Card ${index + 1}`} color={color} />
+          )),
+        },
+      },
+    ],
+  },
+  gradientButton: {
+    load: () => import("../components/patterns/motion/GradientButton"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { children: "Get Started" },
+      },
+      {
+        title: "대각선 그라데이션",
+        props: { children: "Reserve Now", angle: 45, size: "large", colors: ["#f43f5e", "#f97316", "#f43f5e"] },
+      },
+    ],
+  },
+  cardContainer: {
+    load: () => import("../components/patterns/motion/CardContainer"),
+    examples: [
+      {
+        title: "확대 효과",
+        props: {
+          imageSrc: typographyThumbnail,
+          hoverEffect: "scale",
+          children: <Typography variant="h6">Typography</Typography>,
+        },
+        containerSx: { width: 320 },
+      },
+      {
+        title: "빛 번짐 효과",
+        props: {
+          imageSrc: motionThumbnail,
+          hoverEffect: "glow",
+          children: <Typography variant="h6">Motion</Typography>,
+        },
+        containerSx: { width: 320 },
+      },
+    ],
+  },
+  dynamicSortGrid: {
+    load: () => import("../components/patterns/motion/DynamicSortGrid"),
+    examples: [
+      {
+        title: "가격 내림차순",
+        props: {
+          keyField: "id",
+          sortField: "price",
+          sortDirection: "desc",
+          columns: 3,
+          sx: { width: "100%" },
+          componentItems: [
+            { id: "a", price: 30, color: "#0ea5e9" },
+            { id: "b", price: 90, color: "#6366f1" },
+            { id: "c", price: 60, color: "#a855f7" },
+          ].map((item) => ({
+            ...item,
+            component: <DemoPanel label={`$${item.price}`} color={item.color} />,
+          })),
+        },
+      },
+    ],
+  },
+  alternatingSlideGrid: {
+    load: () => import("../components/patterns/motion/AlternatingSlideGrid"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: {
+          maskColor: "#121212",
+          sx: { width: "100%" },
+          children: [
+            <Box key="left">
+              <DemoPanel label="왼쪽에서 등장" color="#0ea5e9" />
+            </Box>,
+            <Box key="right">
+              <DemoPanel label="오른쪽에서 등장" color="#a855f7" />
+            </Box>,
+          ],
+        },
+      },
+    ],
+  },
+  alternatingSlideWrapper: {
+    load: () => import("../components/patterns/motion/AlternatingSlideWrapper"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: {
+          sx: { width: "100%" },
+          children: [
+            <Box key="first">
+              <DemoPanel label="첫 번째 행" color="#0ea5e9" />
+            </Box>,
+            <Box key="second">
+              <DemoPanel label="두 번째 행" color="#a855f7" />
+            </Box>,
+          ],
+        },
+      },
+    ],
+  },
+  scrollAwareContainer: {
+    load: () => import("../components/patterns/motion/ScrollAwareContainer"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "페이지를 아래로 스크롤하면 숨고, 위로 스크롤하면 나타납니다.",
+        props: { children: <DemoPanel label="Header" sx={{ minHeight: 64, width: 360 }} /> },
+      },
+    ],
+  },
+  stickyContainer: {
+    load: () => import("../components/patterns/motion/StickyContainer"),
+    examples: [
+      {
+        title: "상단 고정",
+        description: "예제 영역을 스크롤하면 상단에 고정됩니다.",
+        demo: StickyContainerDemo,
+      },
+    ],
+  },
+
+  // ---------------------------------------------------------------- Scroll
+  parallaxContainer: {
+    load: () => import("../components/patterns/scroll/ParallaxContainer"),
+    examples: [
+      {
+        title: "3단 레이어",
+        props: {
+          maxZ: 10,
+          children: [
+            <ParallaxLayer key="back" depthZ={10}>
+              <DemoPanel label="배경" color="#0f172a" sx={{ minHeight: 480 }} />
+            </ParallaxLayer>,
+            <ParallaxLayer key="middle" depthZ={5}>
+              <DemoPanel label="중간 레이어" color="#1e3a8a" sx={{ minHeight: 240 }} />
+            </ParallaxLayer>,
+            <ParallaxLayer key="front" depthZ={0}>
+              <DemoPanel label="전경" color="#0ea5e9" sx={{ minHeight: 120 }} />
+            </ParallaxLayer>,
+          ],
+        },
+        containerSx: { width: "100%", height: 480 },
+      },
+    ],
+  },
+  horizontalScrollSection: {
+    load: () => import("../components/patterns/scroll/HorizontalScrollSection"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "세로로 스크롤하면 아이템이 가로로 이동합니다. 전체보기에서 확인하세요.",
+        props: {
+          backgroundColor: "#0f172a",
+          children: [typographyThumbnail, motionThumbnail, scrollThumbnail, pageTransitionThumbnail].map(
+            (image, index) => (
+              <DemoPanel
+                key={image}
+                label={`Slide ${index + 1}`}
+                sx={{ minHeight: 360, background: `center / cover url(${image})` }}
+              />
+            )
+          ),
+        },
+      },
+    ],
+  },
+  smoothScroll: {
+    load: () => import("../components/patterns/scroll/SmoothScroll"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: {
+          duration: 1.5,
+          style: { width: "100%", height: 400, overflow: "auto" },
+          children: DEMO_COLORS.slice(0, 3).map((color, index) => (
+            <DemoPanel key={color} label={`Block ${index + 1}`} color={color} sx={{ minHeight: 400 }} />
+          )),
+        },
+      },
+    ],
+  },
+  fullPageScroll: {
+    load: () => import("../components/patterns/scroll/FullPageScroll"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "휠, 키보드, 스와이프로 섹션을 넘겨 보세요. 도트 툴팁은 랜딩 페이지 섹션의 nav 이름입니다.",
+        props: {
+          children: SITE_SECTION_ITEMS.map((item, index) => (
+            <DemoPanel key={item.sectionId} label={item.label} color={DEMO_COLORS[index]} sx={{ borderRadius: 0 }} />
+          )),
+          sectionItems: SITE_SECTION_ITEMS,
+        },
+        containerSx: { width: "100%", height: 480, position: "relative" },
+      },
+      {
+        title: "URL 해시 동기화",
+        description: "섹션을 넘기면 주소의 #슬러그가 바뀌고, 브라우저 뒤로 가기로 이전 섹션으로 돌아갑니다.",
+        props: {
+          urlSync: "hash",
+          enableKeyboard: false, // 위 예시와 키보드 입력이 겹치지 않도록
+          children: SITE_SECTION_ITEMS.slice(0, 3).map((item, index) => (
+            <DemoPanel key={item.sectionId} label={item.label} color={DEMO_COLORS[index + 3]} sx={{ borderRadius: 0 }} />
+          )),
+          // 슬러그를 따로 지정하지 않으면 sectionId(#hero, #lunar-voyager ...)를 사용
+          sectionItems: SITE_SECTION_ITEMS.slice(0, 3),
+        },
+        containerSx: { width: "100%", height: 480, position: "relative" },
+      },
+    ],
+  },
+
+  // ---------------------------------------------------------------- Page Transition
+  sharedObjectTransition: {
+    load: () => import("../components/patterns/pageTransition/SharedObjectTransition"),
+    // 상세 페이지 라우트가 필요한 패턴이라 예제 영역에서는 레시피만 제공합니다.
+    examples: [],
+  },
+  stickySection: {
+    load: () => import("../components/patterns/pageTransition/StickySection"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "페이지를 스크롤하면 섹션이 축소됩니다.",
+        props: {
+          targetScale: 0.7,
+          backgroundColor: "#1e3a8a",
+          children: <Typography variant="h3">Sticky Section</Typography>,
+        },
+        containerSx: { width: "100%" },
+      },
+    ],
+  },
+  scrollSectionWithWipe: {
+    load: () => import("../components/patterns/pageTransition/ScrollSectionWithWipe"),
+    examples: [
+      {
+        title: "왼쪽 와이프",
+        props: {
+          wipeDirection: "left",
+          wipeColor: "#1e3a8a",
+          wipeOpacity: 0.7,
+          children: <Typography variant="h3">섹션 내용</Typography>,
+        },
+        containerSx: { width: "100%" },
+      },
+    ],
+  },
+  stickyStackingSections: {
+    load: () => import("../components/patterns/pageTransition/StickyStackingSections"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: {
+          sectionHeight: "60vh",
+          sections: DEMO_COLORS.slice(0, 3).map((color, index) => (
+            <DemoPanel key={color} label={`섹션 ${index + 1}`} color={color} sx={{ borderRadius: 0 }} />
+          )),
+        },
+        containerSx: { width: "100%" },
+      },
+    ],
+  },
+  gridGallery: {
+    load: () => import("../components/patterns/pageTransition/GridGallery"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "이미지를 클릭하면 확대됩니다.",
+        props: {
+          columns: 2,
+          images: [typographyThumbnail, motionThumbnail, scrollThumbnail, pageTransitionThumbnail].map(
+            (src, index) => ({
+              src,
+              content: <Typography variant="h5">Pattern {index + 1}</Typography>,
+            })
+          ),
+        },
+        containerSx: { width: "100%" },
+      },
+    ],
+  },
+  pinnedScrollTransition: {
+    load: () => import("../components/patterns/pageTransition/PinnedScrollTransition"),
+    examples: [
+      {
+        title: "기본 사용법",
+        description: "페이지를 스크롤하면 고정된 상태로 컨텐츠가 전환됩니다.",
+        props: {
+          duration: 1500,
+          backgroundColor: "#0f172a",
+          showProgress: true,
+          sections: ["첫 번째 컨텐츠", "두 번째 컨텐츠", "세 번째 컨텐츠"].map((label) => (
+            <Typography key={label} variant="h3">
+              {label}
+            </Typography>
+          )),
+        },
+        containerSx: { width: "100%" },
+      },
+    ],
+  },
+
+  // ---------------------------------------------------------------- Color
+  gradientBox: {
+    load: () => import("../components/patterns/color/GradientBox"),
+    examples: [
+      {
+        title: "하이라이트 대비",
+        props: { palette: "sunsetGlow", contrast: "highlight", angle: 135, sx: { width: "100%", height: 240, borderRadius: 2 } },
+      },
+      {
+        title: "노이즈와 애니메이션",
+        props: { palette: "sunsetGlow", type: "radial", animated: true, noise: true, noiseType: "medium", sx: { width: "100%", height: 240, borderRadius: 2 } },
+      },
+      {
+        title: "CSS 내보내기",
+        description: "우측 상단 버튼으로 현재 그라데이션의 CSS background를 복사하거나 내려받습니다.",
+        props: { palette: "oceanBreeze", type: "conic", noise: true, exportable: true, sx: { width: "100%", height: 240, borderRadius: 2 } },
+      },
+    ],
+  },
+  meshGradientBox: {
+    load: () => import("../components/patterns/color/MeshGradientBox"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { colors: ["#0ea5e9", "#6366f1", "#ec4899", "#f97316"], sx: { width: "100%", height: 320, borderRadius: 2 } },
+      },
+      {
+        title: "애니메이션",
+        props: { colors: ["#22d3ee", "#a855f7", "#facc15"], animated: true, animateColorShift: true, distribution: "noise", sx: { width: "100%", height: 320, borderRadius: 2 } },
+      },
+      {
+        title: "팔레트 프리셋",
+        props: { colors: "auroraMint", colorStrategy: "gradientMap", pointCount: 10, sx: { width: "100%", height: 320, borderRadius: 2 } },
+      },
+      {
+        title: "워커 캔버스 렌더러",
+        description: "2D 캔버스 렌더러의 픽셀 계산을 Web Worker에서 처리합니다.",
+        props: { colors: "nebulaPulse", renderer: "canvas", offscreen: true, animated: true, sx: { width: "100%", height: 320, borderRadius: 2 } },
+      },
+      {
+        title: "SVG / PNG 내보내기",
+        description: "우측 상단 버튼으로 현재 프레임을 SVG(메시 근사) 또는 원하는 배율의 PNG로 내려받습니다.",
+        props: { colors: "sunsetGlow", noiseEnabled: true, noiseIntensity: 0.2, exportable: true, sx: { width: "100%", height: 320, borderRadius: 2 } },
+      },
+      {
+        title: "시드 고정",
+        description: "seed가 같으면 새로고침해도 포인트 배치와 움직임이 똑같이 재현됩니다.",
+        props: { colors: "lavenderMist", distribution: "noise", colorStrategy: "random", animated: true, seed: "design-review", sx: { width: "100%", height: 320, borderRadius: 2 } },
+      },
+    ],
+  },
+  scrollGradientBackground: {
+    load: () => import("../components/patterns/color/ScrollGradientBackground"),
+    examples: [
+      {
+        title: "섹션별 색상 전환",
+        description: "예제 영역을 스크롤하면 배경 색이 바뀝니다.",
+        demo: ScrollGradientDemo,
+      },
+    ],
+  },
+
+  // ---------------------------------------------------------------- Visual Hook
+  animatedPath: {
+    load: () => import("../components/patterns/visualHook/AnimatedPath"),
+    examples: [
+      {
+        title: "뷰포트 트리거",
+        props: { data: WAVE_PATH, triggerMode: "viewport", color: "#0ea5e9", strokeWidth: 3, scale: 2 },
+      },
+    ],
+  },
+  particleGeneratePath: {
+    load: () => import("../components/patterns/visualHook/ParticleGeneratePath"),
+    examples: [
+      {
+        title: "뷰포트 트리거",
+        props: { data: WAVE_PATH, triggerMode: "viewport", particleNum: 40, scale: 2 },
+      },
+    ],
+  },
+  animatedPathWithParticles: {
+    load: () => import("../components/patterns/visualHook/AnimatedPathWithParticles"),
+    examples: [
+      {
+        title: "뷰포트 트리거",
+        props: { data: WAVE_PATH, triggerMode: "viewport", particleColor1: "#00E5FF", particleColor2: "#FF4081", scale: 2 },
+      },
+    ],
+  },
+  designLogo: {
+    load: () => import("../components/patterns/visualHook/DesignLogo"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { triggerMode: "viewport" },
+      },
+    ],
+  },
+  particleBackground: {
+    load: () => import("../components/patterns/visualHook/ParticleBackground"),
+    examples: [
+      {
+        title: "섹션별 색상",
+        description: "전체보기에서 스크롤하면 섹션마다 배경과 파티클 색이 바뀝니다.",
+        props: {
+          particleCount: 1500,
+          sections: [
+            { backgroundColor: "#000011", particleColor: "#ADD8E6", movementSpeed: 0.001 },
+            { backgroundColor: "#1a0b2e", particleColor: "#ff4081", movementSpeed: 0.002 },
+          ],
+          children: ["Section 1", "Section 2"].map((label) => (
+            <DemoPanel key={label} label={label} color="transparent" sx={{ minHeight: "100vh" }} />
+          )),
+        },
+        containerSx: { width: "100%" },
+      },
+    ],
+  },
+  bubbleBackground: {
+    load: () => import("../components/patterns/visualHook/BubbleBackground"),
+    examples: [
+      {
+        title: "기본 사용법",
+        props: { bubbleCount: 80, scrollProgress: 0.3 },
+        containerSx: { width: "100%", height: 480 },
+      },
+    ],
+  },
+  waveBackground: {
+    load: () => import("../components/patterns/visualHook/WaveBackground"),
+    examples: [
+      {
+        title: "섹션 구성",
+        demo: WaveBackgroundDemo,
+      },
+    ],
+  },
+};
@@ -0,0 +1,942 @@
+// 패턴 카테고리 썸네일 import
+import typographyThumbnail from "../assets/patternsThumbnail/p1.png";
+import motionThumbnail from "../assets/patternsThumbnail/p2.png";
+import scrollThumbnail from "../assets/patternsThumbnail/p3.png";
+import pageTransitionThumbnail from "../assets/patternsThumbnail/p4.png";
+import colorThumbnail from "../assets/patternsThumbnail/p5.png";
+import visualHookThumbnail from "../assets/patternsThumbnail/p6.png";
+import customCursorThumbnail from "../assets/patternsThumbnail/p7.png";
+
+/**
+ * 패턴 카테고리 카탈로그
+ * SideMenu, 패턴 목록/상세 페이지가 공통으로 사용하는 단일 레지스트리입니다.
+ *
+ * - title: 메뉴/카드에 표시할 카테고리 이름
+ * - slug: URL에 사용하는 카테고리 식별자 (/patterns/:category)
+ * - path: 카테고리 목록 페이지 경로
+ * - description: 카테고리 한 줄 설명
+ * - thumbnail: 카테고리 대표 이미지
+ * - isActive: 공개 여부. false면 메뉴에서 '업데이트 예정'으로 비활성 표시
+ * - componentList: 카테고리에 속한 컴포넌트 목록
+ *   - id: recipesData 키 (예: recipesData.scrambleText)
+ *   - title: 컴포넌트 표시 이름
+ *   - slug: URL에 사용하는 컴포넌트 식별자 (/patterns/:category/:component)
+ *   - path: 컴포넌트 상세 페이지 경로
+ *   - schemaName: props 표에 사용할 virtual:props-schema 키 [Optional, 기본값: id를 컴포넌트 이름으로 바꾼 값]
+ */
+const patternCategories = [
+  {
+    key: "typography",
+    title: "Typography",
+    slug: "typography",
+    description: "글자 자체가 움직이며 시선을 끄는 텍스트 인터랙션",
+    thumbnail: typographyThumbnail,
+    isActive: true,
+    componentList: [
+      { id: "scrambleText", title: "Scramble Text", slug: "scramble-text" },
+      { id: "typingEffect", title: "Typing Effect", slug: "typing-effect" },
+      { id: "fadeInTypography", title: "Fade In Typography", slug: "fade-in-typography" },
+      { id: "scrollStaggerText", title: "Scroll Stagger Text", slug: "scroll-stagger-text" },
+      { id: "gradientTypography", title: "Gradient Typography", slug: "gradient-typography" },
+      { id: "counterTypography", title: "Counter Typography", slug: "counter-typography" },
+      { id: "wordSwitcherTypography", title: "Word Switcher", slug: "word-switcher-typography" },
+      { id: "magneticText", title: "Magnetic Text", slug: "magnetic-text" },
+      { id: "interactiveTypography", title: "Interactive Typography", slug: "interactive-typography" },
+      { id: "rotatingText3D", title: "Rotating Text 3D", slug: "rotating-text-3d" },
+    ],
+  },
+  {
+    key: "motion",
+    title: "Motion",
+    slug: "motion",
+    description: "컨테이너와 UI 요소의 등장, 정렬, 호버 모션",
+    thumbnail: motionThumbnail,
+    isActive: true,
+    componentList: [
+      { id: "fadeInContainer", title: "Fade In Container", slug: "fade-in-container" },
+      { id: "fadeInGrid", title: "Fade In Grid", slug: "fade-in-grid" },
+      { id: "gradientButton", title: "Gradient Button", slug: "gradient-button" },
+      { id: "cardContainer", title: "Card Container", slug: "card-container" },
+      { id: "dynamicSortGrid", title: "Dynamic Sort Grid", slug: "dynamic-sort-grid" },
+      { id: "alternatingSlideGrid", title: "Alternating Slide Grid", slug: "alternating-slide-grid" },
+      { id: "alternatingSlideWrapper", title: "Alternating Slide Wrapper", slug: "alternating-slide-wrapper" },
+      { id: "scrollAwareContainer", title: "Scroll Aware Container", slug: "scroll-aware-container" },
+      { id: "stickyContainer", title: "Sticky Container", slug: "sticky-container" },
+    ],
+  },
+  {
+    key: "scroll",
+    title: "Scroll",
+    slug: "scroll",
+    description: "스크롤 위치와 속도에 반응하는 레이아웃 인터랙션",
+    thumbnail: scrollThumbnail,
+    isActive: true,
+    componentList: [
+      { id: "parallaxContainer", title: "Parallax Container", slug: "parallax-container" },
+      { id: "horizontalScrollSection", title: "Horizontal Scroll Section", slug: "horizontal-scroll-section" },
+      { id: "smoothScroll", title: "Smooth Scroll", slug: "smooth-scroll" },
+      { id: "fullPageScroll", title: "Full Page Scroll", slug: "full-page-scroll" },
+    ],
+  },
+  {
+    key: "pageTransition",
+    title: "Page Transition",
+    slug: "page-transition",
+    description: "섹션과 페이지 사이를 자연스럽게 잇는 전환 효과",
+    thumbnail: pageTransitionThumbnail,
+    isActive: true,
+    componentList: [
+      { id: "sharedObjectTransition", title: "Shared Object Transition", slug: "shared-object-transition", schemaName: "ItemListPage" },
+      { id: "stickySection", title: "Sticky Section", slug: "sticky-section" },
+      { id: "scrollSectionWithWipe", title: "Scroll Section With Wipe", slug: "scroll-section-with-wipe" },
+      { id: "stickyStackingSections", title: "Sticky Stacking Sections", slug: "sticky-stacking-sections" },
+      { id: "gridGallery", title: "Grid Gallery", slug: "grid-gallery" },
+      { id: "pinnedScrollTransition", title: "Pinned Scroll Transition", slug: "pinned-scroll-transition" },
+    ],
+  },
+  {
+    key: "color",
+    title: "Color",
+    slug: "color",
+    description: "그라데이션과 색 변화로 분위기를 만드는 배경",
+    thumbnail: colorThumbnail,
+    isActive: true,
+    componentList: [
+      { id: "gradientBox", title: "Gradient Box", slug: "gradient-box" },
+      { id: "meshGradientBox", title: "Mesh Gradient Box", slug: "mesh-gradient-box" },
+      { id: "scrollGradientBackground", title: "Scroll Gradient Background", slug: "scroll-gradient-background" },
+    ],
+  },
+  {
+    key: "visualHook",
+    title: "Visual Hook",
+    slug: "visual-hook",
+    description: "파티클, 패스, 3D 배경으로 첫인상을 만드는 비주얼",
+    thumbnail: visualHookThumbnail,
+    isActive: false,
+    componentList: [
+      { id: "animatedPath", title: "Animated Path", slug: "animated-path" },
+      { id: "particleGeneratePath", title: "Particle Generate Path", slug: "particle-generate-path" },
+      { id: "animatedPathWithParticles", title: "Animated Path With Particles", slug: "animated-path-with-particles" },
+      { id: "designLogo", title: "Design Logo", slug: "design-logo" },
+      { id: "particleBackground", title: "Particle Background", slug: "particle-background" },
+      { id: "bubbleBackground", title: "Bubble Background", slug: "bubble-background" },
+      { id: "waveBackground", title: "Wave Background", slug: "wave-background" },
+    ],
+  },
+  {
+    key: "customCursor",
+    title: "Custom Cursor",
+    slug: "custom-cursor",
+    description: "마우스 커서의 모양과 움직임을 바꾸는 인터랙션",
+    thumbnail: customCursorThumbnail,
+    isActive: false,
+    componentList: [],
+  },
+];
+
+/**
+ * 카테고리 키를 기준으로 한 패턴 카탈로그
+ * 각 카테고리와 컴포넌트에 path를 채워서 제공합니다.
+ */
+export const patternsData = Object.fromEntries(
+  patternCategories.map(({ key, ...category }) => {
+    const path = `/patterns/${category.slug}`;
+    return [
+      key,
+      {
+        ...category,
+        path,
+        componentList: category.componentList.map((component) => ({
+          ...component,
+          path: `${path}/${component.slug}`,
+        })),
+      },
+    ];
+  })
+);
+
+/**
+ * URL slug로 패턴 카테고리 찾기
+ * @param {string} categorySlug - 카테고리 slug (예: 'page-transition')
+ * @returns {object|undefined} { key, ...category }
+ */
+export const getPatternCategory = (categorySlug) => {
+  const entry = Object.entries(patternsData).find(
+    ([, category]) => category.slug === categorySlug
+  );
+  return entry ? { key: entry[0], ...entry[1] } : undefined;
+};
+
+/**
+ * URL slug로 카테고리 내 패턴 컴포넌트 찾기
+ * @param {string} categorySlug - 카테고리 slug
+ * @param {string} componentSlug - 컴포넌트 slug (예: 'scramble-text')
+ * @returns {object|undefined} componentList 항목
+ */
+export const getPatternComponent = (categorySlug, componentSlug) =>
+  getPatternCategory(categorySlug)?.componentList.find(
+    (component) => component.slug === componentSlug
+  );
+
+/**
+ * 패턴 컴포넌트별 '바이브 레시피'
+ * Recipe 컴포넌트에 그대로 전달합니다. (예: <Recipe recipe={recipesData.scrambleText} componentName="ScrambleText" />)
+ *
+ * - basicIdea: 컴포넌트가 왜 필요한지 한 문장 설명
+ * - examples: 사용 시나리오 (최대 3개)
+ * - detailedProcess: 언제/무엇을/어떻게 형식의 아이디어 구체화
+ * - expectedPrompt: LLM에 전달할 기본 프롬프트
+ * - advancedLearning: 필요 지식 (props 목록은 컴포넌트 JSDoc에서 추출한 virtual:props-schema로 만듦)
+ */
+export const recipesData = {
+  // ---------------------------------------------------------------- Typography
+  scrambleText: {
+    title: "Scramble Text",
+    basicIdea:
+      "특수 문자들이 무작위로 섞이면서 내가 원하는 텍스트가 등장하는 효과.",
+    examples: ["로딩 화면", "콘텐츠 전환", "강조 효과"],
+    detailedProcess: [
+      "1. 언제: 컴퍼넌트가 화면에 등장했을때",
+      "2. 무엇을: 최종 텍스트를",
+      "3. 어떻게: 특수문자가 무작위 순서로 바뀌면서 원래 글자로 돌아오게",
+    ],
+    expectedPrompt:
+      "텍스트가 화면에 등장할 때, 각 글자를 무작위 특수문자에서 원래 텍스트로 순차적으로 변환해줘.\n- text: 최종 텍스트\n- scrambleChars: 섞일 특수문자\n- scrambleSpeed: 변환 속도\n- startDelay: 시작 지연 시간",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "String manipulation", role: "글자를 하나씩 분리하고, 바꾸고, 다시 합치는 작업", type: "JavaScript" },
+        { name: "setInterval", role: "일정한 간격으로 글자를 바꾸는 동작을 반복하고 멈추는 기능", type: "JavaScript" },
+        { name: "useState", role: "화면에 보여줄 (바뀌는 중인) 글자를 기억하고 갱신", type: "React" },
+      ],
+    },
+  },
+  typingEffect: {
+    title: "Typing Effect",
+    basicIdea: "키보드로 직접 입력하는 것처럼 글자가 한 자씩 써지고 지워지는 효과.",
+    examples: ["히어로 카피", "챗봇 안내", "기능 소개"],
+    detailedProcess: [
+      "1. 언제: 페이지가 열린 뒤 일정 시간이 지나면",
+      "2. 무엇을: 여러 문장을 차례로",
+      "3. 어떻게: 한 글자씩 써 내려가고, 깜빡이는 커서와 함께 다시 지우며 반복",
+    ],
+    expectedPrompt:
+      "여러 문장을 한 글자씩 입력하고 지우는 타이핑 효과를 만들어줘.\n- texts: 순서대로 보여줄 문장 배열\n- typingSpeed: 입력 속도\n- deleteSpeed: 삭제 속도\n- cursorType: 커서 모양 (line, circle, square)",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "setTimeout", role: "글자를 하나씩 추가/삭제하는 간격 제어", type: "JavaScript" },
+        { name: "useEffect", role: "현재 문장과 입력 상태가 바뀔 때마다 다음 동작 예약", type: "React" },
+        { name: "@keyframes", role: "커서가 깜빡이는 반복 애니메이션", type: "CSS" },
+      ],
+    },
+  },
+  fadeInTypography: {
+    title: "Fade In Typography",
+    basicIdea: "문장을 단어 단위로 나누어 차례차례 부드럽게 떠오르게 하는 효과.",
+    examples: ["섹션 타이틀", "슬로건", "인용문"],
+    detailedProcess: [
+      "1. 언제: 문장이 화면에 들어왔을때",
+      "2. 무엇을: 문장을 이루는 각 단어를",
+      "3. 어떻게: 정해진 방향에서 투명도와 위치가 바뀌며 순서대로 나타나게",
+    ],
+    expectedPrompt:
+      "문장이 화면에 들어오면 단어별로 순차적으로 페이드인 되는 텍스트를 만들어줘.\n- text: 표시할 문장\n- direction: 등장 방향 (up, down, left, right, fade)\n- speed: 각 단어 등장 속도\n- wordDelay: 단어 사이 간격",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "split()", role: "문장을 단어 단위로 나누기", type: "JavaScript" },
+        { name: "Intersection Observer", role: "문장이 화면에 들어왔는지 감지", type: "JavaScript" },
+        { name: "transition-delay", role: "단어마다 등장 시점을 조금씩 늦추기", type: "CSS" },
+      ],
+    },
+  },
+  scrollStaggerText: {
+    title: "Scroll Stagger Text",
+    basicIdea: "스크롤을 내리는 만큼 글자가 하나씩 채워지며 문장이 완성되는 효과.",
+    examples: ["스토리텔링", "브랜드 메시지", "섹션 인트로"],
+    detailedProcess: [
+      "1. 언제: 사용자가 스크롤할때",
+      "2. 무엇을: 여러 줄의 문장을 이루는 글자들을",
+      "3. 어떻게: 스크롤 위치에 맞춰 글자가 순서대로 선명해지게",
+    ],
+    expectedPrompt:
+      "스크롤 위치에 따라 글자가 하나씩 순차적으로 나타나는 텍스트를 만들어줘.\n- text: 표시할 텍스트 (\\n으로 줄바꿈)\n- keepVisible: 스크롤 후 유지 여부\n- scroller: 스크롤을 감지할 컨테이너",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "ScrollTrigger", role: "스크롤 위치와 애니메이션 진행률 연결", type: "GSAP" },
+        { name: "stagger", role: "여러 글자의 애니메이션 시작 시점을 차례로 어긋나게 배치", type: "GSAP" },
+        { name: "useRef", role: "애니메이션 대상 글자 요소 참조", type: "React" },
+      ],
+    },
+  },
+  gradientTypography: {
+    title: "Gradient Typography",
+    basicIdea: "글자 안에 그라데이션 색을 채우고 천천히 흐르게 만드는 효과.",
+    examples: ["히어로 타이틀", "강조 키워드", "브랜드 로고"],
+    detailedProcess: [
+      "1. 언제: 텍스트가 화면에 표시되는 동안",
+      "2. 무엇을: 글자의 색상을",
+      "3. 어떻게: 여러 색의 그라데이션이 정해진 방향으로 흐르듯 이동하게",
+    ],
+    expectedPrompt:
+      "텍스트 내부에 그라데이션을 적용하고 색이 흐르는 애니메이션을 만들어줘.\n- text: 표시할 텍스트\n- gradient: 색상 배열\n- angle: 그라데이션 방향\n- animationSpeed: 흐르는 속도",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "background-clip: text", role: "배경 그라데이션을 글자 모양으로 잘라내기", type: "CSS" },
+        { name: "linear-gradient", role: "여러 색을 각도에 맞춰 자연스럽게 잇기", type: "CSS" },
+        { name: "background-position", role: "배경 위치를 옮겨 색이 흐르는 것처럼 보이게", type: "CSS" },
+      ],
+    },
+  },
+  counterTypography: {
+    title: "Counter Typography",
+    basicIdea: "숫자가 0부터 목표 값까지 빠르게 올라가며 성과를 강조하는 효과.",
+    examples: ["성과 지표", "가격 표시", "통계 섹션"],
+    detailedProcess: [
+      "1. 언제: 숫자가 화면에 들어왔을때",
+      "2. 무엇을: 지표 숫자를",
+      "3. 어떻게: 시작 값에서 목표 값까지 부드럽게 증가하게",
+    ],
+    expectedPrompt:
+      "숫자가 시작 값에서 목표 값까지 카운팅되는 텍스트를 만들어줘.\n- start / end: 시작 값과 종료 값\n- duration: 카운팅 시간\n- unit: 숫자 앞뒤에 붙일 단위\n- enableScrollSpy: 화면에 들어올 때 시작",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Easing", role: "처음엔 빠르고 끝에서 천천히 멈추는 숫자 변화", type: "Animation" },
+        { name: "Intl.NumberFormat", role: "천 단위 구분자와 소수점 표시", type: "JavaScript" },
+        { name: "requestAnimationFrame", role: "프레임마다 숫자를 갱신", type: "JavaScript" },
+      ],
+    },
+  },
+  wordSwitcherTypography: {
+    title: "Word Switcher",
+    basicIdea: "문장 속 한 단어가 스크램블 효과와 함께 다른 단어로 계속 바뀌는 효과.",
+    examples: ["히어로 카피", "서비스 키워드", "태그라인"],
+    detailedProcess: [
+      "1. 언제: 일정한 시간 간격마다",
+      "2. 무엇을: 지정한 단어 목록을",
+      "3. 어떻게: 글자가 섞이면서 다음 단어로 바뀌고, 폭은 흔들리지 않게",
+    ],
+    expectedPrompt:
+      "여러 단어가 스크램블 효과와 함께 번갈아 바뀌는 텍스트를 만들어줘. 단어 길이가 달라도 레이아웃이 흔들리지 않게 해줘.\n- words: 전환할 단어 배열\n- interval: 단어 유지 시간\n- scrambleDuration: 전환 시간",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "getBoundingClientRect", role: "각 단어의 실제 렌더링 폭 측정", type: "JavaScript" },
+        { name: "requestAnimationFrame", role: "전환 중 글자를 프레임 단위로 섞기", type: "JavaScript" },
+        { name: "width transition", role: "단어 폭이 부드럽게 바뀌도록 처리", type: "CSS" },
+      ],
+    },
+  },
+  magneticText: {
+    title: "Magnetic Text",
+    basicIdea: "마우스를 가까이 가져가면 글자가 자석처럼 끌려오는 효과.",
+    examples: ["포트폴리오 타이틀", "CTA 문구", "브랜드 네임"],
+    detailedProcess: [
+      "1. 언제: 마우스가 텍스트 주변을 움직일때",
+      "2. 무엇을: 각 글자를",
+      "3. 어떻게: 마우스 방향으로 살짝 끌려갔다가 벗어나면 제자리로 돌아오게",
+    ],
+    expectedPrompt:
+      "마우스 위치에 따라 글자들이 자석처럼 끌려오는 텍스트를 만들어줘.\n- text: 표시할 텍스트\n- variant: 텍스트 크기\n- textColor: 텍스트 색상",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "mousemove", role: "마우스 좌표 추적", type: "JavaScript" },
+        { name: "Distance calculation", role: "글자와 마우스 사이 거리에 따라 끌림 세기 결정", type: "Math" },
+        { name: "transform: translate", role: "글자 위치를 자연스럽게 이동", type: "CSS" },
+      ],
+    },
+  },
+  interactiveTypography: {
+    title: "Interactive Typography",
+    basicIdea: "마우스와 가까운 글자일수록 두껍고 커지는 반응형 텍스트.",
+    examples: ["랜딩 타이틀", "메뉴 텍스트", "전시 페이지"],
+    detailedProcess: [
+      "1. 언제: 마우스가 텍스트 위를 지나갈때",
+      "2. 무엇을: 개별 글자의 굵기와 크기를",
+      "3. 어떻게: 마우스와 가까울수록 강하게, 멀어질수록 원래대로 변하게",
+    ],
+    expectedPrompt:
+      "마우스 위치에 따라 글자별 굵기와 크기가 바뀌는 텍스트를 만들어줘.\n- initialWeight / hoverWeight: 기본/최대 굵기\n- hoverSizeRatio: 크기 증가 비율\n- effectRadius: 효과 범위",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Variable font", role: "굵기를 연속적인 값으로 조절", type: "CSS" },
+        { name: "mousemove", role: "글자별 마우스 거리 계산", type: "JavaScript" },
+        { name: "Falloff curve", role: "거리에 따라 효과가 자연스럽게 줄어들게 하는 곡선", type: "Math" },
+      ],
+    },
+  },
+  rotatingText3D: {
+    title: "Rotating Text 3D",
+    basicIdea: "글자들이 3D 공간에서 원을 그리며 회전하는 입체 텍스트.",
+    examples: ["히어로 비주얼", "브랜드 로고", "이벤트 페이지"],
+    detailedProcess: [
+      "1. 언제: 화면이 표시되는 동안 (마우스를 올리면 더 빠르게)",
+      "2. 무엇을: 텍스트의 각 글자를",
+      "3. 어떻게: 원형 궤도 위에 배치해 천천히 회전하게",
+    ],
+    expectedPrompt:
+      "텍스트의 각 글자를 3D 원형 궤도에 배치하고 회전시키는 컴포넌트를 만들어줘.\n- text: 표시할 텍스트\n- size: 글자 크기\n- textColor: 텍스트 색상",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Canvas / useFrame", role: "3D 장면을 그리고 매 프레임 회전값 갱신", type: "React Three Fiber" },
+        { name: "Text3D", role: "폰트로 입체 글자 생성", type: "drei" },
+        { name: "sin / cos", role: "글자를 원형 궤도에 배치", type: "Math" },
+      ],
+    },
+  },
+
+  // ---------------------------------------------------------------- Motion
+  fadeInContainer: {
+    title: "Fade In Container",
+    basicIdea: "요소가 화면에 들어올 때 원하는 방향에서 부드럽게 나타나게 하는 컨테이너.",
+    examples: ["카드 목록", "섹션 콘텐츠", "이미지 등장"],
+    detailedProcess: [
+      "1. 언제: 요소가 화면에 일정 비율 이상 보일때",
+      "2. 무엇을: 감싼 콘텐츠 전체를",
+      "3. 어떻게: 지정한 방향에서 살짝 이동하며 투명도가 채워지게",
+    ],
+    expectedPrompt:
+      "자식 요소가 뷰포트에 들어오면 페이드인과 함께 이동하며 등장하는 컨테이너를 만들어줘.\n- direction: 시작 방향 (left, right, top, bottom, none)\n- offset: 이동 거리\n- duration / delay: 시간과 지연\n- once: 한 번만 실행",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "useInView", role: "요소가 화면에 보이는지 감지", type: "Framer Motion" },
+        { name: "motion.div", role: "투명도와 위치를 애니메이션", type: "Framer Motion" },
+        { name: "opacity / transform", role: "등장 전후 상태 정의", type: "CSS" },
+      ],
+    },
+  },
+  fadeInGrid: {
+    title: "Fade In Grid",
+    basicIdea: "그리드의 아이템들이 순서대로 하나씩 페이드인 되는 레이아웃.",
+    examples: ["상품 목록", "포트폴리오", "기능 카드"],
+    detailedProcess: [
+      "1. 언제: 그리드가 화면에 들어왔을때",
+      "2. 무엇을: 그리드 안의 각 아이템을",
+      "3. 어떻게: 앞 아이템부터 조금씩 시간차를 두고 나타나게",
+    ],
+    expectedPrompt:
+      "MUI Grid 아이템들이 순차적으로 페이드인 되는 그리드를 만들어줘. FadeInContainer를 재사용해줘.\n- components: 렌더링할 컴포넌트 배열\n- itemSize: 아이템 반응형 크기\n- delay: 아이템 간 지연\n- direction: 등장 방향",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Grid size", role: "화면 크기별 아이템 폭 지정", type: "MUI" },
+        { name: "Array.map index", role: "아이템 순서에 따라 지연 시간 계산", type: "JavaScript" },
+        { name: "Stagger", role: "여러 요소의 등장 시점을 어긋나게 배치", type: "Animation" },
+      ],
+    },
+  },
+  gradientButton: {
+    title: "Gradient Button",
+    basicIdea: "그라데이션이 한 방향으로 흐르며 클릭을 유도하는 CTA 버튼.",
+    examples: ["회원가입 버튼", "구매하기", "예약하기"],
+    detailedProcess: [
+      "1. 언제: 버튼이 표시되는 동안",
+      "2. 무엇을: 버튼 배경색을",
+      "3. 어떻게: 정해진 방향으로 그라데이션이 천천히 흐르게",
+    ],
+    expectedPrompt:
+      "배경 그라데이션이 한 방향으로 흐르는 CTA 버튼을 만들어줘.\n- colors: 그라데이션 색상 배열\n- angle: 흐르는 방향\n- animationDuration: 한 바퀴 시간\n- size: 버튼 크기",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "linear-gradient", role: "버튼 배경 그라데이션 정의", type: "CSS" },
+        { name: "background-size / position", role: "넓은 배경을 이동시켜 흐르는 효과 연출", type: "CSS" },
+        { name: "@keyframes", role: "배경 이동 반복 애니메이션", type: "CSS" },
+      ],
+    },
+  },
+  cardContainer: {
+    title: "Card Container",
+    basicIdea: "이미지와 내용을 담고, 마우스를 올리면 반응하는 카드.",
+    examples: ["상품 카드", "블로그 글", "포트폴리오"],
+    detailedProcess: [
+      "1. 언제: 마우스를 카드 위에 올렸을때",
+      "2. 무엇을: 카드와 카드 이미지를",
+      "3. 어떻게: 확대, 그림자, 테두리, 빛 번짐 등 선택한 방식으로 강조되게",
+    ],
+    expectedPrompt:
+      "이미지 영역과 내용 영역을 가진 카드에 호버 효과를 적용해줘.\n- imageSrc: 이미지 (없으면 플레이스홀더)\n- aspectRatio: 이미지 비율\n- hoverEffect: 호버 효과 종류\n- linkTo: 클릭 시 이동할 경로",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: ":hover", role: "마우스를 올렸을 때의 상태 정의", type: "CSS" },
+        { name: "aspect-ratio", role: "이미지 영역 비율 고정", type: "CSS" },
+        { name: "transition", role: "상태 변화를 부드럽게 연결", type: "CSS" },
+      ],
+    },
+  },
+  dynamicSortGrid: {
+    title: "Dynamic Sort Grid",
+    basicIdea: "정렬 기준을 바꾸면 그리드 아이템들이 애니메이션과 함께 자리를 바꾸는 레이아웃.",
+    examples: ["상품 정렬", "필터 결과", "랭킹 보드"],
+    detailedProcess: [
+      "1. 언제: 정렬 기준이나 필터가 바뀌었을때",
+      "2. 무엇을: 그리드 안의 아이템들을",
+      "3. 어떻게: 사라졌다가 새로운 순서대로 시간차를 두고 다시 나타나게",
+    ],
+    expectedPrompt:
+      "정렬 옵션에 따라 그리드 아이템이 애니메이션과 함께 재정렬되는 컴포넌트를 만들어줘.\n- componentItems: 컴포넌트와 정렬 데이터 배열\n- sortField / sortDirection: 정렬 기준과 방향\n- filterFn: 필터 함수\n- animationDuration: 재정렬 시간",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Array.sort / filter", role: "기준에 맞게 아이템 순서와 노출 결정", type: "JavaScript" },
+        { name: "key", role: "아이템이 재배치되어도 같은 요소로 인식", type: "React" },
+        { name: "Enter / Exit animation", role: "아이템이 빠지고 다시 들어오는 전환", type: "Animation" },
+      ],
+    },
+  },
+  alternatingSlideGrid: {
+    title: "Alternating Slide Grid",
+    basicIdea: "그리드의 각 줄이 왼쪽, 오른쪽 번갈아가며 마스크가 걷히듯 등장하는 레이아웃.",
+    examples: ["기능 소개", "타임라인", "프로세스 설명"],
+    detailedProcess: [
+      "1. 언제: 그리드가 화면에 들어왔을때",
+      "2. 무엇을: 각 줄의 아이템을",
+      "3. 어떻게: 덮고 있던 색 마스크가 좌우 번갈아 걷히며 나타나게",
+    ],
+    expectedPrompt:
+      "그리드 아이템이 좌우 번갈아 슬라이드 인 되는 컴포넌트를 만들어줘. 마스크가 걷히는 방식으로 보여줘.\n- animationDuration / animationDelay: 시간과 간격\n- maskColor: 마스크 색상\n- animateOnScroll: 스크롤 시 시작",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Masking", role: "덮개 요소를 이동시켜 콘텐츠를 드러내기", type: "CSS" },
+        { name: "index % 2", role: "짝수/홀수 줄의 방향 결정", type: "JavaScript" },
+        { name: "Intersection Observer", role: "그리드가 화면에 보이는 시점 감지", type: "JavaScript" },
+      ],
+    },
+  },
+  alternatingSlideWrapper: {
+    title: "Alternating Slide Wrapper",
+    basicIdea: "각 줄의 컨테이너 폭이 좌우 번갈아 펼쳐지며 콘텐츠가 등장하는 레이아웃.",
+    examples: ["이미지 리스트", "케이스 스터디", "섹션 소개"],
+    detailedProcess: [
+      "1. 언제: 콘텐츠가 화면에 들어왔을때",
+      "2. 무엇을: 각 줄의 컨테이너를",
+      "3. 어떻게: 폭이 0에서 시작해 좌우 번갈아 펼쳐지게",
+    ],
+    expectedPrompt:
+      "아이템 컨테이너의 너비가 좌우 번갈아 펼쳐지며 등장하는 컴포넌트를 만들어줘.\n- animationDuration / animationDelay: 시간과 간격\n- animateOnScroll: 스크롤 시 시작\n- scrollThreshold: 시작 임계값",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "width animation", role: "컨테이너 폭을 늘려 콘텐츠를 드러내기", type: "CSS" },
+        { name: "overflow: hidden", role: "펼쳐지기 전 콘텐츠 숨기기", type: "CSS" },
+        { name: "justify-content", role: "줄마다 펼쳐지는 시작 방향 지정", type: "CSS" },
+      ],
+    },
+  },
+  scrollAwareContainer: {
+    title: "Scroll Aware Container",
+    basicIdea: "아래로 스크롤하면 숨고, 위로 스크롤하면 다시 나타나는 컨테이너.",
+    examples: ["상단 헤더", "하단 탭바", "플로팅 버튼"],
+    detailedProcess: [
+      "1. 언제: 사용자가 스크롤 방향을 바꿀때",
+      "2. 무엇을: 헤더 같은 고정 영역을",
+      "3. 어떻게: 내려갈 때는 화면 밖으로 밀려나고, 올라올 때 다시 내려오게",
+    ],
+    expectedPrompt:
+      "스크롤 방향에 따라 숨김/표시되는 컨테이너를 만들어줘. 페이지 상단 근처에서는 항상 보이게 해줘.\n- threshold: 항상 표시할 스크롤 범위",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "scroll event", role: "이전/현재 스크롤 위치를 비교해 방향 판단", type: "JavaScript" },
+        { name: "transform: translateY", role: "영역을 화면 밖으로 밀어내기", type: "CSS" },
+        { name: "Custom hook", role: "스크롤 방향 로직을 재사용 가능하게 분리", type: "React" },
+      ],
+    },
+  },
+  stickyContainer: {
+    title: "Sticky Container",
+    basicIdea: "스크롤해도 화면 위나 아래에 붙어서 따라오는 컨테이너.",
+    examples: ["탭 메뉴", "필터 바", "구매 버튼"],
+    detailedProcess: [
+      "1. 언제: 요소가 화면 가장자리에 닿았을때",
+      "2. 무엇을: 메뉴나 버튼 영역을",
+      "3. 어떻게: 그 자리에 고정되고, 고정된 동안 스타일이 바뀌게",
+    ],
+    expectedPrompt:
+      "스크롤 시 상단 또는 하단에 고정되는 컨테이너를 만들어줘. 고정 상태일 때 다른 스타일을 줄 수 있게 해줘.\n- position: 고정 위치 (top, bottom)\n- offset: 가장자리와의 간격\n- activeStyle: 고정 상태 스타일",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "position: sticky", role: "스크롤 중 특정 위치에 요소 고정", type: "CSS" },
+        { name: "Intersection Observer", role: "고정 상태로 바뀐 순간 감지", type: "JavaScript" },
+      ],
+    },
+  },
+
+  // ---------------------------------------------------------------- Scroll
+  parallaxContainer: {
+    title: "Parallax Container",
+    basicIdea: "레이어마다 다른 속도로 움직여 화면에 깊이감을 주는 패럴랙스 컨테이너.",
+    examples: ["히어로 배경", "스토리 페이지", "일러스트 장면"],
+    detailedProcess: [
+      "1. 언제: 사용자가 스크롤할때",
+      "2. 무엇을: 앞/중간/뒤로 나눈 레이어들을",
+      "3. 어떻게: 멀리 있는 레이어일수록 천천히 움직이게",
+    ],
+    expectedPrompt:
+      "레이어별 깊이에 따라 스크롤 속도가 달라지는 패럴랙스 컨테이너를 만들어줘. ParallaxLayer로 레이어를 구성해줘.\n- maxZ: 최대 깊이 값\n- depthZ: 레이어 깊이 (ParallaxLayer)",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "perspective", role: "가까운/먼 거리감 부여", type: "CSS" },
+        { name: "translateZ", role: "레이어를 앞뒤로 배치해 속도 차이 만들기", type: "CSS" },
+        { name: "Context", role: "컨테이너 설정을 하위 레이어와 공유", type: "React" },
+      ],
+    },
+  },
+  horizontalScrollSection: {
+    title: "Horizontal Scroll Section",
+    basicIdea: "세로로 스크롤하면 콘텐츠가 가로로 흘러가는 섹션.",
+    examples: ["포트폴리오 갤러리", "제품 라인업", "타임라인"],
+    detailedProcess: [
+      "1. 언제: 섹션이 화면을 가득 채운 채 스크롤할때",
+      "2. 무엇을: 가로로 나열된 아이템들을",
+      "3. 어떻게: 화면에 고정된 상태로 옆으로 밀려가고, 빠를수록 살짝 흐려지게",
+    ],
+    expectedPrompt:
+      "세로 스크롤을 가로 이동으로 바꿔주는 섹션을 만들어줘. 섹션은 화면에 고정되고 아이템이 옆으로 흘러가게 해줘.\n- itemWidth: 아이템 너비\n- gap: 아이템 간격\n- scrubValue: 스크롤 감도\n- enableMotionBlur: 빠를 때 모션 블러",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "ScrollTrigger pin", role: "섹션을 화면에 고정한 채 스크롤 진행", type: "GSAP" },
+        { name: "scrub", role: "스크롤 양과 가로 이동 거리 동기화", type: "GSAP" },
+        { name: "SVG filter", role: "스크롤 속도에 따른 모션 블러", type: "SVG" },
+      ],
+    },
+  },
+  smoothScroll: {
+    title: "Smooth Scroll",
+    basicIdea: "마우스 휠 스크롤을 관성 있게 부드럽게 만들어주는 래퍼.",
+    examples: ["브랜드 사이트", "스토리텔링 페이지", "포트폴리오"],
+    detailedProcess: [
+      "1. 언제: 사용자가 휠이나 트랙패드로 스크롤할때",
+      "2. 무엇을: 페이지 전체의 스크롤 위치를",
+      "3. 어떻게: 바로 이동하지 않고 부드럽게 미끄러지듯 따라오게",
+    ],
+    expectedPrompt:
+      "페이지 스크롤을 관성 있게 부드럽게 만드는 래퍼를 만들어줘. GSAP ScrollTrigger와 함께 쓸 수 있게 해줘.\n- duration: 감속 시간\n- orientation: 스크롤 방향\n- smoothWheel / smoothTouch: 입력별 적용 여부",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Lenis", role: "스크롤 위치를 보간해 관성 스크롤 구현", type: "Library" },
+        { name: "requestAnimationFrame", role: "매 프레임 스크롤 위치 갱신", type: "JavaScript" },
+        { name: "ScrollTrigger.update", role: "부드러운 스크롤과 스크롤 애니메이션 동기화", type: "GSAP" },
+      ],
+    },
+  },
+  fullPageScroll: {
+    title: "Full Page Scroll",
+    basicIdea: "한 번 스크롤할 때마다 한 화면씩 넘어가는 전체 화면 섹션 레이아웃.",
+    examples: ["IR 페이지", "제품 소개", "프레젠테이션"],
+    detailedProcess: [
+      "1. 언제: 휠, 키보드, 스와이프 입력이 있을때",
+      "2. 무엇을: 화면 크기의 섹션들을",
+      "3. 어떻게: 다음/이전 섹션으로 한 번에 넘기고, 점 네비게이션으로 위치를 보여주게",
+    ],
+    expectedPrompt:
+      "섹션 단위로 한 화면씩 넘어가는 풀페이지 스크롤을 만들어줘. 휠, 키보드, 터치를 모두 지원해줘.\n- direction: 스크롤 방향\n- animationDuration: 전환 시간\n- showDots / dotsPosition: 네비게이션 도트\n- loop: 마지막에서 처음으로",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "wheel / keydown / touch", role: "사용자 입력을 섹션 이동으로 변환", type: "JavaScript" },
+        { name: "Debounce", role: "한 번의 제스처에 한 섹션만 이동", type: "JavaScript" },
+        { name: "transform transition", role: "섹션 전체를 부드럽게 이동", type: "CSS" },
+      ],
+    },
+  },
+
+  // ---------------------------------------------------------------- Page Transition
+  sharedObjectTransition: {
+    title: "Shared Object Transition",
+    basicIdea: "목록의 썸네일이 상세 페이지의 큰 이미지로 이어지듯 확장되는 전환.",
+    examples: ["상품 상세", "갤러리", "블로그 카드"],
+    detailedProcess: [
+      "1. 언제: 목록에서 아이템을 클릭했을때",
+      "2. 무엇을: 클릭한 썸네일 이미지를",
+      "3. 어떻게: 같은 이미지가 그대로 커지며 상세 화면 상단으로 이동하게",
+    ],
+    expectedPrompt:
+      "목록 썸네일이 상세 페이지 이미지로 자연스럽게 확장되는 공유 요소 전환을 만들어줘.\n- items: 아이템 배열 (id, imageUrl, title)\n- basePath: 상세 페이지 경로",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "layoutId", role: "서로 다른 화면의 같은 요소를 이어서 애니메이션", type: "Framer Motion" },
+        { name: "Route", role: "목록과 상세 화면 전환", type: "React Router" },
+        { name: "Image preload", role: "전환 전에 이미지를 미리 불러오기", type: "JavaScript" },
+      ],
+    },
+  },
+  stickySection: {
+    title: "Sticky Section",
+    basicIdea: "스크롤하면 화면에 고정된 섹션이 점점 작아지며 다음 콘텐츠로 넘어가는 효과.",
+    examples: ["히어로 이미지", "제품 쇼케이스", "챕터 전환"],
+    detailedProcess: [
+      "1. 언제: 섹션이 화면 상단에 닿은 뒤 스크롤할때",
+      "2. 무엇을: 섹션 배경과 메시지를",
+      "3. 어떻게: 제자리에 고정된 채 크기와 투명도가 줄어들게",
+    ],
+    expectedPrompt:
+      "스크롤하면 화면에 고정된 섹션이 축소되며 다음 콘텐츠가 올라오는 컴포넌트를 만들어줘.\n- targetScale: 최종 축소 비율\n- backgroundColor / image: 배경\n- useFadeEffect / targetOpacity: 페이드 효과",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "position: sticky", role: "섹션을 화면에 고정", type: "CSS" },
+        { name: "useScroll / useTransform", role: "스크롤 진행률을 크기와 투명도로 변환", type: "Framer Motion" },
+      ],
+    },
+  },
+  scrollSectionWithWipe: {
+    title: "Scroll Section With Wipe",
+    basicIdea: "섹션이 화면에 들어올 때 커튼을 걷듯 한쪽에서 쓸어내며 드러나는 효과.",
+    examples: ["챕터 시작", "프로젝트 소개", "섹션 구분"],
+    detailedProcess: [
+      "1. 언제: 섹션이 화면에 들어왔을때",
+      "2. 무엇을: 섹션 배경과 콘텐츠를",
+      "3. 어떻게: 한쪽 방향으로 마스크가 걷히고, 잠시 뒤 콘텐츠가 나타나게",
+    ],
+    expectedPrompt:
+      "섹션이 뷰포트에 들어오면 clip-path 와이프 효과로 드러나는 컴포넌트를 만들어줘.\n- wipeDirection: 와이프 방향\n- wipeColor / wipeOpacity: 오버레이 색과 불투명도\n- wipeDuration: 와이프 시간\n- contentDelay: 콘텐츠 지연",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "clip-path: inset()", role: "보이는 영역을 사각형으로 잘라 점점 넓히기", type: "CSS" },
+        { name: "useInView", role: "섹션 진입 시점 감지", type: "Framer Motion" },
+      ],
+    },
+  },
+  stickyStackingSections: {
+    title: "Sticky Stacking Sections",
+    basicIdea: "섹션이 화면에 고정되고 다음 섹션이 그 위를 카드처럼 덮으며 쌓이는 효과.",
+    examples: ["서비스 단계", "케이스 스터디", "카드 스토리"],
+    detailedProcess: [
+      "1. 언제: 사용자가 스크롤할때",
+      "2. 무엇을: 순서대로 나열된 섹션들을",
+      "3. 어떻게: 앞 섹션은 고정되고 뒤 섹션이 올라와 위에 겹쳐지게",
+    ],
+    expectedPrompt:
+      "스크롤 시 섹션이 상단에 고정되고 다음 섹션이 위를 덮으며 쌓이는 컴포넌트를 만들어줘.\n- sections: 섹션 배열\n- sectionHeight: 섹션 높이\n- zIndexBase: 쌓임 순서 기준값",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "position: sticky", role: "각 섹션을 상단에 고정", type: "CSS" },
+        { name: "z-index", role: "뒤에 오는 섹션이 위에 쌓이도록 순서 지정", type: "CSS" },
+      ],
+    },
+  },
+  gridGallery: {
+    title: "Grid Gallery",
+    basicIdea: "그리드의 이미지를 클릭하면 제자리에서 전체 화면으로 확대되는 갤러리.",
+    examples: ["사진 갤러리", "작품 아카이브", "룩북"],
+    detailedProcess: [
+      "1. 언제: 그리드 이미지를 클릭했을때",
+      "2. 무엇을: 클릭한 이미지를",
+      "3. 어떻게: 원래 위치에서 화면 가득 커지고, 설명 콘텐츠가 함께 나타나게",
+    ],
+    expectedPrompt:
+      "이미지 그리드에서 클릭한 이미지가 전체 화면으로 확대되는 갤러리를 만들어줘.\n- images: 이미지 배열 (src, content, contentPosition)\n- columns: 열 수\n- gap: 간격\n- aspectRatio: 이미지 비율",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "CSS Grid", role: "이미지를 일정한 열로 배치", type: "CSS" },
+        { name: "layoutId", role: "썸네일과 확대 이미지를 하나의 요소처럼 이어서 전환", type: "Framer Motion" },
+        { name: "overflow: hidden", role: "확대 중 배경 스크롤 막기", type: "CSS" },
+      ],
+    },
+  },
+  pinnedScrollTransition: {
+    title: "Pinned Scroll Transition",
+    basicIdea: "화면이 고정된 동안 스크롤에 따라 여러 콘텐츠가 차례로 교차 전환되는 섹션.",
+    examples: ["기능 하이라이트", "제품 스토리", "단계별 설명"],
+    detailedProcess: [
+      "1. 언제: 섹션이 화면에 고정된 채 스크롤할때",
+      "2. 무엇을: 준비된 여러 콘텐츠를",
+      "3. 어떻게: 스크롤 양에 맞춰 하나가 사라지고 다음이 나타나게",
+    ],
+    expectedPrompt:
+      "스크롤 중 섹션을 화면에 고정하고 여러 콘텐츠를 순서대로 페이드 전환하는 컴포넌트를 만들어줘.\n- sections: 전환할 콘텐츠 배열\n- duration: 고정 유지 거리\n- fadeRatio: 페이드 구간 비율\n- showProgress: 진행 표시",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "ScrollTrigger pin", role: "스크롤하는 동안 섹션 고정", type: "GSAP" },
+        { name: "Timeline", role: "여러 콘텐츠의 등장/퇴장 순서 정의", type: "GSAP" },
+      ],
+    },
+  },
+
+  // ---------------------------------------------------------------- Color
+  gradientBox: {
+    title: "Gradient Box",
+    basicIdea: "팔레트와 대비 강도만 골라 다양한 그라데이션 배경을 만드는 박스.",
+    examples: ["히어로 배경", "카드 배경", "배너"],
+    detailedProcess: [
+      "1. 언제: 배경이 표시되는 동안",
+      "2. 무엇을: 박스의 배경색을",
+      "3. 어떻게: 선택한 팔레트로 선형/원형/원뿔 그라데이션을 만들고, 원하면 천천히 움직이게",
+    ],
+    expectedPrompt:
+      "팔레트 이름과 대비 강도로 그라데이션 배경을 만드는 박스를 만들어줘.\n- palette: 팔레트 이름 또는 색상 배열\n- type: linear, radial, conic\n- contrast: ambient, highlight, bigContrast\n- animated / noise: 애니메이션과 노이즈 질감",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "linear / radial / conic-gradient", role: "방향과 모양이 다른 그라데이션 생성", type: "CSS" },
+        { name: "Color stop", role: "색이 바뀌는 위치로 대비 강도 조절", type: "CSS" },
+        { name: "SVG feTurbulence", role: "배경 위에 노이즈 질감 덧입히기", type: "SVG" },
+        { name: "SVG data URI", role: "노이즈 필터를 CSS background 레이어로 내보내기", type: "CSS" },
+      ],
+    },
+  },
+  meshGradientBox: {
+    title: "Mesh Gradient Box",
+    basicIdea: "여러 색 점들이 서로 섞이며 물감처럼 번지는 메시 그라데이션 배경.",
+    examples: ["브랜드 배경", "앱 스플래시", "히어로 섹션"],
+    detailedProcess: [
+      "1. 언제: 배경이 표시되는 동안",
+      "2. 무엇을: 화면 곳곳에 배치한 색 점들을",
+      "3. 어떻게: 주변 색과 부드럽게 섞이고, 천천히 떠다니며 색이 흐르게",
+    ],
+    expectedPrompt:
+      "여러 색상 포인트가 부드럽게 섞이는 메시 그라디언트 배경을 canvas로 만들어줘.\n- colors: 색상 배열\n- pointCount: 포인트 수\n- distribution: 포인트 분포 (grid, noise, centered)\n- animated: 포인트 움직임",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "WebGL fragment shader", role: "모든 픽셀의 색을 GPU에서 동시에 계산하기", type: "GLSL" },
+        { name: "Canvas 2D", role: "WebGL을 쓸 수 없을 때 픽셀 단위로 색을 계산해 그리기", type: "JavaScript" },
+        { name: "OffscreenCanvas", role: "Web Worker에서 캔버스를 그려 메인 스레드 부담 줄이기", type: "JavaScript" },
+        { name: "Inverse distance weighting", role: "가까운 포인트의 색을 더 많이 섞기", type: "Math" },
+        { name: "requestAnimationFrame", role: "포인트 이동과 색 흐름 애니메이션", type: "JavaScript" },
+        { name: "canvas.toBlob", role: "원하는 해상도로 다시 그려 PNG로 내보내기", type: "JavaScript" },
+      ],
+    },
+  },
+  scrollGradientBackground: {
+    title: "Scroll Gradient Background",
+    basicIdea: "스크롤로 섹션이 바뀔 때마다 배경 색이 은은하게 전환되는 배경.",
+    examples: ["랜딩 페이지", "스토리텔링", "브랜드 소개"],
+    detailedProcess: [
+      "1. 언제: 스크롤로 다음 섹션에 도달했을때",
+      "2. 무엇을: 페이지 뒤의 번진 원형 빛들을",
+      "3. 어떻게: 섹션마다 정한 색으로 부드럽게 바뀌며 천천히 떠다니게",
+    ],
+    expectedPrompt:
+      "스크롤 위치에 따라 섹션별 색상으로 전환되는 그라데이션 배경을 만들어줘.\n- sectionRefs: 섹션 참조 배열\n- sectionColors: 섹션별 색상\n- blurIntensity: 번짐 정도\n- orbitalType: 원형 빛의 움직임",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "filter: blur()", role: "원형 요소를 크게 번지게 해 빛처럼 보이게", type: "CSS" },
+        { name: "Scroll position", role: "현재 섹션을 판별해 색상 선택", type: "JavaScript" },
+        { name: "Color interpolation", role: "두 색 사이를 자연스럽게 전환", type: "Math" },
+      ],
+    },
+  },
+
+  // ---------------------------------------------------------------- Visual Hook
+  animatedPath: {
+    title: "Animated Path",
+    basicIdea: "선이 펜으로 그리듯 처음부터 끝까지 그려지는 효과.",
+    examples: ["로고 드로잉", "서명", "아이콘 등장"],
+    detailedProcess: [
+      "1. 언제: 화면에 들어왔을때 또는 원하는 시점에",
+      "2. 무엇을: 선으로 된 도형을",
+      "3. 어떻게: 시작점에서 끝점까지 선이 이어지며 그려지게",
+    ],
+    expectedPrompt:
+      "SVG path가 선을 그리듯 나타나는 애니메이션을 만들어줘.\n- data: path 데이터\n- color / strokeWidth: 선 색상과 두께\n- duration: 그리는 시간\n- triggerMode: 수동 또는 뷰포트 진입 시 시작",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "stroke-dasharray / dashoffset", role: "선의 보이는 길이를 조절해 그려지는 효과 연출", type: "SVG" },
+        { name: "getTotalLength", role: "선 전체 길이 측정", type: "SVG" },
+        { name: "d3.transition", role: "시간에 따라 선 길이를 보간", type: "d3.js" },
+      ],
+    },
+  },
+  particleGeneratePath: {
+    title: "Particle Generate Path",
+    basicIdea: "선을 따라 작은 입자들이 흩뿌려지며 흐르는 효과.",
+    examples: ["로고 연출", "데이터 흐름", "배경 장식"],
+    detailedProcess: [
+      "1. 언제: 화면에 들어왔을때 또는 원하는 시점에",
+      "2. 무엇을: 선 모양을 따라 생성된 입자들을",
+      "3. 어떻게: 선 주변에 흩어지며 나타나고 선을 따라 흘러가게",
+    ],
+    expectedPrompt:
+      "SVG path를 따라 파티클이 생성되고 움직이는 애니메이션을 만들어줘.\n- data: path 데이터\n- color1 / color2: 파티클 색상\n- particleNum / particleSize: 개수와 크기\n- particleType: 파티클 모양",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "getPointAtLength", role: "선 위의 좌표를 구해 입자 위치 결정", type: "SVG" },
+        { name: "Random offset", role: "입자를 선 주변에 자연스럽게 흩뿌리기", type: "Math" },
+        { name: "d3.transition", role: "입자의 이동과 페이드 제어", type: "d3.js" },
+      ],
+    },
+  },
+  animatedPathWithParticles: {
+    title: "Animated Path With Particles",
+    basicIdea: "선이 그려지는 동시에 입자들이 선을 따라 피어나는 효과.",
+    examples: ["로고 인트로", "타이틀 장식", "섹션 구분선"],
+    detailedProcess: [
+      "1. 언제: 화면에 들어왔을때 또는 원하는 시점에",
+      "2. 무엇을: 선과 그 주변의 입자들을",
+      "3. 어떻게: 선이 그려지는 흐름에 맞춰 입자가 함께 생겨나게",
+    ],
+    expectedPrompt:
+      "path가 그려지면서 동시에 파티클이 나타나는 컴포넌트를 만들어줘. AnimatedPath와 ParticleGeneratePath를 재사용해줘.\n- data: path 데이터\n- pathColor: 선 색상\n- particleColor1 / particleColor2: 파티클 색상\n- pathDuration / particleDuration: 각 애니메이션 시간",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "Component composition", role: "선 애니메이션과 입자 애니메이션을 겹쳐 하나의 효과로 구성", type: "React" },
+        { name: "stroke-dasharray", role: "선이 그려지는 효과", type: "SVG" },
+      ],
+    },
+  },
+  designLogo: {
+    title: "Design Logo",
+    basicIdea: "DESIGN 철자를 한 글자씩 선과 입자로 그려내는 로고 애니메이션.",
+    examples: ["브랜드 인트로", "로딩 화면", "히어로 로고"],
+    detailedProcess: [
+      "1. 언제: 로고가 화면에 들어왔을때",
+      "2. 무엇을: D, E, S, I, G, N 각 글자를",
+      "3. 어떻게: 왼쪽 글자부터 차례로 선이 그려지고 입자가 흩날리게",
+    ],
+    expectedPrompt:
+      "DESIGN 철자를 AnimatedPathWithParticles로 한 글자씩 그려내는 로고를 만들어줘.\n- pathColor: 선 색상\n- particleColor1 / particleColor2: 파티클 색상\n- animationDelay: 글자 간 지연\n- triggerMode: 시작 방식",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "SVG path", role: "글자 모양을 선 데이터로 표현", type: "SVG" },
+        { name: "Sequential delay", role: "글자마다 시작 시점을 늦춰 순서대로 그리기", type: "Animation" },
+      ],
+    },
+  },
+  particleBackground: {
+    title: "Particle Background",
+    basicIdea: "스크롤에 따라 색과 속도가 바뀌는 3D 입자 우주 배경.",
+    examples: ["랜딩 페이지", "제품 런칭", "기술 소개"],
+    detailedProcess: [
+      "1. 언제: 사용자가 섹션을 스크롤할때",
+      "2. 무엇을: 화면 가득 떠 있는 수천 개의 빛 입자를",
+      "3. 어떻게: 카메라가 앞으로 나아가고, 섹션마다 배경색과 입자 색, 움직임이 바뀌게",
+    ],
+    expectedPrompt:
+      "섹션별로 색상과 속도가 바뀌는 3D 파티클 배경을 만들어줘. 스크롤에 따라 카메라가 이동하고 은은하게 빛나게 해줘.\n- sections: 섹션별 배경색, 파티클 색, 속도\n- particleCount / particleSize: 파티클 개수와 크기\n- cameraStartZ / cameraEndZ: 카메라 이동 범위",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "InstancedMesh", role: "수천 개의 입자를 한 번에 효율적으로 그리기", type: "Three.js" },
+        { name: "useFrame", role: "매 프레임 입자와 카메라 갱신", type: "React Three Fiber" },
+        { name: "Color lerp", role: "섹션 사이 색을 부드럽게 전환", type: "Math" },
+      ],
+    },
+  },
+  bubbleBackground: {
+    title: "Bubble Background",
+    basicIdea: "스크롤하면 투명한 거품들이 떠오르며 흐르는 3D 배경.",
+    examples: ["뷰티 브랜드", "음료 프로모션", "힐링 콘텐츠"],
+    detailedProcess: [
+      "1. 언제: 사용자가 스크롤할때",
+      "2. 무엇을: 화면 뒤의 투명한 거품들을",
+      "3. 어떻게: 스크롤 진행에 맞춰 천천히 떠오르고 흔들리게",
+    ],
+    expectedPrompt:
+      "스크롤에 따라 거품이 떠오르는 3D 배경을 만들어줘. 섹션 콘텐츠는 BubbleSection으로 감싸게 해줘.\n- bubbleCount: 거품 개수\n- scrollProgress: 스크롤 진행률 (직접 제어용)",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "MeshPhysicalMaterial", role: "유리처럼 투명하고 반사되는 거품 질감", type: "Three.js" },
+        { name: "Scroll progress", role: "스크롤 위치를 0~1 값으로 변환해 움직임에 반영", type: "JavaScript" },
+      ],
+    },
+  },
+  waveBackground: {
+    title: "Wave Background",
+    basicIdea: "스크롤과 마우스에 반응해 물결치는 셰이더 배경.",
+    examples: ["히어로 배경", "음악 서비스", "브랜드 캠페인"],
+    detailedProcess: [
+      "1. 언제: 스크롤하거나 마우스를 움직일때",
+      "2. 무엇을: 화면 뒤의 색 면을",
+      "3. 어떻게: 물결처럼 일렁이고, 두 색 사이를 오가며 바뀌게",
+    ],
+    expectedPrompt:
+      "스크롤과 마우스 위치에 반응하는 웨이브 셰이더 배경을 만들어줘. 섹션 콘텐츠는 WaveSection으로 감싸게 해줘.\n- waveIntensity / waveSpeed: 물결 세기와 속도\n- colorStart / colorEnd: 시작/끝 색상",
+    advancedLearning: {
+      requiredKnowledge: [
+        { name: "shaderMaterial", role: "GPU에서 물결 모양과 색을 계산", type: "drei" },
+        { name: "uniform", role: "스크롤/마우스 값을 셰이더에 전달", type: "GLSL" },
+        { name: "sin wave", role: "시간에 따라 반복되는 물결 만들기", type: "Math" },
+      ],
+    },
+  },
+};
@@ -1,68 +1,148 @@
 import MainTitle from '../components/sections/MainTitle';
 import ShuttleSection from '../components/sections/ShuttleSection';
 import ReservationSection from '../components/sections/ReservationSection';
-import { spacecraftData } from './spacecraftData';
+import { getSpacecraftById } from './spacecraftData';
+import { reservationFormSchema } from './formSchemas';
 
 /**
  * 페이지 섹션 데이터 구조
  * 각 섹션의 컴포넌트, props, 배경 설정을 포함합니다.
+ *
+ * nav: 네비게이션 설정 (헤더, Drawer, 푸터 사이트맵이 이 값으로 만들어짐)
+ *  - label: 메뉴 이름
+ *  - order: 메뉴 순서 (작을수록 앞, 없으면 섹션 순서)
+ *  - visible: false면 메뉴에서 숨김 [기본값: true]
+ * nav가 없는 섹션은 메뉴에 나타나지 않습니다.
  */
 export const sectionsData = [
   {
     id: 'hero',
+    nav: { label: 'Explore', order: 0 },
     type: 'MainTitle',
     component: MainTitle,
     props: {},
     backgroundColor: "#000011", // 깊은 우주 블루
     particleColor: "#3A5A7A", // 채도 낮춘 블루
     movementSpeed: 0.001,
+    formation: { type: 'galaxy' }, // 나선 은하
+    bloomStrength: 1.4,
+    bloomRadius: 0.5,
+    bloomThreshold: 0.15,
+    vignette: 1.1,
   },
   {
     id: 'lunar-voyager',
+    nav: { label: 'LEAD Platform', order: 1 },
     type: 'ShuttleSection',
     component: ShuttleSection,
-    props: { spacecraftData: spacecraftData[0] },
+    props: { spacecraftData: getSpacecraftById('lead-platform') },
     backgroundColor: "#0F0F1A", // 달빛을 연상시키는 다크 블루
     particleColor: "#7A8A9A", // 채도 낮춘 연한 블루
     movementSpeed: 0.002,
+    formation: {
+      type: 'image',
+      src: getSpacecraftById('lead-platform').imageUrl, // 제품 이미지 윤곽
+      offset: [8, 0, 0], // 이미지가 오른쪽에 배치되는 섹션
+    },
+    bloomStrength: 1.0,
+    bloomRadius: 0.3,
+    bloomThreshold: 0.3,
+    vignette: 0.9,
   },
   {
     id: 'martian-pioneer',
+    nav: { label: 'CID', order: 2 },
     type: 'ShuttleSection',
     component: ShuttleSection,
-    props: { spacecraftData: spacecraftData[1] },
+    props: { spacecraftData: getSpacecraftById('customer-insight-data') },
     backgroundColor: "#1A0F0F", // 화성을 연상시키는 다크 레드
     particleColor: "#AA5A47", // 채도 낮춘 오렌지/레드
     movementSpeed: 0.0015,
+    formation: { type: 'torus' },
+    bloomStrength: 1.2,
+    bloomRadius: 0.4,
+    bloomThreshold: 0.25,
+    chromaticAberration: 0.0015, // 붉은 행성의 열기
+    vignette: 1.0,
   },
   {
     id: 'stellar-explorer',
+    nav: { label: 'Stellar', order: 3 },
     type: 'ShuttleSection',
     component: ShuttleSection,
-    props: { spacecraftData: spacecraftData[2] },
+    props: { spacecraftData: getSpacecraftById('stellar-explorer') },
     backgroundColor: "#0A0A15", // 심우주 다크 퍼플
     particleColor: "#6A5A8A", // 채도 낮춘 퍼플
     movementSpeed: 0.003,
+    formation: { type: 'sphere' },
+    bloomStrength: 1.6,
+    bloomRadius: 0.6,
+    bloomThreshold: 0.2,
+    chromaticAberration: 0.002, // 심우주 왜곡감
+    vignette: 1.2,
   },
   {
     id: 'reservation',
+    nav: { label: 'Booking', order: 4 },
     type: 'ReservationSection',
     component: ReservationSection,
-    props: {},
+    props: { formSchema: reservationFormSchema },
     backgroundColor: "#000011", // 깊은 우주 블루로 통일
     particleColor: "#FFFFFF", // 화이트 파티클
     movementSpeed: 0.0008,
+    formation: { type: 'cloud' },
+    bloomStrength: 0.8,
+    bloomRadius: 0.3,
+    bloomThreshold: 0.5,
+    vignette: 0.6,
   },
 ];
 
 /**
  * ParticleBackground용 섹션 설정 추출
- * 배경색과 파티클 정보만 포함합니다.
+ * 섹션 id(실제 섹션 위치 측정용), 배경색, 파티클(포메이션 포함), 글로우 후처리 정보만 포함합니다.
+ * formation 형식은 utils/particleFormations 참고
  */
 export const getParticleSections = () => {
   return sectionsData.map(section => ({
+    id: section.id,
     backgroundColor: section.backgroundColor,
     particleColor: section.particleColor,
     movementSpeed: section.movementSpeed,
+    formation: section.formation,
+    bloomStrength: section.bloomStrength,
+    bloomRadius: section.bloomRadius,
+    bloomThreshold: section.bloomThreshold,
+    chromaticAberration: section.chromaticAberration,
+    vignette: section.vignette,
+  }));
+};
+
+/**
+ * 섹션 순서 그대로의 네비게이션 정보
+ * FullPageScroll의 sectionItems처럼 섹션 하나에 항목 하나가 대응해야 하는 곳에서 사용합니다.
+ *
+ * @param {Array<object>} sections - 섹션 데이터 [Optional, 기본값: sectionsData]
+ * @returns {Array<object>} { sectionId, label, order, visible } 목록 (sections와 같은 순서)
+ */
+export const getSectionNavItems = (sections = sectionsData) =>
+  sections.map((section, index) => ({
+    sectionId: section.id,
+    label: section.nav?.label ?? section.id,
+    order: section.nav?.order ?? index,
+    visible: Boolean(section.nav) && section.nav.visible !== false,
   }));
-}; 
\ No newline at end of file
+
+/**
+ * 네비게이션 메뉴 항목 추출
+ * nav 설정이 있고 숨기지 않은 섹션을 order 순서로 정렬합니다.
+ * 첫 항목은 페이지 맨 위 섹션으로 취급됩니다. (로고 클릭, URL 해시 없음)
+ *
+ * @param {Array<object>} sections - 섹션 데이터 [Optional, 기본값: sectionsData]
+ * @returns {Array<object>} { label, sectionId } 목록
+ */
+export const getNavigationItems = (sections = sectionsData) =>
+  getSectionNavItems(sections)
+    .filter((item) => item.visible)
+    .sort((a, b) => a.order - b.order)
+    .map(({ label, sectionId }) => ({ label, sectionId }));
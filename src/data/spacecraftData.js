@@ -6,9 +6,17 @@ import img3 from "../assets/space/3.png";
 /**
  * 우주선 데이터
  * 각 우주선의 정보와 특징을 포함합니다.
+ *
+ * - id: 예약 폼 옵션 값, ?product= 딥링크에 사용하는 고정 식별자 (변경 금지)
+ * - name: 예약 폼 선택 목록에 표시할 짧은 이름
+ * - pricing: 가격 정보 ({ amount, currency, unit }) [Optional, 없으면 미리보기 카드에 가격을 표시하지 않음]
+ * - capacity: 예약 가능 인원/좌석 범위 ({ minSeats, maxSeats }) [Optional, 없으면 RESERVATION_CONFIG의 기본 인원 범위 사용]
+ *   (가격과 좌석 수는 확정된 값을 받은 뒤에만 추가합니다.)
  */
 export const spacecraftData = [
   {
+    id: 'lead-platform',
+    name: 'LEAD Platform',
     title: "LEAD Platform\nGlobal Behavior Model & Adaptive Embedding Architecture",
     description: "Global Behavior Model LEAD Platform은 한국, 북미 등 글로벌 권역의 행동 데이터를 통합 학습하여 국가와 언어, 문화의 차이를 초월한 글로벌 고객 행동 통합 모델을 구축합니다.\n\n이 모델은 고객의 행동 시퀀스, 관심사, 언어적 표현을 하나의 의미 공간에 인코딩하여 글로벌 수준의 고객 맥락 이해(Context Understanding)를 가능하게 합니다.\n\n이를 통해 LEAD는 단순히 데이터를 보는 것을 넘어, 행동의 패턴과 동기를 해석하는 글로벌 행동 파운데이션 모델로 진화합니다.",
     features: [
@@ -21,6 +29,8 @@ export const spacecraftData = [
     cardBackgroundColor: 'rgba(10, 10, 20, 0.3)',
   },
   {
+    id: 'customer-insight-data',
+    name: 'Customer Insight Data',
     title: "Customer Insight Data\nHyper-personalized Attribute Dataset Generated by LEAD",
     description: "Designed for the long haul to Mars, the Pioneer offers advanced life support and research facilities for the intrepid explorer.",
     features: [
@@ -34,6 +44,8 @@ export const spacecraftData = [
     cardBackgroundColor: 'rgba(20, 10, 10, 0.3)',
   },
   {
+    id: 'stellar-explorer',
+    name: 'Stellar Explorer',
     title: "STELLAR EXPLORER",
     description: "Our most advanced vessel, capable of long-duration voyages to the outer solar system and beyond. Equipped with state-of-the-art propulsion.",
     features: [
@@ -46,4 +58,39 @@ export const spacecraftData = [
     imagePosition: 'right',
     cardBackgroundColor: 'rgba(10, 10, 15, 0.3)',
   }
-]; 
\ No newline at end of file
+];
+
+/**
+ * id로 우주선 데이터 조회
+ * @param {string} id - 우주선 id
+ * @returns {object|undefined} 우주선 데이터
+ */
+export const getSpacecraftById = (id) => {
+  return spacecraftData.find(spacecraft => spacecraft.id === id);
+};
+
+/**
+ * 예약 폼 select 옵션 생성
+ * @returns {Array} { value, label } 배열
+ */
+export const getSpacecraftOptions = () => {
+  return spacecraftData.map(spacecraft => ({
+    value: spacecraft.id,
+    label: spacecraft.name,
+  }));
+};
+
+/**
+ * 가격 정보를 표시용 문자열로 변환
+ * @param {object} pricing - { amount, currency, unit }
+ * @returns {string} 예: { amount: 1000, currency: 'USD', unit: 'month' } → '$1,000 / month'
+ */
+export const formatSpacecraftPrice = (pricing) => {
+  if (!pricing) return '';
+  const amount = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: pricing.currency,
+    maximumFractionDigits: 0,
+  }).format(pricing.amount);
+  return pricing.unit ? `${amount} / ${pricing.unit}` : amount;
+}; 
\ No newline at end of file
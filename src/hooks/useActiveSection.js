@@ -0,0 +1,30 @@
+import { useContext, useSyncExternalStore } from 'react';
+import { SectionScrollContext } from '../components/commons/scroll/sectionScrollStore';
+
+const subscribeNothing = () => () => {};
+
+/**
+ * 현재 활성 섹션을 가져오는 커스텀 훅
+ * 화면 중앙에 걸친 섹션이 바뀔 때만 다시 렌더링됩니다.
+ * ScrollProvider, SectionScrollProvider 또는 ParticleBackground 안에서 사용해야 하며, 밖에서는 null을 반환합니다.
+ *
+ * @returns {object} { activeSectionId, activeIndex }
+ *
+ * Example usage:
+ * const { activeSectionId } = useActiveSection();
+ */
+function useActiveSection() {
+  const store = useContext(SectionScrollContext);
+  const activeSectionId = useSyncExternalStore(
+    store?.subscribe ?? subscribeNothing,
+    () => store?.getSnapshot().activeSectionId ?? null
+  );
+  const activeIndex = useSyncExternalStore(
+    store?.subscribe ?? subscribeNothing,
+    () => store?.getSnapshot().activeIndex ?? 0
+  );
+
+  return { activeSectionId, activeIndex };
+}
+
+export default useActiveSection;
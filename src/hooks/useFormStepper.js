@@ -0,0 +1,86 @@
+import { useState, useCallback, useEffect } from 'react';
+
+/**
+ * 다단계 폼(위저드) 단계 관리 커스텀 훅
+ * 다음 단계로 이동할 때 현재 단계 검증을 통과해야 하며, 현재 단계는 localStorage에 보존할 수 있습니다.
+ *
+ * @param {Array} steps - 단계 배열 ({ id, label, fields }) [Required]
+ * @param {object} options - 설정 객체 [Optional]
+ * @param {function} options.onValidateStep - 단계 검증 함수 (step) => boolean [Optional]
+ * @param {string} options.storageKey - 현재 단계를 보존할 localStorage 키 [Optional]
+ * @returns {object} { activeStep, activeStepConfig, isFirstStep, isLastStep, goNext, goBack, goTo, reset }
+ *
+ * Example usage:
+ * const stepper = useFormStepper(schema.steps, {
+ *   onValidateStep: (step) => validate(step.fields),
+ * });
+ * <Button onClick={stepper.goNext}>Next</Button>
+ */
+function useFormStepper(steps, options = {}) {
+  const { onValidateStep, storageKey } = options;
+
+  const [activeStep, setActiveStep] = useState(() => {
+    if (!storageKey) return 0;
+    try {
+      const storedStep = Number(localStorage.getItem(storageKey));
+      return Number.isInteger(storedStep) && storedStep > 0 && storedStep < steps.length
+        ? storedStep
+        : 0;
+    } catch (error) {
+      console.warn('useFormStepper: failed to read stored step', error);
+      return 0;
+    }
+  });
+
+  // 현재 단계 보존 (첫 단계면 저장하지 않고 지움 → reset 후 다시 쓰이지 않음)
+  useEffect(() => {
+    if (!storageKey) return;
+    try {
+      if (activeStep === 0) {
+        localStorage.removeItem(storageKey);
+      } else {
+        localStorage.setItem(storageKey, String(activeStep));
+      }
+    } catch (error) {
+      console.warn('useFormStepper: failed to persist step', error);
+    }
+  }, [storageKey, activeStep]);
+
+  const isFirstStep = activeStep === 0;
+  const isLastStep = activeStep === steps.length - 1;
+
+  const goNext = useCallback(() => {
+    const step = steps[activeStep];
+    if (onValidateStep && !onValidateStep(step)) return false;
+
+    setActiveStep((prev) => Math.min(prev + 1, steps.length - 1));
+    return true;
+  }, [steps, activeStep, onValidateStep]);
+
+  const goBack = useCallback(() => {
+    setActiveStep((prev) => Math.max(prev - 1, 0));
+  }, []);
+
+  // 이미 지나온 단계로만 바로 이동 가능
+  const goTo = useCallback((index) => {
+    if (index < 0 || index > activeStep) return;
+    setActiveStep(index);
+  }, [activeStep]);
+
+  const reset = useCallback(() => {
+    setActiveStep(0);
+  }, []);
+
+  return {
+    activeStep,
+    activeStepConfig: steps[activeStep],
+    isFirstStep,
+    isLastStep,
+    goNext,
+    goBack,
+    goTo,
+    reset,
+  };
+}
+
+export default useFormStepper;
@@ -2,6 +2,14 @@ import { useEffect, useRef } from "react";
 import Lenis from "@studio-freight/lenis";
 import { gsap } from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
+import useQualityTier from "./useQualityTier";
+
+/**
+ * ref 또는 요소를 요소로 변환
+ * @param {object|HTMLElement} target - ref 객체 또는 요소
+ */
+const resolveElement = (target) =>
+  target && "current" in target ? target.current : target;
 
 /**
  * Lenis 부드러운 스크롤 및 선택적 GSAP 통합을 제공하는 React 훅
@@ -9,6 +17,10 @@ import { ScrollTrigger } from "gsap/ScrollTrigger";
  * @param {boolean} enabled - Lenis 활성화 여부 (기본값: true)
  * @param {object} options - Lenis 인스턴스 생성 시 전달할 옵션 (선택 사항)
  * @param {boolean} options.integrateGSAP - GSAP ScrollTrigger와 통합 여부 (기본값: false)
+ *                         통합하면 GSAP ticker가 Lenis 프레임을 구동합니다.
+ * @param {object|HTMLElement} options.wrapper - 스크롤 컨테이너 요소 또는 ref (기본값: window)
+ * @param {object|HTMLElement} options.content - 스크롤 콘텐츠 요소 또는 ref (기본값: document.documentElement)
+ * @param {boolean} options.respectReducedMotion - 동작 줄이기 설정 시 Lenis를 끄고 기본 스크롤 사용 (기본값: true)
  *                         이 외 Lenis 기본 옵션들 (duration, easing 등)도 options 객체 내에 포함 가능.
  * @returns {React.MutableRefObject<Lenis | null>} Lenis 인스턴스를 담는 ref 객체.
  *                                                컴포넌트에서 lenisRef.current로 인스턴스 접근.
@@ -17,10 +29,18 @@ function useLenisScroll(enabled = true, options = {}) {
   const lenisRef = useRef(null);
   const rafRef = useRef(null);
 
-  const { integrateGSAP = false, ...lenisOptions } = options;
+  const {
+    integrateGSAP = false,
+    wrapper,
+    content,
+    respectReducedMotion = true,
+    ...lenisOptions
+  } = options;
+  const { reducedMotion } = useQualityTier();
+  const isActive = enabled && !(respectReducedMotion && reducedMotion);
 
   useEffect(() => {
-    if (!enabled || typeof window === "undefined") {
+    if (!isActive || typeof window === "undefined") {
       if (lenisRef.current) {
         if (rafRef.current) {
           cancelAnimationFrame(rafRef.current);
@@ -37,7 +57,15 @@ function useLenisScroll(enabled = true, options = {}) {
       return;
     }
 
-    const lenis = new Lenis(lenisOptions);
+    // wrapper/content가 ref면 마운트된 요소를 사용 (둘 다 있을 때만 적용)
+    const wrapperElement = resolveElement(wrapper);
+    const contentElement = resolveElement(content);
+    const lenis = new Lenis({
+      ...lenisOptions,
+      ...(wrapperElement && contentElement
+        ? { wrapper: wrapperElement, content: contentElement }
+        : {}),
+    });
     lenisRef.current = lenis;
     
     window.lenis = lenis;
@@ -56,8 +84,12 @@ function useLenisScroll(enabled = true, options = {}) {
 
     if (rafRef.current) {
       cancelAnimationFrame(rafRef.current);
+      rafRef.current = null;
+    }
+    // GSAP과 통합하면 ticker가 프레임을 구동 (시간 기준이 다른 두 루프가 동시에 raf를 호출하지 않도록)
+    if (!integrateGSAP) {
+      rafRef.current = requestAnimationFrame(raf);
     }
-    rafRef.current = requestAnimationFrame(raf);
 
     let gsapTickerHandler = null;
     if (integrateGSAP) {
@@ -95,7 +127,7 @@ function useLenisScroll(enabled = true, options = {}) {
         lenisRef.current = null;
       }
     };
-  }, [enabled, JSON.stringify(lenisOptions), integrateGSAP]);
+  }, [isActive, JSON.stringify(lenisOptions), integrateGSAP, wrapper, content]);
 
   return lenisRef;
 }
@@ -0,0 +1,118 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * OffscreenCanvas 워커 렌더링 지원 여부
+ * @returns {boolean}
+ */
+export const isOffscreenCanvasSupported = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+
+/**
+ * 캔버스 렌더링을 Web Worker로 넘기는 커스텀 훅
+ * 캔버스를 OffscreenCanvas로 워커에 넘기고({ type: 'init', canvas }), 메시지를 보내는 함수를 반환합니다.
+ *
+ * - postFrame은 워커가 이전 프레임을 다 그렸다고 응답({ type: 'frame' })하기 전에는 보내지 않고,
+ *   그동안 들어온 요청은 마지막 것만 남겨 두었다가 응답이 오면 보냅니다. (메시지가 쌓여 지연되지 않도록)
+ * - 캔버스는 한 번만 넘길 수 있으므로 StrictMode의 이펙트 재실행에서는 워커를 종료하지 않고 재사용합니다.
+ * - 넘긴 캔버스는 메인 스레드에서 크기(width/height 속성)를 바꿀 수 없으므로 크기는 메시지로 전달해야 합니다.
+ * - 워커 생성이나 실행에 실패하면 failed가 true가 됩니다. 이미 넘긴 캔버스는 다시 쓸 수 없으므로
+ *   메인 스레드 렌더링으로 돌아갈 때는 canvas key를 바꿔 새 캔버스를 만들어야 합니다.
+ *
+ * @param {Object} canvasRef - 워커로 넘길 캔버스 ref
+ * @param {function} createWorker - Worker 인스턴스를 만드는 함수 (렌더링마다 바뀌지 않도록 모듈 수준에 정의)
+ * @param {boolean} enabled - 워커 렌더링 사용 여부 [Optional, 기본값: true]
+ * @returns {object} { post, postFrame, failed }
+ *
+ * Example usage:
+ * const createWorker = () => new Worker(new URL('./my.worker.js', import.meta.url), { type: 'module' });
+ * const { post, postFrame } = useOffscreenCanvasWorker(canvasRef, createWorker, useWorker);
+ * post({ type: 'resize', width, height });
+ * postFrame({ type: 'frame', time });
+ */
+const useOffscreenCanvasWorker = (canvasRef, createWorker, enabled = true) => {
+  // { canvas, worker, busy, pendingFrame, terminateTimer }
+  const channelRef = useRef(null);
+  const [failed, setFailed] = useState(false);
+  const isActive = enabled && !failed;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!isActive || !canvas) return;
+
+    let channel = channelRef.current;
+    if (channel?.canvas === canvas) {
+      // StrictMode 재실행 - 예약된 종료를 취소하고 기존 워커 재사용
+      clearTimeout(channel.terminateTimer);
+    } else {
+      let worker;
+      try {
+        worker = createWorker();
+        const offscreen = canvas.transferControlToOffscreen();
+        worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+      } catch (error) {
+        console.warn('useOffscreenCanvasWorker: falling back to main thread rendering', error);
+        worker?.terminate();
+        setFailed(true);
+        return;
+      }
+
+      channel = { canvas, worker, busy: false, pendingFrame: null, terminateTimer: null };
+      worker.onmessage = (event) => {
+        if (event.data?.type !== 'frame') return;
+        channel.busy = false;
+        if (channel.pendingFrame) {
+          const frame = channel.pendingFrame;
+          channel.pendingFrame = null;
+          channel.busy = true;
+          worker.postMessage(frame);
+        }
+      };
+      worker.onerror = (error) => {
+        console.warn('useOffscreenCanvasWorker: worker error', error);
+        setFailed(true);
+      };
+      channelRef.current = channel;
+    }
+
+    const currentChannel = channel;
+    return () => {
+      // 바로 다시 실행되지 않으면(언마운트, 비활성화) 워커 종료
+      currentChannel.terminateTimer = setTimeout(() => {
+        currentChannel.worker.terminate();
+        if (channelRef.current === currentChannel) channelRef.current = null;
+      }, 0);
+    };
+  }, [canvasRef, createWorker, isActive]);
+
+  /**
+   * 워커에 메시지 보내기 (resize, props 등 순서대로 모두 전달해야 하는 메시지)
+   * @param {object} message - 보낼 메시지
+   * @param {Array} transfer - 소유권을 넘길 객체 목록 [Optional]
+   */
+  const post = useCallback((message, transfer) => {
+    channelRef.current?.worker.postMessage(message, transfer);
+  }, []);
+
+  /**
+   * 프레임 요청 보내기 (워커가 바쁘면 마지막 요청만 남김)
+   * @param {object} message - 프레임 메시지
+   */
+  const postFrame = useCallback((message) => {
+    const channel = channelRef.current;
+    if (!channel) return;
+
+    if (channel.busy) {
+      channel.pendingFrame = message;
+      return;
+    }
+    channel.busy = true;
+    channel.worker.postMessage(message);
+  }, []);
+
+  return { post, postFrame, failed };
+};
+
+export default useOffscreenCanvasWorker;
@@ -0,0 +1,16 @@
+import { useContext } from 'react';
+import { QualityContext } from '../components/commons/quality/qualityContext';
+
+/**
+ * 현재 렌더링 품질 단계를 가져오는 커스텀 훅
+ * QualityProvider 밖에서는 최고 품질 기본값을 반환합니다.
+ *
+ * @returns {Object} { tierName, tier, reducedMotion, isHidden, constraint, registerRenderer }
+ *
+ * Example usage:
+ * const { tier, reducedMotion } = useQualityTier();
+ * <Canvas dpr={tier.dpr} />
+ */
+const useQualityTier = () => useContext(QualityContext);
+
+export default useQualityTier;
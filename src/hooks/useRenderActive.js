@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import useQualityTier from './useQualityTier';
+
+/**
+ * 렌더링을 계속해야 하는지 판단하는 커스텀 훅
+ * 탭이 숨겨졌거나 요소가 화면 밖으로 스크롤되면 false를 반환합니다.
+ * 렌더링 중인 동안에는 QualityProvider에 등록되어 프레임 시간 측정 대상이 됩니다.
+ * WebGL Canvas는 frameloop, 2D 캔버스는 requestAnimationFrame 루프를 멈추는 데 사용합니다.
+ *
+ * @param {Object} ref - 화면 노출을 감지할 요소의 ref
+ * @param {string} rootMargin - 화면 밖으로 간주하기 전 여유 영역 [Optional, 기본값: '100px']
+ * @returns {boolean} 렌더링 여부
+ *
+ * Example usage:
+ * const containerRef = useRef(null);
+ * const isActive = useRenderActive(containerRef);
+ * <Canvas frameloop={isActive ? 'always' : 'never'} />
+ */
+const useRenderActive = (ref, rootMargin = '100px') => {
+  const { isHidden, registerRenderer } = useQualityTier();
+  const [isOnScreen, setIsOnScreen] = useState(true);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => setIsOnScreen(entry.isIntersecting),
+      { rootMargin }
+    );
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [ref, rootMargin]);
+
+  const isActive = !isHidden && isOnScreen;
+
+  // 렌더링하는 동안만 품질 측정 대상으로 등록
+  useEffect(() => {
+    if (!isActive) return;
+    return registerRenderer();
+  }, [isActive, registerRenderer]);
+
+  return isActive;
+};
+
+export default useRenderActive;
@@ -0,0 +1,92 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { RESERVATION_CONFIG } from '../constants';
+import { getDefaultReservationAdapter } from '../utils/reservationAdapters';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 예약 제출 상태를 관리하는 커스텀 훅
+ * 어댑터 호출, 실패 시 자동 재시도(지수 백오프), 수동 재시도를 처리합니다.
+ *
+ * @param {object} options - 설정 객체
+ * @param {object} options.adapter - 제출 어댑터 ({ name, submit }) [Optional, 기본값: getDefaultReservationAdapter()]
+ * @param {number} options.maxRetries - 자동 재시도 횟수 [Optional, 기본값: RESERVATION_CONFIG.maxRetries]
+ * @param {number} options.retryDelay - 재시도 기본 지연 (ms) [Optional, 기본값: RESERVATION_CONFIG.retryDelay]
+ * @param {function} options.onSuccess - 제출 성공 콜백 (result, reservation) [Optional]
+ * @returns {object} { status, result, error, submit, retry, reset }
+ *   - status: 'idle' | 'submitting' | 'success' | 'error'
+ *
+ * Example usage:
+ * const { status, submit, retry } = useReservationSubmit({ adapter: createMockReservationAdapter() });
+ */
+function useReservationSubmit(options = {}) {
+  const {
+    adapter = getDefaultReservationAdapter(),
+    maxRetries = RESERVATION_CONFIG.maxRetries,
+    retryDelay = RESERVATION_CONFIG.retryDelay,
+    onSuccess,
+  } = options;
+
+  const [status, setStatus] = useState('idle');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // 수동 재시도를 위한 마지막 payload
+  const lastReservationRef = useRef(null);
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  const submit = useCallback(async (reservation) => {
+    lastReservationRef.current = reservation;
+    setStatus('submitting');
+    setError(null);
+
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+      try {
+        const response = await adapter.submit(reservation);
+        if (!isMountedRef.current) return response;
+
+        setResult(response);
+        setStatus('success');
+        if (onSuccess) onSuccess(response, reservation);
+        return response;
+      } catch (submitError) {
+        console.warn(`useReservationSubmit: ${adapter.name} attempt ${attempt + 1} failed`, submitError);
+
+        if (attempt < maxRetries) {
+          await wait(retryDelay * 2 ** attempt);
+          if (!isMountedRef.current) return null;
+          continue;
+        }
+
+        if (isMountedRef.current) {
+          setError(submitError);
+          setStatus('error');
+        }
+      }
+    }
+    return null;
+  }, [adapter, maxRetries, retryDelay, onSuccess]);
+
+  const retry = useCallback(() => {
+    if (!lastReservationRef.current) return Promise.resolve(null);
+    return submit(lastReservationRef.current);
+  }, [submit]);
+
+  const reset = useCallback(() => {
+    lastReservationRef.current = null;
+    setStatus('idle');
+    setResult(null);
+    setError(null);
+  }, []);
+
+  return { status, result, error, submit, retry, reset };
+}
+
+export default useReservationSubmit;
@@ -0,0 +1,88 @@
+import { useState, useCallback, useEffect } from 'react';
+import { getInitialFormValues, validateFormValues } from '../utils/formValidation';
+
+/**
+ * localStorage에 저장된 폼 값 읽기
+ * @param {string} storageKey - 저장 키
+ */
+const readStoredValues = (storageKey) => {
+  if (!storageKey) return {};
+  try {
+    return JSON.parse(localStorage.getItem(storageKey) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * 스키마 기반 폼 상태 관리 커스텀 훅
+ * SchemaForm 컴포넌트와 함께 사용합니다.
+ *
+ * @param {object} schema - 폼 스키마 ({ fields }) [Required]
+ * @param {object} initialValues - 스키마 기본값/저장 값을 덮어쓸 초기 값 [Optional, 기본값: {}]
+ * @param {object} options - 설정 객체 [Optional]
+ * @param {string} options.storageKey - 입력 중인 값을 보존할 localStorage 키 (새로고침 복원용) [Optional]
+ * @returns {object} { values, errors, setFieldValue, setValues, validate, handleSubmit, reset }
+ *
+ * Example usage:
+ * const { values, errors, setFieldValue, handleSubmit } = useSchemaForm(reservationFormSchema);
+ * <SchemaForm schema={reservationFormSchema} values={values} errors={errors}
+ *   onFieldChange={setFieldValue} onSubmit={handleSubmit(submit)} />
+ */
+function useSchemaForm(schema, initialValues = {}, options = {}) {
+  const { storageKey } = options;
+
+  const [values, setValues] = useState(() => ({
+    ...getInitialFormValues(schema),
+    ...readStoredValues(storageKey),
+    ...initialValues,
+  }));
+  const [errors, setErrors] = useState({});
+
+  // 입력 중인 값 보존 (초기값 그대로면 저장하지 않고 지움 → reset 후 다시 쓰이지 않음)
+  useEffect(() => {
+    if (!storageKey) return;
+    try {
+      const serialized = JSON.stringify(values);
+      if (serialized === JSON.stringify(getInitialFormValues(schema))) {
+        localStorage.removeItem(storageKey);
+      } else {
+        localStorage.setItem(storageKey, serialized);
+      }
+    } catch (error) {
+      console.warn('useSchemaForm: failed to persist form values', error);
+    }
+  }, [schema, storageKey, values]);
+
+  // 값 변경 시 해당 필드의 에러는 즉시 해제
+  const setFieldValue = useCallback((name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => {
+      if (!prev[name]) return prev;
+      const { [name]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  // fieldNames를 전달하면 해당 필드만 검증 (단계별 검증용)
+  const validate = useCallback((fieldNames) => {
+    const nextErrors = validateFormValues(schema, values, { fieldNames });
+    setErrors(nextErrors);
+    return Object.keys(nextErrors).length === 0;
+  }, [schema, values]);
+
+  // 검증 통과 시에만 onValid(values) 호출하는 submit 핸들러 생성
+  const handleSubmit = useCallback((onValid) => (event) => {
+    if (event) event.preventDefault();
+    if (validate()) onValid(values);
+  }, [validate, values]);
+
+  const reset = useCallback((nextValues = {}) => {
+    setValues({ ...getInitialFormValues(schema), ...nextValues });
+    setErrors({});
+  }, [schema]);
+
+  return { values, errors, setFieldValue, setValues, validate, handleSubmit, reset };
+}
+
+export default useSchemaForm;
@@ -0,0 +1,41 @@
+import { useContext } from 'react';
+import { ScrollContext } from '../components/commons/scroll/scrollStore';
+import { scrollToSection } from '../utils/scrollUtils';
+import { SMOOTH_SCROLL_CONFIG } from '../constants';
+
+// ScrollProvider 밖에서 사용하는 기본값 (window 스크롤)
+const WINDOW_SCROLL = {
+  store: null,
+  scroller: null,
+  scrollTarget: typeof window !== 'undefined' ? window : null,
+  scrollerRef: { current: null },
+  lenis: null,
+  registerScroller: () => () => {},
+  scrollTo: (target, { offset = -SMOOTH_SCROLL_CONFIG.headerOffset, ...options } = {}) =>
+    scrollToSection(target, { offset, ...options }),
+};
+
+/**
+ * 현재 스크롤 컨테이너를 가져오는 커스텀 훅
+ * GSAP ScrollTrigger에는 scrollTarget을 scroller로 넘기고,
+ * 스크롤 컨테이너를 렌더링하는 컴포넌트는 registerScroller로 요소를 등록합니다.
+ * ScrollProvider 밖에서는 window 스크롤 기본값을 반환합니다.
+ *
+ * @returns {object} { scroller, scrollTarget, scrollerRef, lenis, registerScroller, scrollTo }
+ *   - scroller: 스크롤 컨테이너 요소 (window 스크롤이면 null)
+ *   - scrollTarget: ScrollTrigger scroller 값 (요소 또는 window)
+ *   - scrollerRef: framer-motion useScroll의 container 옵션용 ref
+ *   - lenis: 컨테이너를 구동하는 Lenis 인스턴스 (없으면 null)
+ *   - registerScroller: (element, lenis?) => 등록 해제 함수
+ *   - scrollTo: (sectionId | element | px, { offset?, immediate? }) => 섹션으로 이동 (고정 헤더 높이 보정)
+ *
+ * Example usage:
+ * const { scrollTarget } = useScrollContainer();
+ * ScrollTrigger.create({ trigger, scroller: scrollTarget });
+ *
+ * const { scrollTo } = useScrollContainer();
+ * scrollTo('martian-pioneer');
+ */
+const useScrollContainer = () => useContext(ScrollContext) ?? WINDOW_SCROLL;
+
+export default useScrollContainer;
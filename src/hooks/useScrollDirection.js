@@ -1,8 +1,10 @@
 import { useState } from 'react';
-import { useScroll, useMotionValueEvent } from 'framer-motion';
+import { useMotionValueEvent } from 'framer-motion';
+import useScrollMotion from './useScrollMotion';
 
 /**
  * 스크롤 방향을 감지하는 커스텀 훅
+ * ScrollProvider 안에서는 등록된 스크롤 컨테이너를, 밖에서는 window 스크롤을 감지합니다.
  * 
  * @param {number} threshold - 스크롤 방향이 바뀌기 위한 최소 이동 거리(px) [Optional, 기본값: 50]
  * @returns {object} - { scrollDirection, scrollY } 객체 반환
@@ -16,7 +18,7 @@ import { useScroll, useMotionValueEvent } from 'framer-motion';
 function useScrollDirection(threshold = 50) {
   const [scrollDirection, setScrollDirection] = useState('up');
   const [lastDirectionChangePosition, setLastDirectionChangePosition] = useState(0);
-  const { scrollY } = useScroll();
+  const { scrollY } = useScrollMotion();
   
   useMotionValueEvent(scrollY, 'change', (latest) => {
     const previous = scrollY.getPrevious();
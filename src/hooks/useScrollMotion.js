@@ -0,0 +1,21 @@
+import { useScroll } from 'framer-motion';
+import useScrollContainer from './useScrollContainer';
+
+/**
+ * ScrollProvider의 스크롤 컨테이너를 따르는 framer-motion useScroll
+ * 컨테이너가 등록되거나 바뀌면 자동으로 새 컨테이너를 구독합니다.
+ *
+ * @param {object} options - framer-motion useScroll 옵션 (target, offset 등, container 제외) [Optional]
+ * @returns {object} { scrollX, scrollY, scrollXProgress, scrollYProgress } MotionValue
+ *
+ * Example usage:
+ * const { scrollYProgress } = useScrollMotion({ target: sectionRef, offset: ['start end', 'end start'] });
+ */
+function useScrollMotion(options = {}) {
+  const { scroller, scrollerRef } = useScrollContainer();
+
+  // window 스크롤이면 container를 넘기지 않음 (비어 있는 ref 경고 방지)
+  return useScroll({ ...options, container: scroller ? scrollerRef : undefined });
+}
+
+export default useScrollMotion;
@@ -0,0 +1,31 @@
+import { useContext, useSyncExternalStore } from 'react';
+import { ScrollContext } from '../components/commons/scroll/scrollStore';
+
+const subscribeNothing = () => () => {};
+
+const DEFAULT_SCROLL_STATE = { scrollY: 0, progress: 0, velocity: 0, direction: 'up' };
+
+const selectAll = (state) => state;
+
+/**
+ * ScrollProvider의 스크롤 상태를 가져오는 커스텀 훅
+ * selector로 필요한 값만 고르면 그 값이 바뀔 때만 다시 렌더링됩니다.
+ * (selector는 원시값이나 저장소 상태 객체 자체를 반환해야 합니다)
+ * ScrollProvider 밖에서는 초기 상태를 반환합니다.
+ *
+ * @param {function} selector - 상태에서 값을 고르는 함수 ({ scrollY, progress, velocity, direction }) [Optional, 기본값: 전체 상태]
+ * @returns {any} 선택한 값
+ *
+ * Example usage:
+ * const direction = useScrollState((state) => state.direction);
+ * const progress = useScrollState((state) => state.progress);
+ */
+function useScrollState(selector = selectAll) {
+  const store = useContext(ScrollContext)?.store;
+
+  return useSyncExternalStore(store?.subscribe ?? subscribeNothing, () =>
+    selector(store ? store.getSnapshot() : DEFAULT_SCROLL_STATE)
+  );
+}
+
+export default useScrollState;
@@ -0,0 +1,60 @@
+import { useEffect, useRef } from 'react';
+import useActiveSection from './useActiveSection';
+import useScrollContainer from './useScrollContainer';
+
+/**
+ * 활성 섹션을 URL 해시와 동기화하는 커스텀 훅
+ *
+ * - 처음 로드할 때 URL 해시(#martian-pioneer)가 섹션을 가리키면 애니메이션 없이 해당 섹션으로 이동합니다.
+ *   스크롤 컨테이너가 ScrollProvider에 등록된 뒤에 한 번만 실행합니다.
+ * - 이후 스크롤로 활성 섹션이 바뀌면 history.replaceState로 해시를 갱신합니다. (첫 섹션은 해시 제거)
+ *   방문 기록은 쌓이지 않으므로 뒤로 가기는 이전 페이지로 이동합니다.
+ *
+ * @param {Array<string>} sectionIds - 해시로 사용할 섹션 id 목록 (첫 항목은 페이지 맨 위 섹션) [Required]
+ * @returns {string|null} 활성 섹션 id
+ *
+ * Example usage:
+ * const activeSectionId = useSectionHash(['hero', 'lunar-voyager', 'reservation']);
+ */
+function useSectionHash(sectionIds) {
+  const { activeSectionId } = useActiveSection();
+  const { scroller, scrollTo } = useScrollContainer();
+  // 딥 링크 복원 단계 ('idle' → 'restoring' → 'done')
+  const restoreStateRef = useRef('idle');
+  const sectionIdsKey = sectionIds.join('|');
+
+  // 딥 링크 복원 - 컨테이너가 등록된 후 레이아웃이 잡힌 다음 프레임에 이동
+  useEffect(() => {
+    if (restoreStateRef.current !== 'idle' || !scroller) return;
+
+    const sectionId = decodeURIComponent(window.location.hash.slice(1));
+    if (!sectionId || !sectionIdsKey.split('|').includes(sectionId)) {
+      restoreStateRef.current = 'done';
+      return;
+    }
+
+    restoreStateRef.current = 'restoring';
+    requestAnimationFrame(() => {
+      scrollTo(sectionId, { immediate: true });
+      restoreStateRef.current = 'done';
+    });
+  }, [scroller, scrollTo, sectionIdsKey]);
+
+  // 스크롤에 따라 해시 갱신 (복원 전에는 로드 시점의 해시를 유지)
+  useEffect(() => {
+    if (restoreStateRef.current !== 'done' || !activeSectionId) return;
+
+    const ids = sectionIdsKey.split('|');
+    if (!ids.includes(activeSectionId)) return;
+
+    const { pathname, search, hash } = window.location;
+    const nextHash = activeSectionId === ids[0] ? '' : `#${activeSectionId}`;
+    if (hash !== nextHash) {
+      window.history.replaceState(window.history.state, '', `${pathname}${search}${nextHash}`);
+    }
+  }, [activeSectionId, sectionIdsKey]);
+
+  return activeSectionId;
+}
+
+export default useSectionHash;
@@ -0,0 +1,26 @@
+import { useContext, useSyncExternalStore } from 'react';
+import { SectionScrollContext } from '../components/commons/scroll/sectionScrollStore';
+
+const subscribeNothing = () => () => {};
+
+/**
+ * 특정 섹션의 스크롤 진행률을 가져오는 커스텀 훅
+ * 화면 상단이 섹션 시작에 닿으면 0, 섹션 끝을 지나면 1입니다.
+ * ScrollProvider, SectionScrollProvider 또는 ParticleBackground 안에서 사용해야 하며, 밖에서는 0을 반환합니다.
+ *
+ * @param {string} sectionId - 섹션 id [Required]
+ * @returns {number} 진행률 (0~1)
+ *
+ * Example usage:
+ * const progress = useSectionProgress('lunar-voyager');
+ */
+function useSectionProgress(sectionId) {
+  const store = useContext(SectionScrollContext);
+
+  return useSyncExternalStore(
+    store?.subscribe ?? subscribeNothing,
+    () => store?.getSnapshot().progress[sectionId] ?? 0
+  );
+}
+
+export default useSectionProgress;
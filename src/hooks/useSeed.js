@@ -0,0 +1,21 @@
+import { useContext } from 'react';
+import { SeedContext } from '../components/commons/seed/seedContext';
+
+/**
+ * 컴포넌트에 적용할 시드를 가져오는 커스텀 훅
+ * seed prop이 있으면 그 값을, 없으면 SeedProvider의 시드를 반환합니다. (둘 다 없으면 null)
+ * 반환값은 utils/seededRandom의 createRandom에 넘겨 사용합니다.
+ *
+ * @param {string|number} seed - 컴포넌트의 seed prop [Optional]
+ * @returns {string|number|null} 적용할 시드
+ *
+ * Example usage:
+ * const resolvedSeed = useSeed(seed);
+ * const random = createRandom(resolvedSeed, 'MyPattern');
+ */
+const useSeed = (seed) => {
+  const contextSeed = useContext(SeedContext);
+  return seed ?? contextSeed;
+};
+
+export default useSeed;
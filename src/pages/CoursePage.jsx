@@ -0,0 +1,23 @@
+import React from 'react';
+import { Typography } from '@mui/material';
+import PageContainer from '../components/commons/container/PageContainer';
+import SectionContainer from '../components/commons/container/SectionContainer';
+import CourseBanner from '../components/commons/banner/CourseBanner';
+
+/**
+ * 강의 소개 페이지 컴포넌트 (/course)
+ */
+function CoursePage() {
+  return (
+    <PageContainer>
+      <SectionContainer pt={{ xs: 14, md: 18 }}>
+        <Typography variant="h2" sx={{ mb: 6, fontSize: { xs: '2rem', md: '3rem' } }}>
+          Course
+        </Typography>
+        <CourseBanner />
+      </SectionContainer>
+    </PageContainer>
+  );
+}
+
+export default CoursePage;
@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { Box } from "@mui/material";
+
+// 컴포넌트 임포트
+import ParticleBackground from "../components/patterns/visualHook/ParticleBackground";
+import NavigationHeader from "../components/commons/navigation/NavigationHeader";
+import SectionSitemap from "../components/commons/navigation/SectionSitemap";
+import { sectionsData, getParticleSections, getNavigationItems } from "../data/sectionsData";
+
+// 헤더, Drawer, 푸터 사이트맵이 함께 쓰는 메뉴 항목 (sectionsData의 nav 설정)
+const NAVIGATION_ITEMS = getNavigationItems();
+
+/**
+ * 우주관광 랜딩 페이지 컴포넌트
+ * ParticleBackground로 전체를 감싸고 5개 섹션을 순차적으로 배치
+ * ParticleBackground가 자신의 스크롤 컨테이너를 App의 ScrollProvider에 등록하므로
+ * 헤더도 같은 활성 섹션·스크롤 상태를 사용합니다.
+ * 섹션을 추가하면서 nav 설정을 넣으면 헤더 메뉴와 푸터 사이트맵에 자동으로 추가됩니다.
+ */
+function LandingPage() {
+  // 파티클 섹션 데이터를 상태로 관리 (CTA hover 시 동적 변경을 위해)
+  const [particleSections, setParticleSections] = useState(getParticleSections());
+  
+  // 네비게이션 헤더용 스크롤 상태 관리
+  const [scrollState, setScrollState] = useState({
+    scrollY: 0,
+    isScrolled: false,
+    isVisible: true,
+  });
+
+  return (
+    <>
+      {/* 네비게이션 헤더 */}
+      <NavigationHeader 
+        menuItems={NAVIGATION_ITEMS}
+        scrollState={scrollState}
+      />
+      
+      {/* 파티클 배경으로 전체 페이지 감싸기 */}
+      <ParticleBackground 
+        sections={particleSections}
+        onScrollUpdate={setScrollState}
+      >
+        {/* 각 섹션을 순차적으로 렌더링 */}
+        {sectionsData.map((section) => {
+          const SectionComponent = section.component;
+          
+          // ReservationSection에만 sections 관련 props 전달
+          const sectionProps = section.id === 'reservation' 
+            ? { 
+                ...section.props, 
+                sections: particleSections,
+                onSectionsUpdate: setParticleSections
+              }
+            : section.props;
+          
+          return (
+            <Box
+              key={section.id}
+              id={section.id}
+              sx={{
+                position: 'relative',
+                zIndex: 1,
+                mb: { xs: 12, md: 0 },
+              }}
+            >
+              <SectionComponent {...sectionProps} />
+            </Box>
+          );
+        })}
+
+        {/* 푸터 사이트맵 */}
+        <SectionSitemap items={NAVIGATION_ITEMS} />
+      </ParticleBackground>
+    </>
+  );
+}
+
+export default LandingPage;
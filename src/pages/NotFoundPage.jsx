@@ -0,0 +1,35 @@
+import React from 'react';
+import { Stack, Typography, Button } from '@mui/material';
+import { Link as RouterLink, useLocation } from 'react-router-dom';
+import PageContainer from '../components/commons/container/PageContainer';
+
+/**
+ * 404 페이지 컴포넌트
+ * 라우트 트리에 없는 경로로 진입했을 때 표시됩니다.
+ */
+function NotFoundPage() {
+  const { pathname } = useLocation();
+
+  return (
+    <PageContainer sx={{ minHeight: '100vh', justifyContent: 'center' }}>
+      <Stack spacing={3} alignItems="center" sx={{ px: 3, textAlign: 'center' }}>
+        <Typography variant="h1" sx={{ fontSize: { xs: '4rem', md: '6rem' }, fontWeight: 800 }}>
+          404
+        </Typography>
+        <Typography variant="body1" color="text.secondary">
+          {pathname} 페이지를 찾을 수 없습니다.
+        </Typography>
+        <Stack direction="row" spacing={2}>
+          <Button component={RouterLink} to="/" variant="contained">
+            Home
+          </Button>
+          <Button component={RouterLink} to="/patterns" variant="outlined" color="inherit">
+            Patterns
+          </Button>
+        </Stack>
+      </Stack>
+    </PageContainer>
+  );
+}
+
+export default NotFoundPage;
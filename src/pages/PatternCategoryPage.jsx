@@ -0,0 +1,49 @@
+import React from 'react';
+import { Grid, Typography } from '@mui/material';
+import { useParams } from 'react-router-dom';
+import PageContainer from '../components/commons/container/PageContainer';
+import SectionContainer from '../components/commons/container/SectionContainer';
+import CardPattern from '../components/commons/card/CardPattern';
+import { getPatternCategory, recipesData } from '../data/recipesData';
+import NotFoundPage from './NotFoundPage';
+
+/**
+ * 패턴 카테고리 페이지 컴포넌트 (/patterns/:category)
+ * 카테고리에 속한 컴포넌트 카드를 patternsData 카탈로그에서 생성합니다.
+ * 없는 카테고리나 비활성 카테고리로 진입하면 404를 표시합니다.
+ */
+function PatternCategoryPage() {
+  const { category: categorySlug } = useParams();
+  const category = getPatternCategory(categorySlug);
+
+  if (!category || !category.isActive) {
+    return <NotFoundPage />;
+  }
+
+  return (
+    <PageContainer>
+      <SectionContainer pt={{ xs: 14, md: 18 }}>
+        <Typography variant="h2" sx={{ mb: 2, fontSize: { xs: '2rem', md: '3rem' } }}>
+          {category.title}
+        </Typography>
+        <Typography variant="body1" color="text.secondary" sx={{ mb: 6 }}>
+          {category.description}
+        </Typography>
+
+        <Grid container spacing={3}>
+          {category.componentList.map((component) => (
+            <Grid key={component.id} size={{ xs: 12, sm: 6, md: 4 }}>
+              <CardPattern
+                title={component.title}
+                description={recipesData[component.id]?.basicIdea}
+                path={component.path}
+              />
+            </Grid>
+          ))}
+        </Grid>
+      </SectionContainer>
+    </PageContainer>
+  );
+}
+
+export default PatternCategoryPage;
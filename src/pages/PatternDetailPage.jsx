@@ -0,0 +1,133 @@
+import React, { Suspense, lazy, useMemo } from 'react';
+import { Box, Button, CircularProgress, Link, Typography } from '@mui/material';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import PageContainer from '../components/commons/container/PageContainer';
+import SectionContainer from '../components/commons/container/SectionContainer';
+import ExampleListContainer from '../components/commons/container/ExampleListContainer';
+import Recipe from '../components/commons/container/Recipe';
+import { getPatternCategory, getPatternComponent, recipesData } from '../data/recipesData';
+import { patternExamples } from '../data/patternExamples';
+import { toComponentName } from '../utils/propsSchema';
+import NotFoundPage from './NotFoundPage';
+
+/**
+ * 예제 설정으로 지연 로딩 컴포넌트 생성
+ * 패턴 모듈은 예제가 처음 렌더링될 때 불러오며, 같은 모듈은 브라우저가 캐시합니다.
+ *
+ * @param {function} load - 패턴 모듈 동적 import 함수
+ * @param {object} example - 예제 설정 ({ props, containerSx, demo })
+ */
+const createExampleComponent = (load, example) =>
+  lazy(async () => {
+    const module = await load();
+    const PatternComponent = module.default;
+    const Demo = example.demo;
+
+    return {
+      default: function PatternExample() {
+        const content = Demo
+          ? <Demo component={PatternComponent} module={module} />
+          : <PatternComponent {...example.props} />;
+
+        return example.containerSx ? <Box sx={example.containerSx}>{content}</Box> : content;
+      },
+    };
+  });
+
+/**
+ * 예제 모듈 로딩 중 표시할 화면
+ */
+function ExampleFallback() {
+  return (
+    <Box sx={{ py: 6, display: 'flex', justifyContent: 'center' }}>
+      <CircularProgress color="inherit" size={24} />
+    </Box>
+  );
+}
+
+/**
+ * 패턴 예시 페이지 컴포넌트 (/patterns/:category/:component)
+ * patternsData 카탈로그, patternExamples 예제, recipesData 레시피를 조합해 생성합니다.
+ */
+function PatternDetailPage() {
+  const { category: categorySlug, component: componentSlug } = useParams();
+  const category = getPatternCategory(categorySlug);
+  const component = getPatternComponent(categorySlug, componentSlug);
+  const exampleConfig = component ? patternExamples[component.id] : undefined;
+
+  // 컴포넌트가 바뀔 때만 지연 로딩 컴포넌트를 새로 생성
+  const examples = useMemo(() => {
+    if (!exampleConfig) return [];
+
+    return exampleConfig.examples.map((example) => {
+      const ExampleComponent = createExampleComponent(exampleConfig.load, example);
+      return {
+        title: example.title,
+        description: example.description,
+        component: (
+          <Suspense fallback={<ExampleFallback />}>
+            <ExampleComponent />
+          </Suspense>
+        ),
+      };
+    });
+  }, [exampleConfig]);
+
+  if (!category || !category.isActive || !component) {
+    return <NotFoundPage />;
+  }
+
+  const recipe = recipesData[component.id];
+  // props만으로 렌더링할 수 있는 예제가 있으면 플레이그라운드에서 열 수 있음
+  const hasPlayground = Boolean(exampleConfig?.examples.some((example) => example.props));
+
+  return (
+    <PageContainer>
+      <SectionContainer pt={{ xs: 14, md: 18 }}>
+        <Link
+          component={RouterLink}
+          to={category.path}
+          variant="overline"
+          color="text.secondary"
+          underline="hover"
+        >
+          {category.title}
+        </Link>
+        <Typography variant="h2" sx={{ mb: 2, fontSize: { xs: '2rem', md: '3rem' } }}>
+          {component.title}
+        </Typography>
+        {recipe && (
+          <Typography variant="body1" color="text.secondary" sx={{ mb: hasPlayground ? 3 : 6 }}>
+            {recipe.basicIdea}
+          </Typography>
+        )}
+        {hasPlayground && (
+          <Button
+            component={RouterLink}
+            to={`/playground?pattern=${component.id}`}
+            variant="outlined"
+            color="inherit"
+            size="small"
+            sx={{ mb: 6 }}
+          >
+            Playground에서 props 조절하기
+          </Button>
+        )}
+
+        {examples.length > 0 ? (
+          <ExampleListContainer examples={examples} />
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 6 }}>
+            이 패턴은 페이지 구성이 필요해 라이브 예제 없이 레시피만 제공합니다.
+          </Typography>
+        )}
+
+        {recipe && (
+          <Recipe recipe={recipe} componentName={component.schemaName ?? toComponentName(component.id)} />
+        )}
+      </SectionContainer>
+    </PageContainer>
+  );
+}
+
+export default PatternDetailPage;
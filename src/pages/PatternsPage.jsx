@@ -0,0 +1,42 @@
+import React from 'react';
+import { Grid, Typography } from '@mui/material';
+import PageContainer from '../components/commons/container/PageContainer';
+import SectionContainer from '../components/commons/container/SectionContainer';
+import CardPattern from '../components/commons/card/CardPattern';
+import { patternsData } from '../data/recipesData';
+
+/**
+ * 패턴 목록 페이지 컴포넌트 (/patterns)
+ * 7가지 인터랙티브 패턴 카테고리로 진입하는 1depth 페이지입니다.
+ * 카테고리 카드는 patternsData 카탈로그에서 생성하며, 비활성 카테고리는 '업데이트 예정'으로 표시됩니다.
+ */
+function PatternsPage() {
+  return (
+    <PageContainer>
+      <SectionContainer pt={{ xs: 14, md: 18 }}>
+        <Typography variant="h2" sx={{ mb: 2, fontSize: { xs: '2rem', md: '3rem' } }}>
+          Patterns
+        </Typography>
+        <Typography variant="body1" color="text.secondary" sx={{ mb: 6 }}>
+          타이포그래피, 모션, 스크롤, 화면 전환, 컬러, 비주얼 훅, 커스텀 커서 패턴을 살펴보세요.
+        </Typography>
+
+        <Grid container spacing={3}>
+          {Object.entries(patternsData).map(([key, category]) => (
+            <Grid key={key} size={{ xs: 12, sm: 6, md: 4 }}>
+              <CardPattern
+                title={category.title}
+                description={category.description}
+                path={category.path}
+                imageSrc={category.thumbnail}
+                isActive={category.isActive}
+              />
+            </Grid>
+          ))}
+        </Grid>
+      </SectionContainer>
+    </PageContainer>
+  );
+}
+
+export default PatternsPage;
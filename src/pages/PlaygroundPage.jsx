@@ -0,0 +1,219 @@
+import React, { Suspense, lazy, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  FormControl,
+  Grid,
+  InputLabel,
+  ListSubheader,
+  MenuItem,
+  Select,
+  Snackbar,
+  Stack,
+  Typography,
+} from '@mui/material';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import propsSchema from 'virtual:props-schema';
+import PageContainer from '../components/commons/container/PageContainer';
+import SectionContainer from '../components/commons/container/SectionContainer';
+import PropControl from '../components/commons/playground/PropControl';
+import { patternsData } from '../data/recipesData';
+import { patternExamples } from '../data/patternExamples';
+import { createJsxSnippet, createPropsSchema, getInitialValues, toComponentName } from '../utils/propsSchema';
+
+/**
+ * 플레이그라운드에서 선택할 수 있는 패턴 목록
+ * 활성 카테고리 중 props만으로 렌더링할 수 있는 예제가 있는 컴포넌트만 포함합니다.
+ */
+const playgroundCategories = Object.values(patternsData)
+  .filter((category) => category.isActive)
+  .map((category) => ({
+    title: category.title,
+    components: category.componentList
+      .map((component) => ({
+        ...component,
+        example: patternExamples[component.id]?.examples.find((example) => example.props),
+      }))
+      .filter((component) => component.example),
+  }))
+  .filter((category) => category.components.length > 0);
+
+const playgroundComponents = playgroundCategories.flatMap((category) => category.components);
+
+/**
+ * 선택한 패턴의 컨트롤 패널, 미리보기, JSX 코드 영역
+ * 패턴이 바뀌면 key로 다시 마운트해 설정값을 초기화합니다.
+ *
+ * @param {object} pattern - playgroundComponents 항목 ({ id, title, example }) [Required]
+ */
+function PlaygroundWorkspace({ pattern }) {
+  const { id, example } = pattern;
+  const componentName = toComponentName(id);
+  const schema = useMemo(() => createPropsSchema(propsSchema[componentName]), [componentName]);
+  const PatternComponent = useMemo(() => lazy(patternExamples[id].load), [id]);
+
+  const [values, setValues] = useState(() => getInitialValues(schema, example.props));
+  const [replayKey, setReplayKey] = useState(0);
+  const [isCopied, setIsCopied] = useState(false);
+
+  const props = { ...example.props, ...values };
+  const snippet = createJsxSnippet(componentName, props, schema);
+  const controls = schema.filter((field) => field.control);
+
+  const handleChange = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleReset = () => {
+    setValues(getInitialValues(schema, example.props));
+    setReplayKey((prev) => prev + 1);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      setIsCopied(true);
+    } catch (error) {
+      console.error('JSX 복사 실패:', error);
+    }
+  };
+
+  return (
+    <Grid container spacing={4}>
+      <Grid size={{ xs: 12, md: 4 }}>
+        <Stack spacing={3}>
+          {controls.map((field) => (
+            <PropControl
+              key={field.name}
+              field={field}
+              value={values[field.name]}
+              onChange={handleChange}
+            />
+          ))}
+          {controls.length === 0 && (
+            <Typography variant="body2" color="text.secondary">
+              조절할 수 있는 props가 없습니다.
+            </Typography>
+          )}
+        </Stack>
+      </Grid>
+
+      <Grid size={{ xs: 12, md: 8 }}>
+        <Stack direction="row" spacing={1} sx={{ mb: 2, justifyContent: 'flex-end' }}>
+          <Button size="small" color="inherit" onClick={() => setReplayKey((prev) => prev + 1)}>
+            다시 재생
+          </Button>
+          <Button size="small" color="inherit" onClick={handleReset}>
+            초기화
+          </Button>
+          <Button size="small" variant="outlined" color="inherit" onClick={handleCopy}>
+            Copy JSX
+          </Button>
+        </Stack>
+
+        <Box
+          sx={{
+            minHeight: 480,
+            p: 3,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            border: '1px solid',
+            borderColor: 'divider',
+            borderRadius: 2,
+            overflow: 'auto',
+          }}
+        >
+          <Suspense fallback={<CircularProgress color="inherit" size={24} />}>
+            <Box key={replayKey} sx={{ width: '100%', display: 'flex', justifyContent: 'center', ...example.containerSx }}>
+              <PatternComponent {...props} />
+            </Box>
+          </Suspense>
+        </Box>
+
+        <Box
+          component="pre"
+          sx={{
+            mt: 2,
+            p: 2,
+            borderRadius: 2,
+            bgcolor: 'action.hover',
+            fontSize: '0.875rem',
+            overflowX: 'auto',
+          }}
+        >
+          {snippet}
+        </Box>
+      </Grid>
+
+      <Snackbar
+        open={isCopied}
+        autoHideDuration={2000}
+        onClose={() => setIsCopied(false)}
+        message="JSX 코드를 복사했습니다."
+      />
+    </Grid>
+  );
+}
+
+/**
+ * 플레이그라운드 페이지 컴포넌트 (/playground)
+ * 패턴 컴포넌트 JSDoc에서 추출한 props 스키마(virtual:props-schema)로 컨트롤을 자동 생성해
+ * 실시간으로 조절해 볼 수 있습니다.
+ * 선택한 패턴은 ?pattern=<componentId> 쿼리로 유지되어 링크로 공유할 수 있습니다.
+ * AppShell이 헤더와 사이드메뉴를 숨기므로 돌아가기 링크를 직접 제공합니다.
+ */
+function PlaygroundPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const pattern =
+    playgroundComponents.find((component) => component.id === searchParams.get('pattern')) ||
+    playgroundComponents[0];
+
+  return (
+    <PageContainer sx={{ minHeight: '100vh' }}>
+      <SectionContainer pt={6}>
+        <Button component={RouterLink} to={pattern.path} color="inherit" sx={{ mb: 4 }}>
+          ← {pattern.title}
+        </Button>
+        <Stack
+          direction={{ xs: 'column', md: 'row' }}
+          spacing={2}
+          sx={{ mb: 6, justifyContent: 'space-between', alignItems: { md: 'center' } }}
+        >
+          <Typography variant="h2" sx={{ fontSize: { xs: '2rem', md: '3rem' } }}>
+            Playground
+          </Typography>
+          <FormControl size="small" sx={{ minWidth: 240 }}>
+            <InputLabel id="playground-pattern-label">Pattern</InputLabel>
+            <Select
+              labelId="playground-pattern-label"
+              label="Pattern"
+              value={pattern.id}
+              onChange={(event) =>
+                // seed 등 다른 쿼리는 유지
+                setSearchParams((params) => {
+                  params.set('pattern', event.target.value);
+                  return params;
+                })
+              }
+            >
+              {playgroundCategories.flatMap((category) => [
+                <ListSubheader key={category.title}>{category.title}</ListSubheader>,
+                ...category.components.map((component) => (
+                  <MenuItem key={component.id} value={component.id}>
+                    {component.title}
+                  </MenuItem>
+                )),
+              ])}
+            </Select>
+          </FormControl>
+        </Stack>
+
+        <PlaygroundWorkspace key={pattern.id} pattern={pattern} />
+      </SectionContainer>
+    </PageContainer>
+  );
+}
+
+export default PlaygroundPage;
@@ -0,0 +1,143 @@
+/**
+ * HEX 색상을 RGB 객체로 변환 (#rgb, #rrggbb 지원)
+ * @param {string} hex - HEX 색상
+ * @returns {object|null} { r, g, b } (0~255), 형식이 맞지 않으면 null
+ */
+export const hexToRgb = (hex) => {
+  if (typeof hex !== 'string') return null;
+  let value = hex.trim().replace(/^#/, '');
+  if (/^[a-f\d]{3}$/i.test(value)) {
+    value = value.split('').map((char) => char + char).join('');
+  }
+  if (!/^[a-f\d]{6}$/i.test(value)) return null;
+
+  return {
+    r: parseInt(value.slice(0, 2), 16),
+    g: parseInt(value.slice(2, 4), 16),
+    b: parseInt(value.slice(4, 6), 16),
+  };
+};
+
+/**
+ * RGB 값을 HEX 색상으로 변환
+ * @param {number} r - 빨강 (0~255)
+ * @param {number} g - 초록 (0~255)
+ * @param {number} b - 파랑 (0~255)
+ * @returns {string} 예: '#ff5e62'
+ */
+export const rgbToHex = (r, g, b) => {
+  const toHex = (value) =>
+    Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0');
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+};
+
+/**
+ * HEX 색상 여부 확인
+ * @param {string} color - 확인할 값
+ * @returns {boolean}
+ */
+export const isHexColor = (color) => hexToRgb(color) !== null;
+
+/**
+ * HEX 색상을 HSL로 변환
+ * @param {string} hex - HEX 색상
+ * @returns {object|null} { h (0~360), s (0~1), l (0~1) }
+ */
+export const hexToHsl = (hex) => {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+
+  const r = rgb.r / 255;
+  const g = rgb.g / 255;
+  const b = rgb.b / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+
+  if (max === min) return { h: 0, s: 0, l }; // 무채색
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+
+  return { h: h * 60, s, l };
+};
+
+/**
+ * HSL 값을 HEX 색상으로 변환
+ * @param {number} h - 색상 (도 단위, 범위 밖의 값은 0~360으로 순환)
+ * @param {number} s - 채도 (0~1)
+ * @param {number} l - 명도 (0~1)
+ * @returns {string} HEX 색상
+ */
+export const hslToHex = (h, s, l) => {
+  const hue = (((h % 360) + 360) % 360) / 360;
+  if (s === 0) return rgbToHex(l * 255, l * 255, l * 255);
+
+  const hue2rgb = (p, q, t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return rgbToHex(
+    hue2rgb(p, q, hue + 1 / 3) * 255,
+    hue2rgb(p, q, hue) * 255,
+    hue2rgb(p, q, hue - 1 / 3) * 255
+  );
+};
+
+/**
+ * 두 HEX 색상을 비율에 따라 섞기
+ * @param {string} color1 - 시작 색상
+ * @param {string} color2 - 끝 색상
+ * @param {number} ratio - 섞는 비율 (0이면 color1, 1이면 color2) [기본값: 0.5]
+ * @returns {string} HEX 색상 (형식이 맞지 않으면 color1)
+ */
+export const mixColors = (color1, color2, ratio = 0.5) => {
+  const rgb1 = hexToRgb(color1);
+  const rgb2 = hexToRgb(color2);
+  if (!rgb1 || !rgb2) return color1;
+
+  return rgbToHex(
+    rgb1.r + (rgb2.r - rgb1.r) * ratio,
+    rgb1.g + (rgb2.g - rgb1.g) * ratio,
+    rgb1.b + (rgb2.b - rgb1.b) * ratio
+  );
+};
+
+/**
+ * 상대 휘도 계산 (WCAG 2.x)
+ * @param {string} hex - HEX 색상
+ * @returns {number} 0(검정)~1(흰색)
+ */
+export const getLuminance = (hex) => {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return 0;
+
+  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map((value) => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * 두 색상의 명암비 계산 (WCAG 2.x, 1~21)
+ * @param {string} color1 - HEX 색상
+ * @param {string} color2 - HEX 색상
+ * @returns {number} 명암비
+ */
+export const getContrastRatio = (color1, color2) => {
+  const l1 = getLuminance(color1);
+  const l2 = getLuminance(color2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+};
@@ -0,0 +1,17 @@
+/**
+ * 저사양 기기 여부 추정
+ * CPU 코어 수, 기기 메모리(지원 브라우저만), 터치 위주 입력 장치를 기준으로 판단합니다.
+ * 실제 렌더링 성능은 PerformanceMonitor 같은 런타임 측정으로 보완해야 합니다.
+ *
+ * @returns {boolean} 저사양 기기로 추정되면 true
+ */
+export const isLowEndDevice = () => {
+  if (typeof navigator === 'undefined') return false;
+
+  const cores = navigator.hardwareConcurrency || 8;
+  const memory = navigator.deviceMemory || 8;
+  const isCoarsePointer =
+    typeof window !== 'undefined' && window.matchMedia?.('(pointer: coarse)').matches;
+
+  return cores <= 4 || memory <= 4 || Boolean(isCoarsePointer);
+};
@@ -0,0 +1,49 @@
+/**
+ * Blob을 파일로 내려받기
+ * @param {Blob} blob - 내려받을 데이터
+ * @param {string} filename - 파일 이름 (확장자 포함)
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // 클릭 처리 후 URL 해제
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * 텍스트를 파일로 내려받기
+ * @param {string} text - 파일 내용
+ * @param {string} filename - 파일 이름 (확장자 포함)
+ * @param {string} type - MIME 타입 [기본값: 'text/plain']
+ */
+export const downloadText = (text, filename, type = 'text/plain') => {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+};
+
+/**
+ * 텍스트를 클립보드에 복사
+ * @param {string} text - 복사할 텍스트
+ * @returns {Promise<boolean>} 복사 성공 여부
+ */
+export const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    console.error('클립보드 복사 실패:', error);
+    return false;
+  }
+};
+
+/**
+ * SVG 마크업을 CSS url()에 넣을 수 있는 data URI로 변환
+ * @param {string} svg - SVG 마크업
+ * @returns {string} data:image/svg+xml URI
+ */
+export const svgToDataUri = (svg) =>
+  `data:image/svg+xml,${encodeURIComponent(svg.replace(/\s+/g, ' ').trim())}`;
@@ -0,0 +1,205 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * 'YYYY-MM-DD' 문자열을 로컬 자정 기준 Date로 변환
+ * @param {string} value - 날짜 문자열
+ * @returns {Date|null} 변환된 날짜 (형식이 잘못된 경우 null)
+ */
+export const parseDateInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+
+  // 2025-02-31 같은 존재하지 않는 날짜 걸러내기
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date;
+};
+
+/**
+ * 오늘 다음 날짜를 'YYYY-MM-DD' 형식으로 반환 (date input의 min 값용)
+ * @param {Date} today - 기준 날짜 [Optional, 기본값: 현재 시각]
+ */
+export const getMinFutureDate = (today = new Date()) => {
+  const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  const month = String(tomorrow.getMonth() + 1).padStart(2, '0');
+  const day = String(tomorrow.getDate()).padStart(2, '0');
+  return `${tomorrow.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * 규칙 값 정규화
+ * 규칙은 값 그대로(true, 12) 또는 { value, message } 형태로 선언할 수 있습니다.
+ * 값이 함수이면 현재 폼 값으로 계산합니다. (예: 선택한 상품에 따라 달라지는 max)
+ *
+ * @param {*} rule - 규칙 선언
+ * @param {object} values - 현재 폼 값
+ * @returns {object} { value, message }
+ */
+export const resolveRule = (rule, values = {}) => {
+  const resolved = rule !== null && typeof rule === 'object' && !(rule instanceof RegExp) && 'value' in rule
+    ? rule
+    : { value: rule };
+
+  return typeof resolved.value === 'function'
+    ? { ...resolved, value: resolved.value(values) }
+    : resolved;
+};
+
+const isEmptyValue = (value) => (
+  value === undefined || value === null || value === false || String(value).trim() === ''
+);
+
+/**
+ * 기본 제공 검증 규칙
+ * 각 규칙은 (value, ruleValue, context) => 에러 메시지 | null 형태입니다.
+ * 빈 값은 required 외의 규칙에서 검사하지 않습니다.
+ */
+const RULES = {
+  required: (value, ruleValue, { label }) => (
+    ruleValue && isEmptyValue(value) ? `Please enter ${label || 'this field'}.` : null
+  ),
+  email: (value, ruleValue) => (
+    ruleValue && !EMAIL_PATTERN.test(String(value).trim()) ? 'Please enter a valid email address.' : null
+  ),
+  pattern: (value, ruleValue) => (
+    !new RegExp(ruleValue).test(String(value)) ? 'Please match the requested format.' : null
+  ),
+  minLength: (value, ruleValue) => (
+    String(value).trim().length < ruleValue ? `Please enter at least ${ruleValue} characters.` : null
+  ),
+  maxLength: (value, ruleValue) => (
+    String(value).trim().length > ruleValue ? `Please enter at most ${ruleValue} characters.` : null
+  ),
+  integer: (value, ruleValue) => (
+    ruleValue && !Number.isInteger(Number(value)) ? 'Please enter a whole number.' : null
+  ),
+  min: (value, ruleValue) => (
+    Number(value) < ruleValue ? `Must be ${ruleValue} or more.` : null
+  ),
+  max: (value, ruleValue) => (
+    Number(value) > ruleValue ? `Must be ${ruleValue} or less.` : null
+  ),
+  futureDate: (value, ruleValue, { today }) => {
+    if (!ruleValue) return null;
+    const date = parseDateInput(value);
+    if (!date) return 'Please enter a valid date.';
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    return date <= startOfToday ? 'Please choose a future date.' : null;
+  },
+};
+
+/**
+ * 조건부 노출 여부 판단
+ * visibleWhen은 함수 (values) => boolean 또는
+ * { field, equals } / { field, in: [] } / { field, notEmpty: true } 선언형 객체를 지원합니다.
+ *
+ * @param {object} field - 스키마 필드 정의
+ * @param {object} values - 현재 폼 값
+ */
+export const isFieldVisible = (field, values) => {
+  const { visibleWhen } = field;
+  if (!visibleWhen) return true;
+  if (typeof visibleWhen === 'function') return Boolean(visibleWhen(values));
+
+  const target = values[visibleWhen.field];
+  if ('equals' in visibleWhen) return target === visibleWhen.equals;
+  if (Array.isArray(visibleWhen.in)) return visibleWhen.in.includes(target);
+  if (visibleWhen.notEmpty) return !isEmptyValue(target);
+  return true;
+};
+
+/**
+ * 단일 필드 검증
+ * 규칙 선언 순서대로 검사하여 첫 번째 에러 메시지를 반환합니다.
+ *
+ * @param {object} field - 스키마 필드 정의 ({ name, label, rules })
+ * @param {*} value - 필드 값
+ * @param {object} values - 전체 폼 값 (rules.validate 함수에 전달)
+ * @param {object} options - { today }
+ * @returns {string|null} 에러 메시지
+ */
+export const validateField = (field, value, values = {}, options = {}) => {
+  const { rules = {}, label } = field;
+  const context = { label: label ? label.toLowerCase() : '', today: options.today || new Date(), values };
+
+  for (const [ruleName, rawRule] of Object.entries(rules)) {
+    if (ruleName === 'validate') continue;
+
+    const { value: ruleValue, message } = resolveRule(rawRule, values);
+    if (ruleValue === undefined || ruleValue === null) continue;
+
+    const check = RULES[ruleName];
+    if (!check) {
+      console.warn(`validateField: unknown rule "${ruleName}" on field "${field.name}"`);
+      continue;
+    }
+    if (ruleName !== 'required' && isEmptyValue(value)) continue;
+
+    const error = check(value, ruleValue, context);
+    if (error) return message || error;
+  }
+
+  // 커스텀 검증 함수: (value, values) => 에러 메시지 | null
+  if (typeof rules.validate === 'function') {
+    return rules.validate(value, values) || null;
+  }
+  return null;
+};
+
+/**
+ * 스키마 전체 검증
+ * 조건부로 숨겨진 필드는 검증하지 않습니다.
+ *
+ * @param {object} schema - 폼 스키마 ({ fields })
+ * @param {object} values - 현재 폼 값
+ * @param {object} options - 검증 옵션
+ * @param {Date} options.today - 기준 날짜 [Optional, 기본값: 현재 시각]
+ * @param {string[]} options.fieldNames - 검증할 필드 이름 목록 (단계별 검증용) [Optional, 기본값: 전체 필드]
+ * @returns {object} 필드명을 키로 하는 에러 메시지 객체 (에러가 없으면 빈 객체)
+ */
+export const validateFormValues = (schema, values, options = {}) => {
+  const { fieldNames } = options;
+
+  return schema.fields.reduce((errors, field) => {
+    if (fieldNames && !fieldNames.includes(field.name)) return errors;
+    if (!isFieldVisible(field, values)) return errors;
+
+    const error = validateField(field, values[field.name], values, options);
+    if (error) errors[field.name] = error;
+    return errors;
+  }, {});
+};
+
+/**
+ * 스키마의 defaultValue로 초기 폼 값 생성
+ * @param {object} schema - 폼 스키마 ({ fields })
+ */
+export const getInitialFormValues = (schema) => {
+  return schema.fields.reduce((values, field) => {
+    if ('defaultValue' in field) {
+      values[field.name] = field.defaultValue;
+    } else {
+      values[field.name] = field.type === 'checkbox' ? false : '';
+    }
+    return values;
+  }, {});
+};
+
+/**
+ * 필드 값을 표시용 문자열로 변환 (요약 화면용)
+ * select는 옵션 라벨, checkbox는 Yes/No로 변환합니다.
+ *
+ * @param {object} field - 스키마 필드 정의
+ * @param {*} value - 필드 값
+ */
+export const formatFieldValue = (field, value) => {
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  if (isEmptyValue(value)) return '—';
+  if (field.type === 'select') {
+    const option = (field.options || []).find((item) => item.value === value);
+    return option ? option.label : String(value);
+  }
+  return String(value);
+};
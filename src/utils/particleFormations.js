@@ -0,0 +1,309 @@
+/**
+ * 파티클 포메이션(배치 형태) 생성 유틸리티
+ *
+ * 섹션 데이터의 formation 설정을 파티클 개수만큼의 위치 배열(Float32Array, xyz 순서)로 변환합니다.
+ *
+ * 지원하는 형태:
+ *  { type: 'cloud', radius }                         - 무작위 구름 (기본)
+ *  { type: 'sphere', radius }                        - 구 표면
+ *  { type: 'torus', radius, tube }                   - 도넛
+ *  { type: 'grid', size, depth }                     - 평면 격자
+ *  { type: 'galaxy', radius, arms, twist }           - 나선 은하
+ *  { type: 'svg', path, size, depth }                - SVG path 데이터(d)를 따라 샘플링
+ *  { type: 'image', src, size, depth, threshold }    - 이미지의 불투명하고 밝은 픽셀을 샘플링 (로고, 제품 이미지)
+ *
+ * 공통 옵션:
+ *  offset: [x, y, z] - 형태 중심 위치 [기본값: [0, 0, 0]]
+ *  drift: 형태 위에서 파티클이 흩날리는 정도 (0~1) [기본값: cloud 1, 그 외 0.25]
+ *
+ * 무작위 배치에는 random 인자(기본값 Math.random)를 사용하므로
+ * utils/seededRandom의 createRandom을 넘기면 같은 시드에서 같은 배치가 나옵니다.
+ *
+ * Example usage:
+ * const positions = await resolveFormation({ type: 'torus', radius: 12 }, 5000, 20);
+ */
+
+// 형태별 기본 크기 (movementRadius 배수)
+const FORMATION_DEFAULTS = {
+  sphere: { radius: 0.6 },
+  torus: { radius: 0.55, tube: 0.2 },
+  grid: { size: 1.5, depth: 0.05 },
+  galaxy: { radius: 1, arms: 3, twist: 2.5 },
+  svg: { size: 1.5, depth: 0.1 },
+  image: { size: 1.5, depth: 0.1, threshold: 0.2 },
+};
+
+// 이미지 샘플링 캔버스의 최대 변 길이 (px)
+const IMAGE_SAMPLE_SIZE = 160;
+
+// 같은 이미지를 여러 번 불러오지 않도록 샘플링 결과 캐시
+const imageCandidatesCache = new Map();
+
+/**
+ * 형태 위에서 파티클이 흩날리는 정도
+ * @param {object} formation - formation 설정
+ * @returns {number} 0~1
+ */
+export const getFormationDrift = (formation) => {
+  if (formation?.drift !== undefined) return formation.drift;
+  return !formation || formation.type === 'cloud' ? 1 : 0.25;
+};
+
+/**
+ * 2D 점 목록을 중앙 정렬해 지정한 너비로 맞춘 뒤 위치 배열에 기록
+ * @param {Array<Array<number>>} points - [x, y] 목록 (y는 화면 좌표, 아래로 증가)
+ * @param {number} count - 파티클 개수
+ * @param {number} size - 결과 너비
+ * @param {number} depth - z 방향 두께
+ * @param {function} random - 난수 함수 [Optional, 기본값: Math.random]
+ */
+const fitPointsToPositions = (points, count, size, depth, random = Math.random) => {
+  const positions = new Float32Array(count * 3);
+  if (points.length === 0) return positions;
+
+  // 파티클 수가 많으면 Math.min(...array)의 인자 개수 제한에 걸리므로 반복문으로 계산
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  points.forEach(([x, y]) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  const width = maxX - minX || 1;
+  const height = maxY - minY || 1;
+  const scale = size / Math.max(width, height);
+
+  for (let i = 0; i < count; i++) {
+    const [x, y] = points[i % points.length];
+    positions[i * 3] = (x - minX - width / 2) * scale;
+    positions[i * 3 + 1] = -(y - minY - height / 2) * scale;
+    positions[i * 3 + 2] = (random() - 0.5) * depth;
+  }
+  return positions;
+};
+
+/**
+ * 기하학 형태의 i번째 파티클 위치 계산
+ * @param {string} type - 형태 종류
+ * @param {object} options - 기본값이 적용된 형태 옵션
+ * @param {number} i - 파티클 인덱스
+ * @param {number} count - 파티클 개수
+ * @param {function} random - 난수 함수
+ * @returns {Array<number>} [x, y, z]
+ */
+const getShapePoint = (type, options, i, count, random) => {
+  switch (type) {
+    case 'sphere': {
+      // 피보나치 구 - 표면에 고르게 분포
+      const y = 1 - (2 * (i + 0.5)) / count;
+      const ring = Math.sqrt(1 - y * y);
+      const theta = i * Math.PI * (3 - Math.sqrt(5));
+      return [
+        Math.cos(theta) * ring * options.radius,
+        y * options.radius,
+        Math.sin(theta) * ring * options.radius,
+      ];
+    }
+    case 'torus': {
+      const u = random() * Math.PI * 2;
+      const v = random() * Math.PI * 2;
+      const ring = options.radius + options.tube * Math.cos(v);
+      return [ring * Math.cos(u), ring * Math.sin(u), options.tube * Math.sin(v)];
+    }
+    case 'grid': {
+      const columns = Math.ceil(Math.sqrt(count));
+      const rows = Math.ceil(count / columns);
+      const step = options.size / Math.max(columns - 1, 1);
+      return [
+        ((i % columns) - (columns - 1) / 2) * step,
+        (Math.floor(i / columns) - (rows - 1) / 2) * step,
+        (random() - 0.5) * options.depth,
+      ];
+    }
+    case 'galaxy': {
+      // 중심에 밀집하고 팔을 따라 휘어지는 나선
+      const distance = Math.pow(random(), 1.5) * options.radius;
+      const arm = ((i % options.arms) / options.arms) * Math.PI * 2;
+      const angle = arm + (distance / options.radius) * options.twist * Math.PI;
+      const spread = (1 - distance / options.radius) * 0.15 * options.radius + 0.5;
+      return [
+        Math.cos(angle) * distance + (random() - 0.5) * spread,
+        (random() - 0.5) * spread * 0.4,
+        Math.sin(angle) * distance + (random() - 0.5) * spread,
+      ];
+    }
+    default: {
+      // cloud - 정육면체 안 무작위 분포
+      return [
+        (random() - 0.5) * options.radius * 2,
+        (random() - 0.5) * options.radius * 2,
+        (random() - 0.5) * options.radius * 2,
+      ];
+    }
+  }
+};
+
+/**
+ * SVG path 데이터를 따라 점 샘플링
+ * @param {string} pathData - path의 d 속성값
+ * @param {number} count - 샘플 개수
+ */
+const sampleSvgPath = (pathData, count) => {
+  const pathNode = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  pathNode.setAttribute('d', pathData);
+  const totalLength = pathNode.getTotalLength();
+
+  return Array.from({ length: count }, (_, i) => {
+    const point = pathNode.getPointAtLength((totalLength * i) / count);
+    return [point.x, point.y];
+  });
+};
+
+/**
+ * 이미지에서 파티클을 놓을 수 있는 픽셀 좌표 수집
+ * 알파가 절반 이상이고 밝기가 threshold 이상인 픽셀만 사용합니다.
+ * @param {string} src - 이미지 URL (같은 출처이거나 CORS 허용 필요)
+ * @param {number} threshold - 밝기 임계값 (0~1)
+ * @returns {Promise<Array<Array<number>>>} [x, y] 목록
+ */
+const loadImageCandidates = (src, threshold) => {
+  const cacheKey = `${src}|${threshold}`;
+  if (!imageCandidatesCache.has(cacheKey)) {
+    const promise = new Promise((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        const scale = IMAGE_SAMPLE_SIZE / Math.max(image.width, image.height, 1);
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, width, height);
+        const { data } = context.getImageData(0, 0, width, height);
+
+        const candidates = [];
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            const brightness = (data[index] + data[index + 1] + data[index + 2]) / (255 * 3);
+            if (data[index + 3] > 127 && brightness >= threshold) {
+              candidates.push([x, y]);
+            }
+          }
+        }
+        resolve(candidates);
+      };
+      image.onerror = () => reject(new Error(`포메이션 이미지를 불러오지 못했습니다: ${src}`));
+      image.src = src;
+    });
+    // 실패한 요청은 캐시에서 지워 다음에 다시 시도
+    promise.catch(() => imageCandidatesCache.delete(cacheKey));
+    imageCandidatesCache.set(cacheKey, promise);
+  }
+  return imageCandidatesCache.get(cacheKey);
+};
+
+/**
+ * offset 적용
+ * @param {Float32Array} positions - 위치 배열
+ * @param {Array<number>} offset - [x, y, z]
+ */
+const applyOffset = (positions, offset) => {
+  if (!offset) return positions;
+  for (let i = 0; i < positions.length; i += 3) {
+    positions[i] += offset[0] || 0;
+    positions[i + 1] += offset[1] || 0;
+    positions[i + 2] += offset[2] || 0;
+  }
+  return positions;
+};
+
+/**
+ * 동기적으로 만들 수 있는 형태(이미지 제외)의 위치 배열 생성
+ * @param {object} formation - formation 설정 [Optional, 기본값: cloud]
+ * @param {number} count - 파티클 개수
+ * @param {number} radius - 기준 반경 (보통 movementRadius)
+ * @param {function} random - 난수 함수 [Optional, 기본값: Math.random]
+ * @returns {Float32Array} count * 3 길이의 위치 배열
+ */
+export const createFormationPositions = (
+  formation = { type: 'cloud' },
+  count,
+  radius,
+  random = Math.random
+) => {
+  const { type = 'cloud', offset } = formation;
+  const defaults = FORMATION_DEFAULTS[type] || {};
+  // 크기 옵션은 radius 배수 기본값을 실제 단위로 환산
+  const options = {
+    radius: formation.radius ?? (defaults.radius ?? 1) * radius,
+    tube: formation.tube ?? (defaults.tube ?? 0) * radius,
+    size: formation.size ?? (defaults.size ?? 1) * radius,
+    depth: formation.depth ?? (defaults.depth ?? 0) * radius,
+    arms: formation.arms ?? defaults.arms,
+    twist: formation.twist ?? defaults.twist,
+  };
+
+  if (type === 'svg') {
+    return applyOffset(
+      fitPointsToPositions(
+        sampleSvgPath(formation.path, count),
+        count,
+        options.size,
+        options.depth,
+        random
+      ),
+      offset
+    );
+  }
+
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const [x, y, z] = getShapePoint(type, options, i, count, random);
+    positions[i * 3] = x;
+    positions[i * 3 + 1] = y;
+    positions[i * 3 + 2] = z;
+  }
+  return applyOffset(positions, offset);
+};
+
+/**
+ * formation 설정을 위치 배열로 변환 (이미지 형태 포함)
+ * @param {object} formation - formation 설정 (없으면 null 반환)
+ * @param {number} count - 파티클 개수
+ * @param {number} radius - 기준 반경 (보통 movementRadius)
+ * @param {function} random - 난수 함수 [Optional, 기본값: Math.random]
+ * @returns {Promise<Float32Array|null>} 위치 배열
+ */
+export const resolveFormation = async (formation, count, radius, random = Math.random) => {
+  if (!formation) return null;
+  if (formation.type !== 'image') return createFormationPositions(formation, count, radius, random);
+
+  const threshold = formation.threshold ?? FORMATION_DEFAULTS.image.threshold;
+  const candidates = await loadImageCandidates(formation.src, threshold);
+  // 픽셀 수보다 파티클이 많거나 적어도 이미지 전체에 고르게 퍼지도록 무작위 추출
+  // 픽셀 안에서 위치를 흩어 격자 무늬가 보이지 않게 함
+  const points = candidates.length
+    ? Array.from({ length: count }, () => {
+        const [x, y] = candidates[Math.floor(random() * candidates.length)];
+        return [x + random(), y + random()];
+      })
+    : [];
+
+  return applyOffset(
+    fitPointsToPositions(
+      points,
+      count,
+      formation.size ?? FORMATION_DEFAULTS.image.size * radius,
+      formation.depth ?? FORMATION_DEFAULTS.image.depth * radius,
+      random
+    ),
+    formation.offset
+  );
+};
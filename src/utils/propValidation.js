@@ -0,0 +1,72 @@
+import { createElement } from 'react';
+import propsSchema from 'virtual:props-schema';
+
+// 같은 경고를 렌더링마다 반복하지 않도록 출력한 메시지 기록
+const warnedMessages = new Set();
+
+/**
+ * 값을 경고 메시지용 문자열로 변환
+ * @param {*} value - prop 값
+ */
+const formatValue = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+/**
+ * JSDoc에 문서화된 허용값/범위로 props 검사
+ * 스키마는 propsSchemaPlugin이 컴포넌트 JSDoc에서 추출한 virtual:props-schema를 사용합니다.
+ *
+ * @param {string} componentName - 컴포넌트 이름 (스키마 키)
+ * @param {object} props - 검사할 props
+ * @param {object} schema - 컴포넌트 스키마 [Optional, 기본값: propsSchema[componentName]]
+ * @returns {Array<string>} 경고 메시지 목록
+ */
+export const validateProps = (componentName, props, schema = propsSchema[componentName]) => {
+  if (!schema) return [];
+
+  return Object.entries(schema.props).flatMap(([name, prop]) => {
+    const value = props[name];
+    if (value === undefined || value === null) return [];
+
+    if (prop.enum && !prop.enum.includes(value)) {
+      const allowed = prop.enum.map((option) => `'${option}'`).join(' | ');
+      return [`[${componentName}] ${name}=${formatValue(value)}은(는) 허용되지 않는 값입니다. 허용값: ${allowed}`];
+    }
+
+    if (prop.type === 'number' && typeof value === 'number') {
+      if (Number.isNaN(value)) {
+        return [`[${componentName}] ${name}에 NaN이 전달되었습니다.`];
+      }
+      if ((prop.min !== undefined && value < prop.min) || (prop.max !== undefined && value > prop.max)) {
+        return [`[${componentName}] ${name}=${value}은(는) 허용 범위(${prop.min}~${prop.max})를 벗어났습니다.`];
+      }
+    }
+
+    return [];
+  });
+};
+
+/**
+ * 개발 환경에서만 props를 검사하는 래퍼 컴포넌트 생성
+ * 프로덕션 빌드에서는 원본 컴포넌트를 그대로 반환하므로 검사 코드와 스키마가 번들에서 제거됩니다.
+ *
+ * @param {React.ComponentType} component - 검사할 컴포넌트
+ * @param {string} componentName - 스키마 키이자 경고에 표시할 컴포넌트 이름
+ *
+ * Example usage:
+ * export default withPropValidation(FadeInContainer, 'FadeInContainer');
+ */
+export const withPropValidation = (component, componentName) => {
+  if (!import.meta.env.DEV) return component;
+
+  function ValidatedComponent(props) {
+    validateProps(componentName, props).forEach((message) => {
+      if (warnedMessages.has(message)) return;
+      warnedMessages.add(message);
+      console.warn(message);
+    });
+
+    return createElement(component, props);
+  }
+
+  ValidatedComponent.displayName = componentName;
+  return ValidatedComponent;
+};
@@ -0,0 +1,182 @@
+import { isValidElement } from 'react';
+
+// 옵션이 문서화되지 않은 variant select에 사용할 Typography 변형 목록
+const TYPOGRAPHY_VARIANTS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'subtitle1', 'subtitle2', 'body1', 'body2'];
+
+/**
+ * 스키마 필드에 맞는 플레이그라운드 컨트롤 결정
+ * JSDoc에는 색상 전용 타입이 없으므로 이름이나 설명으로 색상 prop을 판별합니다.
+ *
+ * @param {string} name - prop 이름
+ * @param {object} prop - virtual:props-schema의 prop 스키마
+ * @returns {string|null} 컨트롤 종류 (코드에서만 설정할 수 있으면 null)
+ */
+const getControl = (name, prop) => {
+  if (prop.enum) return 'select';
+  if (prop.type === 'number') return 'slider';
+  if (prop.type === 'boolean') return 'switch';
+  if (prop.type !== 'string') return null;
+  if (/colou?r$/i.test(name) || prop.description.includes('색상')) return 'color';
+  return name === 'variant' ? 'select' : 'text';
+};
+
+/**
+ * 슬라이더 범위와 간격 계산
+ * JSDoc에 범위가 없으면 기본값 크기를 기준으로 추정합니다.
+ *
+ * @param {object} prop - prop 스키마 ({ default, min, max })
+ */
+const getSliderRange = (prop) => {
+  const defaultValue = typeof prop.default === 'number' ? prop.default : 0;
+
+  if (prop.min !== undefined && prop.max !== undefined) {
+    const isFraction = !Number.isInteger(defaultValue) || prop.max - prop.min <= 1;
+    return { min: prop.min, max: prop.max, step: isFraction ? 0.01 : 1 };
+  }
+  if (!Number.isInteger(defaultValue) || (defaultValue > 0 && defaultValue <= 1)) {
+    return { min: 0, max: Math.max(1, defaultValue * 4), step: 0.01 };
+  }
+  return { min: 0, max: defaultValue > 0 ? defaultValue * 4 : 100, step: 1 };
+};
+
+/**
+ * 카탈로그 id를 컴포넌트 이름(virtual:props-schema 키)으로 변환
+ *
+ * @param {string} id - recipesData 키 (예: 'scrambleText')
+ * @returns {string} 컴포넌트 이름 (예: 'ScrambleText')
+ */
+export const toComponentName = (id) => id.charAt(0).toUpperCase() + id.slice(1);
+
+/**
+ * 기본값을 표시용 문자열로 변환
+ *
+ * @param {object} prop - prop 스키마 ({ default, defaultExpression })
+ * @returns {string|undefined} 기본값 (없으면 undefined)
+ */
+const formatDefault = (prop) => {
+  if (prop.default === undefined) return prop.defaultExpression;
+  return typeof prop.default === 'string' ? prop.default : JSON.stringify(prop.default);
+};
+
+/**
+ * 컴포넌트 props 스키마를 문서용 props 표 행으로 변환
+ *
+ * @param {object} componentSchema - virtual:props-schema의 컴포넌트 항목 ({ props })
+ * @returns {Array<object>} { name, type, description, required, default }
+ */
+export const createPropsTable = (componentSchema) =>
+  Object.entries(componentSchema?.props || {}).map(([name, prop]) => ({
+    name,
+    type: prop.types ? prop.types.join(' | ') : prop.type,
+    description: prop.description,
+    required: prop.required,
+    default: formatDefault(prop),
+  }));
+
+/**
+ * 컴포넌트 props 스키마를 플레이그라운드 컨트롤 목록으로 변환
+ *
+ * @param {object} componentSchema - virtual:props-schema의 컴포넌트 항목 ({ props })
+ * @returns {Array<object>} { name, type, control, description, required, defaultValue, options, min, max, step }
+ */
+export const createPropsSchema = (componentSchema) =>
+  Object.entries(componentSchema?.props || {}).map(([name, prop]) => {
+    const field = {
+      name,
+      type: prop.type,
+      control: getControl(name, prop),
+      description: prop.description,
+      required: prop.required,
+      defaultValue: prop.default,
+    };
+
+    if (field.control === 'select') {
+      // 허용값이 문서화되지 않은 variant는 Typography 변형 목록 사용
+      field.options = prop.enum || TYPOGRAPHY_VARIANTS;
+    }
+
+    if (field.control === 'slider') {
+      Object.assign(field, getSliderRange(prop));
+    }
+
+    return field;
+  });
+
+/**
+ * 컨트롤 초기값 생성
+ * 예제 props가 있으면 우선 사용하고, 없으면 JSDoc 기본값을 사용합니다.
+ *
+ * @param {Array} schema - createPropsSchema 결과
+ * @param {object} baseProps - 예제 props [Optional]
+ */
+export const getInitialValues = (schema, baseProps = {}) =>
+  schema.reduce((values, field) => {
+    if (!field.control) return values;
+
+    const value = baseProps[field.name] ?? field.defaultValue;
+    if (value !== undefined) values[field.name] = value;
+    return values;
+  }, {});
+
+/**
+ * 값에 JSON으로 표현할 수 없는 항목(React 요소, 함수, ref 등)이 있는지 확인
+ *
+ * @param {*} value - 검사할 값
+ */
+const containsUnserializable = (value) => {
+  if (typeof value === 'function' || isValidElement(value)) return true;
+  if (Array.isArray(value)) return value.some(containsUnserializable);
+  if (value && typeof value === 'object') {
+    return Object.getPrototypeOf(value) !== Object.prototype || Object.values(value).some(containsUnserializable);
+  }
+  return false;
+};
+
+/**
+ * prop 값을 JSX 속성 문자열로 변환
+ *
+ * @param {string} name - prop 이름
+ * @param {*} value - prop 값
+ * @returns {string|null} 속성 문자열 (JSX로 표현할 수 없는 값이면 null)
+ */
+const serializeProp = (name, value) => {
+  if (value === true) return name;
+  if (typeof value === 'string') {
+    return /["\n\\]/.test(value) ? `${name}={${JSON.stringify(value)}}` : `${name}="${value}"`;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') return `${name}={${value}}`;
+  if (containsUnserializable(value)) return null;
+
+  // 배열/객체는 JSON으로 표현
+  return `${name}={${JSON.stringify(value)}}`;
+};
+
+/**
+ * 현재 설정으로 사용 예시 JSX 코드 생성
+ * 기본값과 같은 prop은 생략하고, JSX로 표현할 수 없는 children은 주석으로 남깁니다.
+ *
+ * @param {string} componentName - 컴포넌트 이름 (예: 'ScrambleText')
+ * @param {object} props - 현재 props
+ * @param {Array} schema - createPropsSchema 결과
+ * @returns {string} JSX 코드
+ */
+export const createJsxSnippet = (componentName, props, schema = []) => {
+  const defaults = Object.fromEntries(schema.map((field) => [field.name, field.defaultValue]));
+  const { children, ...rest } = props;
+
+  const attributes = Object.entries(rest)
+    .filter(([name, value]) => value !== undefined && value !== '' && value !== defaults[name])
+    .map(([name, value]) => serializeProp(name, value))
+    .filter(Boolean);
+
+  const opening = attributes.length > 2
+    ? `<${componentName}\n${attributes.map((attribute) => `  ${attribute}`).join('\n')}\n`
+    : `<${componentName}${attributes.map((attribute) => ` ${attribute}`).join('')}`;
+
+  if (children === undefined || children === null) {
+    return `${opening}${attributes.length > 2 ? '/>' : ' />'}`;
+  }
+
+  const content = typeof children === 'string' ? children : '{/* children */}';
+  return `${opening}>\n  ${content}\n</${componentName}>`;
+};
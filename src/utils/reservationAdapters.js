@@ -0,0 +1,116 @@
+import { RESERVATION_CONFIG, FIREBASE_CONFIG } from '../constants';
+
+/**
+ * 예약 제출 어댑터
+ * 모든 어댑터는 아래 형태를 따릅니다.
+ *
+ * {
+ *   name: string,
+ *   submit: (reservation) => Promise<{ id: string }>
+ * }
+ *
+ * ReservationSection의 submitAdapter prop으로 교체할 수 있습니다.
+ */
+
+/**
+ * 로컬 목업 백엔드 어댑터
+ * 네트워크 지연을 흉내낸 뒤 localStorage에 예약을 저장합니다.
+ *
+ * @param {object} options - 어댑터 옵션
+ * @param {number} options.latency - 응답 지연 (ms) [Optional, 기본값: RESERVATION_CONFIG.mockLatency]
+ * @param {number} options.failureRate - 실패 확률 (0~1) [Optional, 기본값: RESERVATION_CONFIG.mockFailureRate]
+ * @param {string} options.storageKey - localStorage 키 [Optional, 기본값: RESERVATION_CONFIG.storageKey]
+ */
+export const createMockReservationAdapter = (options = {}) => {
+  const {
+    latency = RESERVATION_CONFIG.mockLatency,
+    failureRate = RESERVATION_CONFIG.mockFailureRate,
+    storageKey = RESERVATION_CONFIG.storageKey,
+  } = options;
+
+  return {
+    name: 'mock',
+    submit: (reservation) => new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (Math.random() < failureRate) {
+          reject(new Error('The reservation server is temporarily unavailable.'));
+          return;
+        }
+
+        const id = `mock-${Date.now().toString(36)}`;
+        try {
+          const saved = JSON.parse(localStorage.getItem(storageKey) || '[]');
+          saved.push({ id, ...reservation, createdAt: new Date().toISOString() });
+          localStorage.setItem(storageKey, JSON.stringify(saved));
+        } catch (error) {
+          // 저장소를 사용할 수 없어도 제출 자체는 성공으로 처리
+          console.warn('createMockReservationAdapter: localStorage unavailable', error);
+        }
+        resolve({ id });
+      }, latency);
+    }),
+  };
+};
+
+/**
+ * Firebase Firestore 어댑터
+ * firebase 모듈은 첫 제출 시점에 동적으로 불러와 초기 번들에 포함되지 않습니다.
+ *
+ * @param {object} options - 어댑터 옵션
+ * @param {object} options.config - Firebase 앱 설정 [Optional, 기본값: FIREBASE_CONFIG]
+ * @param {string} options.collectionName - 저장할 컬렉션 이름 [Optional, 기본값: 'reservations']
+ */
+export const createFirestoreReservationAdapter = (options = {}) => {
+  const {
+    config = FIREBASE_CONFIG,
+    collectionName = 'reservations',
+  } = options;
+
+  let firestorePromise = null;
+
+  const loadFirestore = () => {
+    if (!firestorePromise) {
+      firestorePromise = Promise.all([
+        import('firebase/app'),
+        import('firebase/firestore'),
+      ]).then(([firebaseApp, firestore]) => {
+        const app = firebaseApp.getApps().length
+          ? firebaseApp.getApp()
+          : firebaseApp.initializeApp(config);
+        return { db: firestore.getFirestore(app), firestore };
+      }).catch((error) => {
+        // 초기화 실패 시 다음 재시도에서 다시 불러오도록 초기화
+        firestorePromise = null;
+        throw error;
+      });
+    }
+    return firestorePromise;
+  };
+
+  return {
+    name: 'firestore',
+    submit: async (reservation) => {
+      const { db, firestore } = await loadFirestore();
+      const docRef = await firestore.addDoc(
+        firestore.collection(db, collectionName),
+        { ...reservation, createdAt: firestore.serverTimestamp() }
+      );
+      return { id: docRef.id };
+    },
+  };
+};
+
+let defaultAdapter = null;
+
+/**
+ * 환경에 맞는 기본 어댑터 반환
+ * VITE_FIREBASE_PROJECT_ID가 설정되어 있으면 Firestore, 아니면 목업 백엔드를 사용합니다.
+ */
+export const getDefaultReservationAdapter = () => {
+  if (!defaultAdapter) {
+    defaultAdapter = FIREBASE_CONFIG.projectId
+      ? createFirestoreReservationAdapter()
+      : createMockReservationAdapter();
+  }
+  return defaultAdapter;
+};
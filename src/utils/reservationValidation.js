@@ -0,0 +1,50 @@
+import { reservationFormSchema } from '../data/formSchemas';
+import { validateFormValues } from './formValidation';
+
+/**
+ * 예약 폼 데이터 검증
+ * reservationFormSchema의 규칙으로 검증하며, 에러가 없으면 빈 객체를 반환합니다.
+ *
+ * @param {object} formData - { name, email, spacecraft, date, passengers }
+ * @param {object} options - 검증 옵션
+ * @param {object} options.schema - 검증에 사용할 스키마 [Optional, 기본값: reservationFormSchema]
+ * @param {Date} options.today - 기준 날짜 [Optional, 기본값: 현재 시각]
+ * @returns {object} 필드명을 키로 하는 에러 메시지 객체
+ */
+export const validateReservation = (formData, options = {}) => {
+  const { schema = reservationFormSchema, ...validationOptions } = options;
+  return validateFormValues(schema, formData, validationOptions);
+};
+
+/**
+ * 예약 참조 번호 생성
+ * 날짜 뒤에 서로 혼동되기 쉬운 문자(0/O, 1/I)를 제외한 6자리 코드를 붙입니다.
+ *
+ * @param {Date} now - 기준 시각 [Optional, 기본값: 현재 시각]
+ * @returns {string} 예: 'LEAD-251019-7KQ2XM'
+ */
+export const createReservationReference = (now = new Date()) => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const datePart = [
+    String(now.getFullYear()).slice(-2),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0'),
+  ].join('');
+  const codePart = Array.from(
+    { length: 6 },
+    () => alphabet[Math.floor(Math.random() * alphabet.length)]
+  ).join('');
+
+  return `LEAD-${datePart}-${codePart}`;
+};
+
+/**
+ * 검증을 통과한 폼 데이터를 제출용 payload로 정규화
+ * @param {object} formData - 예약 폼 데이터
+ */
+export const normalizeReservation = (formData) => ({
+  ...formData,
+  name: String(formData.name).trim(),
+  email: String(formData.email).trim().toLowerCase(),
+  passengers: Number(formData.passengers),
+});
@@ -61,4 +61,42 @@ export function scrollToElement(target, lenis, options = {}) {
   }
   
   lenis.scrollTo(target, options);
-} 
\ No newline at end of file
+} 
+/**
+ * 섹션(또는 위치)으로 스크롤하는 함수
+ * 스크롤 컨테이너가 window가 아니어도 컨테이너 기준 위치를 계산하고, 고정 헤더 높이만큼 offset을 적용합니다.
+ * Lenis가 있으면 Lenis로 부드럽게 이동합니다.
+ *
+ * @param {string|HTMLElement|number} target - 섹션 id('#' 생략 가능), 요소 또는 스크롤 위치(px)
+ * @param {object} options - 스크롤 옵션
+ * @param {HTMLElement} options.scroller - 스크롤 컨테이너 (없으면 window)
+ * @param {Lenis} options.lenis - 컨테이너를 구동하는 Lenis 인스턴스
+ * @param {number} options.offset - 요소 위치 보정값 (px, 음수면 위쪽 여백) [기본값: 0]
+ * @param {boolean} options.immediate - 애니메이션 없이 즉시 이동 [기본값: false]
+ * @returns {boolean} 대상을 찾아 이동했는지 여부
+ */
+export function scrollToSection(
+  target,
+  { scroller = null, lenis = null, offset = 0, immediate = false, ...options } = {}
+) {
+  const element =
+    typeof target === 'string' ? document.getElementById(target.replace(/^#/, '')) : target;
+  if (element === null || element === undefined) return false;
+
+  const isPosition = typeof element === 'number';
+
+  if (lenis) {
+    lenis.scrollTo(element, { offset: isPosition ? 0 : offset, immediate, ...options });
+    return true;
+  }
+
+  let top = element;
+  if (!isPosition) {
+    const containerTop = scroller ? scroller.getBoundingClientRect().top : 0;
+    const currentTop = scroller ? scroller.scrollTop : window.scrollY;
+    top = element.getBoundingClientRect().top - containerTop + currentTop + offset;
+  }
+
+  (scroller || window).scrollTo({ top, behavior: immediate ? 'auto' : 'smooth' });
+  return true;
+}
@@ -0,0 +1,77 @@
+/**
+ * 섹션 위치 측정 유틸리티
+ *
+ * 섹션 높이가 제각각이어도(모바일에서 콘텐츠가 길어지는 경우 등) 실제 DOM 위치로
+ * 현재 섹션과 섹션별 진행률을 계산합니다.
+ */
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * 콘텐츠 요소 안의 섹션 위치 측정
+ * 섹션 id가 있으면 해당 id의 요소를, 없으면 같은 순서의 자식 요소를 사용합니다.
+ *
+ * @param {HTMLElement} contentElement - 섹션들을 감싸는 요소 (스크롤 영역의 맨 위에서 시작)
+ * @param {Array<object>} sections - 섹션 설정 목록 ({ id? })
+ * @returns {Array<object>} 섹션별 { id, top, height } (top은 contentElement 기준 px)
+ */
+export const measureSections = (contentElement, sections) => {
+  if (!contentElement) return [];
+
+  const contentTop = contentElement.getBoundingClientRect().top;
+  const children = Array.from(contentElement.children);
+
+  return sections.map((section, index) => {
+    const element =
+      (section.id && contentElement.querySelector(`#${CSS.escape(section.id)}`)) ||
+      children[index];
+    if (!element) return { id: section.id, top: 0, height: 0 };
+
+    const rect = element.getBoundingClientRect();
+    return { id: section.id, top: rect.top - contentTop, height: rect.height };
+  });
+};
+
+/**
+ * 스크롤 위치에 해당하는 섹션과 진행률 계산
+ *
+ * - index / progress: 화면 상단이 지나고 있는 섹션과, 그 섹션 시작부터 다음 섹션 시작까지의 진행률 (0~1).
+ *   섹션 사이 색상·포메이션 보간에 사용합니다.
+ * - activeIndex: 화면 중앙선이 걸쳐 있는 섹션 (네비게이션 하이라이트 등에 사용)
+ * - progressById: 섹션별로 화면 상단이 섹션을 얼마나 지났는지 (0~1)
+ *
+ * @param {Array<object>} measurements - measureSections 결과
+ * @param {number} scrollTop - 현재 스크롤 위치 (px)
+ * @param {number} viewportHeight - 스크롤 컨테이너 높이 (px)
+ */
+export const getSectionPosition = (measurements, scrollTop, viewportHeight) => {
+  const lastIndex = measurements.length - 1;
+  if (lastIndex < 0) return { index: 0, progress: 0, activeIndex: 0, progressById: {} };
+
+  // 소수점 스크롤 위치 오차 허용
+  const findIndex = (position) => {
+    let found = 0;
+    measurements.forEach((section, i) => {
+      if (section.top <= position + 1) found = i;
+    });
+    return found;
+  };
+
+  const index = findIndex(scrollTop);
+  const current = measurements[index];
+  const next = measurements[index + 1];
+  const span = next ? next.top - current.top : current.height;
+  const progress = clamp01((scrollTop - current.top) / Math.max(span, 1));
+
+  const progressById = {};
+  measurements.forEach((section, i) => {
+    progressById[section.id ?? i] = clamp01((scrollTop - section.top) / Math.max(section.height, 1));
+  });
+
+  return {
+    index,
+    progress,
+    activeIndex: findIndex(scrollTop + viewportHeight / 2),
+    progressById,
+  };
+};
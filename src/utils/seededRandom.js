@@ -0,0 +1,52 @@
+/**
+ * 시드 기반 난수 생성 유틸리티
+ *
+ * 같은 시드로 만든 난수 함수는 항상 같은 순서의 값을 반환하므로,
+ * 무작위 배치나 애니메이션을 스크린샷·디자인 리뷰에서 그대로 재현할 수 있습니다.
+ *
+ * Example usage:
+ * const random = createRandom(42, 'MeshGradientBox');
+ * const x = random() * width; // 0 이상 1 미만
+ */
+
+/**
+ * 시드 값을 32비트 정수로 변환 (FNV-1a 해시)
+ * 숫자 42와 문자열 '42'는 같은 값이 됩니다.
+ * @param {string|number} value - 시드 값
+ * @returns {number} 32비트 부호 없는 정수
+ */
+export const hashSeed = (value) => {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * mulberry32 난수 생성기
+ * @param {number} state - 32비트 초기 상태
+ * @returns {function} 0 이상 1 미만의 값을 반환하는 함수
+ */
+const mulberry32 = (state) => () => {
+  state = (state + 0x6d2b79f5) | 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * 시드 기반 난수 함수 생성
+ * 시드가 없으면(null, undefined) Math.random을 그대로 반환하므로 기존 동작을 유지합니다.
+ * scope는 같은 시드를 쓰는 컴포넌트나 아이템마다 서로 다른 수열을 얻기 위해 시드에 덧붙이는 값입니다.
+ *
+ * @param {string|number} seed - 시드 [Optional]
+ * @param {...(string|number)} scope - 수열을 구분할 값 (컴포넌트 이름, 아이템 키 등) [Optional]
+ * @returns {function} Math.random과 같은 형태의 난수 함수
+ */
+export const createRandom = (seed, ...scope) => {
+  if (seed === null || seed === undefined) return Math.random;
+  return mulberry32(hashSeed([seed, ...scope].join(':')));
+};